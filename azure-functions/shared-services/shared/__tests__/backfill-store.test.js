@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Backfill Store
+ *
+ * Tests:
+ * - CSV parsing (with and without a header row)
+ * - Tenancy filtering by date range, status and branch
+ * - Planning of backfill items (duplicates, already integrated tenancies)
+ */
+
+const { parseTenancyCsv, filterTenancies, planBackfillItems } = require('../backfill-store');
+
+describe('Backfill Store', () => {
+  describe('parseTenancyCsv', () => {
+    test('should read tenancy and branch columns from a header row', () => {
+      const csv = 'Branch ID,Tenancy_Id,Address\r\nMAIN,TEN-1,"1 High St, Leeds"\r\nNORTH,TEN-2,2 Low Rd\r\n';
+
+      expect(parseTenancyCsv(csv)).toEqual({
+        tenancies: [
+          { id: 'TEN-1', branchId: 'MAIN' },
+          { id: 'TEN-2', branchId: 'NORTH' }
+        ],
+        errors: []
+      });
+    });
+
+    test('should read the first column as tenancy IDs without a header', () => {
+      const { tenancies } = parseTenancyCsv('12345\n\n67890\n');
+
+      expect(tenancies).toEqual([
+        { id: '12345', branchId: null },
+        { id: '67890', branchId: null }
+      ]);
+    });
+
+    test('should report rows without a tenancy ID', () => {
+      const { tenancies, errors } = parseTenancyCsv('tenancyId,branchId\n,MAIN\nTEN-3,\n');
+
+      expect(tenancies).toEqual([{ id: 'TEN-3', branchId: null }]);
+      expect(errors).toEqual([{ line: 2, message: 'Missing or invalid tenancy ID' }]);
+    });
+  });
+
+  describe('filterTenancies', () => {
+    const tenancies = [
+      { id: '1', branchId: 'MAIN', status: 'Current', startDate: '2025-01-15', createdDate: '2024-12-01' },
+      { id: '2', branchId: 'NORTH', status: 'Current', startDate: '2025-03-01', createdDate: '2025-02-01' },
+      { id: '3', branchId: 'MAIN', status: 'Ended', startDate: '2025-02-01', createdDate: '2025-01-10' },
+      { id: '4', branchId: 'MAIN', status: 'Current', startDate: null, createdDate: '2025-01-20' }
+    ];
+
+    test('should filter on the start date range', () => {
+      const matches = filterTenancies(tenancies, { from: '2025-01-01', to: '2025-02-15' });
+
+      expect(matches.map(tenancy => tenancy.id)).toEqual(['1', '3']);
+    });
+
+    test('should filter on the created date when requested', () => {
+      const matches = filterTenancies(tenancies, { from: '2025-01-01', to: '2025-01-31', dateField: 'createdDate' });
+
+      expect(matches.map(tenancy => tenancy.id)).toEqual(['3', '4']);
+    });
+
+    test('should filter on status (case-insensitive) and branch', () => {
+      const matches = filterTenancies(tenancies, {
+        from: '2025-01-01',
+        to: '2025-12-31',
+        statuses: ['current'],
+        branchIds: ['MAIN']
+      });
+
+      expect(matches.map(tenancy => tenancy.id)).toEqual(['1']);
+    });
+  });
+
+  describe('planBackfillItems', () => {
+    test('should skip already integrated tenancies and drop duplicates', () => {
+      const items = planBackfillItems(
+        [{ id: 'TEN-1', branchId: 'MAIN' }, { id: 'TEN-2' }, { id: 'TEN-1', branchId: 'NORTH' }],
+        new Map([['TEN-2', 'archive']])
+      );
+
+      expect(items).toEqual([
+        { tenancyId: 'TEN-1', branchId: 'MAIN', startDate: null, status: 'PENDING', skipReason: null },
+        { tenancyId: 'TEN-2', branchId: null, startDate: null, status: 'SKIPPED', skipReason: 'ALREADY_INTEGRATED (archive)' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for Data Completeness and Poll Backoff
+ *
+ * Tests:
+ * - Completeness outcomes and pending status
+ * - Rejection, pend and complete outcomes for the workflow orchestrator,
+ *   the polling service and manual retries
+ * - Next poll time from the polling settings, for all three callers
+ */
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const { evaluateCompleteness, getPendingStatus } = require('../data-completeness');
+const { DEFAULT_POLLING_SETTINGS, getPollIntervalMinutes, calculateNextPollTime } = require('../poll-backoff');
+const { SourceAdapterFactory } = require('../source-adapters');
+const { TDSWorkflowOrchestrator } = require('../../../src/functions/WorkflowOrchestrator');
+const { PendingPollingServiceClass } = require('../../../src/functions/PendingPollingService');
+const { PendingIntegrationsManagerClass } = require('../../../src/functions/PendingIntegrationsManager');
+
+describe('Data Completeness', () => {
+  let mockContext;
+  let adapter;
+
+  const completeAltoData = () => ({
+    tenancy: {
+      id: 'TEN_001',
+      startDate: '2026-11-01',
+      depositRequested: 1384.61,
+      depositSchemeType: 'DisputeServiceCustodial'
+    },
+    property: {
+      id: 'INV_001',
+      address: { nameNo: '1', street: 'Test Street', town: 'Milton Keynes', postcode: 'MK18 1AA' }
+    },
+    landlords: {
+      items: [{
+        forename: 'Lenny',
+        surname: 'Landlord',
+        email: 'landlord@example.com',
+        address: { nameNo: '5', street: 'Owner Road', town: 'Buckingham', postcode: 'MK18 2BB' }
+      }]
+    },
+    tenants: [{
+      items: [{
+        people: [{ forename: 'Tara', surname: 'Tenant', emailAddresses: [{ address: 'tenant@example.com' }], phoneNumbers: [] }]
+      }]
+    }]
+  });
+
+  const rejectedAltoData = () => {
+    const data = completeAltoData();
+    data.tenancy.depositSchemeType = 'MyDepositsInsured';
+    return data;
+  };
+
+  // Joint tenant without a contact - the old polling and retry copies only checked the lead tenant
+  const pendingAltoData = () => {
+    const data = completeAltoData();
+    data.tenants[0].items[0].people.push({ forename: 'Jo', surname: 'Joint', emailAddresses: [], phoneNumbers: [] });
+    return data;
+  };
+
+  beforeEach(() => {
+    mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), invocationId: 'test-run' };
+    adapter = SourceAdapterFactory.getAdapter('alto', { context: mockContext });
+  });
+
+  describe('evaluateCompleteness', () => {
+    test('should reject schemes that are not enabled for TDS', () => {
+      expect(evaluateCompleteness(adapter, rejectedAltoData())).toMatchObject({ outcome: 'rejected', pendingStatus: null });
+    });
+
+    test('should pend incomplete data with the status for what is missing', () => {
+      const result = evaluateCompleteness(adapter, pendingAltoData());
+
+      expect(result.outcome).toBe('pending');
+      expect(result.pendingStatus).toBe('PENDING_DATA');
+      expect(result.missingFields.contacts).toEqual(['tenant 2 contact (Jo Joint)']);
+    });
+
+    test('should mark data complete', () => {
+      expect(evaluateCompleteness(adapter, completeAltoData())).toMatchObject({ outcome: 'complete', isComplete: true });
+    });
+
+    test('should treat missing core data as invalid', () => {
+      const data = completeAltoData();
+      delete data.tenancy.id;
+
+      expect(evaluateCompleteness(adapter, data).outcome).toBe('invalid');
+    });
+  });
+
+  describe('getPendingStatus', () => {
+    test('should use PENDING_DEPOSIT whenever the deposit is missing', () => {
+      expect(getPendingStatus({ tenancy: [], property: [], contacts: [], deposit: ['deposit amount'] })).toBe('PENDING_DEPOSIT');
+      // Deposit missing alongside other data stays PENDING_DEPOSIT, as stored rows always have
+      expect(getPendingStatus({ tenancy: [], property: [], contacts: ['landlord information'], deposit: ['deposit amount'] })).toBe('PENDING_DEPOSIT');
+      expect(getPendingStatus({ tenancy: [], property: [], contacts: ['landlord information'], deposit: [] })).toBe('PENDING_DATA');
+      expect(getPendingStatus({})).toBe('PENDING_DATA');
+    });
+  });
+
+  describe('callers', () => {
+    const callers = {
+      'workflow orchestrator': () => {
+        const orchestrator = new TDSWorkflowOrchestrator(mockContext, null, 'alto');
+        return data => orchestrator.validateDataCompleteness(data);
+      },
+      'polling service': () => {
+        const pollingService = new PendingPollingServiceClass(mockContext);
+        return data => pollingService.validateDataCompleteness(adapter, data);
+      },
+      'manual retry': () => {
+        const manager = new PendingIntegrationsManagerClass(mockContext, { email: 'admin@example.com' });
+        return data => manager.validateDataCompleteness(adapter, data);
+      }
+    };
+
+    Object.entries(callers).forEach(([caller, createValidator]) => {
+      test(`${caller} should reject, pend and complete tenancies the same way`, () => {
+        const validate = createValidator();
+
+        expect(validate(rejectedAltoData())).toMatchObject({ outcome: 'rejected', isPermanentRejection: true });
+        expect(validate(pendingAltoData())).toMatchObject({ outcome: 'pending', pendingStatus: 'PENDING_DATA' });
+        expect(validate(completeAltoData())).toMatchObject({ outcome: 'complete', isComplete: true });
+      });
+    });
+  });
+});
+
+describe('Poll Backoff', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), invocationId: 'test-run' };
+
+  describe('getPollIntervalMinutes', () => {
+    test('should back off from the pending poll interval and cap at 60 minutes', () => {
+      const settings = { pendingPollInterval: 5, backoffMultiplier: 2 };
+
+      expect(getPollIntervalMinutes(1, settings)).toBe(5);
+      expect(getPollIntervalMinutes(3, settings)).toBe(20);
+      expect(getPollIntervalMinutes(10, settings)).toBe(60);
+    });
+
+    test('should use the default settings when none are stored', () => {
+      expect(getPollIntervalMinutes(2, {})).toBe(DEFAULT_POLLING_SETTINGS.pendingPollInterval * DEFAULT_POLLING_SETTINGS.backoffMultiplier);
+      expect(calculateNextPollTime(0, undefined, now).toISOString()).toBe('2026-10-19T12:05:00.000Z');
+    });
+  });
+
+  describe('callers', () => {
+    beforeAll(() => {
+      TableClient.seed('PollingSettings', {
+        partitionKey: 'PollingSettings',
+        rowKey: 'current',
+        pendingPollInterval: 4,
+        depositCheckInterval: 10,
+        maxPollAttempts: 20,
+        backoffMultiplier: 2
+      });
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should schedule from the stored polling settings in every caller', async () => {
+      // Stored settings: pendingPollInterval 4 minutes, backoffMultiplier 2
+      const orchestrator = new TDSWorkflowOrchestrator(mockContext, null, 'alto');
+      const pollingService = new PendingPollingServiceClass(mockContext);
+      const manager = new PendingIntegrationsManagerClass(mockContext, { email: 'admin@example.com' });
+
+      expect((await orchestrator.calculateNextPollTime(1)).toISOString()).toBe('2026-10-19T12:04:00.000Z');
+      expect((await manager.calculateNextPollTime(1)).toISOString()).toBe('2026-10-19T12:04:00.000Z');
+      expect((await pollingService.calculateNextPollTime(1)).toISOString()).toBe('2026-10-19T12:04:00.000Z');
+      expect((await pollingService.calculateNextPollTime(3)).toISOString()).toBe('2026-10-19T12:16:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for Deposit Registry
+ *
+ * Tests:
+ * - Payload diffing for amendments (amounts, dates, tenants, landlords)
+ * - Provider DAN extraction from single and dual mode results
+ * - Deposit top-up detection and history entries
+ * - Renewal detection (property, tenants, adjacent dates)
+ */
+
+const {
+  diffDepositPayloads,
+  getProviderDans,
+  getDepositAmountChange,
+  buildDepositHistoryEntry,
+  isRenewalOf
+} = require('../deposit-registry');
+
+describe('Deposit Registry', () => {
+  const submittedPayload = () => ({
+    tenancyId: 'TEN_001',
+    agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+    branchId: 'MAIN',
+    depositAmount: 1384.61,
+    rentAmount: 1200,
+    tenancyStartDate: '2025-11-01',
+    tenancyEndDate: '2026-10-31',
+    tenants: [
+      { id: 'CT_001', title: 'Ms.', firstName: 'Tara', lastName: 'Tenant', email: 'tara@example.com', phone: '' }
+    ],
+    landlords: [
+      { id: 'LL_001', title: 'Mr.', firstName: 'Lenny', lastName: 'Landlord', email: 'landlord@example.com', phone: '' }
+    ]
+  });
+
+  describe('diffDepositPayloads', () => {
+    test('should report no changes for an identical payload', () => {
+      expect(diffDepositPayloads(submittedPayload(), submittedPayload())).toEqual([]);
+    });
+
+    test('should ignore date formatting differences for the same day', () => {
+      const current = submittedPayload();
+      current.tenancyStartDate = '2025-11-01T00:00:00.000Z';
+
+      expect(diffDepositPayloads(submittedPayload(), current)).toEqual([]);
+    });
+
+    test('should detect deposit amount and date changes', () => {
+      const current = submittedPayload();
+      current.depositAmount = 1500;
+      current.tenancyEndDate = '2027-04-30';
+
+      const changes = diffDepositPayloads(submittedPayload(), current);
+
+      expect(changes).toEqual([
+        { field: 'depositAmount', type: 'changed', previous: 1384.61, current: 1500 },
+        { field: 'tenancyEndDate', type: 'changed', previous: '2026-10-31', current: '2027-04-30' }
+      ]);
+    });
+
+    test('should detect added, removed and changed tenants by ID', () => {
+      const current = submittedPayload();
+      current.tenants[0].email = 'tara.new@example.com';
+      current.tenants.push({ id: 'CT_002', title: 'Mr.', firstName: 'Tom', lastName: 'Tenant' });
+
+      const changes = diffDepositPayloads(submittedPayload(), current);
+
+      expect(changes.map(c => c.field)).toEqual(['tenants[CT_001].email', 'tenants[CT_002]']);
+      expect(changes[1].type).toBe('added');
+
+      const removed = diffDepositPayloads(current, submittedPayload());
+      expect(removed.find(c => c.field === 'tenants[CT_002]').type).toBe('removed');
+    });
+
+    test('should detect landlord changes', () => {
+      const current = submittedPayload();
+      current.landlords[0].lastName = 'Owner';
+
+      expect(diffDepositPayloads(submittedPayload(), current)).toEqual([
+        { field: 'landlords[LL_001].lastName', type: 'changed', previous: 'Landlord', current: 'Owner' }
+      ]);
+    });
+  });
+
+  describe('getProviderDans', () => {
+    test('should key a single mode DAN by provider', () => {
+      expect(getProviderDans({ success: true, dan: 'EWC00012345', provider: 'salesforce' }))
+        .toEqual({ salesforce: 'EWC00012345' });
+    });
+
+    test('should collect DANs from both providers in dual mode', () => {
+      expect(getProviderDans({
+        success: true,
+        mode: 'dual',
+        legacy: { success: true, dan: 'EWC00011111' },
+        salesforce: { success: false, error: 'timeout' }
+      })).toEqual({ current: 'EWC00011111' });
+    });
+  });
+
+  describe('deposit history', () => {
+    test('should classify deposit increases as top-ups and decreases as reductions', () => {
+      const current = submittedPayload();
+      current.depositAmount = 1500;
+
+      expect(getDepositAmountChange(diffDepositPayloads(submittedPayload(), current))).toEqual({
+        type: 'top-up',
+        previous: 1384.61,
+        current: 1500,
+        difference: 115.39
+      });
+
+      current.depositAmount = 1000;
+      expect(getDepositAmountChange(diffDepositPayloads(submittedPayload(), current)).type).toBe('reduction');
+    });
+
+    test('should ignore amendments that do not change the deposit amount', () => {
+      const current = submittedPayload();
+      current.tenancyEndDate = '2027-04-30';
+
+      expect(getDepositAmountChange(diffDepositPayloads(submittedPayload(), current))).toBeNull();
+    });
+
+    test('should record amounts and deposit lines without PII', () => {
+      const payload = {
+        ...submittedPayload(),
+        depositAmount: 1500,
+        depositLines: [{ amount: 1384.61, description: 'Security deposit' }, { amount: 115.39, description: 'Pet deposit' }]
+      };
+
+      const entry = buildDepositHistoryEntry(payload, {
+        type: 'top-up',
+        previousAmount: 1384.61,
+        dan: 'DAN123',
+        workflowId: 'wf_1',
+        recordedAt: '2026-01-01T00:00:00.000Z'
+      });
+
+      expect(entry).toEqual({
+        type: 'top-up',
+        amount: 1500,
+        previousAmount: 1384.61,
+        difference: 115.39,
+        lines: payload.depositLines,
+        dan: 'DAN123',
+        workflowId: 'wf_1',
+        recordedAt: '2026-01-01T00:00:00.000Z'
+      });
+    });
+  });
+
+  describe('isRenewalOf', () => {
+    const previous = {
+      tenancyId: 'TEN_001',
+      propertyId: 'INV_001',
+      tenantIds: '["CT_001","CT_002"]',
+      tenancyEndDate: '2026-10-31'
+    };
+
+    const renewal = () => ({
+      ...submittedPayload(),
+      tenancyId: 'TEN_002',
+      tenancyStartDate: '2026-11-01',
+      tenancyEndDate: '2027-10-31',
+      property: { id: 'INV_001' }
+    });
+
+    test('should detect a renewal of the same property and tenants starting after the previous end', () => {
+      expect(isRenewalOf(previous, renewal(), 7)).toEqual({ isRenewal: true, gapDays: 1, sharedTenantIds: ['CT_001'] });
+    });
+
+    test('should not treat a different property or a new set of tenants as a renewal', () => {
+      const otherProperty = renewal();
+      otherProperty.property.id = 'INV_999';
+      expect(isRenewalOf(previous, otherProperty, 7)).toMatchObject({ isRenewal: false, reason: 'Different property' });
+
+      const newTenants = renewal();
+      newTenants.tenants = [{ id: 'CT_009' }];
+      expect(isRenewalOf(previous, newTenants, 7)).toMatchObject({ isRenewal: false, reason: 'No tenants in common' });
+    });
+
+    test('should require the start date to be adjacent to the previous end date', () => {
+      const later = renewal();
+      later.tenancyStartDate = '2027-02-01';
+
+      expect(isRenewalOf(previous, later, 7)).toMatchObject({ isRenewal: false, gapDays: 93 });
+      expect(isRenewalOf({ ...previous, tenancyEndDate: '' }, renewal(), 7)).toMatchObject({ isRenewal: false });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for Deposit Repayments
+ *
+ * Tests:
+ * - Repayment event types
+ * - Protected amount from the deposit registration
+ * - Tenant/landlord split and totals validation
+ * - RaiseRepaymentRequest payload
+ * - Alto deposit release mapping
+ */
+
+const {
+  isRepaymentEvent,
+  normalizeDeductionCategory,
+  getProtectedAmount,
+  buildRepaymentSplit,
+  buildRepaymentRequest
+} = require('../deposit-repayment');
+const { AltoSourceAdapter } = require('../source-adapters');
+
+describe('Deposit Repayment', () => {
+  const release = (fields = {}) => ({
+    agreed: true,
+    status: 'Agreed',
+    tenancyEndDate: '2026-10-31',
+    tenantAmount: 1100,
+    deductions: [
+      { category: 'Cleaning', amount: 150, description: 'End of tenancy clean' },
+      { category: 'Rent Arrears', amount: '100.00', description: 'October rent' },
+      { category: 'Key replacement', amount: 34.61, description: 'Lost keys' }
+    ],
+    ...fields
+  });
+
+  describe('isRepaymentEvent', () => {
+    test('should recognise tenancy ended and deposit released events only', () => {
+      expect(isRepaymentEvent('Tenancy.Ended')).toBe(true);
+      expect(isRepaymentEvent('Deposit.Released')).toBe(true);
+      expect(isRepaymentEvent('Tenancy.Updated')).toBe(false);
+    });
+  });
+
+  describe('normalizeDeductionCategory', () => {
+    test('should map source deduction types to TDS categories', () => {
+      expect(normalizeDeductionCategory('Rent Arrears')).toBe('rent_arrears');
+      expect(normalizeDeductionCategory('rent_arrears')).toBe('rent_arrears');
+      expect(normalizeDeductionCategory('Garden')).toBe('gardening');
+      expect(normalizeDeductionCategory('Key replacement')).toBe('other');
+    });
+  });
+
+  describe('getProtectedAmount', () => {
+    test('should use the latest deposit history entry', () => {
+      expect(getProtectedAmount({
+        payload: { depositAmount: 1200 },
+        depositHistory: [{ type: 'initial', amount: 1200 }, { type: 'top-up', amount: 1384.61 }]
+      })).toBe(1384.61);
+    });
+
+    test('should fall back to the last submitted payload', () => {
+      expect(getProtectedAmount({ payload: { depositAmount: '1200' }, depositHistory: [] })).toBe(1200);
+      expect(getProtectedAmount({ payload: {} })).toBeNull();
+    });
+  });
+
+  describe('buildRepaymentSplit', () => {
+    test('should split the protected amount between tenant and landlord', () => {
+      const result = buildRepaymentSplit(release(), 1384.61);
+
+      expect(result.isValid).toBe(true);
+      expect(result.split).toEqual({
+        protectedAmount: 1384.61,
+        tenantAmount: 1100,
+        landlordAmount: 284.61,
+        deductions: { cleaning: 150, rent_arrears: 100, damage: 0, redecoration: 0, gardening: 0, other: 34.61 },
+        otherText: 'Lost keys',
+        tenancyEndDate: '2026-10-31'
+      });
+    });
+
+    test('should repay the tenant whatever is not deducted when no tenant amount is given', () => {
+      const result = buildRepaymentSplit(release({ tenantAmount: null }), 1384.61);
+
+      expect(result.isValid).toBe(true);
+      expect(result.split.tenantAmount).toBe(1100);
+    });
+
+    test('should reject a split that does not add up to the protected amount', () => {
+      const result = buildRepaymentSplit(release({ tenantAmount: 1200 }), 1384.61);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Repayment total of £1484.61 (tenant £1200.00, landlord £284.61) does not match the protected amount of £1384.61'
+      ]);
+    });
+
+    test('should reject deductions above the protected amount and invalid amounts', () => {
+      expect(buildRepaymentSplit(release({ tenantAmount: undefined }), 200).errors)
+        .toEqual(['Deductions of £284.61 exceed the protected amount of £200.00']);
+
+      const invalid = buildRepaymentSplit(release({ deductions: [{ category: 'Damage', amount: -50 }] }), 1384.61);
+      expect(invalid.errors[0]).toBe('Deduction 1 has an invalid amount: -50');
+    });
+
+    test('should require a protected amount and an end date', () => {
+      const result = buildRepaymentSplit(release({ tenancyEndDate: null }), null);
+
+      expect(result.errors).toEqual([
+        'No protected amount is recorded for this deposit',
+        'Tenancy end date is missing'
+      ]);
+    });
+  });
+
+  describe('buildRepaymentRequest', () => {
+    test('should build the Legacy API RaiseRepaymentRequest payload', () => {
+      const { split } = buildRepaymentSplit(release(), 1384.61);
+
+      expect(buildRepaymentRequest('EW12345678', split)).toEqual({
+        dan: 'EW12345678',
+        tenancy_end_date: '31/10/2026',
+        tenant_repayment: 1100,
+        agent_repayment: {
+          total: 284.61,
+          cleaning: 150,
+          rent_arrears: 100,
+          damage: 0,
+          redecoration: 0,
+          gardening: 0,
+          other: 34.61,
+          other_text: 'Lost keys'
+        }
+      });
+    });
+  });
+
+  describe('AltoSourceAdapter.getDepositRelease', () => {
+    const adapter = new AltoSourceAdapter({ context: { log: jest.fn(), warn: jest.fn() } });
+
+    test('should map the Alto deposit release and treat it as agreed once Agreed', () => {
+      expect(adapter.getDepositRelease({
+        tenancy: {
+          endDate: '2026-10-31',
+          depositRelease: {
+            status: 'Agreed',
+            tenantAmount: 1100,
+            deductions: [{ type: 'Cleaning', amount: 150, description: 'End of tenancy clean' }]
+          }
+        }
+      })).toEqual({
+        agreed: true,
+        status: 'Agreed',
+        tenancyEndDate: '2026-10-31',
+        tenantAmount: 1100,
+        deductions: [{ category: 'Cleaning', amount: 150, description: 'End of tenancy clean' }]
+      });
+    });
+
+    test('should report releases still in negotiation as not agreed', () => {
+      expect(adapter.getDepositRelease({ tenancy: { depositRelease: { status: 'Proposed' } } }).agreed).toBe(false);
+      expect(adapter.getDepositRelease({ tenancy: {} })).toBeNull();
+    });
+  });
+});
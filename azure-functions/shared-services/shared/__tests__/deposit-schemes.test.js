@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Deposit Schemes
+ *
+ * Tests:
+ * - Enabled scheme parsing (stored comma lists, defaults)
+ * - Scheme gate per organisation
+ * - Insured deposit model rules
+ * - Scheme region routing by property country
+ * - Regional scheme credentials encrypted at rest
+ */
+
+process.env.PII_ENCRYPTION_KEY_LOCAL = require('crypto').randomBytes(32).toString('base64');
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  parseEnabledSchemes,
+  checkDepositScheme,
+  applySchemeRules,
+  resolveSchemeRegion
+} = require('../deposit-schemes');
+const { OrganizationMappingService } = require('../../../src/functions/OrganizationMapping');
+
+describe('Deposit Schemes', () => {
+  describe('parseEnabledSchemes', () => {
+    test('should parse stored comma lists and drop unknown schemes', () => {
+      expect(parseEnabledSchemes('Custodial, Insured,Other')).toEqual(['Custodial', 'Insured']);
+    });
+
+    test('should default to Custodial only', () => {
+      expect(parseEnabledSchemes(undefined)).toEqual(['Custodial']);
+      expect(parseEnabledSchemes([])).toEqual(['Custodial']);
+    });
+  });
+
+  describe('checkDepositScheme', () => {
+    test('should reject Insured tenancies unless the organisation enables Insured', () => {
+      expect(checkDepositScheme('DisputeServiceInsured')).toMatchObject({ status: 'rejected', scheme: 'Insured' });
+      expect(checkDepositScheme('DisputeServiceInsured', ['Custodial', 'Insured'])).toEqual({ status: 'accepted', scheme: 'Insured' });
+    });
+
+    test('should treat unspecified schemes as missing data and other schemes as rejected', () => {
+      expect(checkDepositScheme('Unspecified').status).toBe('unspecified');
+      expect(checkDepositScheme('')).toMatchObject({ status: 'unspecified' });
+      expect(checkDepositScheme('MyDepositsInsured', ['Custodial', 'Insured']).rejectionReason)
+        .toBe('Tenancy is not for a TDS scheme (scheme type: MyDepositsInsured)');
+    });
+  });
+
+  describe('applySchemeRules', () => {
+    test('should leave Custodial deposits without Insured fields', () => {
+      expect(applySchemeRules({ depositAmount: 1000 }, 'DisputeServiceCustodial')).toEqual({ depositAmount: 1000, schemeType: 'Custodial' });
+    });
+
+    test('should hold Insured deposits with the agent and default the fee payer', () => {
+      expect(applySchemeRules({ depositAmount: 1000 }, 'DisputeServiceInsured', { protectionFeePaidBy: 'Tenant' })).toEqual({
+        depositAmount: 1000,
+        schemeType: 'Insured',
+        depositHeldBy: 'Agent',
+        protectionFeePaidBy: 'Agent'
+      });
+    });
+  });
+
+  describe('resolveSchemeRegion', () => {
+    const mapping = {
+      salesforce: { memberId: 'SF001', branchId: 'SFBR001', region: 'EW' },
+      salesforceRegions: { S: { memberId: 'SDS001', branchId: 'SDSBR001', authMethod: 'oauth2' } }
+    };
+
+    test('should use the main credentials for the organisation\'s own region', () => {
+      expect(resolveSchemeRegion({ country: 'Wales' }, mapping)).toEqual({
+        status: 'accepted',
+        region: 'EW',
+        credentials: { memberId: 'SF001', branchId: 'SFBR001', region: 'EW' }
+      });
+    });
+
+    test('should use regional credentials for properties in Scotland', () => {
+      expect(resolveSchemeRegion({ country: 'Scotland' }, mapping)).toMatchObject({
+        status: 'accepted',
+        region: 'S',
+        credentials: { memberId: 'SDS001', branchId: 'SDSBR001', region: 'S' }
+      });
+    });
+
+    test('should reject regions the organisation has no credentials for', () => {
+      expect(resolveSchemeRegion({ country: 'Northern Ireland' }, mapping)).toEqual({
+        status: 'rejected',
+        region: 'NI',
+        rejectionReason: 'Property is in Northern Ireland but the organisation has no Northern Ireland scheme credentials'
+      });
+      expect(resolveSchemeRegion({ country: 'Isle of Man' }, mapping).status).toBe('rejected');
+    });
+
+    test('should keep the organisation\'s region when the postcode lookup has no country', () => {
+      expect(resolveSchemeRegion({ success: false }, { salesforce: { memberId: 'SDS001', region: 'Scotland' } }))
+        .toMatchObject({ status: 'accepted', region: 'S' });
+    });
+  });
+
+  describe('regional credentials storage', () => {
+    const mockContext = { log: Object.assign(jest.fn(), { error: jest.fn() }), warn: jest.fn(), error: jest.fn() };
+    const regions = { S: { memberId: 'SDS001', branchId: 'SDSBR001', authMethod: 'oauth2', clientSecret: 'sds-secret' } };
+
+    test('should store regional credentials encrypted and return them decrypted', async () => {
+      const service = new OrganizationMappingService(mockContext);
+
+      const result = await service.addMapping({
+        organizationName: 'Highland Lettings',
+        integrationType: 'alto',
+        integrationCredentials: { alto: { agencyRef: 'AGENCY_S', branchId: 'BR1' } },
+        tdsLegacyConfig: { memberId: 'M1', branchId: 'B1', apiKey: 'legacy-key' },
+        tdsSalesforceConfig: { memberId: 'SF001', branchId: 'SFBR001', region: 'EW' },
+        tdsSalesforceRegions: regions
+      });
+
+      const stored = await TableClient.fromConnectionString('', 'OrganizationMappings').getEntity('OrgMapping_development', 'AGENCY_S:BR1');
+      expect(result.success).toBe(true);
+      expect(stored.sfRegions).toMatch(/^ENC_AES256_/);
+      expect((await service.getMapping('AGENCY_S', 'BR1')).mapping.salesforceRegions).toEqual(regions);
+    });
+
+    test('should still read regional credentials stored before encryption', async () => {
+      TableClient.seed('OrganizationMappings', {
+        partitionKey: 'OrgMapping_development',
+        rowKey: 'AGENCY_P:DEFAULT',
+        isActive: true,
+        sfRegions: JSON.stringify(regions)
+      });
+
+      const result = await new OrganizationMappingService(mockContext).getMapping('AGENCY_P');
+
+      expect(result.mapping.salesforceRegions).toEqual(regions);
+    });
+  });
+});
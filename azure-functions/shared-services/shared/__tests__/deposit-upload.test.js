@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for Deposit Upload
+ *
+ * Tests:
+ * - CSV template round trip
+ * - Header matching and value normalization (UK dates, amounts, postcodes)
+ * - XLSX reading (shared strings, inline strings, sparse cells, date serials)
+ * - Per-row validation against deposit-schema.json and tdsDepositCreate
+ * - TDS payload mapping
+ * - Deposit scheme checks and Insured scheme rules
+ */
+
+process.env.PII_ENCRYPTION_KEY_LOCAL = require('crypto').randomBytes(32).toString('base64');
+
+const zlib = require('zlib');
+const {
+  getUploadTemplateCsv,
+  parseDepositUpload,
+  normalizeUploadRecord,
+  validateUploadRecord,
+  buildTdsDepositPayload
+} = require('../deposit-upload');
+const { parseCsv } = require('../csv-parser');
+const { SourceAdapterFactory } = require('../source-adapters');
+
+/**
+ * Build a minimal .xlsx workbook (zip of XML parts) for the reader tests
+ */
+function buildXlsx(parts) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, xml] of Object.entries(parts)) {
+    const nameBuffer = Buffer.from(name);
+    const content = Buffer.from(xml);
+    const data = zlib.deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+describe('Deposit Upload', () => {
+  const agencyRef = '1af89d60-662c-475b-bcc8-9bcbf04b6322';
+  const options = {
+    uploadId: 'upload_1700000000000_abc12345',
+    agencyRef,
+    branchId: 'MAIN',
+    memberNumber: 'TDS_98765',
+    propertyCounty: 'Buckinghamshire',
+    landlordCounty: 'London'
+  };
+
+  const parseTemplateRow = () => {
+    const { records } = parseDepositUpload(Buffer.from(getUploadTemplateCsv()));
+    return normalizeUploadRecord(records[0].record);
+  };
+
+  describe('parseCsv', () => {
+    test('should handle quoted commas, escaped quotes and line breaks', () => {
+      const rows = parseCsv('a,b\r\n"1, High St","He said ""hi""\nthere"\n\nlast,row');
+
+      expect(rows).toEqual([
+        { line: 1, values: ['a', 'b'] },
+        { line: 2, values: ['1, High St', 'He said "hi"\nthere'] },
+        { line: 5, values: ['last', 'row'] }
+      ]);
+    });
+  });
+
+  describe('template', () => {
+    test('should produce an example row that passes validation', () => {
+      const record = parseTemplateRow();
+
+      expect(record).toMatchObject({
+        tenancyRef: 'TEN-1001',
+        depositAmount: 1500,
+        tenancyStartDate: '2025-02-01',
+        propertyPostcode: 'MK18 7ET',
+        tenant1FirstName: 'Sarah'
+      });
+      expect(validateUploadRecord(record, options)).toEqual([]);
+    });
+  });
+
+  describe('parseDepositUpload', () => {
+    test('should match headers regardless of case, spaces and punctuation', () => {
+      const csv = 'Tenancy Ref,DEPOSIT_AMOUNT,Tenancy Start Date,Notes\nTEN-9,"£1,250.50",5/3/2025,ignored\n';
+      const { fileType, records, unknownColumns } = parseDepositUpload(Buffer.from(csv));
+      const record = normalizeUploadRecord(records[0].record);
+
+      expect(fileType).toBe('csv');
+      expect(unknownColumns).toEqual(['Notes']);
+      expect(records[0].rowNumber).toBe(2);
+      expect(record).toEqual({ tenancyRef: 'TEN-9', depositAmount: 1250.5, tenancyStartDate: '2025-03-05' });
+    });
+
+    test('should read the first worksheet of an XLSX workbook', () => {
+      const workbook = buildXlsx({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Deposits" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<sst><si><t>tenancyRef</t></si><si><t>depositAmount</t></si><si><t>tenancyStartDate</t></si><si><r><t>TEN-</t></r><r><t>42</t></r></si></sst>',
+        'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+          '<row r="3"><c r="A3" t="s"><v>3</v></c><c r="C3"><v>45689</v></c></row>' +
+          '<row r="4"><c r="A4" t="inlineStr"><is><t>TEN-&amp;43</t></is></c><c r="B4"><v>900</v></c></row>' +
+          '</sheetData></worksheet>'
+      });
+
+      const { fileType, records } = parseDepositUpload(workbook);
+
+      expect(fileType).toBe('xlsx');
+      expect(records.map(({ rowNumber, record }) => ({ rowNumber, record: normalizeUploadRecord(record) }))).toEqual([
+        { rowNumber: 3, record: { tenancyRef: 'TEN-42', tenancyStartDate: '2025-02-01' } },
+        { rowNumber: 4, record: { tenancyRef: 'TEN-&43', depositAmount: 900 } }
+      ]);
+    });
+  });
+
+  describe('validateUploadRecord', () => {
+    test('should report missing required fields by column', () => {
+      const record = parseTemplateRow();
+      delete record.depositAmount;
+      delete record.tenant1LastName;
+
+      const fields = validateUploadRecord(record, options).map(error => error.field);
+
+      expect(fields).toEqual(expect.arrayContaining(['deposit.amount', 'tenants[0].lastName', 'depositAmount']));
+    });
+
+    test('should report values rejected by the standard deposit model', () => {
+      const record = normalizeUploadRecord({
+        ...parseTemplateRow(),
+        landlordEmail: 'not-an-email',
+        propertyPostcode: 'NOT A POSTCODE',
+        tenancyStartDate: 'next week'
+      });
+
+      const fields = validateUploadRecord(record, options).map(error => error.field);
+
+      expect(fields).toEqual(expect.arrayContaining(['landlord.email', 'property.address.postcode', 'deposit.tenancyStartDate']));
+    });
+
+    test('should require a county when the postcode lookup found none', () => {
+      const errors = validateUploadRecord(parseTemplateRow(), { ...options, propertyCounty: undefined });
+
+      expect(errors.map(error => error.field)).toContain('property.county');
+    });
+
+    test('should reject rows for schemes the organisation has not enabled', () => {
+      const record = normalizeUploadRecord({ ...parseTemplateRow(), depositScheme: 'insured' });
+
+      expect(record.depositScheme).toBe('Insured');
+      expect(validateUploadRecord(record, options).map(error => error.field)).toEqual(['depositScheme']);
+      expect(validateUploadRecord(record, { ...options, enabledSchemes: ['Custodial', 'Insured'] })).toEqual([]);
+      expect(validateUploadRecord({ ...record, depositScheme: 'MyDeposits' }, options).map(error => error.field)).toEqual(['depositScheme']);
+    });
+  });
+
+  describe('buildTdsDepositPayload', () => {
+    test('should map a row to the TDS deposit model', () => {
+      const payload = buildTdsDepositPayload(parseTemplateRow(), options);
+
+      expect(payload).toMatchObject({
+        tenancyId: 'TEN-1001',
+        agencyRef,
+        branchId: 'MAIN',
+        depositAmount: 1500,
+        rentAmount: 1200,
+        tenancyEndDate: '2026-01-31',
+        property: {
+          id: 'TEN-1001',
+          address: { nameNo: '123', subDwelling: 'Flat 2', street: 'High Street', town: 'Milton Keynes', postcode: 'MK18 7ET' },
+          county: 'Buckinghamshire',
+          bedrooms: 2
+        },
+        landlords: [{ firstName: 'John', lastName: 'Smith', county: 'London', address: { postcode: 'SW1A 1AA' } }],
+        tenants: [{ title: 'Ms', firstName: 'Sarah', lastName: 'Johnson', email: 'sarah.johnson@example.com' }]
+      });
+      expect(payload.tenants).toHaveLength(1);
+    });
+  });
+
+  describe('UploadSourceAdapter', () => {
+    const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const mapOptions = {
+      propertyPostcodeResult: { county: 'Buckinghamshire' },
+      landlordPostcodeResult: { county: 'London' },
+      agencyRef,
+      branchId: 'MAIN',
+      protectionFeePaidBy: 'Landlord'
+    };
+
+    test('should submit Insured rows with the Insured scheme rules', () => {
+      const adapter = SourceAdapterFactory.getAdapter('upload', { context: mockContext });
+      const uploadData = { record: { ...parseTemplateRow(), depositScheme: 'Insured' } };
+
+      expect(adapter.mapToDepositModel(uploadData, mapOptions)).toMatchObject({
+        schemeType: 'Insured',
+        depositHeldBy: 'Agent',
+        protectionFeePaidBy: 'Landlord'
+      });
+      expect(adapter.validateCompleteness(uploadData, { enabledSchemes: ['Custodial', 'Insured'] }).isComplete).toBe(true);
+      expect(adapter.validateCompleteness(uploadData, { enabledSchemes: ['Custodial'] }).isPermanentRejection).toBe(true);
+    });
+
+    test('should submit rows without a scheme as Custodial', () => {
+      const adapter = SourceAdapterFactory.getAdapter('upload', { context: mockContext });
+      const record = parseTemplateRow();
+      delete record.depositScheme;
+
+      const model = adapter.mapToDepositModel({ record }, mapOptions);
+
+      expect(model.schemeType).toBe('Custodial');
+      expect(model.protectionFeePaidBy).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for Field Mapping Rules
+ *
+ * Tests:
+ * - JSONPath-style path selection
+ * - Date and number transforms
+ * - Field overrides, defaults and landlord/tenant collections
+ * - Lead tenant ordering
+ */
+
+const { selectPath, parseDate, applyFieldMappingRules } = require('../field-mapping');
+const { AltoSourceAdapter } = require('../source-adapters');
+
+describe('Field Mapping', () => {
+  const adapter = new AltoSourceAdapter({ context: { log: jest.fn(), warn: jest.fn() } });
+
+  const altoData = () => ({
+    tenancy: { id: 'TEN_001', rent: '£1,250.00', customFields: { start: '01/11/2025' } },
+    property: {
+      id: 'INV_001',
+      owners: [
+        { ownerId: 'OWN_001', name: { title: 'mrs', forename: 'Olive', surname: 'Owner' }, emailAddresses: [{ address: 'olive@example.com' }] }
+      ]
+    },
+    tenants: [{
+      items: [{
+        id: 'CT_001',
+        people: [
+          { forename: 'Tom', surname: 'First', emailAddresses: [{ address: 'tom@example.com' }], customFields: { leadTenant: 'No' } },
+          { forename: 'Lucy', surname: 'Lead', emailAddresses: [{ address: 'lucy@example.com' }], customFields: { leadTenant: 'Yes' } }
+        ]
+      }]
+    }]
+  });
+
+  const depositModel = () => ({
+    tenancyId: 'TEN_001',
+    rentAmount: 1200,
+    property: { id: 'INV_001', county: 'Buckinghamshire' },
+    landlords: [{ id: 'LL_OLD', firstName: 'Old' }],
+    landlord: { id: 'LL_OLD', firstName: 'Old' },
+    tenants: [
+      { id: 'CT_001', firstName: 'Tom', email: 'tom@example.com' },
+      { id: 'CT_001', firstName: 'Lucy', email: 'lucy@example.com' }
+    ]
+  });
+
+  const helpers = data => ({
+    normalizeTitle: title => adapter.normalizeTitle(title),
+    people: adapter.getPeople(data)
+  });
+
+  describe('selectPath', () => {
+    test('should select nested values, indexes and wildcards', () => {
+      const data = altoData();
+
+      expect(selectPath(data, '$.property.owners[0].name.forename')).toEqual(['Olive']);
+      expect(selectPath(data, '$.tenants[*].items[0].people[*].forename')).toEqual(['Tom', 'Lucy']);
+      expect(selectPath(data, '@.name.surname', data.property.owners[0])).toEqual(['Owner']);
+      expect(selectPath(data, '$.property.missing.value')).toEqual([]);
+    });
+
+    test('should reject malformed paths', () => {
+      expect(() => selectPath({}, 'property.owners')).toThrow('Invalid field mapping path');
+      expect(() => selectPath({}, '$.property..owners')).toThrow('Invalid field mapping path');
+    });
+  });
+
+  describe('parseDate', () => {
+    test('should parse dates in the configured format', () => {
+      expect(parseDate('01/11/2025', 'DD/MM/YYYY')).toBe('2025-11-01');
+      expect(parseDate('11-01-2025', 'MM-DD-YYYY')).toBe('2025-11-01');
+      expect(parseDate('2025-11-01')).toBe('2025-11-01');
+    });
+
+    test('should reject dates that do not match or do not exist', () => {
+      expect(parseDate('2025-11-01', 'DD/MM/YYYY')).toBeNull();
+      expect(parseDate('31/02/2026', 'DD/MM/YYYY')).toBeNull();
+    });
+  });
+
+  describe('applyFieldMappingRules', () => {
+    test('should override fields with transforms and defaults', () => {
+      const data = altoData();
+      const result = applyFieldMappingRules(depositModel(), data, {
+        fields: {
+          rentAmount: { path: '$.tenancy.rent', transform: 'number' },
+          tenancyStartDate: { path: '$.tenancy.customFields.start', transform: 'date', format: 'DD/MM/YYYY' },
+          'property.propertyType': { path: '$.property.type', default: 'House' }
+        }
+      }, helpers(data));
+
+      expect(result.depositModel).toMatchObject({
+        rentAmount: 1250,
+        tenancyStartDate: '2025-11-01',
+        property: { id: 'INV_001', county: 'Buckinghamshire', propertyType: 'House' }
+      });
+      expect(result.applied).toEqual(['rentAmount', 'tenancyStartDate', 'property.propertyType']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should report values a transform cannot convert', () => {
+      const data = altoData();
+      data.tenancy.customFields.start = 'next week';
+
+      const result = applyFieldMappingRules(depositModel(), data, {
+        fields: { tenancyStartDate: { path: '$.tenancy.customFields.start', transform: 'date', format: 'DD/MM/YYYY' } }
+      }, helpers(data));
+
+      expect(result.depositModel.tenancyStartDate).toBeUndefined();
+      expect(result.warnings[0]).toContain('tenancyStartDate');
+    });
+
+    test('should take landlords from property.owners with the standard person fields', () => {
+      const data = altoData();
+      const result = applyFieldMappingRules(depositModel(), data, {
+        landlords: { path: '$.property.owners[*]' }
+      }, helpers(data));
+
+      expect(result.depositModel.landlords).toEqual([
+        { id: 'OWN_001', title: 'Mrs.', firstName: 'Olive', lastName: 'Owner', email: 'olive@example.com' }
+      ]);
+      expect(result.depositModel.landlord).toEqual(result.depositModel.landlords[0]);
+    });
+
+    test('should put the lead tenant first using a custom field flag', () => {
+      const data = altoData();
+      const result = applyFieldMappingRules(depositModel(), data, {
+        tenants: { lead: { path: '@.customFields.leadTenant', equals: 'yes' } }
+      }, helpers(data));
+
+      expect(result.depositModel.tenants.map(tenant => tenant.firstName)).toEqual(['Lucy', 'Tom']);
+    });
+
+    test('should leave the model unchanged without rules', () => {
+      const model = depositModel();
+      expect(applyFieldMappingRules(model, altoData(), null).depositModel).toEqual(model);
+    });
+  });
+});
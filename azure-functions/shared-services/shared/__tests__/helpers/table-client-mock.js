@@ -0,0 +1,111 @@
+/**
+ * In-memory @azure/data-tables TableClient for unit tests
+ *
+ * Usage:
+ *   jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+ *   const { TableClient } = require('@azure/data-tables');
+ *
+ * Behaves like Table Storage where the stores rely on it:
+ * - createEntity fails with 409 when the row exists
+ * - getEntity, updateEntity and deleteEntity fail with 404 for a missing row
+ * - updateEntity and deleteEntity fail with 412 when the etag no longer matches
+ * - every write issues a new etag
+ *
+ * listEntities only applies the PartitionKey clause of the filter and lists rows
+ * newest first, so callers that need an order must sort.
+ *
+ * Test hooks: TableClient.seed(tableName, entity), TableClient.reset() and
+ * TableClient.updates (every updateEntity call, whether or not it succeeded).
+ */
+
+const tables = new Map();
+const updates = [];
+let etagCounter = 0;
+
+const rowKeyOf = (partitionKey, rowKey) => `${partitionKey}|${rowKey}`;
+const nextEtag = () => `e${++etagCounter}`;
+const tableError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+class TableClient {
+  constructor(tableName) {
+    this.tableName = tableName;
+    if (!tables.has(tableName)) tables.set(tableName, new Map());
+    this.rows = tables.get(tableName);
+  }
+
+  static fromConnectionString(connectionString, tableName) {
+    return new TableClient(tableName);
+  }
+
+  /**
+   * Store a row as-is (an etag given on the entity is kept)
+   */
+  static seed(tableName, entity) {
+    new TableClient(tableName).rows.set(rowKeyOf(entity.partitionKey, entity.rowKey), { etag: nextEtag(), ...entity });
+  }
+
+  static reset() {
+    tables.forEach(rows => rows.clear());
+    updates.length = 0;
+  }
+
+  static get updates() {
+    return updates;
+  }
+
+  async createTable() {}
+
+  async createEntity(entity) {
+    const key = rowKeyOf(entity.partitionKey, entity.rowKey);
+    if (this.rows.has(key)) throw tableError(409, 'Conflict');
+    this.rows.set(key, { ...entity, etag: nextEtag() });
+  }
+
+  async getEntity(partitionKey, rowKey) {
+    const row = this.rows.get(rowKeyOf(partitionKey, rowKey));
+    if (!row) throw tableError(404, 'Not found');
+    return { ...row };
+  }
+
+  async updateEntity(entity, mode = 'Merge', options = {}) {
+    updates.push({ tableName: this.tableName, entity, mode, options });
+
+    const key = rowKeyOf(entity.partitionKey, entity.rowKey);
+    const row = this.rows.get(key);
+    if (!row) throw tableError(404, 'Not found');
+    if (options.etag && options.etag !== '*' && row.etag !== options.etag) throw tableError(412, 'Precondition failed');
+
+    const etag = nextEtag();
+    this.rows.set(key, { ...(mode === 'Merge' ? row : {}), ...entity, etag });
+    return { etag };
+  }
+
+  async upsertEntity(entity, mode = 'Merge') {
+    const key = rowKeyOf(entity.partitionKey, entity.rowKey);
+    const existing = mode === 'Merge' ? this.rows.get(key) || {} : {};
+
+    const etag = nextEtag();
+    this.rows.set(key, { ...existing, ...entity, etag });
+    return { etag };
+  }
+
+  async deleteEntity(partitionKey, rowKey, options = {}) {
+    const key = rowKeyOf(partitionKey, rowKey);
+    const row = this.rows.get(key);
+    if (!row) throw tableError(404, 'Not found');
+    if (options.etag && options.etag !== '*' && row.etag !== options.etag) throw tableError(412, 'Precondition failed');
+
+    this.rows.delete(key);
+  }
+
+  async *listEntities({ queryOptions } = {}) {
+    const match = queryOptions?.filter?.match(/PartitionKey eq '((?:[^']|'')*)'/);
+    const partitionKey = match ? match[1].replace(/''/g, "'") : null;
+
+    for (const row of [...this.rows.values()].reverse()) {
+      if (partitionKey === null || row.partitionKey === partitionKey) yield { ...row };
+    }
+  }
+}
+
+module.exports = { TableClient };
@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for Jupix API Client
+ *
+ * Tests:
+ * - Normalization of Jupix responses into the Alto data structure
+ * - Deposit scheme mapping
+ * - TDS payload parity with the Alto workflow
+ */
+
+const { normalizeJupixTenancyData } = require('../jupix-api-client');
+const { TDSWorkflowOrchestrator } = require('../../../src/functions/WorkflowOrchestrator');
+
+describe('Jupix API Client', () => {
+  const jupixData = {
+    tenancy: {
+      id: 'JT-1001',
+      branchId: '12',
+      propertyId: 'JP-55',
+      startDate: '2025-11-01',
+      endDate: '2026-10-31',
+      rent: 1250,
+      depositAmount: 1442.31,
+      depositScheme: 'TDS Custodial'
+    },
+    property: {
+      id: 'JP-55',
+      address: {
+        flat: 'Flat 2',
+        houseNumber: '14',
+        street: 'High Street',
+        town: 'Aylesbury',
+        postcode: 'HP20 1AB'
+      },
+      propertyType: 'Flat',
+      bedrooms: 2,
+      receptions: 1,
+      rent: 1250
+    },
+    landlords: [{
+      id: 'JL-9',
+      title: 'Mrs',
+      forename: 'Jane',
+      surname: 'Owner',
+      email: 'jane.owner@example.com',
+      mobile: '07700900001',
+      address: {
+        houseName: 'The Grange',
+        street: 'Church Lane',
+        town: 'Tring',
+        postcode: 'HP23 5AA'
+      }
+    }],
+    tenants: [
+      { id: 'JC-1', title: 'Mr', forename: 'Tom', surname: 'Tenant', email: 'tom@example.com' },
+      { id: 'JC-2', title: 'Miss', forename: 'Amy', surname: 'Tenant', mobile: '07700900002' }
+    ]
+  };
+
+  describe('normalizeJupixTenancyData', () => {
+    test('should map tenancy fields to Alto names', () => {
+      const result = normalizeJupixTenancyData(jupixData);
+
+      expect(result.tenancy.id).toBe('JT-1001');
+      expect(result.tenancy.depositRequested).toBe(1442.31);
+      expect(result.tenancy.depositSchemeType).toBe('DisputeServiceCustodial');
+    });
+
+    test('should map property address to Alto address structure', () => {
+      const result = normalizeJupixTenancyData(jupixData);
+
+      expect(result.property.address).toEqual({
+        subDwelling: 'Flat 2',
+        nameNo: '14',
+        street: 'High Street',
+        locality: '',
+        town: 'Aylesbury',
+        county: '',
+        postcode: 'HP20 1AB'
+      });
+    });
+
+    test('should wrap landlords in items and keep first landlord for compatibility', () => {
+      const result = normalizeJupixTenancyData(jupixData);
+
+      expect(result.landlords.totalCount).toBe(1);
+      expect(result.landlords.items[0].forename).toBe('Jane');
+      expect(result.landlords.items[0].phone).toBe('07700900001');
+      expect(result.landlord).toBe(result.landlords.items[0]);
+    });
+
+    test('should convert tenants to Alto contact records with people arrays', () => {
+      const result = normalizeJupixTenancyData(jupixData);
+
+      expect(result.tenants).toHaveLength(2);
+      expect(result.tenants[0].items[0].id).toBe('JC-1');
+      expect(result.tenants[0].items[0].people[0].emailAddresses).toEqual([{ address: 'tom@example.com' }]);
+      expect(result.tenants[1].items[0].people[0].phoneNumbers).toEqual([{ number: '07700900002' }]);
+    });
+
+    test('should treat missing deposit scheme as Unspecified', () => {
+      const result = normalizeJupixTenancyData({
+        ...jupixData,
+        tenancy: { ...jupixData.tenancy, depositScheme: undefined }
+      });
+
+      expect(result.tenancy.depositSchemeType).toBe('Unspecified');
+    });
+
+    test('should map other schemes so they are rejected by the Custodial filter', () => {
+      const result = normalizeJupixTenancyData({
+        ...jupixData,
+        tenancy: { ...jupixData.tenancy, depositScheme: 'DPS' }
+      });
+
+      expect(result.tenancy.depositSchemeType).toBe('DepositProtectionService');
+    });
+  });
+
+  describe('TDS payload parity', () => {
+    const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const postcodeResult = { success: true, county: 'Buckinghamshire' };
+
+    test('should produce the same TDS payload as the equivalent Alto data', async () => {
+      const altoData = {
+        tenancy: {
+          id: 'JT-1001',
+          startDate: '2025-11-01',
+          endDate: '2026-10-31',
+          rent: 1250,
+          depositRequested: 1442.31
+        },
+        property: {
+          id: 'JP-55',
+          address: {
+            subDwelling: 'Flat 2',
+            nameNo: '14',
+            street: 'High Street',
+            locality: '',
+            town: 'Aylesbury',
+            county: '',
+            postcode: 'HP20 1AB'
+          },
+          propertyType: 'Flat',
+          bedrooms: 2,
+          receptions: 1,
+          rent: 1250
+        },
+        landlords: {
+          items: [{
+            id: 'JL-9',
+            title: 'Mrs',
+            forename: 'Jane',
+            surname: 'Owner',
+            email: 'jane.owner@example.com',
+            phone: '07700900001',
+            address: {
+              subDwelling: '',
+              nameNo: 'The Grange',
+              street: 'Church Lane',
+              locality: '',
+              town: 'Tring',
+              county: '',
+              postcode: 'HP23 5AA'
+            }
+          }]
+        },
+        tenants: [
+          { items: [{ id: 'JC-1', people: [{ title: 'Mr', forename: 'Tom', surname: 'Tenant', emailAddresses: [{ address: 'tom@example.com' }], phoneNumbers: [] }] }] },
+          { items: [{ id: 'JC-2', people: [{ title: 'Miss', forename: 'Amy', surname: 'Tenant', emailAddresses: [], phoneNumbers: [{ number: '07700900002' }] }] }] }
+        ]
+      };
+
+      const workflowData = { agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322', branchId: '12' };
+      const altoOrchestrator = new TDSWorkflowOrchestrator(mockContext, null, 'alto');
+      const jupixOrchestrator = new TDSWorkflowOrchestrator(mockContext, null, 'jupix');
+      altoOrchestrator.workflowData = workflowData;
+      jupixOrchestrator.workflowData = workflowData;
+
+      const fromAlto = await altoOrchestrator.prepareTDSPayload(altoData, postcodeResult, postcodeResult);
+      const fromJupix = await jupixOrchestrator.prepareTDSPayload(normalizeJupixTenancyData(jupixData), postcodeResult, postcodeResult);
+
+      delete fromAlto.createdAt;
+      delete fromJupix.createdAt;
+
+      expect(fromJupix).toEqual(fromAlto);
+      expect(jupixOrchestrator.validateDataCompleteness(normalizeJupixTenancyData(jupixData)).isComplete).toBe(true);
+    });
+  });
+});
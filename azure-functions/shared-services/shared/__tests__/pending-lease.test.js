@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for Pending Integration Leases
+ *
+ * Tests:
+ * - Lease acquisition guarded by ETags
+ * - Expired lease takeover
+ * - Fenced writes by the lease holder
+ * - Lease details for dashboards
+ */
+
+const {
+  getLeaseDurationMs,
+  isLeaseActive,
+  describeLease,
+  isLeaseLostError,
+  acquireLease,
+  updateLeasedEntity
+} = require('../pending-lease');
+
+/**
+ * In-memory PendingIntegrations table with ETag checks
+ */
+function createTableClient(entities = []) {
+  const rows = new Map();
+  let etagCounter = 0;
+
+  entities.forEach(entity => rows.set(entity.rowKey, { ...entity, etag: `e${++etagCounter}` }));
+
+  return {
+    rows,
+    async getEntity(partitionKey, rowKey) {
+      const row = rows.get(rowKey);
+      if (!row) throw Object.assign(new Error('Not found'), { statusCode: 404 });
+      return { ...row };
+    },
+    async updateEntity(entity, mode, options = {}) {
+      const row = rows.get(entity.rowKey);
+      if (!row) throw Object.assign(new Error('Not found'), { statusCode: 404 });
+      if (options.etag && options.etag !== '*' && row.etag !== options.etag) {
+        throw Object.assign(new Error('Precondition failed'), { statusCode: 412 });
+      }
+
+      const etag = `e${++etagCounter}`;
+      rows.set(entity.rowKey, { ...(mode === 'Merge' ? row : {}), ...entity, etag });
+      return { etag };
+    }
+  };
+}
+
+describe('Pending Integration Lease', () => {
+  const pending = { partitionKey: 'PendingIntegration', rowKey: 'pending_1', integrationStatus: 'PENDING_DATA' };
+
+  afterEach(() => {
+    delete process.env.PENDING_LEASE_MINUTES;
+  });
+
+  describe('getLeaseDurationMs', () => {
+    test('should default to 15 minutes and honour PENDING_LEASE_MINUTES', () => {
+      expect(getLeaseDurationMs()).toBe(15 * 60 * 1000);
+
+      process.env.PENDING_LEASE_MINUTES = '5';
+      expect(getLeaseDurationMs()).toBe(5 * 60 * 1000);
+    });
+  });
+
+  describe('acquireLease', () => {
+    test('should take the lease and record the status to return to', async () => {
+      const tableClient = createTableClient([pending]);
+      const entity = await tableClient.getEntity('PendingIntegration', 'pending_1');
+
+      const result = await acquireLease(tableClient, entity, 'polling:run-1', { fields: { integrationStatus: 'PROCESSING' } });
+
+      expect(result.acquired).toBe(true);
+      expect(tableClient.rows.get('pending_1')).toMatchObject({
+        integrationStatus: 'PROCESSING',
+        leaseOwner: 'polling:run-1',
+        leasedFromStatus: 'PENDING_DATA',
+        etag: result.etag
+      });
+    });
+
+    test('should let only one of two concurrent callers win', async () => {
+      const tableClient = createTableClient([pending]);
+      const entity = await tableClient.getEntity('PendingIntegration', 'pending_1');
+
+      const first = await acquireLease(tableClient, entity, 'polling:run-1');
+      const second = await acquireLease(tableClient, entity, 'retry:admin@example.com');
+
+      expect(first.acquired).toBe(true);
+      expect(second.acquired).toBe(false);
+      expect(second.lease.owner).toBe('polling:run-1');
+    });
+
+    test('should refuse an active lease and take over an expired one', async () => {
+      const expiresAt = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+      const tableClient = createTableClient([
+        { ...pending, integrationStatus: 'PROCESSING', leaseOwner: 'polling:run-1', leaseExpiresAt: expiresAt(60000), leasedFromStatus: 'PENDING_DEPOSIT' }
+      ]);
+
+      const active = await tableClient.getEntity('PendingIntegration', 'pending_1');
+      expect((await acquireLease(tableClient, active, 'polling:run-2')).acquired).toBe(false);
+
+      await tableClient.updateEntity({ ...active, leaseExpiresAt: expiresAt(-1000) }, 'Replace');
+      const expired = await tableClient.getEntity('PendingIntegration', 'pending_1');
+      const takeover = await acquireLease(tableClient, expired, 'polling:run-2');
+
+      expect(takeover.acquired).toBe(true);
+      expect(tableClient.rows.get('pending_1')).toMatchObject({ leaseOwner: 'polling:run-2', leasedFromStatus: 'PENDING_DEPOSIT' });
+    });
+  });
+
+  describe('updateLeasedEntity', () => {
+    test('should write while the lease is held, even after another writer changed the entity', async () => {
+      const tableClient = createTableClient([pending]);
+      await acquireLease(tableClient, await tableClient.getEntity('PendingIntegration', 'pending_1'), 'polling:run-1');
+
+      // e.g. a webhook nudge merging nextPollAt
+      await tableClient.updateEntity({ partitionKey: 'PendingIntegration', rowKey: 'pending_1', nextPollAt: 'now' }, 'Merge');
+
+      const etag = await updateLeasedEntity(tableClient, { ...tableClient.rows.get('pending_1'), pendingReason: 'Waiting' }, 'polling:run-1');
+
+      expect(tableClient.rows.get('pending_1')).toMatchObject({ pendingReason: 'Waiting', etag });
+    });
+
+    test('should refuse the write once the lease has been reclaimed', async () => {
+      const tableClient = createTableClient([{ ...pending, leaseOwner: 'polling:run-2' }]);
+
+      const error = await updateLeasedEntity(tableClient, { ...pending, pendingReason: 'Stale' }, 'polling:run-1').catch(e => e);
+
+      expect(isLeaseLostError(error)).toBe(true);
+      expect(error.message).toContain('now held by polling:run-2');
+      expect(tableClient.rows.get('pending_1').pendingReason).toBeUndefined();
+    });
+  });
+
+  describe('describeLease', () => {
+    test('should describe who holds the lease and whether it has expired', () => {
+      const now = Date.parse('2026-10-19T12:00:00.000Z');
+      const entity = {
+        leaseOwner: 'retry:admin@example.com',
+        leaseAcquiredAt: '2026-10-19T11:50:00.000Z',
+        leaseExpiresAt: '2026-10-19T12:05:00.000Z'
+      };
+
+      expect(describeLease(entity, now)).toEqual({
+        owner: 'retry:admin@example.com',
+        acquiredAt: '2026-10-19T11:50:00.000Z',
+        expiresAt: '2026-10-19T12:05:00.000Z',
+        expired: false
+      });
+      expect(isLeaseActive(entity, Date.parse('2026-10-19T12:06:00.000Z'))).toBe(false);
+      expect(describeLease({ leaseOwner: '' })).toBeNull();
+    });
+  });
+});
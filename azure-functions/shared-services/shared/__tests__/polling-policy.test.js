@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Polling Policies
+ *
+ * Tests:
+ * - Effective policy from organisation overrides, global settings and defaults
+ * - Quiet hours (daytime and overnight windows, timezones)
+ * - Next poll scheduling around quiet hours
+ * - Polling service deferral and scheduling per integration
+ */
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  resolvePollingPolicy,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+  scheduleNextPoll
+} = require('../polling-policy');
+const { PendingPollingServiceClass } = require('../../../src/functions/PendingPollingService');
+const { PendingIntegrationsManagerClass } = require('../../../src/functions/PendingIntegrationsManager');
+const { OrganizationMappingService } = require('../../../src/functions/OrganizationMapping');
+
+describe('Polling Policy', () => {
+  const globalSettings = { pendingPollInterval: 5, maxPollAttempts: 20, backoffMultiplier: 1.5, lastUpdated: '2026-10-01T09:00:00.000Z' };
+  const overnight = { start: '22:00', end: '06:00', timezone: 'Europe/London' };
+
+  // 23:30 in London (BST)
+  const lateEvening = Date.parse('2026-10-19T22:30:00.000Z');
+
+  describe('resolvePollingPolicy', () => {
+    test('should take organisation overrides over the global settings and say where each value came from', () => {
+      const policy = resolvePollingPolicy({
+        settings: globalSettings,
+        organizationPolicy: { maxPollAttempts: 60, quietHours: { start: '22:00', end: '06:00' } }
+      });
+
+      expect(policy).toEqual({
+        pendingPollInterval: 5,
+        maxPollAttempts: 60,
+        backoffMultiplier: 1.5,
+        quietHours: { start: '22:00', end: '06:00', timezone: 'Europe/London' },
+        sources: {
+          pendingPollInterval: 'global',
+          maxPollAttempts: 'organization',
+          backoffMultiplier: 'global',
+          quietHours: 'organization'
+        }
+      });
+    });
+
+    test('should report the defaults when no settings are stored', () => {
+      const policy = resolvePollingPolicy({ settings: { pendingPollInterval: 5, maxPollAttempts: 20, backoffMultiplier: 1.5, lastUpdated: null } });
+
+      expect(policy.sources).toEqual({
+        pendingPollInterval: 'default',
+        maxPollAttempts: 'default',
+        backoffMultiplier: 'default',
+        quietHours: 'none'
+      });
+      expect(policy.quietHours).toBeNull();
+    });
+  });
+
+  describe('quiet hours', () => {
+    test('should recognise daytime and overnight windows in the organisation timezone', () => {
+      const daytime = { start: '09:00', end: '17:00', timezone: 'UTC' };
+
+      expect(isWithinQuietHours(daytime, Date.parse('2026-10-19T12:00:00.000Z'))).toBe(true);
+      expect(isWithinQuietHours(daytime, Date.parse('2026-10-19T17:00:00.000Z'))).toBe(false);
+      expect(isWithinQuietHours(overnight, lateEvening)).toBe(true);
+      // 21:30 UTC is already 22:30 in London
+      expect(isWithinQuietHours(overnight, Date.parse('2026-10-19T21:30:00.000Z'))).toBe(true);
+      expect(isWithinQuietHours(overnight, Date.parse('2026-10-20T05:00:00.000Z'))).toBe(false);
+      expect(isWithinQuietHours(null, lateEvening)).toBe(false);
+    });
+
+    test('should return when quiet hours end', () => {
+      expect(getQuietHoursEnd(overnight, lateEvening).toISOString()).toBe('2026-10-20T05:00:00.000Z');
+      expect(getQuietHoursEnd(overnight, Date.parse('2026-10-20T12:00:00.000Z'))).toBeNull();
+    });
+  });
+
+  describe('scheduleNextPoll', () => {
+    test('should move a poll that would fall in quiet hours to their end', () => {
+      const policy = resolvePollingPolicy({ settings: globalSettings, organizationPolicy: { quietHours: overnight } });
+
+      // 20:58 London + 5 minutes is outside quiet hours
+      expect(scheduleNextPoll(1, policy, Date.parse('2026-10-19T19:58:00.000Z')).toISOString()).toBe('2026-10-19T20:03:00.000Z');
+      // 21:58 London + 5 minutes is inside them
+      expect(scheduleNextPoll(1, policy, Date.parse('2026-10-19T20:58:00.000Z')).toISOString()).toBe('2026-10-20T05:00:00.000Z');
+    });
+  });
+
+  describe('PendingPollingService', () => {
+    const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), invocationId: 'test-run' };
+    const integration = {
+      partitionKey: 'PendingIntegration',
+      rowKey: 'pending_1',
+      agencyRef: 'AGENCY_1',
+      branchId: 'BR1',
+      sourceSystem: 'alto',
+      pollCount: 0,
+      etag: 'e1'
+    };
+
+    const createService = (pollingPolicy) => {
+      const pollingService = new PendingPollingServiceClass(mockContext);
+      jest.spyOn(pollingService, 'getOrganizationMapping').mockResolvedValue({ depositSchemes: ['Custodial'], pollingPolicy });
+      jest.spyOn(pollingService, 'processPendingIntegration').mockResolvedValue({ status: 'pending' });
+      return pollingService;
+    };
+
+    beforeEach(() => {
+      TableClient.reset();
+      TableClient.seed('PollingSettings', { partitionKey: 'PollingSettings', rowKey: 'current', ...globalSettings });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should defer an integration to the end of its organisation quiet hours without polling it', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(lateEvening);
+      const pollingService = createService({ quietHours: overnight });
+
+      const result = await pollingService.processWithinRateLimit({ ...integration });
+
+      expect(result).toEqual({ status: 'deferred', reason: 'quiet_hours', until: '2026-10-20T05:00:00.000Z' });
+      expect(pollingService.processPendingIntegration).not.toHaveBeenCalled();
+      expect(TableClient.updates).toEqual([expect.objectContaining({
+        tableName: 'PendingIntegrations',
+        entity: { partitionKey: 'PendingIntegration', rowKey: 'pending_1', nextPollAt: '2026-10-20T05:00:00.000Z' },
+        mode: 'Merge',
+        options: { etag: 'e1' }
+      })]);
+    });
+
+    test('should schedule with the organisation policy and fall back to the global settings', async () => {
+      const now = Date.parse('2026-10-19T12:00:00.000Z');
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      const slowAgency = createService({ pendingPollInterval: 60, maxPollAttempts: 100 });
+      expect((await slowAgency.calculateNextPollTime(1, integration)).toISOString()).toBe('2026-10-19T13:00:00.000Z');
+      expect((await slowAgency.getPollingPolicy(integration)).maxPollAttempts).toBe(100);
+
+      const standardAgency = createService(null);
+      expect((await standardAgency.calculateNextPollTime(1, integration)).toISOString()).toBe('2026-10-19T12:05:00.000Z');
+      expect((await standardAgency.getPollingPolicy(integration)).sources.maxPollAttempts).toBe('global');
+    });
+  });
+
+  describe('PendingIntegrationsManager', () => {
+    beforeEach(() => {
+      TableClient.reset();
+      TableClient.seed('PollingSettings', { partitionKey: 'PollingSettings', rowKey: 'current', ...globalSettings });
+    });
+
+    test('should schedule a retry with the global policy when the organisation mapping cannot be loaded', async () => {
+      const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), invocationId: 'test-run' };
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T12:00:00.000Z'));
+      jest.spyOn(OrganizationMappingService.prototype, 'getMapping').mockRejectedValue(new Error('Table unavailable'));
+
+      const manager = new PendingIntegrationsManagerClass(mockContext, { email: 'admin@example.com' });
+      const nextPollAt = await manager.calculateNextPollTime(1, { agencyRef: 'AGENCY_1', branchId: 'BR1' });
+
+      expect(nextPollAt.toISOString()).toBe('2026-10-19T12:05:00.000Z');
+      expect(mockContext.warn).toHaveBeenCalledWith(expect.stringContaining('AGENCY_1:BR1'));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for the Polling Scheduler
+ *
+ * Tests:
+ * - Polling limits from the environment
+ * - Bounded concurrency
+ * - Per-agency fairness cap
+ * - Stopping at the run-time budget
+ * - Worker errors
+ */
+
+const { DEFAULT_LIMITS, getPollingLimits, runWithConcurrency } = require('../polling-scheduler');
+
+/**
+ * Worker that records how many items run at once (overall and per agency)
+ */
+function createTrackingWorker() {
+  const tracker = { active: 0, maxActive: 0, activeByAgency: {}, maxByAgency: {}, started: [] };
+
+  tracker.worker = async (item) => {
+    tracker.started.push(item.id);
+    tracker.active++;
+    tracker.activeByAgency[item.agency] = (tracker.activeByAgency[item.agency] || 0) + 1;
+    tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+    tracker.maxByAgency[item.agency] = Math.max(tracker.maxByAgency[item.agency] || 0, tracker.activeByAgency[item.agency]);
+
+    await new Promise(resolve => setTimeout(resolve, item.delay || 5));
+
+    tracker.active--;
+    tracker.activeByAgency[item.agency]--;
+    return `done-${item.id}`;
+  };
+
+  return tracker;
+}
+
+const items = (count, agency, delay) =>
+  Array.from({ length: count }, (_, index) => ({ id: `${agency}-${index}`, agency, delay }));
+
+describe('Polling Scheduler', () => {
+  afterEach(() => {
+    delete process.env.POLLING_CONCURRENCY;
+    delete process.env.POLLING_RUN_BUDGET_SECONDS;
+  });
+
+  describe('getPollingLimits', () => {
+    test('should use the defaults and honour environment overrides', () => {
+      expect(getPollingLimits()).toEqual({
+        concurrency: DEFAULT_LIMITS.concurrency,
+        agencyConcurrency: DEFAULT_LIMITS.agencyConcurrency,
+        batchSize: DEFAULT_LIMITS.batchSize,
+        runBudgetMs: DEFAULT_LIMITS.runBudgetSeconds * 1000
+      });
+
+      process.env.POLLING_CONCURRENCY = '10';
+      process.env.POLLING_RUN_BUDGET_SECONDS = 'invalid';
+      expect(getPollingLimits()).toMatchObject({ concurrency: 10, runBudgetMs: 240000 });
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    test('should process every item without exceeding the concurrency limit', async () => {
+      const tracker = createTrackingWorker();
+
+      const { results, notStarted } = await runWithConcurrency(
+        [...items(4, 'A'), ...items(4, 'B'), ...items(4, 'C')],
+        tracker.worker,
+        { concurrency: 3, keyOf: item => item.agency }
+      );
+
+      expect(results).toHaveLength(12);
+      expect(results.every(result => result.value === `done-${result.item.id}`)).toBe(true);
+      expect(notStarted).toEqual([]);
+      expect(tracker.maxActive).toBe(3);
+    });
+
+    test('should cap each agency so a large backlog cannot take every slot', async () => {
+      const tracker = createTrackingWorker();
+
+      await runWithConcurrency(
+        [...items(6, 'big', 20), ...items(2, 'small')],
+        tracker.worker,
+        { concurrency: 4, perKeyLimit: 2, keyOf: item => item.agency }
+      );
+
+      expect(tracker.maxByAgency.big).toBe(2);
+      // The small agency starts straight away rather than queueing behind the big one
+      expect(tracker.started.slice(0, 4)).toEqual(['big-0', 'big-1', 'small-0', 'small-1']);
+    });
+
+    test('should stop starting items once told to stop and report the rest', async () => {
+      const tracker = createTrackingWorker();
+      let completed = 0;
+
+      const { results, notStarted } = await runWithConcurrency(
+        items(10, 'A'),
+        async item => {
+          const value = await tracker.worker(item);
+          completed++;
+          return value;
+        },
+        { concurrency: 2, shouldStop: () => completed >= 3 }
+      );
+
+      expect(results.length).toBeGreaterThanOrEqual(3);
+      expect(results.length + notStarted.length).toBe(10);
+      expect(notStarted[0].id).toBe(`A-${results.length}`);
+    });
+
+    test('should capture worker errors without stopping the run', async () => {
+      const { results } = await runWithConcurrency(
+        [{ id: 1 }, { id: 2 }],
+        async item => {
+          if (item.id === 1) throw new Error('Alto timeout');
+          return 'ok';
+        },
+        { concurrency: 2 }
+      );
+
+      expect(results.find(result => result.item.id === 1).error.message).toBe('Alto timeout');
+      expect(results.find(result => result.item.id === 2).value).toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Protection Deadlines
+ *
+ * Tests:
+ * - 30-day deadline from the deposit received date or tenancy start
+ * - Days remaining and escalation tiers
+ * - Stored deadline fields and escalation reset
+ * - Ordering of pending integrations
+ * - Alto protection dates
+ * - Escalation by the polling service
+ */
+
+const {
+  calculateProtectionDeadline,
+  getDaysRemaining,
+  getEscalationTier,
+  isMoreSevere,
+  buildProtectionDeadlineFields,
+  describeProtectionDeadline,
+  compareByProtectionDeadline
+} = require('../protection-deadline');
+const { AltoSourceAdapter } = require('../source-adapters');
+const { PendingPollingServiceClass } = require('../../../src/functions/PendingPollingService');
+
+describe('Protection Deadline', () => {
+  const now = new Date('2026-10-19T15:30:00.000Z');
+
+  describe('calculateProtectionDeadline', () => {
+    test('should run 30 days from the deposit received date', () => {
+      expect(calculateProtectionDeadline({
+        depositReceivedDate: '2026-10-01T10:00:00.000Z',
+        tenancyStartDate: '2026-10-10'
+      })).toEqual({ basis: 'depositReceived', startDate: '2026-10-01', deadline: '2026-10-31' });
+    });
+
+    test('should fall back to the tenancy start date', () => {
+      expect(calculateProtectionDeadline({ depositReceivedDate: null, tenancyStartDate: '2026-10-10' }))
+        .toEqual({ basis: 'tenancyStart', startDate: '2026-10-10', deadline: '2026-11-09' });
+    });
+
+    test('should return null without a valid date', () => {
+      expect(calculateProtectionDeadline({ depositReceivedDate: 'not a date' })).toBeNull();
+      expect(calculateProtectionDeadline()).toBeNull();
+    });
+  });
+
+  describe('getDaysRemaining and getEscalationTier', () => {
+    test('should count whole days to the deadline', () => {
+      expect(getDaysRemaining('2026-10-31', now)).toBe(12);
+      expect(getDaysRemaining('2026-10-19', now)).toBe(0);
+      expect(getDaysRemaining('2026-10-17', now)).toBe(-2);
+      expect(getDaysRemaining(null, now)).toBeNull();
+    });
+
+    test('should escalate at 14, 7 and 2 days and once overdue', () => {
+      expect(getEscalationTier(15)).toBeNull();
+      expect(getEscalationTier(14)).toBe('warning');
+      expect(getEscalationTier(7)).toBe('urgent');
+      expect(getEscalationTier(2)).toBe('critical');
+      expect(getEscalationTier(0)).toBe('critical');
+      expect(getEscalationTier(-1)).toBe('overdue');
+      expect(getEscalationTier(null)).toBeNull();
+    });
+
+    test('should only treat a more severe tier as a new escalation', () => {
+      expect(isMoreSevere('urgent', 'warning')).toBe(true);
+      expect(isMoreSevere('warning', '')).toBe(true);
+      expect(isMoreSevere('warning', 'urgent')).toBe(false);
+      expect(isMoreSevere('critical', 'critical')).toBe(false);
+    });
+  });
+
+  describe('buildProtectionDeadlineFields', () => {
+    test('should store the deadline and keep the last tier notified while it is unchanged', () => {
+      expect(buildProtectionDeadlineFields({ tenancyStartDate: '2026-10-10' }, { protectionDeadline: '2026-11-09', escalationTier: 'warning' }))
+        .toEqual({ protectionDeadline: '2026-11-09', protectionDeadlineBasis: 'tenancyStart' });
+    });
+
+    test('should clear the last tier notified when the deadline moves', () => {
+      expect(buildProtectionDeadlineFields({ depositReceivedDate: '2026-10-12' }, { protectionDeadline: '2026-11-09', escalationTier: 'warning' }))
+        .toEqual({ protectionDeadline: '2026-11-11', protectionDeadlineBasis: 'depositReceived', escalationTier: '', escalatedAt: '' });
+    });
+
+    test('should leave the stored fields alone without a deadline', () => {
+      expect(buildProtectionDeadlineFields({})).toEqual({});
+    });
+  });
+
+  describe('describeProtectionDeadline', () => {
+    test('should describe pending deposits only', () => {
+      expect(describeProtectionDeadline({ protectionDeadline: '2026-10-25', protectionDeadlineBasis: 'tenancyStart' }, now)).toEqual({
+        protectionDeadline: '2026-10-25',
+        protectionDeadlineBasis: 'tenancyStart',
+        daysRemaining: 6,
+        escalationTier: 'urgent'
+      });
+      expect(describeProtectionDeadline({ integrationType: 'repayment', protectionDeadline: '2026-10-25' }, now)).toBeNull();
+      expect(describeProtectionDeadline({ protectionDeadline: '' }, now)).toBeNull();
+    });
+  });
+
+  describe('compareByProtectionDeadline', () => {
+    test('should order the most urgent deadlines first and entities without one last', () => {
+      const entities = [
+        { rowKey: 'none' },
+        { rowKey: 'later', protectionDeadline: '2026-11-30' },
+        { rowKey: 'overdue', protectionDeadline: '2026-10-18' },
+        { rowKey: 'soon', protectionDeadline: '2026-10-21' }
+      ];
+
+      expect(entities.sort((a, b) => compareByProtectionDeadline(a, b, now)).map(entity => entity.rowKey))
+        .toEqual(['overdue', 'soon', 'later', 'none']);
+    });
+  });
+
+  describe('AltoSourceAdapter.getProtectionDates', () => {
+    const adapter = new AltoSourceAdapter({ context: { log: jest.fn(), warn: jest.fn() } });
+
+    test('should use the earliest deposit line received date', () => {
+      expect(adapter.getProtectionDates({
+        tenancy: {
+          startDate: '2026-10-10',
+          deposits: [{ amount: 200, dateReceived: '2026-10-15' }, { amount: 1200, dateReceived: '2026-10-02' }]
+        }
+      })).toEqual({ depositReceivedDate: '2026-10-02', tenancyStartDate: '2026-10-10' });
+    });
+
+    test('should prefer the tenancy deposit received date', () => {
+      expect(adapter.getProtectionDates({ tenancy: { depositReceivedDate: '2026-10-05' } }))
+        .toEqual({ depositReceivedDate: '2026-10-05', tenancyStartDate: null });
+    });
+  });
+
+  describe('PendingPollingService.escalateProtectionDeadlines', () => {
+    test('should record the tier before notifying and skip integrations changed since they were read', async () => {
+      const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), invocationId: 'test-run' };
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const pending = (rowKey, etag) => ({
+        partitionKey: 'PendingIntegration',
+        rowKey,
+        etag,
+        tenancyId: `TEN_${rowKey}`,
+        integrationStatus: 'PENDING_DATA',
+        protectionDeadline: tomorrow
+      });
+
+      const pollingService = new PendingPollingServiceClass(mockContext);
+      pollingService.tableClient = {
+        listEntities: async function* () {
+          yield pending('pending_1', 'e1');
+          yield pending('pending_2', 'stale');
+        },
+        updateEntity: jest.fn(async (entity, mode, options) => {
+          if (options.etag === 'stale') {
+            throw Object.assign(new Error('Precondition failed'), { statusCode: 412 });
+          }
+        })
+      };
+      const notify = jest.spyOn(pollingService, 'notifyProtectionDeadline').mockResolvedValue();
+
+      await pollingService.escalateProtectionDeadlines();
+
+      expect(pollingService.tableClient.updateEntity).toHaveBeenCalledWith(
+        expect.objectContaining({ rowKey: 'pending_1', escalationTier: 'critical' }), 'Merge', { etag: 'e1' }
+      );
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify.mock.calls[0][0].rowKey).toBe('pending_1');
+      expect(pollingService.tableClient.updateEntity.mock.invocationCallOrder[0]).toBeLessThan(notify.mock.invocationCallOrder[0]);
+    });
+  });
+});
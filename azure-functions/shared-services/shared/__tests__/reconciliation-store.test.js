@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Reconciliation Store
+ *
+ * Tests:
+ * - Sweep window calculation
+ * - Grouping of organization mappings by agency
+ * - Branch scoping of listed tenancies
+ * - Alto tenancy listing pagination
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { getSweepWindow, groupMappingsByAgency, isTenancyInScope } = require('../reconciliation-store');
+const { AltoAPIClient } = require('../alto-api-client');
+
+describe('Reconciliation Store', () => {
+  const agencyRef = '1af89d60-662c-475b-bcc8-9bcbf04b6322';
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getSweepWindow', () => {
+    const now = new Date('2025-11-01T12:00:00.000Z');
+
+    test('should look back 24 hours on the first sweep', () => {
+      expect(getSweepWindow(null, now)).toEqual({
+        from: '2025-10-31T12:00:00.000Z',
+        to: '2025-11-01T12:00:00.000Z'
+      });
+    });
+
+    test('should overlap the previous sweep by 5 minutes', () => {
+      expect(getSweepWindow('2025-11-01T11:00:00.000Z', now).from).toBe('2025-11-01T10:55:00.000Z');
+    });
+
+    test('should honour configured lookback and overlap', () => {
+      process.env.RECONCILIATION_LOOKBACK_HOURS = '2';
+      process.env.RECONCILIATION_OVERLAP_MINUTES = '0';
+
+      expect(getSweepWindow(null, now).from).toBe('2025-11-01T10:00:00.000Z');
+      expect(getSweepWindow('2025-11-01T11:00:00.000Z', now).from).toBe('2025-11-01T11:00:00.000Z');
+    });
+  });
+
+  describe('groupMappingsByAgency', () => {
+    const mapping = (overrides) => ({
+      agencyRef,
+      branchId: 'DEFAULT',
+      environment: 'development',
+      integrationType: 'alto',
+      organizationName: 'Test Lettings',
+      isActive: true,
+      ...overrides
+    });
+
+    test('should sweep an agency with several branches once', () => {
+      const agencies = groupMappingsByAgency([
+        mapping({ branchId: 'MAIN' }),
+        mapping({ branchId: 'NORTH' })
+      ], 'alto');
+
+      expect(agencies).toEqual([{
+        agencyRef,
+        environment: 'development',
+        organizationName: 'Test Lettings',
+        branchIds: ['MAIN', 'NORTH'],
+        allBranches: false
+      }]);
+    });
+
+    test('should skip inactive mappings and other integration types', () => {
+      const agencies = groupMappingsByAgency([
+        mapping({ isActive: false }),
+        mapping({ agencyRef: 'jupix-agency', integrationType: 'jupix' })
+      ], 'alto');
+
+      expect(agencies).toEqual([]);
+    });
+
+    test('should prefer production mappings over development mappings', () => {
+      const agencies = groupMappingsByAgency([
+        mapping({ branchId: 'DEV' }),
+        mapping({ environment: 'production', branchId: 'MAIN' }),
+        mapping({ branchId: 'DEV2' })
+      ], 'alto');
+
+      expect(agencies[0]).toMatchObject({ environment: 'production', branchIds: ['MAIN'] });
+    });
+
+    test('should cover all branches for a DEFAULT mapping', () => {
+      expect(groupMappingsByAgency([mapping({ isActive: 'true' })], 'alto')[0].allBranches).toBe(true);
+    });
+  });
+
+  describe('isTenancyInScope', () => {
+    test('should only include tenancies from mapped branches', () => {
+      const agency = { branchIds: ['MAIN'], allBranches: false };
+
+      expect(isTenancyInScope({ branchId: 'MAIN' }, agency)).toBe(true);
+      expect(isTenancyInScope({ branchId: 'NORTH' }, agency)).toBe(false);
+      expect(isTenancyInScope({ branchId: null }, agency)).toBe(false);
+      expect(isTenancyInScope({ branchId: 'NORTH' }, { branchIds: [], allBranches: true })).toBe(true);
+    });
+  });
+
+  describe('AltoAPIClient.listTenanciesModifiedSince', () => {
+    test('should follow pages until a short page is returned', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'token', expires_in: 3600 } });
+      axios
+        .mockResolvedValueOnce({ data: { items: [{ id: 1, branchId: 'MAIN', createdDate: '2025-11-01' }, { id: 2 }], totalCount: 3 } })
+        .mockResolvedValueOnce({ data: { items: [{ id: 3, lastUpdated: '2025-11-01T10:00:00Z' }], totalCount: 3 } });
+
+      const client = new AltoAPIClient({ baseUrl: 'https://alto.test', clientId: 'id', clientSecret: 'secret' });
+      const tenancies = await client.listTenanciesModifiedSince(agencyRef, '2025-11-01T00:00:00.000Z', { pageSize: 2 });
+
+      expect(tenancies.map(tenancy => tenancy.id)).toEqual(['1', '2', '3']);
+      expect(tenancies[2].modifiedDate).toBe('2025-11-01T10:00:00Z');
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[0][0]).toMatchObject({
+        url: 'https://alto.test/tenancies?modifiedSince=2025-11-01T00%3A00%3A00.000Z&page=1&pageSize=2',
+        headers: expect.objectContaining({ AgencyRef: agencyRef })
+      });
+    });
+
+    test('should require an agency reference', async () => {
+      const client = new AltoAPIClient({ baseUrl: 'https://alto.test' });
+
+      await expect(client.listTenanciesModifiedSince(null, '2025-11-01')).rejects.toThrow('agencyRef is required');
+    });
+  });
+});
@@ -91,6 +91,21 @@ describe('Salesforce Authentication Module', () => {
       expect(header.AccessToken).toContain('Northern Ireland Custodial');
     });
 
+    test('should name the Insured scheme for Insured credentials', async () => {
+      const orgCredentials = {
+        memberId: 'MEM123',
+        branchId: 'BR456',
+        apiKey: 'test-api-key',
+        region: 'EW',
+        schemeType: 'Insured',
+        authMethod: 'api-key'
+      };
+
+      const header = await salesforceAuth.getSalesforceAuthHeader(mockContext, orgCredentials);
+
+      expect(header.AccessToken).toBe('England & Wales Insured-Insured-MEM123-BR456-test-api-key');
+    });
+
     test('should default to England & Wales for unknown region', async () => {
       const orgCredentials = {
         memberId: 'MEM123',
@@ -385,6 +400,18 @@ describe('Salesforce Authentication Module', () => {
       expect(mockContext.log).toHaveBeenCalled();
     });
 
+    test('should reset the Custodial and Insured caches of a branch', () => {
+      const custodial = salesforceAuth._getTokenCache('MEM123', 'BR456');
+      const insured = salesforceAuth._getTokenCache('MEM123', 'BR456', 'Insured');
+      custodial.token = 'custodial-token';
+      insured.token = 'insured-token';
+
+      salesforceAuth._resetCache('MEM123', 'BR456');
+
+      expect(custodial.token).toBeNull();
+      expect(insured.token).toBeNull();
+    });
+
     test('should force token refresh', async () => {
       axios.post.mockResolvedValue({
         data: {
@@ -0,0 +1,277 @@
+/**
+ * Unit Tests for Source System Adapters
+ *
+ * Tests:
+ * - Adapter factory and supported sources
+ * - Interface contract enforcement
+ * - Alto completeness validation and deposit model mapping
+ * - Deposit lines (multi-deposit tenancies)
+ * - Source-specific messaging
+ * - Jupix OAuth client per organisation
+ */
+
+const {
+  SourceAdapterInterface,
+  AltoSourceAdapter,
+  JupixSourceAdapter,
+  SourceAdapterFactory
+} = require('../source-adapters');
+
+describe('Source Adapters', () => {
+  let mockContext;
+
+  const completeAltoData = () => ({
+    tenancy: {
+      id: 'TEN_001',
+      startDate: '2025-11-01',
+      endDate: '2026-10-31',
+      rent: 1200,
+      depositRequested: 1384.61,
+      depositSchemeType: 'DisputeServiceCustodial'
+    },
+    property: {
+      id: 'INV_001',
+      address: { nameNo: '1', street: 'Test Street', town: 'Milton Keynes', postcode: 'MK18 1AA' },
+      bedrooms: 2,
+      receptions: 1
+    },
+    landlords: {
+      items: [{
+        id: 'LL_001',
+        title: 'Mr',
+        forename: 'Lenny',
+        surname: 'Landlord',
+        email: 'landlord@example.com',
+        address: { nameNo: '5', street: 'Owner Road', town: 'Buckingham', postcode: 'MK18 2BB' }
+      }]
+    },
+    tenants: [{
+      items: [{
+        id: 'CT_001',
+        people: [{
+          title: 'Ms',
+          forename: 'Tara',
+          surname: 'Tenant',
+          emailAddresses: [{ address: 'tenant@example.com' }],
+          phoneNumbers: []
+        }]
+      }]
+    }]
+  });
+
+  beforeEach(() => {
+    mockContext = {
+      log: jest.fn(),
+      error: jest.fn(),
+      warn: jest.fn()
+    };
+  });
+
+  describe('SourceAdapterFactory', () => {
+    test('should return Alto adapter', () => {
+      const adapter = SourceAdapterFactory.getAdapter('alto', { context: mockContext });
+      expect(adapter).toBeInstanceOf(AltoSourceAdapter);
+      expect(adapter.sourceSystem).toBe('alto');
+    });
+
+    test('should return Jupix adapter', () => {
+      const adapter = SourceAdapterFactory.getAdapter('jupix', { context: mockContext });
+      expect(adapter).toBeInstanceOf(JupixSourceAdapter);
+      expect(adapter.displayName).toBe('Jupix');
+    });
+
+    test('should throw for unknown source systems', () => {
+      expect(() => SourceAdapterFactory.getAdapter('reapit', { context: mockContext }))
+        .toThrow('Unknown source system: reapit');
+    });
+
+    test('should list supported sources', () => {
+      expect(SourceAdapterFactory.getSupportedSources()).toEqual(['alto', 'jupix']);
+    });
+  });
+
+  describe('SourceAdapterInterface', () => {
+    test('should require implementations to provide contract methods', async () => {
+      const adapter = new SourceAdapterInterface({ context: mockContext });
+
+      await expect(adapter.fetchTenancyData({}, {})).rejects.toThrow('fetchTenancyData must be implemented');
+      expect(() => adapter.validateCompleteness({})).toThrow('validateCompleteness must be implemented');
+      expect(() => adapter.mapToDepositModel({}, {})).toThrow('mapToDepositModel must be implemented');
+    });
+  });
+
+  describe('AltoSourceAdapter', () => {
+    test('should report complete data as complete', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const result = adapter.validateCompleteness(completeAltoData());
+
+      expect(result.isComplete).toBe(true);
+    });
+
+    test('should permanently reject non-custodial schemes', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.tenancy.depositSchemeType = 'DisputeServiceInsured';
+
+      const result = adapter.validateCompleteness(data);
+
+      expect(result.isPermanentRejection).toBe(true);
+      expect(result.canPendForPolling).toBe(false);
+    });
+
+    test('should accept Insured tenancies when the organisation enables the scheme', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.tenancy.depositSchemeType = 'DisputeServiceInsured';
+
+      const result = adapter.validateCompleteness(data, { enabledSchemes: ['Custodial', 'Insured'] });
+
+      expect(result.isComplete).toBe(true);
+    });
+
+    test('should map Insured tenancies with the agent holding the deposit', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.tenancy.depositSchemeType = 'DisputeServiceInsured';
+
+      const model = adapter.mapToDepositModel(data, {
+        propertyPostcodeResult: { county: 'Buckinghamshire' },
+        landlordPostcodeResult: { county: 'Buckinghamshire' },
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN',
+        protectionFeePaidBy: 'Landlord'
+      });
+
+      expect(model).toMatchObject({ schemeType: 'Insured', depositHeldBy: 'Agent', protectionFeePaidBy: 'Landlord' });
+    });
+
+    test('should return property and landlord postcodes', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.landlord = data.landlords.items[0];
+
+      expect(adapter.getPostcodes(data)).toEqual({ property: 'MK18 1AA', landlord: 'MK18 2BB' });
+    });
+
+    test('should map to the standard deposit model', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const model = adapter.mapToDepositModel(completeAltoData(), {
+        propertyPostcodeResult: { county: 'Buckinghamshire' },
+        landlordPostcodeResult: { county: 'Buckinghamshire' },
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN'
+      });
+
+      expect(model.tenancyId).toBe('TEN_001');
+      expect(model.depositAmount).toBe(1384.61);
+      expect(model.property.county).toBe('Buckinghamshire');
+      expect(model.landlords[0]).toMatchObject({ id: 'LL_001', firstName: 'Lenny', title: 'Mr.' });
+      expect(model.tenants[0]).toMatchObject({ id: 'CT_001', email: 'tenant@example.com', title: 'Ms.' });
+      expect(model.agency).toEqual({ ref: '1af89d60-662c-475b-bcc8-9bcbf04b6322', branchId: 'MAIN' });
+    });
+
+    test('should return per-person postcodes for landlords and tenant forwarding addresses', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.landlords.items.push({ id: 'LL_002', forename: 'Jo', surname: 'Joint', phone: '07700900000', address: { postcode: 'EH1 1AA' } });
+      data.tenants[0].items[0].people[0].forwardingAddress = { nameNo: '9', street: 'Away Lane', postcode: 'BT1 1AA' };
+
+      expect(adapter.getPersonPostcodes(data)).toEqual({
+        landlords: ['MK18 2BB', 'EH1 1AA'],
+        tenants: ['BT1 1AA']
+      });
+    });
+
+    test('should give each landlord and tenant the county from their own postcode lookup', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.landlords.items.push({
+        id: 'LL_002',
+        forename: 'Jo',
+        surname: 'Joint',
+        phone: '07700900000',
+        address: { postcode: 'LS1 1AA', county: 'West Yorkshire' }
+      });
+      data.tenants[0].items[0].people[0].forwardingAddress = { nameNo: '9', street: 'Away Lane', postcode: 'EH1 1AA' };
+
+      const model = adapter.mapToDepositModel(data, {
+        propertyPostcodeResult: { county: 'Buckinghamshire' },
+        landlordPostcodeResult: { county: 'Buckinghamshire' },
+        // Joint landlord lookup failed - falls back to the county held in Alto
+        personPostcodeResults: { landlords: [{ county: 'South East' }, null], tenants: [{ county: 'Scotland' }] },
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN'
+      });
+
+      expect(model.landlords.map(landlord => landlord.county)).toEqual(['South East', 'West Yorkshire']);
+      expect(model.tenants[0]).toMatchObject({ address: { postcode: 'EH1 1AA' }, county: 'Scotland' });
+    });
+  });
+
+  describe('Deposit lines', () => {
+    test('should protect the total of all deposit lines and keep the lines on the model', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.tenancy.deposits = [
+        { amount: 1384.61, description: 'Security deposit' },
+        { amount: '115.39', description: 'Pet deposit', dateRequested: '2026-03-01' }
+      ];
+
+      const model = adapter.mapToDepositModel(data, {
+        propertyPostcodeResult: { county: 'Buckinghamshire' },
+        landlordPostcodeResult: { county: 'Buckinghamshire' },
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN'
+      });
+
+      expect(model.depositAmount).toBe(1500);
+      expect(model.depositLines).toEqual([
+        { amount: 1384.61, description: 'Security deposit', date: null },
+        { amount: 115.39, description: 'Pet deposit', date: '2026-03-01' }
+      ]);
+    });
+
+    test('should treat a tenancy with only zero deposit lines as missing the deposit', () => {
+      const adapter = new AltoSourceAdapter({ context: mockContext });
+      const data = completeAltoData();
+      data.tenancy.deposits = [{ amount: 0 }];
+
+      expect(adapter.checkDepositAvailability(data)).toBe(false);
+    });
+  });
+
+  describe('Source-specific messaging', () => {
+    test('should name the source system in missing data summaries', () => {
+      const data = completeAltoData();
+      data.tenancy.depositRequested = 0;
+
+      const altoResult = new AltoSourceAdapter({ context: mockContext }).validateCompleteness(data);
+      const jupixResult = new JupixSourceAdapter({ context: mockContext }).validateCompleteness(data);
+
+      expect(altoResult.summary).toBe('Please add the deposit amount in Alto');
+      expect(jupixResult.summary).toBe('Please add the deposit amount in Jupix');
+    });
+  });
+
+  describe('JupixSourceAdapter', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should authenticate with the organisation\'s own Jupix client', async () => {
+      process.env.JUPIX_CLIENT_ID = 'shared-client';
+      process.env.JUPIX_CLIENT_SECRET = 'shared-secret';
+      const adapter = new JupixSourceAdapter({ context: mockContext });
+
+      const client = await adapter.createApiClient('production', {
+        mapping: { jupixCredentials: { clientId: 'agency-client', clientSecret: 'agency-secret' } }
+      });
+      const fallback = await adapter.createApiClient('production', { mapping: { jupixCredentials: null } });
+
+      expect(client).toMatchObject({ clientId: 'agency-client', clientSecret: 'agency-secret' });
+      expect(fallback).toMatchObject({ clientId: 'shared-client', clientSecret: 'shared-secret' });
+    });
+  });
+});
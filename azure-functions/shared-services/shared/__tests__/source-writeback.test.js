@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Source Write-back
+ *
+ * Tests:
+ * - Outstanding parts
+ * - Deposit protection details
+ * - DPC document
+ * - Applying write-back results
+ */
+
+const {
+  getOutstandingParts,
+  buildDepositProtection,
+  buildCertificateDocument,
+  applyWriteBackResults
+} = require('../source-writeback');
+
+describe('Source Write-back', () => {
+  describe('getOutstandingParts', () => {
+    test('should return every part before the first attempt', () => {
+      expect(getOutstandingParts(null)).toEqual(['depositReference', 'certificate']);
+    });
+
+    test('should skip parts that have already been written back', () => {
+      expect(getOutstandingParts({
+        depositReference: { completedAt: '2026-10-19T09:00:00.000Z' },
+        certificate: { completedAt: null, error: 'Certificate not available' }
+      })).toEqual(['certificate']);
+    });
+  });
+
+  describe('buildDepositProtection', () => {
+    test('should use the registration date and the TDS scheme type', () => {
+      expect(buildDepositProtection('EW12345678', '2026-10-19T09:30:00.000Z', { schemeType: 'Insured' })).toEqual({
+        reference: 'EW12345678',
+        protectedDate: '2026-10-19',
+        scheme: 'TDS Insured'
+      });
+    });
+
+    test('should name the regional scheme for Scotland and Northern Ireland', () => {
+      expect(buildDepositProtection('S1234', '2026-10-19T09:30:00.000Z', { region: 'Scotland' }).scheme).toBe('SafeDeposits Scotland');
+      expect(buildDepositProtection('NI1234', '2026-10-19T09:30:00.000Z', { region: 'NI' }).scheme).toBe('TDS Northern Ireland');
+      expect(buildDepositProtection('EW1234', '2026-10-19T09:30:00.000Z').scheme).toBe('TDS Custodial');
+    });
+  });
+
+  describe('buildCertificateDocument', () => {
+    test('should build a PDF document named after the DAN', () => {
+      expect(buildCertificateDocument('EW12345678', 'JVBERi0x')).toEqual({
+        fileName: 'DPC-EW12345678.pdf',
+        contentType: 'application/pdf',
+        content: 'JVBERi0x',
+        description: 'Deposit Protection Certificate (DAN EW12345678)'
+      });
+    });
+  });
+
+  describe('applyWriteBackResults', () => {
+    test('should stay pending while a part has failed', () => {
+      const writeBack = applyWriteBackResults(null, 'EW12345678', [
+        { part: 'depositReference', success: true },
+        { part: 'certificate', success: false, error: 'Certificate not available' }
+      ]);
+
+      expect(writeBack.status).toBe('pending');
+      expect(writeBack.attempts).toBe(1);
+      expect(writeBack.depositReference.completedAt).toBeTruthy();
+      expect(writeBack.certificate).toEqual({ completedAt: null, error: 'Certificate not available' });
+      expect(writeBack.lastError).toBe('certificate: Certificate not available');
+    });
+
+    test('should complete once the outstanding parts succeed on retry', () => {
+      const first = applyWriteBackResults(null, 'EW12345678', [
+        { part: 'depositReference', success: true },
+        { part: 'certificate', success: false, error: 'Certificate not available' }
+      ]);
+      const retry = applyWriteBackResults(first, 'EW12345678', [{ part: 'certificate', success: true }]);
+
+      expect(retry.status).toBe('completed');
+      expect(retry.attempts).toBe(2);
+      expect(retry.depositReference).toEqual(first.depositReference);
+      expect(retry.lastError).toBeNull();
+    });
+  });
+});
@@ -1554,11 +1554,33 @@ describe('validation-schemas', () => {
         expect(result.integrationType).toBe('jupix');
       });
 
+      test('should require the Jupix client secret with the client ID', () => {
+        const jupix = { agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322', clientId: 'agency-client' };
+        const mapping = { ...validMapping, integrationType: 'jupix', integrationCredentials: { jupix } };
+
+        expect(() => validateRequestBody(mapping, schemas.organizationMappingAdd)).toThrow();
+        mapping.integrationCredentials.jupix = { ...jupix, clientSecret: 'agency-secret' };
+        expect(validateRequestBody(mapping, schemas.organizationMappingAdd).integrationCredentials.jupix.clientSecret).toBe('agency-secret');
+      });
+
       test('should use default isActive (true)', () => {
         const result = validateRequestBody(validMapping, schemas.organizationMappingAdd);
         expect(result.isActive).toBe(true);
       });
 
+      test('should default deposit schemes to Custodial with agent-paid Insured fees', () => {
+        const result = validateRequestBody(validMapping, schemas.organizationMappingAdd);
+        expect(result.depositSchemes).toEqual(['Custodial']);
+        expect(result.insuredProtectionFeePaidBy).toBe('Agent');
+      });
+
+      test('should accept the Insured scheme', () => {
+        const mapping = { ...validMapping, depositSchemes: ['Custodial', 'Insured'], insuredProtectionFeePaidBy: 'Landlord' };
+        const result = validateRequestBody(mapping, schemas.organizationMappingAdd);
+        expect(result.depositSchemes).toEqual(['Custodial', 'Insured']);
+        expect(result.insuredProtectionFeePaidBy).toBe('Landlord');
+      });
+
     });
 
     describe('Invalid add requests', () => {
@@ -1652,6 +1674,11 @@ describe('validation-schemas', () => {
         expect(result.testMode).toBe(true);
       });
 
+      test('should default dryRun to false and accept dryRun = true', () => {
+        expect(validateRequestBody(validWorkflow, schemas.workflowOrchestratorRequest).dryRun).toBe(false);
+        expect(validateRequestBody({ ...validWorkflow, dryRun: true }, schemas.workflowOrchestratorRequest).dryRun).toBe(true);
+      });
+
       test('should accept testConfig object', () => {
         const workflow = {
           ...validWorkflow,
@@ -1913,6 +1940,52 @@ describe('validation-schemas', () => {
 
   });
 
+  describe('jupixWebhookRequest schema', () => {
+
+    const validJupixEvent = {
+      event: 'tenancy.created',
+      eventId: 'JPX_EVT_001',
+      tenancyId: 48213,
+      agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+      branchId: 7,
+      timestamp: '2025-10-14T10:00:00Z'
+    };
+
+    test('should accept valid Jupix event and coerce ids to strings', () => {
+      const result = validateRequestBody(validJupixEvent, schemas.jupixWebhookRequest);
+      expect(result.tenancyId).toBe('48213');
+      expect(result.branchId).toBe('7');
+    });
+
+    test('should accept canonical event names', () => {
+      const result = validateRequestBody(
+        { ...validJupixEvent, event: 'Tenancy.Updated' },
+        schemas.jupixWebhookRequest
+      );
+      expect(result.event).toBe('Tenancy.Updated');
+    });
+
+    test('should reject unsupported event types', () => {
+      expect(() => {
+        validateRequestBody({ ...validJupixEvent, event: 'property.created' }, schemas.jupixWebhookRequest);
+      }).toThrow();
+    });
+
+    test('should reject missing tenancyId', () => {
+      const { tenancyId, ...webhook } = validJupixEvent;
+      expect(() => {
+        validateRequestBody(webhook, schemas.jupixWebhookRequest);
+      }).toThrow('Request body validation failed');
+    });
+
+    test('should reject invalid agencyRef', () => {
+      expect(() => {
+        validateRequestBody({ ...validJupixEvent, agencyRef: 'JUPIX-123' }, schemas.jupixWebhookRequest);
+      }).toThrow('Request body validation failed');
+    });
+
+  });
+
   describe('tdsDepositCreate schema - HIGH-006 Security Fix', () => {
 
     const validDeposit = {
@@ -2329,4 +2402,36 @@ describe('validation-schemas', () => {
 
   });
 
+  describe('webhookReplayRequest schema', () => {
+    const agencyRef = '1af89d60-662c-475b-bcc8-9bcbf04b6322';
+
+    test('should apply defaults for limit, dryRun and end of range', () => {
+      const { error, value } = schemas.webhookReplayRequest.validate({ agencyRef, from: '2025-11-01T00:00:00Z' });
+
+      expect(error).toBeUndefined();
+      expect(value.limit).toBe(100);
+      expect(value.dryRun).toBe(false);
+      expect(value.to).toBeInstanceOf(Date);
+    });
+
+    test('should reject a range that ends before it starts', () => {
+      const { error } = schemas.webhookReplayRequest.validate({
+        agencyRef,
+        from: '2025-11-02T00:00:00Z',
+        to: '2025-11-01T00:00:00Z'
+      });
+      expect(error).toBeDefined();
+    });
+
+    test('should reject unknown source systems and oversized limits', () => {
+      expect(schemas.webhookReplayRequest.validate({ agencyRef, from: '2025-11-01', sourceSystem: 'reapit' }).error).toBeDefined();
+      expect(schemas.webhookReplayRequest.validate({ agencyRef, from: '2025-11-01', limit: 501 }).error).toBeDefined();
+    });
+
+    test('should require agencyRef and from', () => {
+      const { error } = schemas.webhookReplayRequest.validate({});
+      expect(error.details.map(detail => detail.path[0])).toEqual(['agencyRef', 'from']);
+    });
+  });
+
 });
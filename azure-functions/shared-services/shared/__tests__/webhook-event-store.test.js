@@ -0,0 +1,326 @@
+/**
+ * Unit Tests for Webhook Event Store
+ *
+ * Tests:
+ * - Queue message construction
+ * - Retry classification of workflow results
+ * - Duplicate window and claim handling
+ * - Raw payload storage for replay
+ */
+
+process.env.PII_ENCRYPTION_KEY_LOCAL = require('crypto').randomBytes(32).toString('base64');
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  buildWebhookQueueMessage,
+  classifyWorkflowResult,
+  getDuplicateWindowMs,
+  isDuplicateClaim,
+  claimWebhookEvent,
+  releaseWebhookClaims,
+  abandonWebhookEvent,
+  recordWebhookQueued,
+  updateWebhookEvent,
+  getWebhookEvent,
+  storeRawWebhookPayload,
+  getRawWebhookPayload,
+  WEBHOOK_POISON_QUEUE_NAME
+} = require('../webhook-event-store');
+
+describe('Webhook Event Store', () => {
+  describe('buildWebhookQueueMessage', () => {
+    test('should carry the workflow fields and source system', () => {
+      const message = buildWebhookQueueMessage({
+        tenancyId: 'TEN_001',
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN',
+        integrationId: 'INT_1',
+        eventType: 'Tenancy.Created',
+        relatedSubjects: ['ignored']
+      }, { webhookId: 'wh_1700000000000_abcd1234', sourceSystem: 'alto', source: 'alto-webhook' });
+
+      expect(message).toMatchObject({
+        webhookId: 'wh_1700000000000_abcd1234',
+        sourceSystem: 'alto',
+        source: 'alto-webhook',
+        eventType: 'Tenancy.Created',
+        tenancyId: 'TEN_001',
+        agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+        branchId: 'MAIN',
+        integrationId: 'INT_1'
+      });
+      expect(message.enqueuedAt).toBeDefined();
+      expect(message.relatedSubjects).toBeUndefined();
+    });
+
+    test('should use the runtime poison queue naming convention', () => {
+      expect(WEBHOOK_POISON_QUEUE_NAME).toBe('webhook-events-poison');
+    });
+  });
+
+  describe('classifyWorkflowResult', () => {
+    test('should treat completed workflows as final', () => {
+      expect(classifyWorkflowResult({ success: true })).toEqual({ status: 'COMPLETED', retryable: false });
+    });
+
+    test('should treat rejected and pending outcomes as final', () => {
+      expect(classifyWorkflowResult({ success: false, status: 'REJECTED' }).retryable).toBe(false);
+      expect(classifyWorkflowResult({ success: false, pendingCreated: true })).toEqual({ status: 'PENDING', retryable: false });
+    });
+
+    test('should treat nudged pending integrations as final', () => {
+      expect(classifyWorkflowResult({ success: false, pendingNudged: true })).toEqual({ status: 'PENDING', retryable: false });
+    });
+
+    test('should retry failures before the deposit is submitted', () => {
+      expect(classifyWorkflowResult({ success: false, failedStep: 'fetch_alto_data' })).toEqual({ status: 'RETRYING', retryable: true });
+      expect(classifyWorkflowResult({ success: false, failedStep: 'lookup_postcode' }).retryable).toBe(true);
+    });
+
+    test('should not retry failures after the deposit is submitted', () => {
+      expect(classifyWorkflowResult({ success: false, failedStep: 'create_tds_deposit' })).toEqual({ status: 'FAILED', retryable: false });
+      expect(classifyWorkflowResult({ success: false, failedStep: 'store_integration' }).retryable).toBe(false);
+      expect(classifyWorkflowResult({ success: false, failedStep: 'amend_tds_deposit' }).retryable).toBe(false);
+      expect(classifyWorkflowResult({ success: false, failedStep: 'renew_tds_deposit' })).toEqual({ status: 'FAILED', retryable: false });
+    });
+  });
+
+  describe('duplicate window', () => {
+    const originalEnv = process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES;
+
+    afterEach(() => {
+      if (originalEnv === undefined) {
+        delete process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES;
+      } else {
+        process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES = originalEnv;
+      }
+    });
+
+    test('should default to 30 minutes and honour configuration', () => {
+      delete process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES;
+      expect(getDuplicateWindowMs()).toBe(30 * 60 * 1000);
+
+      process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES = '5';
+      expect(getDuplicateWindowMs()).toBe(5 * 60 * 1000);
+    });
+
+    test('should treat claims inside the window or still in flight as duplicates', () => {
+      const now = Date.parse('2025-11-01T12:00:00Z');
+      const windowMs = 10 * 60 * 1000;
+
+      expect(isDuplicateClaim('DUPLICATE_EVENT', { claimedAt: '2025-11-01T11:55:00Z' }, { status: 'COMPLETED' }, now, windowMs)).toBe(true);
+      expect(isDuplicateClaim('DUPLICATE_EVENT', { claimedAt: '2025-11-01T11:00:00Z' }, { status: 'COMPLETED' }, now, windowMs)).toBe(false);
+      expect(isDuplicateClaim('DUPLICATE_EVENT', { claimedAt: '2025-11-01T11:00:00Z' }, { status: 'RETRYING' }, now, windowMs)).toBe(true);
+      expect(isDuplicateClaim('TENANCY_IN_FLIGHT', { claimedAt: '2025-11-01T11:00:00Z' }, { status: 'QUEUED' }, now, windowMs)).toBe(true);
+    });
+
+    test('should only hold a tenancy while its run is in flight', () => {
+      const now = Date.parse('2025-11-01T12:00:00Z');
+      const windowMs = 30 * 60 * 1000;
+
+      expect(isDuplicateClaim('TENANCY_IN_FLIGHT', { claimedAt: '2025-11-01T11:55:00Z' }, { status: 'COMPLETED' }, now, windowMs)).toBe(false);
+      expect(isDuplicateClaim('TENANCY_IN_FLIGHT', { claimedAt: '2025-11-01T11:55:00Z' }, { status: 'FAILED' }, now, windowMs)).toBe(false);
+    });
+
+    test('should only honour a claim whose webhook was never recorded for a short time', () => {
+      const now = Date.parse('2025-11-01T12:00:00Z');
+      const windowMs = 30 * 60 * 1000;
+
+      expect(isDuplicateClaim('DUPLICATE_EVENT', { claimedAt: '2025-11-01T11:59:30Z' }, null, now, windowMs)).toBe(true);
+      expect(isDuplicateClaim('DUPLICATE_EVENT', { claimedAt: '2025-11-01T11:55:00Z' }, null, now, windowMs)).toBe(false);
+      expect(isDuplicateClaim('TENANCY_IN_FLIGHT', { claimedAt: '2025-11-01T11:55:00Z' }, null, now, windowMs)).toBe(false);
+    });
+  });
+
+  describe('claimWebhookEvent', () => {
+    const agencyRef = '1af89d60-662c-475b-bcc8-9bcbf04b6322';
+    const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    beforeEach(() => {
+      TableClient.reset();
+    });
+
+    test('should accept the first delivery of an event', async () => {
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(result.duplicate).toBe(false);
+    });
+
+    test('should point a redelivered CloudEvent at the original run', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await recordWebhookQueued({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await updateWebhookEvent('wh_1_aaaaaaaa', { status: 'COMPLETED', workflowId: 'wf_1_bbbbbbbb' }, mockContext);
+
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(result).toMatchObject({
+        duplicate: true,
+        reason: 'DUPLICATE_EVENT',
+        originalWebhookId: 'wh_1_aaaaaaaa'
+      });
+      expect(result.originalEvent.workflowId).toBe('wf_1_bbbbbbbb');
+    });
+
+    test('should suppress a different event for a tenancy already in flight', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-created', tenancyId: 'TEN_001', agencyRef }, mockContext);
+
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-updated', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(result).toMatchObject({ duplicate: true, reason: 'TENANCY_IN_FLIGHT', originalWebhookId: 'wh_1_aaaaaaaa' });
+
+      // The duplicate's event claim is released so a later redelivery is judged on its own
+      const redelivery = await claimWebhookEvent({
+        webhookId: 'wh_3_dddddddd', sourceSystem: 'alto', eventId: 'evt-updated', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+      expect(redelivery.reason).toBe('TENANCY_IN_FLIGHT');
+    });
+
+    test('should accept a new event once the window has passed and the original run finished', async () => {
+      process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES = '0';
+
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await recordWebhookQueued({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await updateWebhookEvent('wh_1_aaaaaaaa', { status: 'COMPLETED' }, mockContext);
+
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-2', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      delete process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES;
+      expect(result.duplicate).toBe(false);
+    });
+
+    test('should start a run for an amendment once the original run finished, inside the window', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-created', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await recordWebhookQueued({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await updateWebhookEvent('wh_1_aaaaaaaa', { status: 'COMPLETED' }, mockContext);
+
+      const amendment = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-updated', tenancyId: 'TEN_001', agencyRef, eventType: 'Tenancy.Updated'
+      }, mockContext);
+      const redelivery = await claimWebhookEvent({
+        webhookId: 'wh_3_dddddddd', sourceSystem: 'alto', eventId: 'evt-created', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(amendment.duplicate).toBe(false);
+      expect(redelivery).toMatchObject({ duplicate: true, reason: 'DUPLICATE_EVENT', originalWebhookId: 'wh_1_aaaaaaaa' });
+    });
+
+    test('should accept a redelivery once the claims of an unqueued webhook are released', async () => {
+      const claim = await claimWebhookEvent({
+        webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+      expect(claim.claims).toHaveLength(2);
+
+      await releaseWebhookClaims('wh_1_aaaaaaaa', claim.claims, mockContext);
+
+      const redelivery = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-1', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+      expect(redelivery.duplicate).toBe(false);
+    });
+
+    test('should mark a webhook that could not be queued as failed and free its tenancy', async () => {
+      const claim = await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await recordWebhookQueued({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+
+      await abandonWebhookEvent('wh_1_aaaaaaaa', claim.claims, new Error('Queue unavailable'), mockContext);
+
+      expect(await getWebhookEvent('wh_1_aaaaaaaa', mockContext)).toMatchObject({ status: 'FAILED', lastError: 'Not queued: Queue unavailable' });
+      const retry = await claimWebhookEvent({ webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      expect(retry.duplicate).toBe(false);
+    });
+
+    test('should let updates through for a tenancy whose run is waiting on data', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-created', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await recordWebhookQueued({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+      await updateWebhookEvent('wh_1_aaaaaaaa', { status: 'PENDING' }, mockContext);
+
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-updated', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(result.duplicate).toBe(false);
+    });
+
+    test('should keep tenancies from different source systems separate', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', tenancyId: 'TEN_001', agencyRef }, mockContext);
+
+      const result = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'jupix', tenancyId: 'TEN_001', agencyRef
+      }, mockContext);
+
+      expect(result.duplicate).toBe(false);
+    });
+
+    test('should claim repayment events separately from deposit runs for the same tenancy', async () => {
+      await claimWebhookEvent({ webhookId: 'wh_1_aaaaaaaa', sourceSystem: 'alto', eventId: 'evt-updated', tenancyId: 'TEN_001', agencyRef, eventType: 'Tenancy.Updated' }, mockContext);
+
+      const ended = await claimWebhookEvent({
+        webhookId: 'wh_2_cccccccc', sourceSystem: 'alto', eventId: 'evt-ended', tenancyId: 'TEN_001', agencyRef, eventType: 'Tenancy.Ended'
+      }, mockContext);
+      const released = await claimWebhookEvent({
+        webhookId: 'wh_3_dddddddd', sourceSystem: 'alto', eventId: 'evt-released', tenancyId: 'TEN_001', agencyRef, eventType: 'Deposit.Released'
+      }, mockContext);
+
+      expect(ended.duplicate).toBe(false);
+      expect(released).toMatchObject({ duplicate: true, reason: 'TENANCY_IN_FLIGHT', originalWebhookId: 'wh_2_cccccccc' });
+    });
+  });
+
+  describe('raw payload storage', () => {
+    const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const message = {
+      webhookId: 'wh_1_rawpayld',
+      sourceSystem: 'alto',
+      tenancyId: 'TEN_001',
+      agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322'
+    };
+
+    beforeEach(() => {
+      TableClient.reset();
+    });
+
+    test('should store the raw body encrypted with the signature result', async () => {
+      const rawBody = JSON.stringify({ specversion: '1.0', id: 'evt-1', data: { tenantName: 'Tara Tenant' } });
+      await recordWebhookQueued(message, mockContext);
+
+      const stored = await storeRawWebhookPayload(message.webhookId, rawBody, {
+        status: 'verified',
+        verifiedAt: '2025-11-01T10:00:00.000Z'
+      }, mockContext);
+
+      const row = await TableClient.fromConnectionString('', 'WebhookEvents').getEntity('WebhookEvent', message.webhookId);
+      expect(stored).toBe(true);
+      expect(row.rawPayload).toMatch(/^ENC_AES256_/);
+      expect(row.rawPayload).not.toContain('Tara Tenant');
+
+      const replay = await getRawWebhookPayload(message.webhookId, mockContext);
+      expect(replay.rawBody).toBe(rawBody);
+      expect(replay.signatureVerification).toEqual({ status: 'verified', verifiedAt: '2025-11-01T10:00:00.000Z' });
+      expect(replay.event.replayable).toBe(true);
+    });
+
+    test('should mark oversized payloads as not replayable', async () => {
+      await recordWebhookQueued(message, mockContext);
+
+      const stored = await storeRawWebhookPayload(message.webhookId, 'x'.repeat(40000), { status: 'skipped' }, mockContext);
+
+      expect(stored).toBe(false);
+      expect(await getRawWebhookPayload(message.webhookId, mockContext)).toBeNull();
+      expect((await getWebhookEvent(message.webhookId, mockContext)).signatureStatus).toBe('skipped');
+    });
+
+    test('should return null for unknown webhooks', async () => {
+      expect(await getRawWebhookPayload('wh_2_unknown1', mockContext)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for Webhook Signature Verification
+ *
+ * Tests:
+ * - Timestamp parsing
+ * - Permissive and strict mode handling of unsigned and stale webhooks
+ * - Current and previous secrets (environment and per-agency)
+ * - Secret rotation grace period
+ */
+
+process.env.PII_ENCRYPTION_KEY_LOCAL = require('crypto').randomBytes(32).toString('base64');
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  computeSignature,
+  parseWebhookTimestamp,
+  verifyWebhookSignature,
+  rotateWebhookSecret,
+  retirePreviousWebhookSecret,
+  getWebhookSecretStatus
+} = require('../webhook-signature');
+
+describe('Webhook Signature', () => {
+  const agencyRef = '1af89d60-662c-475b-bcc8-9bcbf04b6322';
+  const rawBody = JSON.stringify({ specversion: '1.0', id: 'evt-1', data: { agencyRef } });
+  const now = Date.parse('2025-11-01T10:00:00.000Z');
+  const timestamp = String(Math.floor(now / 1000));
+  const mockContext = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const originalEnv = { ...process.env };
+
+  const signedWebhook = (secret, signedAt = timestamp) => ({
+    sourceSystem: 'alto',
+    agencyRef,
+    rawBody,
+    signature: computeSignature(secret, rawBody, signedAt),
+    timestamp: signedAt
+  });
+
+  beforeEach(() => {
+    TableClient.reset();
+    process.env = { ...originalEnv };
+    delete process.env.ALTO_WEBHOOK_SECRET;
+    delete process.env.ALTO_WEBHOOK_SECRET_PREVIOUS;
+    delete process.env.WEBHOOK_SIGNATURE_STRICT;
+    delete process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseWebhookTimestamp', () => {
+    test('should accept Unix seconds, milliseconds and ISO dates', () => {
+      expect(parseWebhookTimestamp('1761991200')).toBe(1761991200000);
+      expect(parseWebhookTimestamp('1761991200000')).toBe(1761991200000);
+      expect(parseWebhookTimestamp('2025-11-01T10:00:00.000Z')).toBe(now);
+    });
+
+    test('should return NaN for missing or invalid timestamps', () => {
+      expect(parseWebhookTimestamp('')).toBeNaN();
+      expect(parseWebhookTimestamp('yesterday')).toBeNaN();
+    });
+  });
+
+  describe('permissive mode', () => {
+    test('should skip verification when no secret is configured', async () => {
+      const result = await verifyWebhookSignature({ sourceSystem: 'alto', agencyRef, rawBody }, mockContext, now);
+
+      expect(result).toMatchObject({ valid: true, status: 'skipped', reason: 'NO_SECRET_CONFIGURED' });
+    });
+
+    test('should verify a signature made with the current secret', async () => {
+      process.env.ALTO_WEBHOOK_SECRET = 'current-secret';
+
+      const result = await verifyWebhookSignature(signedWebhook('current-secret'), mockContext, now);
+
+      expect(result).toMatchObject({ valid: true, status: 'verified', secretUsed: 'current', agencySpecific: false });
+    });
+
+    test('should always reject an invalid signature', async () => {
+      process.env.ALTO_WEBHOOK_SECRET = 'current-secret';
+
+      const result = await verifyWebhookSignature(signedWebhook('wrong-secret'), mockContext, now);
+
+      expect(result).toMatchObject({ valid: false, reason: 'SIGNATURE_MISMATCH' });
+    });
+
+    test('should accept a stale but valid signature with a warning', async () => {
+      process.env.ALTO_WEBHOOK_SECRET = 'current-secret';
+
+      const result = await verifyWebhookSignature(signedWebhook('current-secret', String(Number(timestamp) - 3600)), mockContext, now);
+
+      expect(result).toMatchObject({ valid: true, status: 'verified', reason: 'STALE_TIMESTAMP' });
+    });
+  });
+
+  describe('strict mode', () => {
+    beforeEach(() => {
+      process.env.WEBHOOK_SIGNATURE_STRICT = 'true';
+      process.env.ALTO_WEBHOOK_SECRET = 'current-secret';
+    });
+
+    test('should reject unsigned webhooks', async () => {
+      const result = await verifyWebhookSignature({ sourceSystem: 'alto', agencyRef, rawBody }, mockContext, now);
+
+      expect(result).toMatchObject({ valid: false, status: 'rejected', reason: 'MISSING_SIGNATURE' });
+    });
+
+    test('should reject timestamps outside the tolerance', async () => {
+      process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = '60';
+
+      const fresh = await verifyWebhookSignature(signedWebhook('current-secret', String(Number(timestamp) - 30)), mockContext, now);
+      const stale = await verifyWebhookSignature(signedWebhook('current-secret', String(Number(timestamp) - 120)), mockContext, now);
+
+      expect(fresh.valid).toBe(true);
+      expect(stale).toMatchObject({ valid: false, reason: 'STALE_TIMESTAMP' });
+    });
+
+    test('should reject when no secret is configured', async () => {
+      delete process.env.ALTO_WEBHOOK_SECRET;
+
+      const result = await verifyWebhookSignature(signedWebhook('anything'), mockContext, now);
+
+      expect(result).toMatchObject({ valid: false, reason: 'NO_SECRET_CONFIGURED' });
+    });
+  });
+
+  describe('secret rotation', () => {
+    test('should accept the previous environment secret', async () => {
+      process.env.ALTO_WEBHOOK_SECRET = 'new-secret';
+      process.env.ALTO_WEBHOOK_SECRET_PREVIOUS = 'old-secret';
+
+      const result = await verifyWebhookSignature(signedWebhook('old-secret'), mockContext, now);
+
+      expect(result).toMatchObject({ valid: true, secretUsed: 'previous' });
+    });
+
+    test('should prefer agency secrets over the environment secret', async () => {
+      process.env.ALTO_WEBHOOK_SECRET = 'environment-secret';
+      await rotateWebhookSecret('alto', agencyRef, 'agency-secret', {}, mockContext);
+
+      const agencySigned = await verifyWebhookSignature(signedWebhook('agency-secret'), mockContext, now);
+      const environmentSigned = await verifyWebhookSignature(signedWebhook('environment-secret'), mockContext, now);
+
+      expect(agencySigned).toMatchObject({ valid: true, agencySpecific: true, secretUsed: 'current' });
+      expect(environmentSigned.valid).toBe(false);
+    });
+
+    test('should keep the previous agency secret valid for the grace period', async () => {
+      await rotateWebhookSecret('alto', agencyRef, 'first-secret', {}, mockContext);
+      const status = await rotateWebhookSecret('alto', agencyRef, 'second-secret', { graceHours: 24 }, mockContext);
+      const rotatedAt = Date.parse(status.rotatedAt);
+
+      const duringGrace = await verifyWebhookSignature(signedWebhook('first-secret'), mockContext, rotatedAt + 60 * 60 * 1000);
+      const afterGrace = await verifyWebhookSignature(signedWebhook('first-secret'), mockContext, rotatedAt + 25 * 60 * 60 * 1000);
+
+      expect(status.hasPreviousSecret).toBe(true);
+      expect(duringGrace).toMatchObject({ valid: true, secretUsed: 'previous' });
+      expect(afterGrace).toMatchObject({ valid: false, reason: 'SIGNATURE_MISMATCH' });
+    });
+
+    test('should stop accepting the previous secret once retired', async () => {
+      await rotateWebhookSecret('alto', agencyRef, 'first-secret', {}, mockContext);
+      await rotateWebhookSecret('alto', agencyRef, 'second-secret', {}, mockContext);
+      await retirePreviousWebhookSecret('alto', agencyRef, mockContext);
+
+      const result = await verifyWebhookSignature(signedWebhook('first-secret'), mockContext, Date.now());
+
+      expect(result.valid).toBe(false);
+      expect((await getWebhookSecretStatus('alto', agencyRef)).hasPreviousSecret).toBe(false);
+    });
+
+    test('should never store or report secrets in plain text', async () => {
+      const status = await rotateWebhookSecret('alto', agencyRef, 'agency-secret', {}, mockContext);
+      const row = await TableClient.fromConnectionString('', 'WebhookSecrets').getEntity('alto', agencyRef);
+
+      expect(row.currentSecret).toMatch(/^ENC_AES256_/);
+      expect(JSON.stringify(status)).not.toContain('agency-secret');
+    });
+  });
+});
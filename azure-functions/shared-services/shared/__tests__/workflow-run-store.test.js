@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Workflow Run Store
+ *
+ * Tests:
+ * - Run and checkpoint persistence (checkpoint PII encrypted at rest)
+ * - Step timeline ordering across attempts
+ * - Resumable run detection and selection
+ */
+
+process.env.PII_ENCRYPTION_KEY_LOCAL = require('crypto').randomBytes(32).toString('base64');
+
+jest.mock('@azure/data-tables', () => require('./helpers/table-client-mock'));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  saveWorkflowRun,
+  saveWorkflowStep,
+  getWorkflowRun,
+  listWorkflowSteps,
+  getWorkflowTimeline,
+  findResumableRun,
+  isRunResumable,
+  isSubmissionOutcomeUnknown,
+  selectResumableRun
+} = require('../workflow-run-store');
+
+describe('Workflow Run Store', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+  const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+  const run = (overrides = {}) => ({
+    workflowId: 'wf_1700000000000_abc12345',
+    status: 'FAILED',
+    tdsSubmitted: false,
+    currentStep: 'store_integration',
+    webhookId: 'wh_1700000000000_aaaaaaaa',
+    startedAt: minutesAgo(60),
+    updatedAt: minutesAgo(59),
+    ...overrides
+  });
+
+  describe('persistence', () => {
+    test('should store the checkpoint encrypted and flag TDS submission', async () => {
+      const workflowId = 'wf_1700000000001_abc12345';
+      const tdsPayload = { tenancyId: 'TEN_1', tenants: [{ firstName: 'Sarah', email: 'sarah@example.com' }] };
+
+      await saveWorkflowRun({ workflowId, tenancyId: 'TEN_1', status: 'RUNNING', workflowData: { tenancyId: 'TEN_1' } });
+      await saveWorkflowRun({
+        workflowId,
+        checkpoint: { step: 'create_tds_deposit', tdsPayload, tdsResult: { success: true, dan: 'DAN1' } }
+      });
+
+      const stored = await TableClient.fromConnectionString('', 'WorkflowRuns').getEntity('WorkflowRun', workflowId);
+      expect(stored.checkpoint).not.toContain('sarah@example.com');
+
+      const loaded = await getWorkflowRun(workflowId, null, { includeCheckpoint: true });
+      expect(loaded).toMatchObject({
+        status: 'RUNNING',
+        tdsSubmitted: true,
+        checkpointStep: 'create_tds_deposit',
+        workflowData: { tenancyId: 'TEN_1' }
+      });
+      expect(loaded.checkpoint.tdsPayload).toEqual(tdsPayload);
+      expect(loaded.checkpoint.tdsResult.dan).toBe('DAN1');
+    });
+
+    test('should return the timeline in order across attempts', async () => {
+      const workflowId = 'wf_1700000000002_abc12345';
+      const step = (attempt, sequence, name, status) => saveWorkflowStep(workflowId, {
+        attempt, sequence, step: name, status, timestamp: now.toISOString(), result: { ok: status === 'completed' }
+      });
+
+      await saveWorkflowRun({ workflowId, tenancyId: 'TEN_2', status: 'FAILED' });
+      await step(1, 1, 'fetch_alto_data', 'completed');
+      await step(1, 2, 'create_tds_deposit', 'completed');
+      await step(1, 3, 'store_integration', 'failed');
+      await step(2, 3, 'store_integration', 'completed');
+
+      const timeline = await getWorkflowTimeline(workflowId);
+
+      expect(timeline.resumable).toBe(true);
+      expect(timeline.steps.map(s => [s.attempt, s.step, s.status])).toEqual([
+        [1, 'fetch_alto_data', 'completed'],
+        [1, 'create_tds_deposit', 'completed'],
+        [1, 'store_integration', 'failed'],
+        [2, 'store_integration', 'completed']
+      ]);
+      expect(timeline.steps[0].result).toEqual({ ok: true });
+    });
+
+    test('should return null for an unknown run', async () => {
+      expect(await getWorkflowTimeline('wf_1700000000009_zzzzzzzz')).toBeNull();
+    });
+
+    test('should escape quotes in query filters', async () => {
+      const filters = [];
+      jest.spyOn(TableClient.prototype, 'listEntities').mockImplementation(async function* ({ queryOptions }) {
+        filters.push(queryOptions.filter);
+      });
+
+      await listWorkflowSteps("wf_1' or PartitionKey ne '");
+      await findResumableRun({ sourceSystem: 'alto', agencyRef: "O'Brien Lettings", tenancyId: 'TEN_1' });
+
+      expect(filters[0]).toBe("PartitionKey eq 'wf_1'' or PartitionKey ne '''");
+      expect(filters[1]).toContain("agencyRef eq 'O''Brien Lettings'");
+    });
+  });
+
+  describe('isRunResumable', () => {
+    test('should resume failed runs and stale running runs only', () => {
+      expect(isRunResumable(run(), now)).toBe(true);
+      expect(isRunResumable(run({ status: 'RUNNING', updatedAt: minutesAgo(30) }), now)).toBe(true);
+      expect(isRunResumable(run({ status: 'RUNNING', updatedAt: minutesAgo(2) }), now)).toBe(false);
+      expect(isRunResumable(run({ status: 'COMPLETED' }), now)).toBe(false);
+    });
+  });
+
+  describe('isSubmissionOutcomeUnknown', () => {
+    test('should flag runs interrupted during a TDS submission', () => {
+      expect(isSubmissionOutcomeUnknown(run({ status: 'RUNNING', currentStep: 'create_tds_deposit' }))).toBe(true);
+      expect(isSubmissionOutcomeUnknown(run({ status: 'NEEDS_REVIEW' }))).toBe(true);
+      expect(isSubmissionOutcomeUnknown(run({ status: 'FAILED', failedStep: 'store_integration' }))).toBe(false);
+      expect(isSubmissionOutcomeUnknown(run({ status: 'RUNNING', currentStep: 'create_tds_deposit', tdsSubmitted: true }))).toBe(false);
+    });
+
+    test('should flag runs that failed during a TDS submission without a result', () => {
+      const failed = run({ currentStep: 'create_tds_deposit', failedStep: 'create_tds_deposit' });
+
+      expect(isSubmissionOutcomeUnknown(failed)).toBe(true);
+      expect(isSubmissionOutcomeUnknown({ ...failed, tdsSubmitted: true })).toBe(false);
+      // The retry of the same webhook selects it, so the orchestrator blocks it for review
+      expect(selectResumableRun([failed], { webhookId: failed.webhookId, now })).toBe(failed);
+    });
+  });
+
+  describe('selectResumableRun', () => {
+    test('should resume a run whose deposit was submitted, whatever the webhook', () => {
+      const submitted = run({ tdsSubmitted: true });
+
+      expect(selectResumableRun([submitted], { webhookId: 'wh_other', now })).toBe(submitted);
+      expect(selectResumableRun([submitted], { now })).toBe(submitted);
+    });
+
+    test('should only resume other failed runs when the same webhook is retried', () => {
+      const failed = run();
+
+      expect(selectResumableRun([failed], { webhookId: failed.webhookId, now })).toBe(failed);
+      expect(selectResumableRun([failed], { webhookId: 'wh_other', now })).toBeNull();
+    });
+
+    test('should pick the most recent candidate and ignore runs still in progress', () => {
+      const older = run({ workflowId: 'wf_old', tdsSubmitted: true, startedAt: minutesAgo(120) });
+      const newer = run({ workflowId: 'wf_new', tdsSubmitted: true, startedAt: minutesAgo(60) });
+      const live = run({ workflowId: 'wf_live', status: 'RUNNING', tdsSubmitted: true, startedAt: minutesAgo(1), updatedAt: minutesAgo(1) });
+
+      expect(selectResumableRun([older, live, newer], { now }).workflowId).toBe('wf_new');
+    });
+
+    test('should resume a renewal interrupted during its TDS submission for review, whatever the webhook', () => {
+      const renewal = run({ status: 'RUNNING', currentStep: 'renew_tds_deposit' });
+
+      expect(isSubmissionOutcomeUnknown(renewal)).toBe(true);
+      expect(selectResumableRun([renewal], { webhookId: 'wh_other', now })).toBe(renewal);
+    });
+  });
+});
@@ -238,6 +238,97 @@ class AltoAPIClient {
         }
     }
 
+    /**
+     * List tenancies matching a query
+     * Follows pagination until all pages are read (bounded by maxPages)
+     * @param {string} agencyRef - The agency reference for authorization
+     * @param {Object} query - Alto query parameters (e.g. modifiedSince, startDateFrom, startDateTo, status)
+     * @param {Object} options - { pageSize, maxPages }
+     * @returns {Promise<Array<{ id, branchId, status, startDate, createdDate, modifiedDate }>>}
+     */
+    async listTenancies(agencyRef, query = {}, { pageSize = 100, maxPages = 50 } = {}) {
+        if (!agencyRef) {
+            throw new Error('agencyRef is required to list tenancies from Alto API');
+        }
+
+        const tenancies = [];
+
+        for (let page = 1; page <= maxPages; page++) {
+            const params = new URLSearchParams();
+            for (const [key, value] of Object.entries(query)) {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.append(key, String(value));
+                }
+            }
+            params.append('page', String(page));
+            params.append('pageSize', String(pageSize));
+
+            const response = await this.makeRequest('GET', `/tenancies?${params.toString()}`, null, agencyRef);
+            const items = Array.isArray(response) ? response : (response?.items || []);
+
+            for (const item of items) {
+                tenancies.push({
+                    id: String(item.id),
+                    branchId: item.branchId ? String(item.branchId) : null,
+                    status: item.status || null,
+                    startDate: item.startDate || null,
+                    createdDate: item.createdDate || item.created || null,
+                    modifiedDate: item.modifiedDate || item.lastUpdated || item.modified || null
+                });
+            }
+
+            const totalCount = response?.totalCount;
+            if (items.length < pageSize || (totalCount !== undefined && tenancies.length >= totalCount)) {
+                break;
+            }
+
+            if (page === maxPages) {
+                this.context?.warn(`⚠️ Alto tenancy listing for agency ${agencyRef} stopped at ${maxPages} pages`);
+            }
+        }
+
+        return tenancies;
+    }
+
+    /**
+     * List tenancies created or updated since a point in time
+     * @param {string} agencyRef - The agency reference for authorization
+     * @param {string} modifiedSince - ISO 8601 timestamp
+     * @param {Object} options - { pageSize, maxPages }
+     */
+    async listTenanciesModifiedSince(agencyRef, modifiedSince, options = {}) {
+        return this.listTenancies(agencyRef, { modifiedSince }, options);
+    }
+
+    /**
+     * Update a tenancy's deposit protection details (TDS DAN and protection date)
+     * @param {string} tenancyId - The tenancy ID to update
+     * @param {string} agencyRef - The agency reference for authorization
+     * @param {Object} deposit - { reference, protectedDate, scheme }
+     */
+    async updateTenancyDepositProtection(tenancyId, agencyRef, { reference, protectedDate, scheme }) {
+        return this.makeRequest('PATCH', `/tenancies/${tenancyId}/deposit`, {
+            protectionReference: reference,
+            protectedDate,
+            scheme
+        }, agencyRef);
+    }
+
+    /**
+     * Attach a document to a tenancy
+     * @param {string} tenancyId - The tenancy ID to attach the document to
+     * @param {string} agencyRef - The agency reference for authorization
+     * @param {Object} document - { fileName, contentType, content (base64), description }
+     */
+    async uploadTenancyDocument(tenancyId, agencyRef, { fileName, contentType, content, description }) {
+        return this.makeRequest('POST', `/tenancies/${tenancyId}/documents`, {
+            fileName,
+            contentType,
+            content,
+            description
+        }, agencyRef);
+    }
+
     /**
      * Health check
      */
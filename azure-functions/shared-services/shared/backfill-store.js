@@ -0,0 +1,417 @@
+/**
+ * Backfill Store Module
+ *
+ * Jobs and per-tenancy progress for bulk backfill imports, which bring the
+ * existing tenancies of a newly onboarded agency onto the integration.
+ *
+ * Key Features:
+ * - Tenancy filtering by date range, status and branch
+ * - CSV parsing for the upload fallback
+ * - Planning: tenancies the integration already has a record of are skipped
+ * - Resumable progress (every tenancy has its own item record)
+ *
+ * Storage:
+ * - Uses Azure Table Storage (BackfillJobs, BackfillItems tables)
+ * - Items: partition key = job ID, row key = tenancy ID
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const { parseCsv } = require('./csv-parser');
+
+const BACKFILL_JOBS_PARTITION = 'BackfillJob';
+
+const BACKFILL_JOB_STATUSES = ['PREVIEW', 'RUNNING', 'PAUSED', 'COMPLETED', 'CANCELLED'];
+const BACKFILL_ITEM_STATUSES = ['PENDING', 'SKIPPED', 'QUEUED', 'FAILED'];
+
+const MAX_CSV_ROWS = 5000;
+const TRANSACTION_BATCH_SIZE = 100; // Table Storage limit per transaction
+
+const CSV_TENANCY_ID_HEADERS = ['tenancyid', 'tenancy_id', 'tenancy id', 'tenancyref', 'id'];
+const CSV_BRANCH_ID_HEADERS = ['branchid', 'branch_id', 'branch id', 'branch'];
+
+const initializedTables = new Set();
+
+/**
+ * Get table client
+ * @param {string} tableName - Table name
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient(tableName) {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, tableName);
+}
+
+/**
+ * Ensure a table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (initializedTables.has(tableClient.tableName)) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  initializedTables.add(tableClient.tableName);
+}
+
+/**
+ * Make a value safe for use as a table RowKey
+ */
+function toRowKey(value) {
+  return String(value).replace(/[\\/#?\u0000-\u001f\u007f-\u009f]/g, '_');
+}
+
+/**
+ * Parse an uploaded CSV of tenancies
+ *
+ * The first row may be a header with a tenancy ID column (and optionally a branch
+ * column). Without a recognised header, the first column is read as tenancy IDs.
+ *
+ * @param {string} csvText - CSV file contents
+ * @returns {{ tenancies: Array<{ id, branchId }>, errors: Array<{ line, message }> }}
+ */
+function parseTenancyCsv(csvText) {
+  const rows = parseCsv(csvText);
+  const tenancies = [];
+  const errors = [];
+
+  let idColumn = 0;
+  let branchColumn = -1;
+  let firstDataRow = 0;
+
+  const header = (rows[0]?.values || []).map(value => value.toLowerCase());
+  const headerIdColumn = header.findIndex(value => CSV_TENANCY_ID_HEADERS.includes(value));
+
+  if (headerIdColumn !== -1) {
+    idColumn = headerIdColumn;
+    branchColumn = header.findIndex(value => CSV_BRANCH_ID_HEADERS.includes(value));
+    firstDataRow = 1;
+  }
+
+  for (const { line, values } of rows.slice(firstDataRow)) {
+    if (tenancies.length >= MAX_CSV_ROWS) {
+      errors.push({ line, message: `CSV exceeds ${MAX_CSV_ROWS} tenancies - remaining rows ignored` });
+      break;
+    }
+
+    const id = values[idColumn];
+
+    if (!id || id.length > 200) {
+      errors.push({ line, message: 'Missing or invalid tenancy ID' });
+      continue;
+    }
+
+    tenancies.push({
+      id,
+      branchId: branchColumn !== -1 && values[branchColumn] ? values[branchColumn] : null
+    });
+  }
+
+  return { tenancies, errors };
+}
+
+/**
+ * Filter listed tenancies by backfill criteria
+ *
+ * @param {Array} tenancies - Tenancies from the source system listing
+ * @param {Object} criteria
+ * @param {Date|string} criteria.from - Start of the date range
+ * @param {Date|string} criteria.to - End of the date range
+ * @param {string} criteria.dateField - Tenancy date to filter on ('startDate', 'createdDate')
+ * @param {Array<string>} criteria.statuses - Tenancy statuses to include (optional)
+ * @param {Array<string>} criteria.branchIds - Branches to include (optional)
+ * @returns {Array} - Matching tenancies
+ */
+function filterTenancies(tenancies, { from, to, dateField = 'startDate', statuses, branchIds } = {}) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const statusSet = statuses && statuses.length > 0 ? new Set(statuses.map(status => status.toLowerCase())) : null;
+
+  return tenancies.filter(tenancy => {
+    const date = new Date(tenancy[dateField]).getTime();
+    if (Number.isNaN(date) || date < fromTime || date > toTime) {
+      return false;
+    }
+
+    if (statusSet && !statusSet.has(String(tenancy.status || '').toLowerCase())) {
+      return false;
+    }
+
+    return !branchIds || branchIds.length === 0 || branchIds.includes(tenancy.branchId);
+  });
+}
+
+/**
+ * Plan backfill items for a list of tenancies
+ *
+ * @param {Array} tenancies - Tenancies to import ({ id, branchId, startDate })
+ * @param {Map<string, string>} integratedTenancyIds - Tenancy ID → existing record location
+ * @returns {Array} - Items (duplicates removed; already integrated tenancies SKIPPED)
+ */
+function planBackfillItems(tenancies, integratedTenancyIds = new Map()) {
+  const items = new Map();
+
+  for (const tenancy of tenancies) {
+    const tenancyId = String(tenancy.id);
+    if (items.has(tenancyId)) {
+      continue;
+    }
+
+    const existingRecord = integratedTenancyIds.get(tenancyId);
+
+    items.set(tenancyId, {
+      tenancyId,
+      branchId: tenancy.branchId || null,
+      startDate: tenancy.startDate || null,
+      status: existingRecord ? 'SKIPPED' : 'PENDING',
+      skipReason: existingRecord ? `ALREADY_INTEGRATED (${existingRecord})` : null
+    });
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Create a backfill job and its items
+ *
+ * @param {Object} job - Job fields (jobId, agencyRef, sourceSystem, status, ...)
+ * @param {Array} items - Items from planBackfillItems()
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - Created job
+ */
+async function createBackfillJob(job, items, context) {
+  const itemsClient = getTableClient('BackfillItems');
+  await ensureTable(itemsClient);
+
+  const actions = items.map(item => ['upsert', {
+    partitionKey: job.jobId,
+    rowKey: toRowKey(item.tenancyId),
+    tenancyId: item.tenancyId,
+    branchId: item.branchId || '',
+    startDate: item.startDate || '',
+    status: item.status,
+    skipReason: item.skipReason || '',
+    updatedAt: new Date().toISOString()
+  }, 'Replace']);
+
+  for (let i = 0; i < actions.length; i += TRANSACTION_BATCH_SIZE) {
+    await itemsClient.submitTransaction(actions.slice(i, i + TRANSACTION_BATCH_SIZE));
+  }
+
+  const jobsClient = getTableClient('BackfillJobs');
+  await ensureTable(jobsClient);
+
+  const entity = {
+    partitionKey: BACKFILL_JOBS_PARTITION,
+    rowKey: job.jobId,
+    ...job,
+    criteria: JSON.stringify(job.criteria || {}),
+    totalCount: items.length,
+    pendingCount: items.filter(item => item.status === 'PENDING').length,
+    skippedCount: items.filter(item => item.status === 'SKIPPED').length,
+    queuedCount: 0,
+    failedCount: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await jobsClient.createEntity(entity);
+
+  context?.log(`📦 Backfill job ${job.jobId} created: ${entity.totalCount} tenancies (${entity.pendingCount} to import, ${entity.skippedCount} skipped)`);
+
+  return formatBackfillJob(entity);
+}
+
+/**
+ * Get a backfill job
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job or null if not found
+ */
+async function getBackfillJob(jobId) {
+  const tableClient = getTableClient('BackfillJobs');
+  await ensureTable(tableClient);
+
+  try {
+    return formatBackfillJob(await tableClient.getEntity(BACKFILL_JOBS_PARTITION, jobId));
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List backfill jobs, most recent first
+ *
+ * @param {Object} options
+ * @param {string} options.status - Job status filter (optional)
+ * @param {string} options.agencyRef - Agency filter (optional)
+ * @param {number} options.limit - Maximum number of jobs to return
+ * @returns {Promise<Array>} - Jobs
+ */
+async function listBackfillJobs({ status, agencyRef, limit = 100 } = {}) {
+  const tableClient = getTableClient('BackfillJobs');
+  await ensureTable(tableClient);
+
+  const filters = [`PartitionKey eq '${BACKFILL_JOBS_PARTITION}'`];
+  if (status) filters.push(`status eq '${status}'`);
+  if (agencyRef) filters.push(`agencyRef eq '${agencyRef}'`);
+
+  const jobs = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: filters.join(' and ') }
+  });
+
+  for await (const entity of entities) {
+    jobs.push(formatBackfillJob(entity));
+  }
+
+  jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return jobs.slice(0, limit);
+}
+
+/**
+ * Update a backfill job
+ *
+ * @param {string} jobId - Job ID
+ * @param {Object} updates - Fields to merge
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function updateBackfillJob(jobId, updates, context) {
+  const tableClient = getTableClient('BackfillJobs');
+  await ensureTable(tableClient);
+
+  const entity = {
+    partitionKey: BACKFILL_JOBS_PARTITION,
+    rowKey: jobId,
+    updatedAt: new Date().toISOString()
+  };
+
+  for (const [key, value] of Object.entries(updates)) {
+    entity[key] = value === null || value === undefined ? '' : value;
+  }
+
+  await tableClient.updateEntity(entity, 'Merge');
+
+  if (updates.status) {
+    context?.log(`📝 Backfill job ${jobId} status: ${updates.status}`);
+  }
+}
+
+/**
+ * List the items of a backfill job
+ *
+ * @param {string} jobId - Job ID
+ * @param {Object} options
+ * @param {string} options.status - Item status filter (optional)
+ * @param {number} options.limit - Maximum number of items to return
+ * @returns {Promise<Array>} - Items
+ */
+async function listBackfillItems(jobId, { status, limit = 1000 } = {}) {
+  const tableClient = getTableClient('BackfillItems');
+  await ensureTable(tableClient);
+
+  const filters = [`PartitionKey eq '${jobId}'`];
+  if (status) filters.push(`status eq '${status}'`);
+
+  const items = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: filters.join(' and ') }
+  });
+
+  for await (const entity of entities) {
+    items.push({
+      tenancyId: entity.tenancyId,
+      branchId: entity.branchId || null,
+      startDate: entity.startDate || null,
+      status: entity.status,
+      skipReason: entity.skipReason || null,
+      webhookId: entity.webhookId || null,
+      error: entity.error || null,
+      queuedAt: entity.queuedAt || null
+    });
+
+    if (items.length >= limit) {
+      break;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Update a backfill item
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} tenancyId - Tenancy ID
+ * @param {Object} updates - Fields to merge (status, webhookId, skipReason, error...)
+ */
+async function updateBackfillItem(jobId, tenancyId, updates) {
+  const tableClient = getTableClient('BackfillItems');
+  await ensureTable(tableClient);
+
+  const entity = {
+    partitionKey: jobId,
+    rowKey: toRowKey(tenancyId),
+    updatedAt: new Date().toISOString()
+  };
+
+  for (const [key, value] of Object.entries(updates)) {
+    entity[key] = value === null || value === undefined ? '' : value;
+  }
+
+  await tableClient.updateEntity(entity, 'Merge');
+}
+
+/**
+ * Format a job entity for API responses
+ */
+function formatBackfillJob(entity) {
+  const total = entity.totalCount || 0;
+  const done = (entity.skippedCount || 0) + (entity.queuedCount || 0) + (entity.failedCount || 0);
+
+  return {
+    jobId: entity.rowKey,
+    agencyRef: entity.agencyRef,
+    branchId: entity.branchId || null,
+    sourceSystem: entity.sourceSystem,
+    environment: entity.environment || null,
+    enumeration: entity.enumeration,
+    status: entity.status,
+    criteria: entity.criteria ? JSON.parse(entity.criteria) : {},
+    ratePerMinute: entity.ratePerMinute,
+    totalCount: total,
+    pendingCount: entity.pendingCount || 0,
+    skippedCount: entity.skippedCount || 0,
+    queuedCount: entity.queuedCount || 0,
+    failedCount: entity.failedCount || 0,
+    percentComplete: total > 0 ? Math.round((done / total) * 100) : 100,
+    createdBy: entity.createdBy || null,
+    createdAt: entity.createdAt,
+    startedAt: entity.startedAt || null,
+    completedAt: entity.completedAt || null,
+    lastProcessedAt: entity.lastProcessedAt || null,
+    updatedAt: entity.updatedAt
+  };
+}
+
+module.exports = {
+  BACKFILL_JOB_STATUSES,
+  BACKFILL_ITEM_STATUSES,
+  parseTenancyCsv,
+  filterTenancies,
+  planBackfillItems,
+  createBackfillJob,
+  getBackfillJob,
+  listBackfillJobs,
+  updateBackfillJob,
+  listBackfillItems,
+  updateBackfillItem
+};
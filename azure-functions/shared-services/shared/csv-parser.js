@@ -0,0 +1,73 @@
+/**
+ * CSV Parser Module
+ *
+ * Minimal RFC 4180 CSV parsing for file uploads (backfill tenancy lists,
+ * deposit uploads).
+ *
+ * Key Features:
+ * - Quoted values with embedded commas, quotes and line breaks
+ * - CRLF and LF line endings, UTF-8 byte order mark
+ * - Source line numbers on every row, for per-row error reports
+ */
+
+/**
+ * Parse CSV text into rows
+ *
+ * @param {string} csvText - CSV file contents
+ * @returns {Array<{ line: number, values: Array<string> }>} - Non-blank rows with trimmed values
+ */
+function parseCsv(csvText) {
+  const text = String(csvText || '').replace(/^﻿/, '');
+  const rows = [];
+
+  let values = [];
+  let current = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(current.trim());
+    if (values.some(value => value !== '')) {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      current += char;
+    }
+  }
+
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,61 @@
+/**
+ * Data Completeness Module
+ *
+ * The one completeness check used by the workflow orchestrator, the polling service and
+ * manual retries, so a tenancy is judged the same way wherever it is looked at. The field
+ * rules live in the source adapter (validateCompleteness); this module turns its result
+ * into a single outcome:
+ * - rejected: permanently out of scope (e.g. a deposit scheme not enabled for TDS)
+ * - complete: ready to register with TDS
+ * - pending: incomplete, wait for the missing data to be added in the source system
+ * - invalid: incomplete and missing core tenancy or property data
+ *
+ * Pending integrations are PENDING_DEPOSIT whenever the deposit is missing (even if other
+ * data is missing too), otherwise PENDING_DATA - the rule the polling service and manual
+ * retries have always applied to stored rows.
+ */
+
+/**
+ * Pending status for an incomplete tenancy
+ *
+ * @param {Object} missingFields - { tenancy, property, contacts, deposit }
+ * @returns {string} PENDING_DEPOSIT or PENDING_DATA
+ */
+function getPendingStatus(missingFields = {}) {
+  return (missingFields.deposit || []).length > 0 ? 'PENDING_DEPOSIT' : 'PENDING_DATA';
+}
+
+/**
+ * Evaluate the completeness of source system data
+ *
+ * @param {Object} adapter - Source adapter (from SourceAdapterFactory)
+ * @param {Object} sourceData - Tenancy data fetched from the source system
+ * @param {Object} options
+ * @param {Array} options.enabledSchemes - Deposit schemes enabled in the organisation mapping
+ * @returns {Object} Adapter validation result plus { outcome, pendingStatus }
+ */
+function evaluateCompleteness(adapter, sourceData, { enabledSchemes } = {}) {
+  const validation = adapter.validateCompleteness(sourceData, { enabledSchemes });
+
+  let outcome;
+  if (validation.isPermanentRejection) {
+    outcome = 'rejected';
+  } else if (validation.isComplete) {
+    outcome = 'complete';
+  } else if (validation.canPendForPolling) {
+    outcome = 'pending';
+  } else {
+    outcome = 'invalid';
+  }
+
+  return {
+    ...validation,
+    outcome,
+    pendingStatus: outcome === 'pending' || outcome === 'invalid' ? getPendingStatus(validation.missingFields) : null
+  };
+}
+
+module.exports = {
+  getPendingStatus,
+  evaluateCompleteness
+};
@@ -0,0 +1,580 @@
+/**
+ * Deposit Registry Module
+ *
+ * Records every deposit registered with TDS together with the payload that was
+ * last submitted, so later source system updates can be diffed and sent to TDS
+ * as amendments against the existing DAN instead of new registrations.
+ *
+ * Key Features:
+ * - Lookup of the registered DAN by source system, agency and tenancy
+ * - Last submitted payload (PII encrypted at rest)
+ * - Field-level diff between the last submitted and the current payload
+ * - Amendment history (changed field names only - no PII)
+ * - Deposit history (initial amount, top-ups and reductions, with deposit lines)
+ * - Renewal detection (same property, overlapping tenants, adjacent dates) so a renewed
+ *   tenancy continues the previous tenancy's DAN
+ * - End-of-tenancy repayment raised against the DAN (split amounts only - no PII)
+ * - Source system write-back state (DAN and certificate written to the source tenancy)
+ *
+ * Storage:
+ * - Uses Azure Table Storage (DepositRegistrations table)
+ * - Partition key: <sourceSystem>_<agencyRef>, row key: tenancy ID
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const { encryptJSON, decryptJSON } = require('./pii-encryption');
+
+/**
+ * Deposit model fields compared when diffing payloads
+ */
+const TRACKED_DEPOSIT_FIELDS = ['depositAmount', 'rentAmount', 'tenancyStartDate', 'tenancyEndDate'];
+const TRACKED_DATE_FIELDS = ['tenancyStartDate', 'tenancyEndDate'];
+const TRACKED_PERSON_FIELDS = ['title', 'firstName', 'lastName', 'email', 'phone'];
+
+// Days allowed between the previous tenancy's end date and the renewal's start date (either way)
+const DEFAULT_RENEWAL_MAX_GAP_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tableInitialized = false;
+
+/**
+ * Get table client
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient() {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, 'DepositRegistrations');
+}
+
+/**
+ * Ensure the DepositRegistrations table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (tableInitialized) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  tableInitialized = true;
+}
+
+/**
+ * Build table keys for a registration
+ */
+function getKeys(sourceSystem, agencyRef, tenancyId) {
+  return {
+    partitionKey: `${sourceSystem}_${agencyRef}`,
+    rowKey: String(tenancyId).replace(/[\\/#?\u0000-\u001f\u007f-\u009f]/g, '_')
+  };
+}
+
+/**
+ * Extract the DAN for each provider from a TDS create result
+ *
+ * @param {Object} tdsResult - Result from TDSDepositService.createDeposit()
+ * @returns {Object} - { current, salesforce } (only providers that returned a DAN)
+ */
+function getProviderDans(tdsResult) {
+  const providerDans = {};
+
+  if (tdsResult.mode === 'dual') {
+    if (tdsResult.legacy?.dan) providerDans.current = tdsResult.legacy.dan;
+    if (tdsResult.salesforce?.dan) providerDans.salesforce = tdsResult.salesforce.dan;
+  } else if (tdsResult.dan) {
+    providerDans[tdsResult.provider || 'current'] = tdsResult.dan;
+  }
+
+  return providerDans;
+}
+
+/**
+ * Normalize a value for comparison (dates compared by calendar day)
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (TRACKED_DATE_FIELDS.includes(field)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().substring(0, 10);
+  }
+
+  if (typeof value === 'number') {
+    return Math.round(value * 100) / 100;
+  }
+
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Diff a list of people (tenants or landlords) by ID
+ */
+function diffPeople(group, previousPeople = [], currentPeople = []) {
+  const changes = [];
+  const previousById = new Map(previousPeople.map((person, index) => [String(person.id || index), person]));
+  const currentById = new Map(currentPeople.map((person, index) => [String(person.id || index), person]));
+
+  for (const [id, person] of currentById) {
+    const previous = previousById.get(id);
+
+    if (!previous) {
+      changes.push({ field: `${group}[${id}]`, type: 'added', previous: null, current: person });
+      continue;
+    }
+
+    for (const field of TRACKED_PERSON_FIELDS) {
+      const before = normalizeValue(field, previous[field]);
+      const after = normalizeValue(field, person[field]);
+      if (before !== after) {
+        changes.push({ field: `${group}[${id}].${field}`, type: 'changed', previous: before, current: after });
+      }
+    }
+  }
+
+  for (const [id, person] of previousById) {
+    if (!currentById.has(id)) {
+      changes.push({ field: `${group}[${id}]`, type: 'removed', previous: person, current: null });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff the last submitted deposit payload against the current one
+ *
+ * @param {Object} previous - Deposit model last submitted to TDS
+ * @param {Object} current - Deposit model built from the latest source data
+ * @returns {Array<{ field: string, type: string, previous: *, current: * }>} - Changes (empty if none)
+ */
+function diffDepositPayloads(previous, current) {
+  const changes = [];
+
+  for (const field of TRACKED_DEPOSIT_FIELDS) {
+    const before = normalizeValue(field, previous?.[field]);
+    const after = normalizeValue(field, current?.[field]);
+    if (before !== after) {
+      changes.push({ field, type: 'changed', previous: before, current: after });
+    }
+  }
+
+  changes.push(...diffPeople('tenants', previous?.tenants, current?.tenants));
+  changes.push(...diffPeople('landlords', previous?.landlords, current?.landlords));
+
+  return changes;
+}
+
+/**
+ * Classify a deposit amount change from diffDepositPayloads()
+ *
+ * @param {Array} changes - Changes from diffDepositPayloads()
+ * @returns {Object|null} - { type: 'top-up' | 'reduction', previous, current, difference } or null if unchanged
+ */
+function getDepositAmountChange(changes) {
+  const change = changes.find(c => c.field === 'depositAmount');
+
+  if (!change) {
+    return null;
+  }
+
+  const previous = change.previous || 0;
+  const current = change.current || 0;
+
+  return {
+    type: current > previous ? 'top-up' : 'reduction',
+    previous,
+    current,
+    difference: Math.round((current - previous) * 100) / 100
+  };
+}
+
+/**
+ * Build a deposit history entry for a submitted payload (amounts and deposit lines only - no PII)
+ *
+ * @param {Object} payload - Deposit model submitted to TDS
+ * @param {Object} entry
+ * @param {string} entry.type - 'initial', 'top-up', 'reduction' or 'renewal'
+ * @param {number} entry.previousAmount - Protected amount before this change
+ * @param {string} entry.dan - DAN the amount is protected under
+ * @param {string} entry.workflowId - Workflow that submitted the amount
+ * @param {string} entry.recordedAt - When the amount was submitted (defaults to now)
+ */
+function buildDepositHistoryEntry(payload, { type, previousAmount = null, dan, workflowId, recordedAt }) {
+  const amount = normalizeValue('depositAmount', payload?.depositAmount);
+
+  return {
+    type,
+    amount,
+    previousAmount,
+    difference: previousAmount === null ? null : Math.round(((amount || 0) - previousAmount) * 100) / 100,
+    lines: payload?.depositLines || null,
+    dan: dan || '',
+    workflowId: workflowId || '',
+    recordedAt: recordedAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Days allowed between a previous tenancy's end and a renewal's start
+ */
+function getRenewalMaxGapDays() {
+  const days = parseInt(process.env.RENEWAL_MAX_GAP_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RENEWAL_MAX_GAP_DAYS : days;
+}
+
+/**
+ * Non-PII matching columns stored with a registration (property, tenant IDs and dates)
+ */
+function getRenewalKeys(payload) {
+  return {
+    propertyId: payload?.property?.id ? String(payload.property.id) : '',
+    tenantIds: JSON.stringify((payload?.tenants || []).map(tenant => tenant.id).filter(Boolean).map(String)),
+    tenancyStartDate: normalizeValue('tenancyStartDate', payload?.tenancyStartDate) || '',
+    tenancyEndDate: normalizeValue('tenancyEndDate', payload?.tenancyEndDate) || ''
+  };
+}
+
+/**
+ * Check whether a deposit model is a renewal of a previously registered tenancy:
+ * same property, at least one tenant in common and a start date adjacent to the previous end date
+ *
+ * @param {Object} previous - { tenancyId, propertyId, tenantIds, tenancyEndDate } (registration columns)
+ * @param {Object} current - Deposit model of the new tenancy
+ * @param {number} maxGapDays - Days allowed between the previous end and the new start
+ * @returns {Object} - { isRenewal, reason, gapDays, sharedTenantIds }
+ */
+function isRenewalOf(previous, current, maxGapDays = getRenewalMaxGapDays()) {
+  const keys = getRenewalKeys(current);
+
+  if (String(previous.tenancyId) === String(current.tenancyId)) {
+    return { isRenewal: false, reason: 'Same tenancy' };
+  }
+
+  if (!keys.propertyId || keys.propertyId !== String(previous.propertyId || '')) {
+    return { isRenewal: false, reason: 'Different property' };
+  }
+
+  const previousTenantIds = Array.isArray(previous.tenantIds) ? previous.tenantIds : JSON.parse(previous.tenantIds || '[]');
+  const sharedTenantIds = JSON.parse(keys.tenantIds).filter(id => previousTenantIds.includes(id));
+
+  if (sharedTenantIds.length === 0) {
+    return { isRenewal: false, reason: 'No tenants in common' };
+  }
+
+  if (!previous.tenancyEndDate || !keys.tenancyStartDate) {
+    return { isRenewal: false, reason: 'Tenancy dates unknown' };
+  }
+
+  const gapDays = Math.round((new Date(keys.tenancyStartDate) - new Date(previous.tenancyEndDate)) / DAY_MS);
+
+  if (Math.abs(gapDays) > maxGapDays) {
+    return { isRenewal: false, reason: `Start date is ${gapDays} days from the previous end date`, gapDays };
+  }
+
+  return { isRenewal: true, gapDays, sharedTenantIds };
+}
+
+/**
+ * Find the registered tenancy a new tenancy renews (same property, overlapping tenants, adjacent dates)
+ * Registrations already renewed are skipped; the latest ending match wins
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference
+ * @param {Object} payload - Deposit model of the new tenancy
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - { registration, gapDays, sharedTenantIds } or null if not a renewal
+ */
+async function findRenewalCandidate(sourceSystem, agencyRef, payload, context) {
+  const propertyId = getRenewalKeys(payload).propertyId;
+  if (!propertyId) {
+    return null;
+  }
+
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const { partitionKey } = getKeys(sourceSystem, agencyRef, payload.tenancyId);
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq '${partitionKey}' and propertyId eq '${propertyId.replace(/'/g, "''")}'` }
+  });
+
+  let match = null;
+  for await (const entity of entities) {
+    if (!entity.dan || entity.renewedBy) continue;
+
+    const result = isRenewalOf(entity, payload);
+    if (result.isRenewal && (!match || entity.tenancyEndDate > match.entity.tenancyEndDate)) {
+      match = { entity, result };
+    }
+  }
+
+  if (!match) {
+    return null;
+  }
+
+  context?.log(`🔁 Tenancy ${payload.tenancyId} renews tenancy ${match.entity.tenancyId} (DAN: ${match.entity.dan}, ${match.result.gapDays} days from previous end)`);
+
+  return {
+    registration: await getDepositRegistration(sourceSystem, agencyRef, match.entity.tenancyId, context),
+    gapDays: match.result.gapDays,
+    sharedTenantIds: match.result.sharedTenantIds
+  };
+}
+
+/**
+ * Get the registration for a tenancy
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference
+ * @param {string} tenancyId - Source system tenancy ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Registration (with decrypted payload) or null if not registered
+ */
+async function getDepositRegistration(sourceSystem, agencyRef, tenancyId, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const { partitionKey, rowKey } = getKeys(sourceSystem, agencyRef, tenancyId);
+
+  let entity;
+  try {
+    entity = await tableClient.getEntity(partitionKey, rowKey);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  return {
+    sourceSystem: entity.sourceSystem,
+    agencyRef: entity.agencyRef,
+    branchId: entity.branchId,
+    tenancyId: entity.tenancyId,
+    dan: entity.dan,
+    depositId: entity.depositId,
+    provider: entity.provider,
+    providerDans: entity.providerDans ? JSON.parse(entity.providerDans) : {},
+    payload: await decryptJSON(entity.payload, null, context),
+    amendments: entity.amendments ? JSON.parse(entity.amendments) : [],
+    depositHistory: entity.depositHistory ? JSON.parse(entity.depositHistory) : [],
+    renewalOf: entity.renewalOf || null,
+    renewedBy: entity.renewedBy || null,
+    repayment: entity.repayment ? JSON.parse(entity.repayment) : null,
+    writeBack: entity.writeBack ? JSON.parse(entity.writeBack) : null,
+    workflowId: entity.workflowId,
+    registeredAt: entity.registeredAt,
+    lastSubmittedAt: entity.lastSubmittedAt,
+    etag: entity.etag
+  };
+}
+
+/**
+ * Record a newly registered deposit
+ *
+ * @param {Object} registration
+ * @param {string} registration.sourceSystem - Source system
+ * @param {string} registration.agencyRef - Agency reference
+ * @param {string} registration.branchId - Branch ID
+ * @param {string} registration.tenancyId - Source system tenancy ID
+ * @param {Object} registration.tdsResult - Result from TDSDepositService.createDeposit()
+ * @param {Object} registration.payload - Deposit model submitted to TDS
+ * @param {string} registration.workflowId - Workflow that registered the deposit
+ * @param {Object} registration.renewal - Previous registration when this tenancy renews it (continues its DAN and history)
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function saveDepositRegistration({ sourceSystem, agencyRef, branchId, tenancyId, tdsResult, payload, workflowId, renewal = null }, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const providerDans = getProviderDans(tdsResult);
+  const dan = tdsResult.dan || providerDans.salesforce || providerDans.current || '';
+  const now = new Date().toISOString();
+  const depositHistory = renewal
+    ? [
+      ...(renewal.depositHistory?.length > 0
+        ? renewal.depositHistory
+        : [buildDepositHistoryEntry(renewal.payload, {
+          type: 'initial',
+          dan: renewal.dan,
+          workflowId: renewal.workflowId,
+          recordedAt: renewal.registeredAt
+        })]),
+      buildDepositHistoryEntry(payload, {
+        type: 'renewal',
+        previousAmount: normalizeValue('depositAmount', renewal.payload?.depositAmount),
+        dan,
+        workflowId,
+        recordedAt: now
+      })
+    ]
+    : [buildDepositHistoryEntry(payload, { type: 'initial', dan, workflowId, recordedAt: now })];
+
+  await tableClient.upsertEntity({
+    ...getKeys(sourceSystem, agencyRef, tenancyId),
+    sourceSystem,
+    agencyRef,
+    branchId: branchId || '',
+    tenancyId: String(tenancyId),
+    dan,
+    depositId: tdsResult.depositId || '',
+    provider: tdsResult.mode === 'dual' ? 'auto' : (tdsResult.provider || ''),
+    providerDans: JSON.stringify(providerDans),
+    payload: await encryptJSON(payload, null, context),
+    amendments: JSON.stringify([]),
+    depositHistory: JSON.stringify(depositHistory),
+    ...getRenewalKeys(payload),
+    renewalOf: renewal ? String(renewal.tenancyId) : '',
+    workflowId: workflowId || '',
+    registeredAt: now,
+    lastSubmittedAt: now
+  }, 'Replace');
+
+  if (renewal) {
+    await tableClient.updateEntity({
+      ...getKeys(renewal.sourceSystem, renewal.agencyRef, renewal.tenancyId),
+      renewedBy: String(tenancyId),
+      renewedAt: now
+    }, 'Merge');
+  }
+
+  context?.log(`💾 Deposit registration stored for tenancy ${tenancyId} (DAN: ${dan || 'pending'})`);
+
+  return { dan, providerDans, depositHistory };
+}
+
+/**
+ * Record an amendment against an existing registration
+ *
+ * @param {Object} registration - Registration from getDepositRegistration()
+ * @param {Object} amendment
+ * @param {Object} amendment.payload - Deposit model submitted with the amendment
+ * @param {Array} amendment.changes - Changes from diffDepositPayloads()
+ * @param {string} amendment.workflowId - Workflow that submitted the amendment
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - { amendments, depositHistory }
+ */
+async function recordDepositAmendment(registration, { payload, changes, workflowId }, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const now = new Date().toISOString();
+  const depositChange = getDepositAmountChange(changes);
+
+  // Registrations stored before deposit history was kept start from the last submitted amount
+  const depositHistory = registration.depositHistory?.length > 0
+    ? [...registration.depositHistory]
+    : [buildDepositHistoryEntry(registration.payload, {
+      type: 'initial',
+      dan: registration.dan,
+      workflowId: registration.workflowId,
+      recordedAt: registration.registeredAt
+    })];
+
+  if (depositChange) {
+    depositHistory.push(buildDepositHistoryEntry(payload, {
+      type: depositChange.type,
+      previousAmount: depositChange.previous,
+      dan: registration.dan,
+      workflowId,
+      recordedAt: now
+    }));
+  }
+
+  const amendments = [
+    ...registration.amendments,
+    {
+      amendedAt: now,
+      workflowId,
+      fields: changes.map(change => change.field)
+    }
+  ];
+
+  await tableClient.updateEntity({
+    ...getKeys(registration.sourceSystem, registration.agencyRef, registration.tenancyId),
+    payload: await encryptJSON(payload, null, context),
+    amendments: JSON.stringify(amendments),
+    depositHistory: JSON.stringify(depositHistory),
+    ...getRenewalKeys(payload),
+    lastSubmittedAt: now
+  }, 'Merge');
+
+  context?.log(`📝 Amendment recorded for tenancy ${registration.tenancyId} (DAN: ${registration.dan})`);
+
+  return { amendments, depositHistory };
+}
+
+/**
+ * Record the end-of-tenancy repayment raised against a registered deposit
+ *
+ * @param {Object} registration - Registration from getDepositRegistration()
+ * @param {Object} repayment
+ * @param {string} repayment.dan - DAN the repayment was raised against
+ * @param {Object} repayment.split - Split from buildRepaymentSplit()
+ * @param {string} repayment.workflowId - Workflow that raised the repayment
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - Stored repayment
+ */
+async function recordDepositRepayment(registration, { dan, split, workflowId }, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const repayment = {
+    status: 'raised',
+    dan,
+    ...split,
+    workflowId: workflowId || '',
+    raisedAt: new Date().toISOString()
+  };
+
+  await tableClient.updateEntity({
+    ...getKeys(registration.sourceSystem, registration.agencyRef, registration.tenancyId),
+    repayment: JSON.stringify(repayment),
+    repaymentRaisedAt: repayment.raisedAt
+  }, 'Merge');
+
+  context?.log(`💰 Repayment recorded for tenancy ${registration.tenancyId} (DAN: ${dan})`);
+
+  return repayment;
+}
+
+/**
+ * Store the source system write-back state for a registered deposit
+ *
+ * @param {Object} registration - Registration keys ({ sourceSystem, agencyRef, tenancyId })
+ * @param {Object} writeBack - State from applyWriteBackResults()
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function saveWriteBack(registration, writeBack, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  await tableClient.updateEntity({
+    ...getKeys(registration.sourceSystem, registration.agencyRef, registration.tenancyId),
+    writeBack: JSON.stringify(writeBack),
+    writeBackStatus: writeBack.status
+  }, 'Merge');
+
+  context?.log(`📝 Write-back ${writeBack.status} for tenancy ${registration.tenancyId} (DAN: ${writeBack.dan})`);
+}
+
+module.exports = {
+  TRACKED_DEPOSIT_FIELDS,
+  getProviderDans,
+  diffDepositPayloads,
+  getDepositAmountChange,
+  buildDepositHistoryEntry,
+  isRenewalOf,
+  findRenewalCandidate,
+  getDepositRegistration,
+  saveDepositRegistration,
+  recordDepositAmendment,
+  recordDepositRepayment,
+  saveWriteBack
+};
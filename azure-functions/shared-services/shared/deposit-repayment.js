@@ -0,0 +1,200 @@
+/**
+ * Deposit Repayment Module
+ *
+ * Builds end-of-tenancy repayment requests from a source system's deposit release,
+ * so agreed deductions are raised against the registered DAN without re-keying them
+ * in the TDS portal.
+ *
+ * Key Features:
+ * - Repayment events (tenancy ended, deposit released)
+ * - Split of the protected amount between the tenant and the agent/landlord,
+ *   with deductions grouped into the TDS repayment categories
+ * - Validation that the split adds up to the protected amount
+ * - RaiseRepaymentRequest payload (Legacy API format, as accepted by LegacyAPIGateway)
+ */
+
+const REPAYMENT_EVENT_TYPES = ['Tenancy.Ended', 'Deposit.Released'];
+
+/**
+ * Deduction categories accepted by RaiseRepaymentRequest (agent_repayment fields)
+ */
+const DEDUCTION_CATEGORIES = ['cleaning', 'rent_arrears', 'damage', 'redecoration', 'gardening', 'other'];
+
+// Source system deduction types that map to a TDS category (anything else is 'other')
+const CATEGORY_ALIASES = {
+  cleaning: 'cleaning',
+  rentarrears: 'rent_arrears',
+  arrears: 'rent_arrears',
+  rent: 'rent_arrears',
+  damage: 'damage',
+  damages: 'damage',
+  redecoration: 'redecoration',
+  decoration: 'redecoration',
+  decorating: 'redecoration',
+  gardening: 'gardening',
+  garden: 'gardening'
+};
+
+/**
+ * Check whether a webhook event type starts the repayment pipeline
+ */
+function isRepaymentEvent(eventType) {
+  return REPAYMENT_EVENT_TYPES.includes(eventType);
+}
+
+/**
+ * Convert an amount to pence (null when it is not a non-negative number)
+ */
+function toPence(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const amount = typeof value === 'number' ? value : Number(String(value).replace(/[£,\s]/g, ''));
+  return Number.isNaN(amount) || amount < 0 ? null : Math.round(amount * 100);
+}
+
+/**
+ * Map a source system deduction type to a TDS repayment category
+ */
+function normalizeDeductionCategory(category) {
+  const key = String(category || '').toLowerCase().replace(/[^a-z]/g, '');
+  return CATEGORY_ALIASES[key] || 'other';
+}
+
+/**
+ * Amount currently protected under the DAN - the latest deposit history entry,
+ * or the last submitted payload for registrations stored before history was kept
+ *
+ * @param {Object} registration - Registration from getDepositRegistration()
+ * @returns {number|null}
+ */
+function getProtectedAmount(registration) {
+  const history = registration?.depositHistory || [];
+  const latest = history[history.length - 1];
+
+  if (latest && latest.amount !== null && latest.amount !== undefined) {
+    return latest.amount;
+  }
+
+  const pence = toPence(registration?.payload?.depositAmount);
+  return pence === null ? null : pence / 100;
+}
+
+/**
+ * Build the repayment split for a deposit release and check it against the protected amount
+ *
+ * Without a tenant amount the tenant is repaid whatever is not deducted.
+ *
+ * @param {Object} release - Deposit release from the source adapter's getDepositRelease()
+ *                           { agreed, tenancyEndDate, tenantAmount, deductions: [{ category, amount, description }] }
+ * @param {number} protectedAmount - Amount protected under the DAN (getProtectedAmount)
+ * @returns {Object} { isValid, errors, split: { protectedAmount, tenantAmount, landlordAmount, deductions, otherText, tenancyEndDate } }
+ */
+function buildRepaymentSplit(release, protectedAmount) {
+  const errors = [];
+  const deductions = Object.fromEntries(DEDUCTION_CATEGORIES.map(category => [category, 0]));
+  const otherText = [];
+
+  const protectedPence = toPence(protectedAmount);
+  if (protectedPence === null) {
+    errors.push('No protected amount is recorded for this deposit');
+  }
+
+  if (!release?.tenancyEndDate) {
+    errors.push('Tenancy end date is missing');
+  }
+
+  (release?.deductions || []).forEach((deduction, index) => {
+    const pence = toPence(deduction.amount);
+    if (pence === null) {
+      errors.push(`Deduction ${index + 1} has an invalid amount: ${JSON.stringify(deduction.amount)}`);
+      return;
+    }
+
+    const category = normalizeDeductionCategory(deduction.category);
+    deductions[category] += pence;
+
+    if (category === 'other' && pence > 0) {
+      otherText.push(deduction.description || deduction.category || 'Other');
+    }
+  });
+
+  const landlordPence = Object.values(deductions).reduce((sum, pence) => sum + pence, 0);
+
+  let tenantPence = toPence(release?.tenantAmount);
+  if (release?.tenantAmount !== undefined && release?.tenantAmount !== null && tenantPence === null) {
+    errors.push(`Tenant amount is invalid: ${JSON.stringify(release.tenantAmount)}`);
+  } else if (tenantPence === null && protectedPence !== null) {
+    tenantPence = protectedPence - landlordPence;
+  }
+
+  if (protectedPence !== null && tenantPence !== null) {
+    if (tenantPence < 0) {
+      errors.push(`Deductions of £${(landlordPence / 100).toFixed(2)} exceed the protected amount of £${(protectedPence / 100).toFixed(2)}`);
+    } else if (tenantPence + landlordPence !== protectedPence) {
+      errors.push(
+        `Repayment total of £${((tenantPence + landlordPence) / 100).toFixed(2)} ` +
+        `(tenant £${(tenantPence / 100).toFixed(2)}, landlord £${(landlordPence / 100).toFixed(2)}) ` +
+        `does not match the protected amount of £${(protectedPence / 100).toFixed(2)}`
+      );
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    split: {
+      protectedAmount: protectedPence === null ? null : protectedPence / 100,
+      tenantAmount: tenantPence === null ? null : tenantPence / 100,
+      landlordAmount: landlordPence / 100,
+      deductions: Object.fromEntries(Object.entries(deductions).map(([category, pence]) => [category, pence / 100])),
+      otherText: otherText.join('; '),
+      tenancyEndDate: release?.tenancyEndDate || null
+    }
+  };
+}
+
+/**
+ * Format a date as DD/MM/YYYY (the Legacy API tenancy_end_date format)
+ */
+function formatRepaymentDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return String(value);
+  }
+
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Build a RaiseRepaymentRequest payload from a validated split
+ *
+ * @param {string} dan - DAN the deposit is protected under
+ * @param {Object} split - Split from buildRepaymentSplit()
+ * @returns {Object} Legacy API payload for handleRaiseRepaymentRequest
+ */
+function buildRepaymentRequest(dan, split) {
+  return {
+    dan,
+    tenancy_end_date: formatRepaymentDate(split.tenancyEndDate),
+    tenant_repayment: split.tenantAmount,
+    agent_repayment: {
+      total: split.landlordAmount,
+      ...split.deductions,
+      other_text: split.otherText || ''
+    }
+  };
+}
+
+module.exports = {
+  REPAYMENT_EVENT_TYPES,
+  DEDUCTION_CATEGORIES,
+  isRepaymentEvent,
+  normalizeDeductionCategory,
+  getProtectedAmount,
+  buildRepaymentSplit,
+  buildRepaymentRequest
+};
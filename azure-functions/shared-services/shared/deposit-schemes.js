@@ -0,0 +1,208 @@
+/**
+ * Deposit Schemes Module
+ *
+ * TDS runs two protection schemes: Custodial (TDS holds the deposit) and
+ * Insured (the member agent holds the deposit and pays TDS a protection fee).
+ * Organisations choose which schemes the integration registers deposits for in
+ * their organisation mapping; tenancies for any other scheme are rejected.
+ *
+ * Each scheme is run per region: TDS England & Wales, SafeDeposits Scotland and
+ * TDS Northern Ireland. Tenancies are routed by the country of the property
+ * postcode to the Salesforce credentials the organisation holds for that region.
+ *
+ * Key Features:
+ * - Source system scheme type (Alto depositSchemeType) → TDS scheme
+ * - Per-organisation enabled schemes (Custodial only by default)
+ * - Scheme-specific deposit model rules (Insured: deposit holder, protection fee payer)
+ * - Property country → scheme region and per-region credentials
+ */
+
+const DEPOSIT_SCHEMES = ['Custodial', 'Insured'];
+const DEFAULT_DEPOSIT_SCHEMES = ['Custodial'];
+
+const INSURED_FEE_PAYERS = ['Agent', 'Landlord'];
+const DEFAULT_INSURED_FEE_PAYER = 'Agent';
+
+const SCHEME_REGIONS = ['EW', 'S', 'NI'];
+const DEFAULT_SCHEME_REGION = 'EW';
+
+/**
+ * postcodes.io country → scheme region
+ */
+const REGION_BY_COUNTRY = {
+  England: 'EW',
+  Wales: 'EW',
+  Scotland: 'S',
+  'Northern Ireland': 'NI'
+};
+
+const REGION_NAMES = {
+  EW: 'England & Wales',
+  S: 'Scotland',
+  NI: 'Northern Ireland'
+};
+
+/**
+ * Source system scheme types (Alto depositSchemeType values) registered with TDS
+ */
+const SCHEME_BY_SOURCE_TYPE = {
+  DisputeServiceCustodial: 'Custodial',
+  DisputeServiceInsured: 'Insured'
+};
+
+/**
+ * Parse the enabled schemes of an organisation mapping
+ *
+ * @param {Array|string} value - Array or comma separated list (as stored in Table Storage)
+ * @returns {Array<string>} - Enabled schemes (defaults to Custodial only)
+ */
+function parseEnabledSchemes(value) {
+  const schemes = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(scheme => String(scheme).trim())
+    .filter(scheme => DEPOSIT_SCHEMES.includes(scheme));
+
+  return schemes.length > 0 ? [...new Set(schemes)] : [...DEFAULT_DEPOSIT_SCHEMES];
+}
+
+/**
+ * Decide whether a tenancy's deposit scheme can be registered for an organisation
+ *
+ * @param {string} depositSchemeType - Source system scheme type (e.g. DisputeServiceInsured)
+ * @param {Array<string>} enabledSchemes - Schemes enabled for the organisation
+ * @returns {Object} - { status: 'accepted' | 'unspecified' | 'rejected', scheme, rejectionReason }
+ */
+function checkDepositScheme(depositSchemeType, enabledSchemes = DEFAULT_DEPOSIT_SCHEMES) {
+  if (!depositSchemeType || depositSchemeType === 'Unspecified') {
+    return { status: 'unspecified', scheme: null };
+  }
+
+  const scheme = SCHEME_BY_SOURCE_TYPE[depositSchemeType];
+
+  if (!scheme) {
+    return {
+      status: 'rejected',
+      scheme: null,
+      rejectionReason: `Tenancy is not for a TDS scheme (scheme type: ${depositSchemeType})`
+    };
+  }
+
+  if (!parseEnabledSchemes(enabledSchemes).includes(scheme)) {
+    return {
+      status: 'rejected',
+      scheme,
+      rejectionReason: `Tenancy is for TDS ${scheme}, which is not enabled for this organisation (scheme type: ${depositSchemeType})`
+    };
+  }
+
+  return { status: 'accepted', scheme };
+}
+
+/**
+ * Apply scheme-specific rules to a standard deposit model
+ *
+ * Custodial deposits are paid to and held by TDS. Insured deposits are held by
+ * the member agent, who pays the protection fee unless the organisation
+ * mapping passes it on to the landlord.
+ *
+ * @param {Object} depositModel - Standard deposit model
+ * @param {string} depositSchemeType - Source system scheme type
+ * @param {Object} options
+ * @param {string} options.protectionFeePaidBy - Insured fee payer from the organisation mapping
+ * @returns {Object} - Deposit model with schemeType (and Insured fields)
+ */
+function applySchemeRules(depositModel, depositSchemeType, { protectionFeePaidBy } = {}) {
+  const schemeType = SCHEME_BY_SOURCE_TYPE[depositSchemeType] || 'Custodial';
+
+  if (schemeType !== 'Insured') {
+    return { ...depositModel, schemeType };
+  }
+
+  return {
+    ...depositModel,
+    schemeType,
+    depositHeldBy: 'Agent',
+    protectionFeePaidBy: INSURED_FEE_PAYERS.includes(protectionFeePaidBy) ? protectionFeePaidBy : DEFAULT_INSURED_FEE_PAYER
+  };
+}
+
+/**
+ * Normalise a stored region code (older mappings use "Scotland" for S)
+ *
+ * @param {string} region - Region code from an organisation mapping
+ * @returns {string} - EW, S or NI (defaults to EW)
+ */
+function normalizeSchemeRegion(region) {
+  if (region === 'Scotland') {
+    return 'S';
+  }
+  return SCHEME_REGIONS.includes(region) ? region : DEFAULT_SCHEME_REGION;
+}
+
+/**
+ * Get the Salesforce credentials an organisation holds for a scheme region
+ *
+ * @param {Object} mapping - Organisation mapping ({ salesforce, salesforceRegions })
+ * @param {string} region - EW, S or NI
+ * @returns {Object|null} - Credentials (with region) or null if the organisation has none
+ */
+function getRegionCredentials(mapping, region) {
+  if (normalizeSchemeRegion(mapping?.salesforce?.region) === region && mapping.salesforce?.memberId) {
+    return { ...mapping.salesforce, region };
+  }
+
+  const regional = mapping?.salesforceRegions?.[region];
+  if (regional?.memberId && regional?.branchId) {
+    return { ...regional, region };
+  }
+
+  return null;
+}
+
+/**
+ * Pick the scheme region for a tenancy from its property postcode lookup
+ * and the Salesforce credentials the organisation holds for that region
+ *
+ * The main Salesforce config covers its own region (England & Wales unless set);
+ * other regions need an entry in the mapping's regional credentials.
+ *
+ * @param {Object} propertyPostcodeResult - Postcode lookup result ({ country })
+ * @param {Object} mapping - Organisation mapping ({ salesforce, salesforceRegions })
+ * @returns {Object} - { status: 'accepted' | 'rejected', region, credentials, rejectionReason }
+ */
+function resolveSchemeRegion(propertyPostcodeResult, mapping = {}) {
+  const country = propertyPostcodeResult?.country;
+  // Without a country (lookup failed, test data) keep the organisation's own region
+  const region = country ? REGION_BY_COUNTRY[country] : normalizeSchemeRegion(mapping.salesforce?.region);
+
+  if (!region) {
+    return {
+      status: 'rejected',
+      region: null,
+      rejectionReason: `Property is in ${country}, which is not covered by TDS, SafeDeposits Scotland or TDS Northern Ireland`
+    };
+  }
+
+  const credentials = getRegionCredentials(mapping, region);
+  if (credentials) {
+    return { status: 'accepted', region, credentials };
+  }
+
+  return {
+    status: 'rejected',
+    region,
+    rejectionReason: `Property is in ${REGION_NAMES[region]} but the organisation has no ${REGION_NAMES[region]} scheme credentials`
+  };
+}
+
+module.exports = {
+  DEPOSIT_SCHEMES,
+  INSURED_FEE_PAYERS,
+  SCHEME_REGIONS,
+  parseEnabledSchemes,
+  checkDepositScheme,
+  applySchemeRules,
+  REGION_NAMES,
+  normalizeSchemeRegion,
+  getRegionCredentials,
+  resolveSchemeRegion
+};
@@ -0,0 +1,709 @@
+/**
+ * Deposit Upload Module
+ *
+ * CSV/XLSX upload channel for agencies without a supported property management
+ * system. Each spreadsheet row is one tenancy; valid rows are submitted to TDS
+ * through the standard workflow orchestrator (source system 'upload').
+ *
+ * Key Features:
+ * - Downloadable CSV template
+ * - Header matching that ignores case, spaces and punctuation
+ * - UK (DD/MM/YYYY) and Excel serial dates
+ * - Per-row validation against deposit-schema.json and the tdsDepositCreate schema
+ * - Per-row progress and error reports
+ *
+ * Storage:
+ * - Uses Azure Table Storage (DepositUploads, DepositUploadRows tables)
+ * - Row data encrypted at rest (contains landlord and tenant PII)
+ */
+
+const Ajv = require('ajv');
+const { TableClient } = require('@azure/data-tables');
+const { encryptPII, decryptPII } = require('./pii-encryption');
+const { schemas } = require('./validation-schemas');
+const { parseCsv } = require('./csv-parser');
+const { isXlsxBuffer, readXlsxRows, excelSerialToIsoDate } = require('./xlsx-reader');
+const { DEPOSIT_SCHEMES, checkDepositScheme } = require('./deposit-schemes');
+
+const depositSchema = loadDepositSchema();
+
+const DEPOSIT_UPLOADS_PARTITION = 'DepositUpload';
+const DEFAULT_MAX_ROWS = 1000;
+const MAX_TENANTS = 4;
+const TRANSACTION_BATCH_SIZE = 100; // Table Storage limit per transaction
+
+/**
+ * Template columns, with the example row included in the downloadable template
+ */
+const DEPOSIT_UPLOAD_COLUMNS = [
+  ['tenancyRef', 'TEN-1001'],
+  ['branchId', ''],
+  ['depositAmount', '1500.00'],
+  ['depositScheme', 'Custodial'],
+  ['rentAmount', '1200.00'],
+  ['tenancyStartDate', '01/02/2025'],
+  ['tenancyEndDate', '31/01/2026'],
+  ['propertyNameNo', '123'],
+  ['propertySubDwelling', 'Flat 2'],
+  ['propertyStreet', 'High Street'],
+  ['propertyLocality', ''],
+  ['propertyTown', 'Milton Keynes'],
+  ['propertyPostcode', 'MK18 7ET'],
+  ['propertyCounty', ''],
+  ['propertyType', 'Flat'],
+  ['bedrooms', '2'],
+  ['landlordTitle', 'Mr'],
+  ['landlordFirstName', 'John'],
+  ['landlordLastName', 'Smith'],
+  ['landlordEmail', 'john.smith@example.com'],
+  ['landlordPhone', '07700900001'],
+  ['landlordNameNo', '456'],
+  ['landlordStreet', 'Oak Road'],
+  ['landlordTown', 'London'],
+  ['landlordPostcode', 'SW1A 1AA'],
+  ['landlordCounty', ''],
+  ...Array.from({ length: MAX_TENANTS }, (unused, index) => {
+    const example = index === 0
+      ? ['Ms', 'Sarah', 'Johnson', 'sarah.johnson@example.com', '07700900002']
+      : ['', '', '', '', ''];
+
+    return ['Title', 'FirstName', 'LastName', 'Email', 'Phone']
+      .map((field, fieldIndex) => [`tenant${index + 1}${field}`, example[fieldIndex]]);
+  }).flat()
+];
+
+const DATE_FIELDS = ['tenancyStartDate', 'tenancyEndDate'];
+
+/**
+ * Template scheme names → source scheme types understood by deposit-schemes
+ */
+const SCHEME_TYPE_BY_UPLOAD_SCHEME = {
+  Custodial: 'DisputeServiceCustodial',
+  Insured: 'DisputeServiceInsured'
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateStandardModel = ajv.compile(depositSchema);
+
+const initializedTables = new Set();
+
+/**
+ * Get table client
+ * @param {string} tableName - Table name
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient(tableName) {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, tableName);
+}
+
+/**
+ * Ensure a table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (initializedTables.has(tableClient.tableName)) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  initializedTables.add(tableClient.tableName);
+}
+
+/**
+ * Maximum number of rows accepted in one upload
+ */
+function getMaxUploadRows() {
+  const value = parseInt(process.env.DEPOSIT_UPLOAD_MAX_ROWS, 10);
+  return Number.isNaN(value) || value < 1 ? DEFAULT_MAX_ROWS : value;
+}
+
+/**
+ * Build the downloadable CSV template (header row and one example row)
+ *
+ * @returns {string} - CSV text
+ */
+function getUploadTemplateCsv() {
+  const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+  return [
+    DEPOSIT_UPLOAD_COLUMNS.map(([name]) => name).join(','),
+    DEPOSIT_UPLOAD_COLUMNS.map(([, example]) => quote(example)).join(',')
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * Normalize a header for matching ("Tenancy Start Date" → "tenancystartdate")
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into row records keyed by template column
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {{ fileType: string, records: Array<{ rowNumber, record }>, unknownColumns: Array<string> }}
+ */
+function parseDepositUpload(buffer) {
+  const fileType = isXlsxBuffer(buffer) ? 'xlsx' : 'csv';
+  const rows = fileType === 'xlsx' ? readXlsxRows(buffer) : parseCsv(buffer.toString('utf8'));
+
+  if (rows.length === 0) {
+    return { fileType, records: [], unknownColumns: [] };
+  }
+
+  const columnsByHeader = new Map(DEPOSIT_UPLOAD_COLUMNS.map(([name]) => [normalizeHeader(name), name]));
+  const header = rows[0].values.map(value => columnsByHeader.get(normalizeHeader(value)) || null);
+  const unknownColumns = rows[0].values.filter((value, index) => value && !header[index]);
+
+  const records = rows.slice(1).map(({ line, values }) => {
+    const record = {};
+    header.forEach((column, index) => {
+      if (column && values[index] !== undefined && values[index] !== '') {
+        record[column] = values[index];
+      }
+    });
+
+    return { rowNumber: line, record };
+  });
+
+  return { fileType, records, unknownColumns };
+}
+
+/**
+ * Parse an amount ("£1,500.00" → 1500); invalid values are returned as-is for validation to report
+ */
+function toAmount(value) {
+  if (value === undefined) return undefined;
+  const amount = Number(String(value).replace(/[£,\s]/g, ''));
+  return String(value).trim() !== '' && Number.isFinite(amount) ? amount : value;
+}
+
+/**
+ * Parse a whole number; invalid values are returned as-is for validation to report
+ */
+function toInteger(value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : value;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * Accepts ISO dates, UK dates (DD/MM/YYYY) and Excel serial numbers
+ */
+function toIsoDate(value) {
+  if (value === undefined) return undefined;
+  const text = String(value).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.slice(0, 10);
+  }
+
+  const ukDate = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (ukDate) {
+    return `${ukDate[3]}-${ukDate[2].padStart(2, '0')}-${ukDate[1].padStart(2, '0')}`;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return excelSerialToIsoDate(text) || text;
+  }
+
+  return text;
+}
+
+/**
+ * Match a value case-insensitively against allowed values (unmatched values returned as-is)
+ */
+function toAllowedValue(value, allowedValues) {
+  if (value === undefined) return undefined;
+  const cleaned = String(value).trim().replace(/\.$/, '');
+  return allowedValues.find(allowed => allowed.toLowerCase() === cleaned.toLowerCase()) || cleaned;
+}
+
+/**
+ * Normalize a UK postcode (upper case, single space before the inward code)
+ */
+function toPostcode(value) {
+  if (value === undefined) return undefined;
+  const compact = String(value).toUpperCase().replace(/\s+/g, '');
+  return compact.length > 3 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+}
+
+/**
+ * Remove undefined values (recursively) so optional fields are omitted rather than invalid
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, compact(entry)]));
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a raw row record (numbers, dates, postcodes, enumerations)
+ *
+ * @param {Object} record - Row record from parseDepositUpload()
+ * @returns {Object} - Normalized record
+ */
+function normalizeUploadRecord(record) {
+  const titles = depositSchema.properties.landlord.properties.title.enum;
+  const normalized = { ...record };
+
+  normalized.depositAmount = toAmount(record.depositAmount);
+  normalized.rentAmount = toAmount(record.rentAmount);
+  normalized.bedrooms = toInteger(record.bedrooms);
+  normalized.propertyPostcode = toPostcode(record.propertyPostcode);
+  normalized.landlordPostcode = toPostcode(record.landlordPostcode);
+  normalized.depositScheme = toAllowedValue(record.depositScheme, DEPOSIT_SCHEMES);
+  normalized.propertyType = toAllowedValue(record.propertyType, depositSchema.properties.property.properties.type.enum);
+  normalized.landlordTitle = toAllowedValue(record.landlordTitle, titles);
+
+  for (const field of DATE_FIELDS) {
+    normalized[field] = toIsoDate(record[field]);
+  }
+
+  for (let index = 1; index <= MAX_TENANTS; index++) {
+    normalized[`tenant${index}Title`] = toAllowedValue(record[`tenant${index}Title`], titles);
+  }
+
+  return compact(normalized);
+}
+
+/**
+ * Source scheme type of a record, for checkDepositScheme and applySchemeRules
+ * Rows without a depositScheme are Custodial
+ *
+ * @param {Object} record - Normalized record
+ * @returns {string} - Scheme type (unknown schemes are returned as entered)
+ */
+function getUploadSchemeType(record) {
+  if (!record.depositScheme) {
+    return SCHEME_TYPE_BY_UPLOAD_SCHEME.Custodial;
+  }
+
+  return SCHEME_TYPE_BY_UPLOAD_SCHEME[record.depositScheme] || record.depositScheme;
+}
+
+/**
+ * Tenants listed on a record (tenant1..tenantN columns with any value)
+ */
+function getRecordTenants(record) {
+  const tenants = [];
+
+  for (let index = 1; index <= MAX_TENANTS; index++) {
+    const tenant = {
+      title: record[`tenant${index}Title`],
+      firstName: record[`tenant${index}FirstName`],
+      lastName: record[`tenant${index}LastName`],
+      email: record[`tenant${index}Email`],
+      phone: record[`tenant${index}Phone`]
+    };
+
+    if (Object.values(tenant).some(value => value !== undefined)) {
+      tenants.push(compact(tenant));
+    }
+  }
+
+  return tenants;
+}
+
+/**
+ * Load the standard deposit model from data-models/ in the repository, or from
+ * the copy bundled into schemas/ at package time (only azure-functions/ is deployed)
+ */
+function loadDepositSchema() {
+  try {
+    return require('../../../data-models/standard-model/deposit-schema.json');
+  } catch (error) {
+    return require('./schemas/deposit-schema.json');
+  }
+}
+
+/**
+ * Map a normalized record to the standard deposit model (deposit-schema.json)
+ *
+ * @param {Object} record - Normalized record
+ * @param {Object} options - { uploadId, agencyRef, branchId, memberNumber }
+ * @returns {Object} - Standard deposit model
+ */
+function toStandardDepositModel(record, { uploadId, agencyRef, branchId, memberNumber }) {
+  const joinAddressLine = (...parts) => parts.filter(Boolean).join(' ') || undefined;
+
+  return compact({
+    metadata: {
+      sourceSystem: 'upload',
+      sourceId: record.tenancyRef,
+      organizationId: agencyRef,
+      integrationId: uploadId,
+      timestamp: new Date().toISOString(),
+      version: '1.0'
+    },
+    organization: {
+      memberNumber,
+      branchId
+    },
+    deposit: {
+      amount: record.depositAmount,
+      currency: 'GBP',
+      tenancyStartDate: record.tenancyStartDate,
+      tenancyEndDate: record.tenancyEndDate,
+      rentAmount: record.rentAmount
+    },
+    property: {
+      address: {
+        line1: joinAddressLine(record.propertyNameNo, record.propertyStreet),
+        line2: record.propertySubDwelling,
+        line3: record.propertyLocality,
+        city: record.propertyTown,
+        postcode: record.propertyPostcode,
+        county: record.propertyCounty
+      },
+      type: record.propertyType,
+      bedrooms: record.bedrooms
+    },
+    landlord: {
+      title: record.landlordTitle,
+      firstName: record.landlordFirstName,
+      lastName: record.landlordLastName,
+      email: record.landlordEmail,
+      phone: record.landlordPhone,
+      address: {
+        line1: joinAddressLine(record.landlordNameNo, record.landlordStreet),
+        city: record.landlordTown,
+        postcode: record.landlordPostcode
+      }
+    },
+    tenants: getRecordTenants(record).map((tenant, index) => ({ ...tenant, isPrimary: index === 0 })),
+    additionalInfo: {
+      source: {
+        tenancyId: record.tenancyRef,
+        branchId
+      }
+    }
+  });
+}
+
+/**
+ * Build the TDS deposit payload (the orchestrator's deposit model) from a normalized record
+ *
+ * @param {Object} record - Normalized record
+ * @param {Object} options - { agencyRef, branchId, propertyCounty, landlordCounty }
+ * @returns {Object} - Payload for TDSDepositService.createDeposit()
+ */
+function buildTdsDepositPayload(record, { agencyRef, branchId, propertyCounty, landlordCounty }) {
+  const landlord = compact({
+    title: record.landlordTitle,
+    firstName: record.landlordFirstName,
+    lastName: record.landlordLastName,
+    email: record.landlordEmail,
+    phone: record.landlordPhone,
+    address: {
+      nameNo: record.landlordNameNo,
+      street: record.landlordStreet,
+      town: record.landlordTown,
+      postcode: record.landlordPostcode
+    },
+    county: record.landlordCounty || landlordCounty
+  });
+
+  return compact({
+    tenancyId: record.tenancyRef,
+    depositAmount: record.depositAmount,
+    rentAmount: record.rentAmount,
+    tenancyStartDate: record.tenancyStartDate,
+    tenancyEndDate: record.tenancyEndDate,
+    property: {
+      id: record.tenancyRef,
+      address: {
+        nameNo: record.propertyNameNo,
+        subDwelling: record.propertySubDwelling,
+        street: record.propertyStreet,
+        town: record.propertyTown,
+        locality: record.propertyLocality,
+        postcode: record.propertyPostcode
+      },
+      county: record.propertyCounty || propertyCounty,
+      propertyType: record.propertyType,
+      bedrooms: record.bedrooms
+    },
+    landlords: [landlord],
+    landlord,
+    tenants: getRecordTenants(record),
+    agencyRef,
+    branchId,
+    agency: {
+      ref: agencyRef,
+      branchId
+    },
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Validate a row against deposit-schema.json and the tdsDepositCreate schema
+ *
+ * @param {Object} record - Normalized record
+ * @param {Object} options - { uploadId, agencyRef, branchId, memberNumber, propertyCounty, landlordCounty, enabledSchemes }
+ * @returns {Array<{ field: string, message: string }>} - Validation errors (empty if valid)
+ */
+function validateUploadRecord(record, options) {
+  const errors = [];
+  const addError = (field, message) => {
+    if (!errors.some(error => error.field === field && error.message === message)) {
+      errors.push({ field, message });
+    }
+  };
+
+  if (!record.tenancyRef) {
+    addError('tenancyRef', 'tenancyRef is required');
+  }
+
+  const schemeCheck = checkDepositScheme(getUploadSchemeType(record), options.enabledSchemes);
+  if (schemeCheck.status === 'rejected') {
+    addError('depositScheme', schemeCheck.rejectionReason);
+  }
+
+  if (!validateStandardModel(toStandardDepositModel(record, options))) {
+    for (const error of validateStandardModel.errors) {
+      const path = error.dataPath.replace(/^\./, '');
+      const field = error.keyword === 'required'
+        ? [path, error.params.missingProperty].filter(Boolean).join('.')
+        : path;
+      addError(field, `${field} ${error.message}`);
+    }
+  }
+
+  const { error } = schemas.tdsDepositCreate.validate(buildTdsDepositPayload(record, options), {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    for (const detail of error.details) {
+      addError(detail.path.join('.'), detail.message);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create an upload and its rows
+ *
+ * @param {Object} upload - Upload fields (uploadId, agencyRef, branchId, fileType, uploadedBy)
+ * @param {Array} rows - Rows ({ rowNumber, record, errors, status })
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - Created upload
+ */
+async function createDepositUpload(upload, rows, context) {
+  const rowsClient = getTableClient('DepositUploadRows');
+  await ensureTable(rowsClient);
+
+  const actions = [];
+  for (const row of rows) {
+    actions.push(['upsert', {
+      partitionKey: upload.uploadId,
+      rowKey: String(row.rowNumber).padStart(6, '0'),
+      rowNumber: row.rowNumber,
+      tenancyRef: row.record.tenancyRef || '',
+      status: row.status,
+      errors: JSON.stringify(row.errors || []),
+      record: await encryptPII(JSON.stringify(row.record), null, context),
+      updatedAt: new Date().toISOString()
+    }, 'Replace']);
+  }
+
+  for (let i = 0; i < actions.length; i += TRANSACTION_BATCH_SIZE) {
+    await rowsClient.submitTransaction(actions.slice(i, i + TRANSACTION_BATCH_SIZE));
+  }
+
+  const uploadsClient = getTableClient('DepositUploads');
+  await ensureTable(uploadsClient);
+
+  const entity = {
+    partitionKey: DEPOSIT_UPLOADS_PARTITION,
+    rowKey: upload.uploadId,
+    uploadId: upload.uploadId,
+    agencyRef: upload.agencyRef,
+    branchId: upload.branchId,
+    fileType: upload.fileType,
+    uploadedBy: upload.uploadedBy || '',
+    totalRows: rows.length,
+    validRows: rows.filter(row => row.status !== 'INVALID').length,
+    invalidRows: rows.filter(row => row.status === 'INVALID').length,
+    createdAt: new Date().toISOString()
+  };
+
+  await uploadsClient.createEntity(entity);
+
+  context?.log(`📤 Deposit upload ${upload.uploadId} stored: ${entity.validRows} valid, ${entity.invalidRows} invalid rows`);
+
+  return entity;
+}
+
+/**
+ * Get an upload with a per-row report
+ *
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - Upload (with row summary and rows) or null if not found
+ */
+async function getDepositUpload(uploadId) {
+  const uploadsClient = getTableClient('DepositUploads');
+  await ensureTable(uploadsClient);
+
+  let entity;
+  try {
+    entity = await uploadsClient.getEntity(DEPOSIT_UPLOADS_PARTITION, uploadId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  const rowsClient = getTableClient('DepositUploadRows');
+  await ensureTable(rowsClient);
+
+  const rows = [];
+  const entities = rowsClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq '${uploadId}'` }
+  });
+
+  for await (const row of entities) {
+    rows.push(formatUploadRow(row));
+  }
+
+  rows.sort((a, b) => a.rowNumber - b.rowNumber);
+
+  return {
+    uploadId: entity.uploadId,
+    agencyRef: entity.agencyRef,
+    branchId: entity.branchId,
+    fileType: entity.fileType,
+    uploadedBy: entity.uploadedBy || null,
+    createdAt: entity.createdAt,
+    ...summarizeUploadRows(rows),
+    rows
+  };
+}
+
+/**
+ * Get a single upload row with its decrypted record
+ *
+ * @param {string} uploadId - Upload ID
+ * @param {number} rowNumber - Spreadsheet row number
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Row (with record) or null if not found
+ */
+async function getDepositUploadRow(uploadId, rowNumber, context) {
+  const tableClient = getTableClient('DepositUploadRows');
+  await ensureTable(tableClient);
+
+  try {
+    const entity = await tableClient.getEntity(uploadId, String(rowNumber).padStart(6, '0'));
+    return {
+      ...formatUploadRow(entity),
+      record: JSON.parse(await decryptPII(entity.record, null, context))
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update an upload row
+ *
+ * @param {string} uploadId - Upload ID
+ * @param {number} rowNumber - Spreadsheet row number
+ * @param {Object} updates - Fields to merge (status, workflowId, dan, batchId, error)
+ */
+async function updateDepositUploadRow(uploadId, rowNumber, updates) {
+  const tableClient = getTableClient('DepositUploadRows');
+  await ensureTable(tableClient);
+
+  const entity = {
+    partitionKey: uploadId,
+    rowKey: String(rowNumber).padStart(6, '0'),
+    updatedAt: new Date().toISOString()
+  };
+
+  for (const [key, value] of Object.entries(updates)) {
+    entity[key] = value === null || value === undefined ? '' : value;
+  }
+
+  await tableClient.updateEntity(entity, 'Merge');
+}
+
+/**
+ * Count rows by status and derive the overall upload status
+ * (rows are processed concurrently, so counts are derived rather than stored)
+ *
+ * @param {Array} rows - Formatted rows
+ * @returns {{ status: string, counts: Object }}
+ */
+function summarizeUploadRows(rows) {
+  const counts = { INVALID: 0, QUEUED: 0, PROCESSING: 0, SUBMITTED: 0, PENDING: 0, FAILED: 0 };
+
+  for (const row of rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+
+  let status = 'COMPLETED';
+  if (counts.QUEUED > 0 || counts.PROCESSING > 0) {
+    status = 'PROCESSING';
+  } else if (rows.length > 0 && counts.INVALID === rows.length) {
+    status = 'REJECTED';
+  }
+
+  return { status, counts };
+}
+
+/**
+ * Format a row entity for API responses (never includes the PII record)
+ */
+function formatUploadRow(entity) {
+  return {
+    rowNumber: entity.rowNumber,
+    tenancyRef: entity.tenancyRef || null,
+    status: entity.status,
+    errors: entity.errors ? JSON.parse(entity.errors) : [],
+    workflowId: entity.workflowId || null,
+    dan: entity.dan || null,
+    batchId: entity.batchId || null,
+    error: entity.error || null,
+    updatedAt: entity.updatedAt
+  };
+}
+
+module.exports = {
+  DEPOSIT_UPLOAD_COLUMNS,
+  getMaxUploadRows,
+  getUploadTemplateCsv,
+  parseDepositUpload,
+  normalizeUploadRecord,
+  getUploadSchemeType,
+  toStandardDepositModel,
+  buildTdsDepositPayload,
+  validateUploadRecord,
+  createDepositUpload,
+  getDepositUpload,
+  getDepositUploadRow,
+  updateDepositUploadRow,
+  summarizeUploadRows
+};
@@ -0,0 +1,325 @@
+/**
+ * Field Mapping Rules
+ *
+ * Declarative per-organisation overrides applied on top of a source adapter's deposit model,
+ * so an agency with a non-standard data layout is onboarded through configuration.
+ *
+ * Rules (stored as JSON on the organisation mapping):
+ * {
+ *   fields: {
+ *     'rentAmount': { path: '$.tenancy.rent', transform: 'number' },
+ *     'tenancyStartDate': { path: '$.tenancy.customFields.start', transform: 'date', format: 'DD/MM/YYYY' },
+ *     'property.propertyType': { path: '$.property.type', default: 'House' }
+ *   },
+ *   landlords: { path: '$.property.owners[*]' },
+ *   tenants: {
+ *     path: '$.tenants[*].items[0].people[*]',
+ *     fields: { email: '@.emails.primary' },
+ *     lead: { path: '@.customFields.leadTenant', equals: true }
+ *   }
+ * }
+ *
+ * Paths start at the source data root ($) or, inside a landlords/tenants rule, the current person (@).
+ * Supported: .property, [index] and [*]. A list of paths uses the first one with a value.
+ */
+
+const TRANSFORMS = ['title', 'date', 'number', 'string', 'uppercase', 'lowercase', 'boolean'];
+
+// Person fields built when a landlords/tenants rule selects its own collection
+// (covers both Alto layouts - flat /landlords items and nested property.owners)
+const DEFAULT_PERSON_FIELDS = {
+  id: ['@.id', '@.ownerId', '@.contactId'],
+  title: { path: ['@.title', '@.name.title'], transform: 'title' },
+  firstName: ['@.forename', '@.name.forename', '@.firstName'],
+  lastName: ['@.surname', '@.name.surname', '@.lastName'],
+  email: ['@.email', '@.emailAddresses[0].address'],
+  phone: ['@.phone', '@.phoneNumbers[0].number']
+};
+
+const DEFAULT_ADDRESS_PATHS = {
+  landlords: '@.address',
+  tenants: '@.forwardingAddress'
+};
+
+const PATH_TOKEN = /\.([A-Za-z_][\w-]*)|\[(\d+|\*)\]/g;
+
+/**
+ * Select every value matching a path
+ * @param {Object} sourceData - Source data root ($)
+ * @param {string} path - e.g. '$.landlords.items[*].address.postcode'
+ * @param {Object} item - Current person (@)
+ * @returns {Array} matched values (empty when nothing matches)
+ */
+function selectPath(sourceData, path, item = null) {
+  if (typeof path !== 'string' || !['$', '@'].includes(path[0])) {
+    throw new Error(`Invalid field mapping path: ${path}`);
+  }
+
+  let values = [path[0] === '$' ? sourceData : item];
+  const rest = path.slice(1);
+  let consumed = 0;
+
+  for (const match of rest.matchAll(PATH_TOKEN)) {
+    if (match.index !== consumed) {
+      throw new Error(`Invalid field mapping path: ${path}`);
+    }
+    consumed += match[0].length;
+
+    const [, property, index] = match;
+    values = values.flatMap(value => {
+      if (value === null || value === undefined) return [];
+      if (index === '*') return Array.isArray(value) ? value : [];
+      return [index !== undefined ? value[Number(index)] : value[property]];
+    }).filter(value => value !== undefined);
+  }
+
+  if (consumed !== rest.length) {
+    throw new Error(`Invalid field mapping path: ${path}`);
+  }
+
+  return values;
+}
+
+/**
+ * Normalise a rule to { paths, default, transform, format } - a rule may be a path, a list of paths or an object
+ */
+function normalizeRule(rule) {
+  if (typeof rule === 'string' || Array.isArray(rule)) {
+    return { paths: [].concat(rule) };
+  }
+
+  return { ...rule, paths: rule.path === undefined ? [] : [].concat(rule.path) };
+}
+
+/**
+ * Parse a date in the given format (e.g. 'DD/MM/YYYY') to YYYY-MM-DD
+ * Without a format, any value Date understands is accepted
+ */
+function parseDate(value, format) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+
+  if (!format) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+  }
+
+  const order = format.match(/YYYY|MM|DD/g) || [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace('YYYY', '(\\d{4})')
+    .replace('MM', '(\\d{1,2})')
+    .replace('DD', '(\\d{1,2})');
+  const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+
+  if (!match || order.length !== 3) {
+    return null;
+  }
+
+  const parts = {};
+  order.forEach((token, index) => { parts[token] = Number(match[index + 1]); });
+
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD));
+  if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) {
+    return null; // e.g. 31/02/2026
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Apply a transform to a resolved value
+ * @returns {*} transformed value (null when the value cannot be converted)
+ */
+function applyTransform(value, transform, { format, normalizeTitle } = {}) {
+  switch (transform) {
+    case 'title':
+      return normalizeTitle ? normalizeTitle(String(value)) : String(value).trim();
+    case 'date':
+      return parseDate(value, format);
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/[£,\s]/g, ''));
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'string':
+      return String(value).trim();
+    case 'uppercase':
+      return String(value).trim().toUpperCase();
+    case 'lowercase':
+      return String(value).trim().toLowerCase();
+    case 'boolean':
+      return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve one field rule against the source data
+ * @returns {Object} { found, value, warning }
+ */
+function resolveField(target, rule, sourceData, item, helpers) {
+  const { paths, transform, format } = normalizeRule(rule);
+
+  let value;
+  for (const path of paths) {
+    const [selected] = selectPath(sourceData, path, item);
+    if (selected !== undefined && selected !== null && selected !== '') {
+      value = selected;
+      break;
+    }
+  }
+
+  if (value === undefined) {
+    if (rule.default === undefined) {
+      return { found: false };
+    }
+    value = rule.default;
+  }
+
+  if (!transform) {
+    return { found: true, value };
+  }
+
+  const transformed = applyTransform(value, transform, { format, normalizeTitle: helpers.normalizeTitle });
+
+  // Unsupported titles are omitted (title is optional) - anything else that fails to convert is reported
+  if (transformed === null && transform !== 'title') {
+    return { found: false, warning: `${target}: could not apply '${transform}' transform to ${JSON.stringify(value)}` };
+  }
+
+  return { found: true, value: transformed };
+}
+
+/**
+ * Set a value at a dot path (e.g. 'property.propertyType'), creating objects as needed
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = target;
+
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+
+  if (value === null || value === undefined) {
+    delete node[last];
+  } else {
+    node[last] = value;
+  }
+}
+
+/**
+ * Build a landlords/tenants collection from a rule
+ * Items come from rule.path, or the adapter's own collection when only fields/lead are overridden
+ */
+function mapPeople(group, rule, sourceData, depositModel, helpers, warnings) {
+  const items = rule.path ? selectPath(sourceData, rule.path) : (helpers.people?.[group] || []);
+
+  if (items.length === 0) {
+    warnings.push(`${group}: no items found${rule.path ? ` at ${rule.path}` : ''}`);
+    return null;
+  }
+
+  const fields = {
+    ...(rule.path ? DEFAULT_PERSON_FIELDS : {}),
+    ...(rule.path ? { address: DEFAULT_ADDRESS_PATHS[group] } : {}),
+    ...(rule.fields || {})
+  };
+
+  const originals = depositModel[group] || [];
+
+  let people = items.map((item, index) => {
+    // Start from the adapter's mapping of the same person when the collection is unchanged
+    const person = rule.path ? {} : { ...originals[index] };
+
+    for (const [field, fieldRule] of Object.entries(fields)) {
+      const result = resolveField(`${group}[${index}].${field}`, fieldRule, sourceData, item, helpers);
+      if (result.warning) warnings.push(result.warning);
+      if (result.found) {
+        setPath(person, field, result.value);
+      }
+    }
+
+    // County from the workflow's postcode lookups (matched by postcode), or the county held on the address
+    if (person.address?.postcode && !person.county) {
+      const postcode = String(person.address.postcode).toUpperCase().trim();
+      const match = originals.find(original => String(original.address?.postcode || '').toUpperCase().trim() === postcode);
+      const county = match?.county || person.address.county;
+      if (county) person.county = county;
+    }
+
+    return { person, item };
+  });
+
+  // Lead person (e.g. a lead tenant flag in a custom field) goes first
+  if (rule.lead) {
+    const equals = rule.lead.equals === undefined ? true : rule.lead.equals;
+    const leadIndex = people.findIndex(({ item }) => selectPath(sourceData, rule.lead.path, item)
+      .some(value => value === equals || String(value).toLowerCase() === String(equals).toLowerCase()));
+
+    if (leadIndex > 0) {
+      people = [people[leadIndex], ...people.filter((_, index) => index !== leadIndex)];
+    } else if (leadIndex === -1) {
+      warnings.push(`${group}: no item matched the lead flag at ${rule.lead.path}`);
+    }
+  }
+
+  return people.map(({ person }) => person);
+}
+
+/**
+ * Apply an organisation's field mapping rules to a deposit model
+ *
+ * @param {Object} depositModel - Model built by the source adapter's mapToDepositModel
+ * @param {Object} sourceData - Data returned by the adapter's fetchTenancyData
+ * @param {Object} rules - { fields, landlords, tenants }
+ * @param {Object} helpers - { normalizeTitle, people: { landlords, tenants } } from the source adapter
+ * @returns {Object} { depositModel, applied, warnings }
+ */
+function applyFieldMappingRules(depositModel, sourceData, rules, helpers = {}) {
+  const mapped = JSON.parse(JSON.stringify(depositModel));
+  const applied = [];
+  const warnings = [];
+
+  if (!rules) {
+    return { depositModel: mapped, applied, warnings };
+  }
+
+  for (const [target, rule] of Object.entries(rules.fields || {})) {
+    const result = resolveField(target, rule, sourceData, null, helpers);
+    if (result.warning) warnings.push(result.warning);
+    if (result.found) {
+      setPath(mapped, target, result.value);
+      applied.push(target);
+    }
+  }
+
+  for (const group of ['landlords', 'tenants']) {
+    if (!rules[group]) continue;
+
+    const people = mapPeople(group, rules[group], sourceData, depositModel, helpers, warnings);
+    if (!people) continue;
+
+    mapped[group] = people;
+    if (group === 'landlords') {
+      mapped.landlord = people[0]; // Backwards compatibility - first landlord
+    }
+    applied.push(group);
+  }
+
+  return { depositModel: mapped, applied, warnings };
+}
+
+module.exports = {
+  TRANSFORMS,
+  selectPath,
+  parseDate,
+  applyTransform,
+  applyFieldMappingRules
+};
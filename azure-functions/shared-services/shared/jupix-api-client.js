@@ -0,0 +1,334 @@
+/**
+ * Jupix API Client - Shared Service
+ *
+ * Handles authentication and API calls to Jupix property management system.
+ * Responses are normalized into the same structure returned by AltoAPIClient
+ * so the orchestrator can validate and build TDS payloads without caring
+ * which source system the tenancy came from.
+ */
+
+const axios = require('axios');
+const telemetry = require('./telemetry');
+
+/**
+ * Map Jupix deposit scheme names to the Alto depositSchemeType values
+ * used by the orchestrator's scheme filter
+ */
+const JUPIX_SCHEME_MAP = {
+    'tds custodial': 'DisputeServiceCustodial',
+    'tds insured': 'DisputeServiceInsured',
+    'dps': 'DepositProtectionService',
+    'mydeposits': 'MyDeposits',
+    'unspecified': 'Unspecified'
+};
+
+/**
+ * Convert a Jupix deposit scheme name to an Alto depositSchemeType
+ */
+function mapDepositScheme(scheme) {
+    if (!scheme) return 'Unspecified';
+    return JUPIX_SCHEME_MAP[String(scheme).toLowerCase().trim()] || String(scheme);
+}
+
+/**
+ * Convert a Jupix address to the Alto address structure
+ */
+function mapAddress(address) {
+    if (!address) return null;
+
+    return {
+        subDwelling: address.flat || address.subDwelling || '',
+        nameNo: address.houseNumber || address.houseName || address.nameNo || '',
+        street: address.street || '',
+        locality: address.locality || address.district || '',
+        town: address.town || '',
+        county: address.county || '',
+        postcode: address.postcode || ''
+    };
+}
+
+/**
+ * Convert a Jupix contact to an Alto person (tenant) record
+ */
+function mapPerson(contact) {
+    const phone = contact.mobile || contact.phone;
+
+    return {
+        title: contact.title,
+        forename: contact.forename || contact.firstName,
+        surname: contact.surname || contact.lastName,
+        emailAddresses: contact.email ? [{ address: contact.email }] : [],
+        phoneNumbers: phone ? [{ number: phone }] : []
+    };
+}
+
+/**
+ * Normalize raw Jupix tenancy, property and contact data into the
+ * structure returned by AltoAPIClient.fetchFullTenancyData
+ * @param {Object} jupixData - Raw Jupix responses { tenancy, property, landlords, tenants }
+ */
+function normalizeJupixTenancyData({ tenancy, property, landlords = [], tenants = [] }) {
+    const normalizedLandlords = landlords.map(landlord => ({
+        id: landlord.id,
+        title: landlord.title,
+        forename: landlord.forename || landlord.firstName,
+        surname: landlord.surname || landlord.lastName,
+        email: landlord.email || null,
+        phone: landlord.mobile || landlord.phone || null,
+        address: mapAddress(landlord.address)
+    }));
+
+    // Alto returns one contact record per tenant with a nested people array
+    const normalizedTenants = tenants.map(tenant => ({
+        items: [{
+            id: tenant.id,
+            people: [mapPerson(tenant)]
+        }]
+    }));
+
+    return {
+        tenancy: tenancy ? {
+            id: tenancy.id,
+            branchId: tenancy.branchId,
+            propertyId: tenancy.propertyId,
+            startDate: tenancy.startDate,
+            endDate: tenancy.endDate,
+            rent: tenancy.rent,
+            depositRequested: tenancy.depositAmount,
+            depositSchemeType: mapDepositScheme(tenancy.depositScheme),
+            status: tenancy.status
+        } : null,
+        property: property ? {
+            id: property.id,
+            address: mapAddress(property.address),
+            propertyType: property.propertyType,
+            bedrooms: property.bedrooms,
+            receptions: property.receptions,
+            rent: property.rent
+        } : null,
+        landlords: {
+            totalCount: normalizedLandlords.length,
+            items: normalizedLandlords
+        },
+        landlord: normalizedLandlords[0] || null,
+        tenants: normalizedTenants
+    };
+}
+
+/**
+ * Jupix API Client Class
+ */
+class JupixAPIClient {
+    constructor(config) {
+        this.baseUrl = config.baseUrl;
+        this.clientId = config.clientId;
+        this.clientSecret = config.clientSecret;
+        this.timeout = config.timeout || 90000;
+        this.accessToken = null;
+        this.tokenExpiry = null;
+        this.context = config.context || null; // Optional context for logging
+    }
+
+    /**
+     * Get access token from Jupix using client credentials
+     */
+    async getAccessToken() {
+        if (this.accessToken && this.tokenExpiry > Date.now()) {
+            return this.accessToken;
+        }
+
+        try {
+            const tokenUrl = `${this.baseUrl}/oauth/token`;
+            this.context?.log('🔐 Attempting Jupix authentication:', {
+                url: tokenUrl,
+                clientIdPreview: this.clientId ? this.clientId.substring(0, 10) + '...' : 'NOT SET'
+            });
+
+            const response = await axios.post(tokenUrl, new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.clientId || '',
+                client_secret: this.clientSecret || ''
+            }).toString(), {
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            if (!response.data.access_token) {
+                throw new Error('No access token in response');
+            }
+
+            this.accessToken = response.data.access_token;
+
+            // Calculate expiry time (default to 1 hour if not provided)
+            const expiresIn = response.data.expires_in || 3600;
+            this.tokenExpiry = Date.now() + (expiresIn - 60) * 1000; // Subtract 60 seconds for safety
+
+            this.context?.log('✅ Jupix authentication successful');
+            return this.accessToken;
+
+        } catch (error) {
+            this.context?.log('❌ Jupix authentication failed:', {
+                message: error.message,
+                status: error.response?.status,
+                statusText: error.response?.statusText
+            });
+            throw new Error(`Failed to get Jupix access token: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make authenticated API request with AgencyRef header
+     */
+    async makeRequest(method, endpoint, data = null, agencyRef = null) {
+        const token = await this.getAccessToken();
+
+        const config = {
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            timeout: this.timeout
+        };
+
+        // Add AgencyRef header if provided
+        if (agencyRef) {
+            config.headers['AgencyRef'] = agencyRef;
+        }
+
+        if (data) {
+            config.data = data;
+        }
+
+        const response = await axios(config);
+        return response.data;
+    }
+
+    /**
+     * Fetch complete tenancy data including property and contacts
+     * Returns data in the same structure as AltoAPIClient.fetchFullTenancyData
+     * @param {string} tenancyId - The Jupix tenancy ID to fetch
+     * @param {string} agencyRef - The agency reference for authorization
+     * @param {string} expectedBranchId - The branch ID that should own this tenancy (for authorization)
+     * @param {boolean} testMode - If true, verify OAuth then return fake data
+     * @param {Object} testConfig - Configuration for fake data generation
+     */
+    async fetchFullTenancyData(tenancyId, agencyRef, expectedBranchId, testMode = false, testConfig = {}) {
+        if (!agencyRef) {
+            throw new Error('agencyRef is required to fetch tenancy data from Jupix API');
+        }
+
+        // ✅ TEST MODE: Verify OAuth then return fake data
+        if (testMode) {
+            this.context?.log('🧪 TEST MODE: Verifying Jupix OAuth credentials...');
+
+            await this.getAccessToken();
+            this.context?.log('✅ TEST MODE: Jupix OAuth verified successfully');
+
+            // Generated data is already in the normalized (Alto) structure
+            const { generateAltoTenancyData } = require('./test-data-generator');
+
+            return generateAltoTenancyData({
+                ...testConfig,
+                agencyRef: agencyRef,
+                branchId: expectedBranchId || 'DEFAULT'
+            });
+        }
+
+        try {
+            const tenancy = await this.makeRequest('GET', `/tenancies/${tenancyId}`, null, agencyRef);
+
+            // ✅ SECURITY: Validate branch authorization
+            if (expectedBranchId && tenancy.branchId) {
+                const returnedBranchId = String(tenancy.branchId);
+                const requestedBranchId = String(expectedBranchId);
+
+                // Skip validation for "DEFAULT" branch (org-wide access)
+                const isDefaultBranch = requestedBranchId.toUpperCase() === 'DEFAULT';
+
+                if (!isDefaultBranch && returnedBranchId !== requestedBranchId) {
+                    this.context?.error('🚨 SECURITY: Cross-branch access attempt blocked', {
+                        tenancyId,
+                        requestedBranch: requestedBranchId,
+                        actualBranch: returnedBranchId,
+                        agencyRef,
+                        source: 'jupix',
+                        timestamp: new Date().toISOString()
+                    });
+
+                    telemetry.trackEvent('Security_CrossBranchAccessBlocked', {
+                        tenancyId: tenancyId.toString(),
+                        requestedBranch: requestedBranchId,
+                        actualBranch: returnedBranchId,
+                        agencyRef,
+                        source: 'jupix',
+                        severity: 'HIGH'
+                    });
+
+                    throw new Error(
+                        `Authorization failed: Tenancy ${tenancyId} belongs to branch ${returnedBranchId}, ` +
+                        `but was requested by branch ${requestedBranchId}`
+                    );
+                }
+            }
+
+            const propertyId = tenancy.propertyId;
+            if (!propertyId) {
+                throw new Error('Could not extract property ID from Jupix tenancy data');
+            }
+
+            // Fetch property, landlords and tenants in parallel
+            const [property, landlordData, tenantData] = await Promise.all([
+                this.makeRequest('GET', `/properties/${propertyId}`, null, agencyRef),
+                this.makeRequest('GET', `/properties/${propertyId}/landlords`, null, agencyRef),
+                this.makeRequest('GET', `/tenancies/${tenancyId}/tenants`, null, agencyRef)
+            ]);
+
+            // Jupix list endpoints return {items: [...]}
+            const normalized = normalizeJupixTenancyData({
+                tenancy,
+                property,
+                landlords: landlordData?.items || [],
+                tenants: tenantData?.items || []
+            });
+
+            return {
+                ...normalized,
+                sourceSystem: 'jupix',
+                fetchedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            throw new Error(`Failed to fetch tenancy data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test connection
+     */
+    async testConnection() {
+        try {
+            const token = await this.getAccessToken();
+            return {
+                success: true,
+                hasCredentials: !!(this.clientId && this.clientSecret),
+                hasToken: !!token,
+                baseUrl: this.baseUrl,
+                environment: process.env.NODE_ENV || 'production'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                hasCredentials: !!(this.clientId && this.clientSecret),
+                hasToken: false
+            };
+        }
+    }
+}
+
+module.exports = { JupixAPIClient, normalizeJupixTenancyData };
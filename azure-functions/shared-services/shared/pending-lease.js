@@ -0,0 +1,178 @@
+/**
+ * Pending Integration Lease Module
+ *
+ * Leases stop a pending integration being processed twice - by overlapping polling
+ * runs, a force-poll or a manual retry. A lease is taken with an ETag-conditional
+ * update, so only one of several concurrent callers can win it, and it expires so a
+ * crashed holder does not leave the integration stuck in PROCESSING.
+ *
+ * Lease fields on the PendingIntegrations entity:
+ * - leaseOwner: who holds the lease (e.g. "polling:<invocationId>", "retry:<user email>")
+ * - leaseAcquiredAt / leaseExpiresAt: ISO timestamps
+ * - leasedFromStatus: status to return to when an expired lease is reclaimed
+ *
+ * Writes by the holder are fenced: the lease owner is re-read before each write, and the
+ * write is conditional on that read's ETag, so a holder whose lease was reclaimed cannot
+ * overwrite the new holder's changes.
+ */
+
+const DEFAULT_LEASE_MINUTES = 15;
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Lease duration (PENDING_LEASE_MINUTES, default 15 minutes)
+ */
+function getLeaseDurationMs() {
+  const minutes = parseInt(process.env.PENDING_LEASE_MINUTES, 10);
+  return (Number.isNaN(minutes) || minutes <= 0 ? DEFAULT_LEASE_MINUTES : minutes) * 60 * 1000;
+}
+
+/**
+ * Lease fields cleared when a lease is released
+ */
+function clearedLeaseFields() {
+  return {
+    leaseOwner: '',
+    leaseAcquiredAt: '',
+    leaseExpiresAt: '',
+    leasedFromStatus: ''
+  };
+}
+
+/**
+ * Whether an entity is held under a lease that has not expired
+ */
+function isLeaseActive(entity, now = Date.now()) {
+  if (!entity?.leaseOwner || !entity.leaseExpiresAt) {
+    return false;
+  }
+
+  return new Date(entity.leaseExpiresAt).getTime() > now;
+}
+
+/**
+ * Lease details for dashboards
+ *
+ * @param {Object} entity - PendingIntegrations entity
+ * @returns {Object|null} { owner, acquiredAt, expiresAt, expired } - null when no lease is held
+ */
+function describeLease(entity, now = Date.now()) {
+  if (!entity?.leaseOwner) {
+    return null;
+  }
+
+  return {
+    owner: entity.leaseOwner,
+    acquiredAt: entity.leaseAcquiredAt || null,
+    expiresAt: entity.leaseExpiresAt || null,
+    expired: !isLeaseActive(entity, now)
+  };
+}
+
+/**
+ * Error thrown when a holder's lease has been reclaimed by someone else
+ */
+function leaseLostError(entity, owner, currentOwner) {
+  const error = new Error(`Lease on ${entity.rowKey} is no longer held by ${owner}${currentOwner ? ` (now held by ${currentOwner})` : ''}`);
+  error.code = 'LEASE_LOST';
+  return error;
+}
+
+function isLeaseLostError(error) {
+  return error?.code === 'LEASE_LOST';
+}
+
+/**
+ * Acquire the lease on a pending integration
+ *
+ * Succeeds when no lease is held, the lease has expired, or the owner already holds it.
+ * The update is conditional on the entity's ETag - a concurrent caller that changed the
+ * entity first wins and this call reports the lease as held.
+ *
+ * @param {TableClient} tableClient - PendingIntegrations table client
+ * @param {Object} entity - Entity as read (must carry its etag)
+ * @param {string} owner - Lease owner
+ * @param {Object} options
+ * @param {Object} options.fields - Fields merged with the lease (e.g. integrationStatus: 'PROCESSING')
+ * @param {number} options.durationMs - Lease duration (default getLeaseDurationMs())
+ * @returns {Promise<Object>} { acquired: true, fields, etag } or { acquired: false, lease }
+ */
+async function acquireLease(tableClient, entity, owner, { fields = {}, durationMs = getLeaseDurationMs() } = {}) {
+  if (isLeaseActive(entity) && entity.leaseOwner !== owner) {
+    return { acquired: false, lease: describeLease(entity) };
+  }
+
+  const now = Date.now();
+  const leaseFields = {
+    leaseOwner: owner,
+    leaseAcquiredAt: new Date(now).toISOString(),
+    leaseExpiresAt: new Date(now + durationMs).toISOString(),
+    // Keep the original status when an expired lease is taken over
+    leasedFromStatus: entity.integrationStatus === 'PROCESSING'
+      ? (entity.leasedFromStatus || 'PENDING_DATA')
+      : (entity.integrationStatus || ''),
+    ...fields
+  };
+
+  try {
+    const response = await tableClient.updateEntity({
+      partitionKey: entity.partitionKey,
+      rowKey: entity.rowKey,
+      ...leaseFields
+    }, 'Merge', { etag: entity.etag || '*' });
+
+    return { acquired: true, fields: leaseFields, etag: response.etag };
+
+  } catch (error) {
+    if (error.statusCode !== 412 && error.statusCode !== 404) { // 412 = changed since read, 404 = archived since read
+      throw error;
+    }
+
+    const current = error.statusCode === 412
+      ? await tableClient.getEntity(entity.partitionKey, entity.rowKey).catch(() => null)
+      : null;
+
+    return { acquired: false, lease: describeLease(current) };
+  }
+}
+
+/**
+ * Write an entity while holding its lease (fenced write)
+ *
+ * @param {TableClient} tableClient - PendingIntegrations table client
+ * @param {Object} entity - Entity to write
+ * @param {string} owner - Lease owner making the write
+ * @param {string} mode - 'Replace' or 'Merge'
+ * @returns {Promise<string>} New etag
+ * @throws Error with code LEASE_LOST when the lease is held by someone else
+ */
+async function updateLeasedEntity(tableClient, entity, owner, mode = 'Replace') {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const current = await tableClient.getEntity(entity.partitionKey, entity.rowKey);
+
+    if (current.leaseOwner !== owner) {
+      throw leaseLostError(entity, owner, current.leaseOwner);
+    }
+
+    try {
+      const response = await tableClient.updateEntity(entity, mode, { etag: current.etag });
+      return response.etag;
+    } catch (error) {
+      if (error.statusCode !== 412) { // 412 = changed since read (e.g. a webhook nudge) - re-check the lease
+        throw error;
+      }
+    }
+  }
+
+  throw leaseLostError(entity, owner);
+}
+
+module.exports = {
+  getLeaseDurationMs,
+  clearedLeaseFields,
+  isLeaseActive,
+  describeLease,
+  isLeaseLostError,
+  acquireLease,
+  updateLeasedEntity
+};
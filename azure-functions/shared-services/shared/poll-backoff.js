@@ -0,0 +1,54 @@
+/**
+ * Poll Backoff Module
+ *
+ * Schedules the next poll of a pending integration from the polling settings (managed on
+ * the Polling Settings page), so new pending integrations, the polling service and manual
+ * retries all back off the same way:
+ *
+ *   interval = pendingPollInterval * backoffMultiplier ^ (pollCount - 1), capped at 60 minutes
+ */
+
+const DEFAULT_POLLING_SETTINGS = {
+  pendingPollInterval: 5,
+  depositCheckInterval: 10,
+  maxPollAttempts: 20,
+  backoffMultiplier: 1.5
+};
+
+const MAX_POLL_INTERVAL_MINUTES = 60;
+
+/**
+ * Minutes to wait before the next poll
+ *
+ * @param {number} pollCount - Polls made so far (1 for a newly pending integration)
+ * @param {Object} settings - Polling settings ({ pendingPollInterval, backoffMultiplier })
+ * @returns {number} Interval in minutes
+ */
+function getPollIntervalMinutes(pollCount, settings = {}) {
+  const baseInterval = settings.pendingPollInterval || DEFAULT_POLLING_SETTINGS.pendingPollInterval;
+  const multiplier = settings.backoffMultiplier || DEFAULT_POLLING_SETTINGS.backoffMultiplier;
+
+  return Math.min(
+    baseInterval * Math.pow(multiplier, Math.max(0, (pollCount || 1) - 1)),
+    MAX_POLL_INTERVAL_MINUTES
+  );
+}
+
+/**
+ * Time of the next poll
+ *
+ * @param {number} pollCount - Polls made so far (1 for a newly pending integration)
+ * @param {Object} settings - Polling settings
+ * @param {number} now - Current time in milliseconds (defaults to Date.now())
+ * @returns {Date}
+ */
+function calculateNextPollTime(pollCount, settings, now = Date.now()) {
+  return new Date(now + getPollIntervalMinutes(pollCount, settings) * 60 * 1000);
+}
+
+module.exports = {
+  DEFAULT_POLLING_SETTINGS,
+  MAX_POLL_INTERVAL_MINUTES,
+  getPollIntervalMinutes,
+  calculateNextPollTime
+};
@@ -0,0 +1,144 @@
+/**
+ * Polling Policy Module
+ *
+ * Resolves the polling policy for a pending integration: the global polling settings
+ * (Polling Settings page), overridden per organisation by the pollingPolicy on the
+ * organisation mapping. Some agencies add deposit data days later by design and want
+ * slow, long polling; others want a fast fail.
+ *
+ * Organisation policy (all optional):
+ * - pendingPollInterval: minutes before the first re-poll
+ * - maxPollAttempts: attempts before the integration expires
+ * - backoffMultiplier: growth of the interval per attempt
+ * - quietHours: { start: 'HH:MM', end: 'HH:MM', timezone } - the source system is not
+ *   polled in this window (overnight windows such as 22:00-06:00 are supported)
+ *
+ * Each resolved value records where it came from: 'organization', 'global' (the stored
+ * polling settings) or 'default' (no settings stored).
+ */
+
+const { DEFAULT_POLLING_SETTINGS, calculateNextPollTime } = require('./poll-backoff');
+
+const POLICY_FIELDS = ['pendingPollInterval', 'maxPollAttempts', 'backoffMultiplier'];
+const DEFAULT_QUIET_HOURS_TIMEZONE = 'Europe/London';
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Resolve the effective polling policy
+ *
+ * @param {Object} options
+ * @param {Object} options.settings - Global polling settings (PollingSettingsManager.getSettingsOrDefaults)
+ * @param {Object} options.organizationPolicy - pollingPolicy from the organisation mapping (null when none)
+ * @returns {Object} { pendingPollInterval, maxPollAttempts, backoffMultiplier, quietHours, sources }
+ */
+function resolvePollingPolicy({ settings, organizationPolicy } = {}) {
+  const globalSource = settings?.lastUpdated ? 'global' : 'default';
+  const policy = { sources: {} };
+
+  POLICY_FIELDS.forEach(field => {
+    if (organizationPolicy?.[field] !== undefined && organizationPolicy[field] !== null) {
+      policy[field] = organizationPolicy[field];
+      policy.sources[field] = 'organization';
+    } else if (settings?.[field]) {
+      policy[field] = settings[field];
+      policy.sources[field] = globalSource;
+    } else {
+      policy[field] = DEFAULT_POLLING_SETTINGS[field];
+      policy.sources[field] = 'default';
+    }
+  });
+
+  // Quiet hours are only set per organisation
+  policy.quietHours = organizationPolicy?.quietHours
+    ? { timezone: DEFAULT_QUIET_HOURS_TIMEZONE, ...organizationPolicy.quietHours }
+    : null;
+  policy.sources.quietHours = policy.quietHours ? 'organization' : 'none';
+
+  return policy;
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ */
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after midnight in the given timezone
+ */
+function getMinutesOfDay(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(now));
+
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+/**
+ * Minutes until quiet hours end (0 when outside quiet hours)
+ */
+function getMinutesUntilQuietHoursEnd(quietHours, now = Date.now()) {
+  if (!quietHours?.start || !quietHours?.end) {
+    return 0;
+  }
+
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  const current = getMinutesOfDay(now, quietHours.timezone || DEFAULT_QUIET_HOURS_TIMEZONE);
+
+  const inWindow = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end; // Overnight window, e.g. 22:00-06:00
+
+  return inWindow ? (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY : 0;
+}
+
+/**
+ * Whether the source system should not be polled right now
+ */
+function isWithinQuietHours(quietHours, now = Date.now()) {
+  return getMinutesUntilQuietHoursEnd(quietHours, now) > 0;
+}
+
+/**
+ * When quiet hours end (null when outside quiet hours)
+ *
+ * @returns {Date|null} Start of the first minute after quiet hours
+ */
+function getQuietHoursEnd(quietHours, now = Date.now()) {
+  const minutes = getMinutesUntilQuietHoursEnd(quietHours, now);
+  if (minutes === 0) {
+    return null;
+  }
+
+  const startOfMinute = Math.floor(now / 60000) * 60000;
+  return new Date(startOfMinute + minutes * 60000);
+}
+
+/**
+ * Time of the next poll under a policy - the backoff schedule, moved to the end of
+ * quiet hours when it would fall inside them
+ *
+ * @param {number} pollCount - Polls made so far (1 for a newly pending integration)
+ * @param {Object} policy - Resolved polling policy
+ * @param {number} now - Current time in milliseconds (defaults to Date.now())
+ * @returns {Date}
+ */
+function scheduleNextPoll(pollCount, policy, now = Date.now()) {
+  const nextPollAt = calculateNextPollTime(pollCount, policy, now);
+  return getQuietHoursEnd(policy?.quietHours, nextPollAt.getTime()) || nextPollAt;
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  resolvePollingPolicy,
+  isWithinQuietHours,
+  getQuietHoursEnd,
+  scheduleNextPoll
+};
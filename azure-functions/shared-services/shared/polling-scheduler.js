@@ -0,0 +1,114 @@
+/**
+ * Polling Scheduler Module
+ *
+ * Runs pending integrations through the polling service in parallel, so one slow
+ * source system call does not hold up the rest of the queue.
+ *
+ * Key Features:
+ * - Bounded concurrency across the run
+ * - Per-agency fairness cap, so one agency's backlog cannot take every slot
+ * - Stop predicate (the run-time budget) - nothing new starts once it is reached,
+ *   in-flight work finishes, and the rest is left for the next run
+ *
+ * Limits (environment, with defaults):
+ * - POLLING_CONCURRENCY: integrations processed at once (5)
+ * - POLLING_AGENCY_CONCURRENCY: integrations per agency processed at once (2)
+ * - POLLING_BATCH_SIZE: due integrations loaded per run (100)
+ * - POLLING_RUN_BUDGET_SECONDS: time after which no new integration starts (240 - inside
+ *   the 5-minute timer schedule and well before the 10-minute function timeout)
+ */
+
+const DEFAULT_LIMITS = {
+  concurrency: 5,
+  agencyConcurrency: 2,
+  batchSize: 100,
+  runBudgetSeconds: 240
+};
+
+/**
+ * Read a positive integer from the environment (the default when unset or invalid)
+ */
+function readPositiveInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+/**
+ * Polling limits for a run
+ * @returns {Object} { concurrency, agencyConcurrency, batchSize, runBudgetMs }
+ */
+function getPollingLimits() {
+  return {
+    concurrency: readPositiveInt('POLLING_CONCURRENCY', DEFAULT_LIMITS.concurrency),
+    agencyConcurrency: readPositiveInt('POLLING_AGENCY_CONCURRENCY', DEFAULT_LIMITS.agencyConcurrency),
+    batchSize: readPositiveInt('POLLING_BATCH_SIZE', DEFAULT_LIMITS.batchSize),
+    runBudgetMs: readPositiveInt('POLLING_RUN_BUDGET_SECONDS', DEFAULT_LIMITS.runBudgetSeconds) * 1000
+  };
+}
+
+/**
+ * Run a worker over items with bounded concurrency and a per-key cap
+ *
+ * Items start in order, skipping over items whose key is at its cap (they start as soon
+ * as a slot for their key frees up). Worker errors are captured per item, never thrown.
+ *
+ * @param {Array} items - Items to process, in priority order
+ * @param {Function} worker - async (item) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum items in flight
+ * @param {number} options.perKeyLimit - Maximum items in flight per key
+ * @param {Function} options.keyOf - (item) => fairness key (e.g. agency)
+ * @param {Function} options.shouldStop - () => boolean, checked before starting each item
+ * @returns {Promise<Object>} { results: [{ item, value } | { item, error }] in completion order, notStarted: [items] }
+ */
+async function runWithConcurrency(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const perKeyLimit = Math.max(1, options.perKeyLimit || Infinity);
+  const keyOf = options.keyOf || (() => 'default');
+  const shouldStop = options.shouldStop || (() => false);
+
+  const queue = [...items];
+  const activeByKey = new Map();
+  const inFlight = new Set();
+  const results = [];
+  let stopped = false;
+
+  const nextStartable = () => queue.findIndex(item => (activeByKey.get(keyOf(item)) || 0) < perKeyLimit);
+
+  while (queue.length > 0 || inFlight.size > 0) {
+    stopped = stopped || shouldStop();
+
+    let index;
+    while (!stopped && inFlight.size < concurrency && (index = nextStartable()) !== -1) {
+      const [item] = queue.splice(index, 1);
+      const key = keyOf(item);
+      activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+      const task = Promise.resolve()
+        .then(() => worker(item))
+        .then(value => ({ item, value }), error => ({ item, error }))
+        .then(outcome => {
+          results.push(outcome);
+          activeByKey.set(key, activeByKey.get(key) - 1);
+          inFlight.delete(task);
+        });
+
+      inFlight.add(task);
+    }
+
+    // Nothing in flight and nothing startable - only possible once stopped
+    if (inFlight.size === 0) {
+      break;
+    }
+
+    await Promise.race(inFlight);
+  }
+
+  return { results, notStarted: queue };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  getPollingLimits,
+  runWithConcurrency
+};
@@ -0,0 +1,181 @@
+/**
+ * Protection Deadline Module
+ *
+ * Deposits must be protected within 30 days of being received. Pending integrations
+ * track the statutory deadline so the tenancies closest to it are escalated and
+ * polled first.
+ *
+ * Key Features:
+ * - Deadline from the deposit received date (or the tenancy start date when the
+ *   source system does not record when the deposit was received)
+ * - Days remaining and escalation tiers at 14, 7 and 2 days (and overdue)
+ * - Ordering that puts the most urgent pending integrations first
+ *
+ * Deadlines are stored on the PendingIntegrations entity (protectionDeadline,
+ * protectionDeadlineBasis); the last tier notified is stored as escalationTier.
+ */
+
+const PROTECTION_PERIOD_DAYS = 30;
+
+/**
+ * Escalation tiers, most severe first ({ tier, days } - escalate at or below this many days remaining)
+ */
+const ESCALATION_TIERS = [
+  { tier: 'critical', days: 2 },
+  { tier: 'urgent', days: 7 },
+  { tier: 'warning', days: 14 }
+];
+
+const TIER_RANK = { overdue: 4, critical: 3, urgent: 2, warning: 1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date to UTC midnight (null when missing or invalid)
+ */
+function toUtcDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Calculate the protection deadline for a deposit
+ *
+ * @param {Object} dates - { depositReceivedDate, tenancyStartDate } from the source adapter's getProtectionDates()
+ * @returns {Object|null} { basis: 'depositReceived' | 'tenancyStart', startDate, deadline } (YYYY-MM-DD), null without either date
+ */
+function calculateProtectionDeadline({ depositReceivedDate, tenancyStartDate } = {}) {
+  const received = toUtcDate(depositReceivedDate);
+  const start = received || toUtcDate(tenancyStartDate);
+
+  if (!start) {
+    return null;
+  }
+
+  return {
+    basis: received ? 'depositReceived' : 'tenancyStart',
+    startDate: start.toISOString().split('T')[0],
+    deadline: new Date(start.getTime() + PROTECTION_PERIOD_DAYS * DAY_MS).toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Whole days until the deadline (0 on the day itself, negative once overdue)
+ */
+function getDaysRemaining(deadline, now = new Date()) {
+  const deadlineDate = toUtcDate(deadline);
+  if (!deadlineDate) {
+    return null;
+  }
+
+  return Math.round((deadlineDate.getTime() - toUtcDate(now).getTime()) / DAY_MS);
+}
+
+/**
+ * Escalation tier for the days remaining ('overdue', 'critical', 'urgent', 'warning' or null)
+ */
+function getEscalationTier(daysRemaining) {
+  if (daysRemaining === null || daysRemaining === undefined) {
+    return null;
+  }
+
+  if (daysRemaining < 0) {
+    return 'overdue';
+  }
+
+  const match = ESCALATION_TIERS.find(({ days }) => daysRemaining <= days);
+  return match ? match.tier : null;
+}
+
+/**
+ * Whether a tier is more severe than the last tier notified (so each tier is notified once)
+ */
+function isMoreSevere(tier, previousTier) {
+  return (TIER_RANK[tier] || 0) > (TIER_RANK[previousTier] || 0);
+}
+
+/**
+ * Deadline fields to store on a pending integration
+ * A deadline that moves (e.g. the received date is recorded later) clears the last tier notified
+ *
+ * @param {Object} dates - { depositReceivedDate, tenancyStartDate }
+ * @param {Object} previous - Stored entity (protectionDeadline)
+ * @returns {Object} { protectionDeadline, protectionDeadlineBasis, escalationTier?, escalatedAt? } - empty without a deadline
+ */
+function buildProtectionDeadlineFields(dates, previous = {}) {
+  const deadline = calculateProtectionDeadline(dates);
+  if (!deadline) {
+    return {};
+  }
+
+  const fields = {
+    protectionDeadline: deadline.deadline,
+    protectionDeadlineBasis: deadline.basis
+  };
+
+  if (previous?.protectionDeadline && previous.protectionDeadline !== deadline.deadline) {
+    fields.escalationTier = '';
+    fields.escalatedAt = '';
+  }
+
+  return fields;
+}
+
+/**
+ * Deadline status of a pending integration
+ * Only deposits still awaiting protection have a deadline (repayments and write-backs follow a registered deposit)
+ *
+ * @param {Object} entity - PendingIntegrations entity
+ * @returns {Object|null} { protectionDeadline, protectionDeadlineBasis, daysRemaining, escalationTier }
+ */
+function describeProtectionDeadline(entity, now = new Date()) {
+  if ((entity?.integrationType || 'deposit') !== 'deposit' || !entity.protectionDeadline) {
+    return null;
+  }
+
+  const daysRemaining = getDaysRemaining(entity.protectionDeadline, now);
+
+  return {
+    protectionDeadline: entity.protectionDeadline,
+    protectionDeadlineBasis: entity.protectionDeadlineBasis || null,
+    daysRemaining,
+    escalationTier: getEscalationTier(daysRemaining)
+  };
+}
+
+/**
+ * Sort comparator - most severe tier first, then the nearest deadline (entities without a deadline last)
+ */
+function compareByProtectionDeadline(a, b, now = new Date()) {
+  const deadlineA = describeProtectionDeadline(a, now);
+  const deadlineB = describeProtectionDeadline(b, now);
+
+  const rankDifference = (TIER_RANK[deadlineB?.escalationTier] || 0) - (TIER_RANK[deadlineA?.escalationTier] || 0);
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+
+  const daysA = deadlineA?.daysRemaining ?? Infinity;
+  const daysB = deadlineB?.daysRemaining ?? Infinity;
+  return daysA === daysB ? 0 : (daysA < daysB ? -1 : 1);
+}
+
+module.exports = {
+  PROTECTION_PERIOD_DAYS,
+  ESCALATION_TIERS,
+  calculateProtectionDeadline,
+  getDaysRemaining,
+  getEscalationTier,
+  isMoreSevere,
+  buildProtectionDeadlineFields,
+  describeProtectionDeadline,
+  compareByProtectionDeadline
+};
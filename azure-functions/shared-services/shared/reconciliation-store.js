@@ -0,0 +1,345 @@
+/**
+ * Reconciliation Store Module
+ *
+ * Sweep state and "missed webhook" reports for the scheduled source system
+ * reconciliation, which lists tenancies changed since the last sweep and starts
+ * workflows for any tenancy the integration has no record of.
+ *
+ * Key Features:
+ * - Sweep window calculation (last sweep → now, with overlap)
+ * - Grouping of active organization mappings by agency
+ * - Per-agency sweep reports listing missed tenancies
+ * - Lookup of existing integration records (audit log, pending, archive)
+ *
+ * Configuration:
+ * - RECONCILIATION_LOOKBACK_HOURS: Window for an agency's first sweep (default: 24)
+ * - RECONCILIATION_OVERLAP_MINUTES: Overlap with the previous sweep (default: 5)
+ *
+ * Storage:
+ * - Uses Azure Table Storage (ReconciliationState, ReconciliationReports tables)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+
+const DEFAULT_LOOKBACK_HOURS = 24;
+const DEFAULT_OVERLAP_MINUTES = 5;
+
+/**
+ * Tables that prove the integration has seen a tenancy
+ */
+const INTEGRATION_RECORD_TABLES = {
+  audit: 'AltoIntegrationLog',
+  pending: 'PendingIntegrations',
+  archive: 'PendingIntegrationArchive'
+};
+
+const initializedTables = new Set();
+
+/**
+ * Get table client
+ * @param {string} tableName - Table name
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient(tableName) {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, tableName);
+}
+
+/**
+ * Ensure a table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (initializedTables.has(tableClient.tableName)) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  initializedTables.add(tableClient.tableName);
+}
+
+/**
+ * Read a non-negative integer from the environment
+ */
+function readIntegerSetting(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Calculate the window a sweep should cover
+ *
+ * Starts slightly before the previous sweep ended so tenancies updated at the
+ * boundary are not missed; the first sweep looks back a fixed number of hours.
+ *
+ * @param {string|null} lastSweepAt - End of the previous sweep window (ISO 8601)
+ * @param {Date} now - Current time
+ * @returns {{ from: string, to: string }}
+ */
+function getSweepWindow(lastSweepAt, now = new Date()) {
+  const lastSweep = lastSweepAt ? new Date(lastSweepAt).getTime() : NaN;
+
+  const from = Number.isNaN(lastSweep)
+    ? now.getTime() - readIntegerSetting('RECONCILIATION_LOOKBACK_HOURS', DEFAULT_LOOKBACK_HOURS) * 60 * 60 * 1000
+    : lastSweep - readIntegerSetting('RECONCILIATION_OVERLAP_MINUTES', DEFAULT_OVERLAP_MINUTES) * 60 * 1000;
+
+  return {
+    from: new Date(from).toISOString(),
+    to: now.toISOString()
+  };
+}
+
+/**
+ * Group active organization mappings by agency
+ *
+ * An agency with several branch mappings is swept once. Production mappings take
+ * priority over development mappings, matching the organization lookup.
+ *
+ * @param {Array} mappings - Mappings from OrganizationMappingService.getAllMappings()
+ * @param {string} integrationType - Integration type to include ('alto', 'jupix')
+ * @returns {Array<{ agencyRef, environment, organizationName, branchIds, allBranches }>}
+ */
+function groupMappingsByAgency(mappings, integrationType) {
+  const agencies = new Map();
+
+  for (const mapping of mappings) {
+    const isActive = mapping.isActive === true || mapping.isActive === 'true';
+    if (!isActive || mapping.integrationType !== integrationType) {
+      continue;
+    }
+
+    const existing = agencies.get(mapping.agencyRef);
+
+    if (existing && existing.environment === 'production' && mapping.environment !== 'production') {
+      continue;
+    }
+
+    if (!existing || (existing.environment !== 'production' && mapping.environment === 'production')) {
+      agencies.set(mapping.agencyRef, {
+        agencyRef: mapping.agencyRef,
+        environment: mapping.environment || 'development',
+        organizationName: mapping.organizationName,
+        branchIds: [],
+        allBranches: false
+      });
+    }
+
+    const agency = agencies.get(mapping.agencyRef);
+    if (!mapping.branchId || mapping.branchId === 'DEFAULT') {
+      agency.allBranches = true;
+    } else if (!agency.branchIds.includes(mapping.branchId)) {
+      agency.branchIds.push(mapping.branchId);
+    }
+  }
+
+  return [...agencies.values()];
+}
+
+/**
+ * Check whether a tenancy belongs to a branch the agency has mapped
+ *
+ * @param {Object} tenancy - Tenancy from the source system listing ({ branchId })
+ * @param {Object} agency - Agency from groupMappingsByAgency()
+ * @returns {boolean}
+ */
+function isTenancyInScope(tenancy, agency) {
+  return agency.allBranches || (!!tenancy.branchId && agency.branchIds.includes(tenancy.branchId));
+}
+
+/**
+ * Look for any record of a tenancy in the audit log, pending integrations or the archive
+ *
+ * @param {string} agencyRef - Agency reference
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Promise<string|null>} - Where the record was found ('audit', 'pending', 'archive') or null
+ */
+async function findIntegrationRecord(agencyRef, tenancyId) {
+  const escapedTenancyId = String(tenancyId).replace(/'/g, "''");
+
+  for (const [name, tableName] of Object.entries(INTEGRATION_RECORD_TABLES)) {
+    const entities = getTableClient(tableName).listEntities({
+      queryOptions: { filter: `tenancyId eq '${escapedTenancyId}'` }
+    });
+
+    try {
+      for await (const entity of entities) {
+        // Older records may not carry the agency reference
+        if (!entity.agencyRef || entity.agencyRef === agencyRef) {
+          return name;
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) { // 404 = table not created yet
+        throw error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the IDs of every tenancy the integration has a record of for an agency
+ * Used to classify large tenancy lists without a lookup per tenancy
+ *
+ * @param {string} agencyRef - Agency reference
+ * @returns {Promise<Map<string, string>>} - Tenancy ID → where the record was found
+ */
+async function loadIntegratedTenancyIds(agencyRef) {
+  const tenancyIds = new Map();
+
+  for (const [name, tableName] of Object.entries(INTEGRATION_RECORD_TABLES)) {
+    const entities = getTableClient(tableName).listEntities({
+      queryOptions: {
+        filter: `agencyRef eq '${agencyRef}'`,
+        select: ['tenancyId']
+      }
+    });
+
+    try {
+      for await (const entity of entities) {
+        if (entity.tenancyId && !tenancyIds.has(String(entity.tenancyId))) {
+          tenancyIds.set(String(entity.tenancyId), name);
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) { // 404 = table not created yet
+        throw error;
+      }
+    }
+  }
+
+  return tenancyIds;
+}
+
+/**
+ * Get the end of an agency's last successful sweep window
+ *
+ * @param {string} sourceSystem - Source system ('alto')
+ * @param {string} agencyRef - Agency reference
+ * @returns {Promise<string|null>} - ISO 8601 timestamp or null if never swept
+ */
+async function getLastSweepAt(sourceSystem, agencyRef) {
+  const tableClient = getTableClient('ReconciliationState');
+  await ensureTable(tableClient);
+
+  try {
+    const entity = await tableClient.getEntity(sourceSystem, agencyRef);
+    return entity.lastSweepAt || null;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save a sweep report and, for completed sweeps, advance the agency's sweep state
+ *
+ * @param {Object} report - Sweep report
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function saveSweepReport(report, context) {
+  const reportsClient = getTableClient('ReconciliationReports');
+  await ensureTable(reportsClient);
+
+  await reportsClient.upsertEntity({
+    partitionKey: report.agencyRef,
+    rowKey: report.sweepId,
+    sweepId: report.sweepId,
+    sourceSystem: report.sourceSystem,
+    agencyRef: report.agencyRef,
+    organizationName: report.organizationName || '',
+    environment: report.environment || '',
+    status: report.status,
+    windowFrom: report.windowFrom,
+    windowTo: report.windowTo,
+    checkedCount: report.checkedCount,
+    missedCount: report.missedTenancies.length,
+    startedCount: report.missedTenancies.filter(missed => missed.action === 'WORKFLOW_STARTED').length,
+    missedTenancies: JSON.stringify(report.missedTenancies),
+    error: report.error || '',
+    startedAt: report.startedAt,
+    completedAt: report.completedAt
+  }, 'Replace');
+
+  if (report.status === 'COMPLETED') {
+    const stateClient = getTableClient('ReconciliationState');
+    await ensureTable(stateClient);
+
+    await stateClient.upsertEntity({
+      partitionKey: report.sourceSystem,
+      rowKey: report.agencyRef,
+      lastSweepAt: report.windowTo,
+      lastSweepId: report.sweepId
+    }, 'Merge');
+  }
+
+  context?.log(`📊 Reconciliation report ${report.sweepId} saved for agency ${report.agencyRef}: ${report.missedTenancies.length} missed`);
+}
+
+/**
+ * List sweep reports, most recent first
+ *
+ * @param {Object} options
+ * @param {string} options.agencyRef - Agency to list reports for (optional - all agencies if omitted)
+ * @param {boolean} options.missedOnly - Only return sweeps that found missed tenancies
+ * @param {number} options.limit - Maximum number of reports to return
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Array>} - Sweep reports
+ */
+async function listSweepReports({ agencyRef, missedOnly = false, limit = 50 } = {}, context) {
+  const tableClient = getTableClient('ReconciliationReports');
+  await ensureTable(tableClient);
+
+  const filters = [];
+  if (agencyRef) filters.push(`PartitionKey eq '${agencyRef}'`);
+  if (missedOnly) filters.push('missedCount gt 0');
+
+  const reports = [];
+  const entities = tableClient.listEntities(filters.length > 0
+    ? { queryOptions: { filter: filters.join(' and ') } }
+    : {});
+
+  for await (const entity of entities) {
+    reports.push({
+      sweepId: entity.sweepId,
+      sourceSystem: entity.sourceSystem,
+      agencyRef: entity.agencyRef,
+      organizationName: entity.organizationName || null,
+      environment: entity.environment || null,
+      status: entity.status,
+      windowFrom: entity.windowFrom,
+      windowTo: entity.windowTo,
+      checkedCount: entity.checkedCount || 0,
+      missedCount: entity.missedCount || 0,
+      startedCount: entity.startedCount || 0,
+      missedTenancies: entity.missedTenancies ? JSON.parse(entity.missedTenancies) : [],
+      error: entity.error || null,
+      startedAt: entity.startedAt,
+      completedAt: entity.completedAt
+    });
+  }
+
+  reports.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  context?.log(`📖 Retrieved ${reports.length} reconciliation reports`);
+
+  return reports.slice(0, limit);
+}
+
+module.exports = {
+  getSweepWindow,
+  groupMappingsByAgency,
+  isTenancyInScope,
+  findIntegrationRecord,
+  loadIntegratedTenancyIds,
+  getLastSweepAt,
+  saveSweepReport,
+  listSweepReports
+};
@@ -47,14 +47,33 @@ const CONFIG = {
 
 // Token cache (in-memory) - Per-branch isolation to prevent cross-contamination
 // Key format: "memberId:branchId" to ensure complete isolation between organizations
+// (Insured scheme tokens are cached separately as "memberId:branchId:Insured")
 const tokenCaches = new Map();
 
+// Region → TDS scheme name prefix (the scheme type is appended, e.g. "England & Wales Insured")
+const REGION_NAMES = {
+  'EW': 'England & Wales',
+  'S': 'Scotland',
+  'Scotland': 'Scotland',
+  'NI': 'Northern Ireland'
+};
+
+/**
+ * Build the TDS scheme name for a region and scheme type
+ * e.g. "England & Wales Custodial", "Scotland Insured"
+ */
+function getSchemeName(region, schemeType) {
+  return `${REGION_NAMES[region] || REGION_NAMES.EW} ${schemeType || 'Custodial'}`;
+}
+
 /**
  * Get or create a token cache for a specific member/branch combination
  * This ensures complete isolation between different organizations
  */
-function getTokenCacheForBranch(memberId, branchId) {
-  const cacheKey = `${memberId}:${branchId}`;
+function getTokenCacheForBranch(memberId, branchId, schemeType = null) {
+  const cacheKey = schemeType && schemeType !== 'Custodial'
+    ? `${memberId}:${branchId}:${schemeType}`
+    : `${memberId}:${branchId}`;
 
   if (!tokenCaches.has(cacheKey)) {
     tokenCaches.set(cacheKey, {
@@ -77,7 +96,7 @@ function getTokenCacheForBranch(memberId, branchId) {
  * @param {string} orgCredentials.memberId - TDS Member ID
  * @param {string} orgCredentials.branchId - TDS Branch ID
  * @param {string} orgCredentials.apiKey - TDS API Key (decrypted)
- * @param {string} orgCredentials.region - Region (EW, Scotland, NI)
+ * @param {string} orgCredentials.region - Region (EW, S or Scotland, NI)
  * @param {string} orgCredentials.schemeType - Scheme type (Custodial, Insured)
  * @param {string} orgCredentials.authMethod - Auth method override (api-key or oauth2)
  * @returns {Promise<Object>} - Authorization header object
@@ -126,14 +145,8 @@ async function getApiKeyHeader(context, orgCredentials = null) {
       throw new Error('Organization credentials missing required fields: memberId, branchId, apiKey');
     }
 
-    // Map region to scheme name
-    const schemeMap = {
-      'EW': 'England & Wales Custodial',
-      'Scotland': 'Scotland Custodial',
-      'NI': 'Northern Ireland Custodial'
-    };
-
-    const scheme = schemeMap[region] || 'England & Wales Custodial';
+    // Map region and scheme type to scheme name
+    const scheme = getSchemeName(region, schemeType);
     const type = schemeType || 'Custodial';
 
     // Build AccessToken: Scheme-SchemeType-MemberID-BranchID-ApiKey
@@ -191,7 +204,7 @@ async function getOAuth2Header(context, orgCredentials = null) {
   const schemeType = orgCredentials?.schemeType || null;
 
   // Get the branch-specific token cache to ensure isolation
-  const tokenCache = getTokenCacheForBranch(memberId, branchId);
+  const tokenCache = getTokenCacheForBranch(memberId, branchId, schemeType);
 
   // Check if token is valid and not expiring soon
   if (isTokenValid(tokenCache)) {
@@ -255,7 +268,7 @@ async function refreshOAuth2Token(context, clientId = null, clientSecret = null,
   }
 
   // Get the branch-specific token cache
-  const tokenCache = getTokenCacheForBranch(memberId, branchId);
+  const tokenCache = getTokenCacheForBranch(memberId, branchId, schemeType);
 
   // Set refreshing flag and create promise for THIS branch
   tokenCache.isRefreshing = true;
@@ -309,13 +322,7 @@ async function performTokenRefresh(context, clientId, clientSecret, baseUrl = nu
 
     // Build auth_code header value
     // Format: "England & Wales Custodial-Custodial-<SF Client Id>-<SF Client Secret>-<SF Member Id>"
-    const schemeMap = {
-      'EW': 'England & Wales Custodial',
-      'Scotland': 'Scotland Custodial',
-      'NI': 'Northern Ireland Custodial'
-    };
-
-    const scheme = schemeMap[region] || 'England & Wales Custodial';
+    const scheme = getSchemeName(region, schemeType);
     const type = schemeType || 'Custodial';
     const effectiveMemberId = memberId || '0'; // Default to 0 if not provided
 
@@ -572,16 +579,18 @@ module.exports = {
 
   // For testing
   isTokenValid,
-  _getTokenCache: (memberId, branchId) => getTokenCacheForBranch(memberId, branchId), // Expose branch-specific cache for testing
+  _getTokenCache: (memberId, branchId, schemeType = null) => getTokenCacheForBranch(memberId, branchId, schemeType), // Expose branch-specific cache for testing
   _getAllCaches: () => tokenCaches, // Expose all caches for testing
   _resetCache: (memberId = null, branchId = null) => {
     if (memberId && branchId) {
-      // Reset specific branch cache
-      const tokenCache = getTokenCacheForBranch(memberId, branchId);
-      tokenCache.token = null;
-      tokenCache.expiresAt = null;
-      tokenCache.isRefreshing = false;
-      tokenCache.refreshPromise = null;
+      // Reset specific branch caches (Custodial and Insured credentials are cached separately)
+      for (const schemeType of ['Custodial', 'Insured']) {
+        const tokenCache = getTokenCacheForBranch(memberId, branchId, schemeType);
+        tokenCache.token = null;
+        tokenCache.expiresAt = null;
+        tokenCache.isRefreshing = false;
+        tokenCache.refreshPromise = null;
+      }
     } else {
       // Reset all caches
       tokenCaches.clear();
@@ -53,7 +53,7 @@ async function loadTDSSettings(context = null) {
  * Lookup postcode region using ONS Postcode Directory
  * @param {string} postcode - UK postcode to lookup
  * @param {Object} context - Azure Function context for logging
- * @returns {Promise<Object>} { region: string, cached: boolean }
+ * @returns {Promise<Object>} { region: string, country: string, cached: boolean }
  */
 async function lookupPostcode(postcode, context = null) {
     try {
@@ -68,9 +68,10 @@ async function lookupPostcode(postcode, context = null) {
             await cacheTableClient.createTable().catch(() => {});
             const cacheEntity = await cacheTableClient.getEntity('Postcode', normalizedPostcode);
 
-            if (cacheEntity && cacheEntity.region) {
+            // Entries cached before country was stored are looked up again
+            if (cacheEntity && cacheEntity.region && cacheEntity.country) {
                 context?.log(`✅ Postcode ${normalizedPostcode} found in cache: ${cacheEntity.region}`);
-                return { region: cacheEntity.region, cached: true };
+                return { region: cacheEntity.region, country: cacheEntity.country, cached: true };
             }
         } catch (error) {
             // Cache miss or error - proceed to API lookup
@@ -84,6 +85,7 @@ async function lookupPostcode(postcode, context = null) {
 
         if (response.data && response.data.result) {
             const region = response.data.result.region || response.data.result.european_electoral_region;
+            const country = response.data.result.country;
 
             // Cache the result
             try {
@@ -91,6 +93,7 @@ async function lookupPostcode(postcode, context = null) {
                     partitionKey: 'Postcode',
                     rowKey: normalizedPostcode,
                     region: region,
+                    country: country,
                     lookedUpAt: new Date().toISOString()
                 });
             } catch (cacheError) {
@@ -98,7 +101,7 @@ async function lookupPostcode(postcode, context = null) {
             }
 
             context?.log(`✅ Postcode ${normalizedPostcode} looked up: ${region}`);
-            return { region, cached: false };
+            return { region, country, cached: false };
         }
 
         throw new Error('Invalid postcode response from API');
@@ -0,0 +1,1100 @@
+/**
+ * Source System Adapters - Shared Service
+ *
+ * Pluggable adapters for property management systems (PMS) feeding the
+ * TDS workflow orchestrator. Each adapter fetches tenancy data from its
+ * source, validates completeness and maps it to the standard deposit model.
+ *
+ * Adding a new PMS: extend SourceAdapterInterface (or AltoSourceAdapter if
+ * the client already normalizes to the Alto structure) and register it in
+ * SourceAdapterFactory.
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const { AltoAPIClient } = require('./alto-api-client');
+const { JupixAPIClient } = require('./jupix-api-client');
+const { checkDepositScheme, applySchemeRules } = require('./deposit-schemes');
+
+/**
+ * Source Adapter Interface - Abstract base for all source system implementations
+ */
+class SourceAdapterInterface {
+    constructor(config = {}) {
+        this.context = config.context;
+        this.timeout = config.timeout || 600000;
+    }
+
+    /**
+     * Source system identifier (matches deposit-schema.json sourceSystem)
+     */
+    get sourceSystem() {
+        throw new Error('sourceSystem must be implemented');
+    }
+
+    /**
+     * Human-readable source name used in messages shown to agents
+     */
+    get displayName() {
+        throw new Error('displayName must be implemented');
+    }
+
+    /**
+     * Fetch complete tenancy data from the source system
+     * @param {Object} workflowData - Validated workflow request
+     * @param {Object} orgContext - { environment, effectiveBranchId, mapping } from organization mapping
+     */
+    async fetchTenancyData(workflowData, orgContext) {
+        throw new Error('fetchTenancyData must be implemented');
+    }
+
+    /**
+     * Whether the DAN and certificate can be written back to the source system after registration
+     */
+    get supportsWriteBack() {
+        return false;
+    }
+
+    /**
+     * Write the deposit protection details (DAN, protection date) back to the source tenancy
+     * @param {Object} workflowData - { tenancyId, agencyRef }
+     * @param {Object} orgContext - { environment, effectiveBranchId }
+     * @param {Object} protection - { reference, protectedDate, scheme }
+     */
+    async writeDepositProtection(workflowData, orgContext, protection) {
+        throw new Error('writeDepositProtection must be implemented');
+    }
+
+    /**
+     * Attach a document (e.g. the Deposit Protection Certificate) to the source tenancy
+     * @param {Object} document - { fileName, contentType, content (base64), description }
+     */
+    async attachTenancyDocument(workflowData, orgContext, document) {
+        throw new Error('attachTenancyDocument must be implemented');
+    }
+
+    /**
+     * Validate data completeness
+     * @param {Object} sourceData - Data returned by fetchTenancyData
+     * @param {Object} options - { enabledSchemes } from organization mapping
+     * @returns {Object} { isComplete, isPermanentRejection, rejectionReason, missingFields, summary, canPendForPolling }
+     */
+    validateCompleteness(sourceData, options) {
+        throw new Error('validateCompleteness must be implemented');
+    }
+
+    /**
+     * Postcodes needing county lookup before mapping
+     * @returns {Object} { property, landlord }
+     */
+    getPostcodes(sourceData) {
+        throw new Error('getPostcodes must be implemented');
+    }
+
+    /**
+     * Per-person postcodes (each landlord's address, each tenant's forwarding address) in mapping order
+     * Sources without per-person addresses use the single landlord lookup
+     * @returns {Object} { landlords, tenants }
+     */
+    getPersonPostcodes(sourceData) {
+        return { landlords: [], tenants: [] };
+    }
+
+    /**
+     * Raw landlord and tenant items in mapping order (used by per-organisation field mapping rules)
+     * @returns {Object} { landlords, tenants }
+     */
+    getPeople(sourceData) {
+        return { landlords: [], tenants: [] };
+    }
+
+    /**
+     * Deposit release agreed at the end of the tenancy (used to raise repayments)
+     * Sources without deposit release data return null
+     * @returns {Object|null} { agreed, status, tenancyEndDate, tenantAmount, deductions: [{ category, amount, description }] }
+     */
+    getDepositRelease(sourceData) {
+        return null;
+    }
+
+    /**
+     * Dates the statutory protection deadline runs from (see protection-deadline)
+     * @returns {Object} { depositReceivedDate, tenancyStartDate } - null where the source does not hold the date
+     */
+    getProtectionDates(sourceData) {
+        return { depositReceivedDate: null, tenancyStartDate: null };
+    }
+
+    /**
+     * Map source data to the standard deposit model
+     * @param {Object} sourceData - Data returned by fetchTenancyData
+     * @param {Object} options - { propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults, agencyRef, branchId, protectionFeePaidBy }
+     *                           personPostcodeResults: { landlords, tenants } lookup per person (null where the lookup failed)
+     */
+    mapToDepositModel(sourceData, options) {
+        throw new Error('mapToDepositModel must be implemented');
+    }
+
+    /**
+     * Normalize title to Salesforce TDS-accepted values
+     * Salesforce TDS API accepts: "Mr.", "Ms.", "Mrs.", "Dr.", "Prof.", "Mx." (with periods)
+     * Title is optional - if not recognized, return null and omit from payload
+     */
+    normalizeTitle(title) {
+        if (!title) return null; // No title provided - will be omitted
+
+        // Remove any existing periods and convert to lowercase for matching
+        const titleLower = title.toLowerCase().trim().replace(/\./g, '');
+
+        // Map common variations to Salesforce-accepted titles (WITH periods)
+        const titleMap = {
+            'mr': 'Mr.',
+            'mrs': 'Mrs.',
+            'miss': 'Ms.',  // Convert Miss to Ms.
+            'ms': 'Ms.',
+            'dr': 'Dr.',
+            'prof': 'Prof.',
+            'mx': 'Mx.'
+        };
+
+        // Return matched title or null if not supported
+        // Null means don't send title field (it's optional in Salesforce API)
+        return titleMap[titleLower] || null;
+    }
+
+    /**
+     * County for a person's address: their postcode lookup, or the county held in the source system
+     * when the lookup failed (failures are reported per person by the workflow)
+     */
+    resolveCounty(postcodeResult, address) {
+        return postcodeResult?.county || address?.county || null;
+    }
+}
+
+/**
+ * Alto Source Adapter
+ */
+class AltoSourceAdapter extends SourceAdapterInterface {
+    get sourceSystem() {
+        return 'alto';
+    }
+
+    get displayName() {
+        return 'Alto';
+    }
+
+    /**
+     * Resolve Alto API URL for the organization's environment from AltoSettings
+     */
+    async getApiUrl(environment) {
+        let altoApiUrl = process.env.ALTO_API_BASE_URL || 'https://api.alto.zoopladev.co.uk';
+
+        try {
+            const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+            const settingsTableClient = TableClient.fromConnectionString(connectionString, 'AltoSettings');
+
+            const settingsEntity = await settingsTableClient.getEntity('Settings', 'AltoConfig');
+            const settings = {
+                development: JSON.parse(settingsEntity.developmentSettings || '{}'),
+                production: JSON.parse(settingsEntity.productionSettings || '{}')
+            };
+
+            altoApiUrl = environment === 'production'
+                ? settings.production.altoApi || altoApiUrl
+                : settings.development.altoApi || altoApiUrl;
+
+            this.context.log(`✅ Using Alto API URL for ${environment}: ${altoApiUrl}`);
+        } catch (error) {
+            this.context.log('⚠️ Failed to load Alto settings, using defaults:', error.message);
+        }
+
+        // Remove trailing slash
+        return altoApiUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * Create an Alto API client for the organization's environment
+     * (one Alto partner app for every agency - the organization context is not needed)
+     */
+    async createApiClient(environment = 'development') {
+        return new AltoAPIClient({
+            baseUrl: await this.getApiUrl(environment),
+            clientId: process.env.ALTO_CLIENT_ID,
+            clientSecret: process.env.ALTO_CLIENT_SECRET,
+            timeout: this.timeout,
+            context: this.context
+        });
+    }
+
+    /**
+     * Fetch complete tenancy data through the source system API client
+     */
+    async fetchTenancyData(workflowData, orgContext = {}) {
+        const { environment = 'development', effectiveBranchId } = orgContext;
+        const altoClient = await this.createApiClient(environment, orgContext);
+
+        return altoClient.fetchFullTenancyData(
+            workflowData.tenancyId,
+            workflowData.agencyRef,
+            effectiveBranchId || workflowData.branchId,  // ✅ Use organization mapping's branch ID
+            workflowData.testMode || false,
+            workflowData.testConfig || {}
+        );
+    }
+
+    get supportsWriteBack() {
+        return true;
+    }
+
+    /**
+     * Update the Alto tenancy's deposit protection reference and date
+     */
+    async writeDepositProtection(workflowData, { environment = 'development' } = {}, protection) {
+        const altoClient = await this.createApiClient(environment);
+        return altoClient.updateTenancyDepositProtection(workflowData.tenancyId, workflowData.agencyRef, protection);
+    }
+
+    /**
+     * Attach a document to the Alto tenancy
+     */
+    async attachTenancyDocument(workflowData, { environment = 'development' } = {}, document) {
+        const altoClient = await this.createApiClient(environment);
+        return altoClient.uploadTenancyDocument(workflowData.tenancyId, workflowData.agencyRef, document);
+    }
+
+    /**
+     * Validate data completeness with detailed missing field tracking
+     */
+    validateCompleteness(altoData, { enabledSchemes } = {}) {
+        const missingFields = {
+            tenancy: [],
+            property: [],
+            contacts: [],
+            deposit: []
+        };
+
+        let isComplete = true;
+
+        // Check deposit scheme type - critical filter for the TDS schemes enabled for the organization
+        const depositSchemeType = altoData.tenancy?.depositSchemeType;
+        const schemeCheck = checkDepositScheme(depositSchemeType, enabledSchemes);
+
+        // A scheme that is not TDS, or not enabled for this organization, is a permanent rejection
+        if (schemeCheck.status === 'rejected') {
+            this.context.log(`🚫 Tenancy rejected: ${schemeCheck.rejectionReason}`);
+            return {
+                isComplete: false,
+                isPermanentRejection: true,
+                rejectionReason: schemeCheck.rejectionReason,
+                missingFields: {},
+                summary: schemeCheck.rejectionReason,
+                canPendForPolling: false
+            };
+        }
+
+        // If depositSchemeType is "Unspecified", treat as missing field (can pend for polling)
+        if (schemeCheck.status === 'unspecified') {
+            missingFields.tenancy.push('deposit scheme type');
+            isComplete = false;
+            this.context.log(`⏳ Deposit scheme type is unspecified - will pend for polling`);
+        }
+
+        // Required tenancy fields
+        const requiredTenancyFields = ['id', 'startDate'];
+        if (altoData.tenancy) {
+            requiredTenancyFields.forEach(field => {
+                if (!altoData.tenancy[field]) {
+                    missingFields.tenancy.push(field);
+                    isComplete = false;
+                }
+            });
+        } else {
+            missingFields.tenancy.push('entire tenancy data');
+            isComplete = false;
+        }
+
+        // Required property fields
+        if (altoData.property) {
+            if (!altoData.property.address) {
+                missingFields.property.push('address');
+                isComplete = false;
+            }
+            if (!altoData.property.id) {
+                missingFields.property.push('id');
+                isComplete = false;
+            }
+        } else {
+            missingFields.property.push('entire property data');
+            isComplete = false;
+        }
+
+        // Contact information validation (Alto API structure)
+        // Validate ALL tenants - handle both structures:
+        // 1. Multiple people in same contact: tenants[0].items[0].people[]
+        // 2. Multiple separate contacts: tenants[].items[0].people[0]
+        if (!altoData.tenants || altoData.tenants.length === 0) {
+            missingFields.contacts.push('tenant contacts');
+            isComplete = false;
+        } else {
+            // Collect all tenants from all contact records
+            const allTenants = [];
+            altoData.tenants.forEach(tenantContact => {
+                if (tenantContact.items && tenantContact.items.length > 0) {
+                    const people = tenantContact.items[0].people || [];
+                    allTenants.push(...people);
+                }
+            });
+
+            if (allTenants.length === 0) {
+                missingFields.contacts.push('tenant contacts');
+                isComplete = false;
+            } else {
+                // Check ALL tenants for name and contact completeness
+                allTenants.forEach((tenant, index) => {
+                    const tenantLabel = index === 0 ? 'lead tenant' : `tenant ${index + 1}`;
+
+                    if (!tenant.forename || !tenant.surname) {
+                        missingFields.contacts.push(`${tenantLabel} name (${tenant.forename || 'unknown'} ${tenant.surname || 'unknown'})`);
+                        isComplete = false;
+                    }
+
+                    // Check if tenant has either email or phone
+                    const hasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
+                    const hasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
+
+                    if (!hasEmail && !hasPhone) {
+                        missingFields.contacts.push(`${tenantLabel} contact (${tenant.forename} ${tenant.surname})`);
+                        isComplete = false;
+                    }
+                });
+            }
+        }
+
+        // Validate ALL landlords - try /landlords endpoint first, fall back to property.owners
+        // Handle both structures: landlords object with items array, or direct array
+        let allLandlords = [];
+        if (altoData.landlords) {
+            // /landlords endpoint returns { totalCount, items: [] }
+            allLandlords = altoData.landlords.items || altoData.landlords;
+        } else if (altoData.property?.owners) {
+            // property.owners is a direct array
+            allLandlords = altoData.property.owners;
+        }
+
+        if (!allLandlords || allLandlords.length === 0) {
+            missingFields.contacts.push('landlord information');
+            isComplete = false;
+        } else {
+            // Check ALL landlords for name, contact, and address completeness
+            allLandlords.forEach((landlordSource, index) => {
+                const landlordLabel = index === 0 ? 'primary landlord' : `landlord ${index + 1}`;
+
+                // Handle both /landlords structure (flat: forename, surname) and property.owners structure (nested: name.forename)
+                const landlordForename = landlordSource.forename || landlordSource.name?.forename;
+                const landlordSurname = landlordSource.surname || landlordSource.name?.surname;
+
+                if (!landlordForename || !landlordSurname) {
+                    missingFields.contacts.push(`${landlordLabel} name`);
+                    isComplete = false;
+                }
+
+                // Check landlord has either email or phone
+                // Handle both structures: flat (email, phone) vs nested (emailAddresses[], phoneNumbers[])
+                const landlordEmail = landlordSource.email ||
+                    (landlordSource.emailAddresses && landlordSource.emailAddresses.length > 0 ? landlordSource.emailAddresses[0].address : null);
+                const landlordPhone = landlordSource.phone ||
+                    (landlordSource.phoneNumbers && landlordSource.phoneNumbers.length > 0 ? landlordSource.phoneNumbers[0].number : null);
+
+                if (!landlordEmail && !landlordPhone) {
+                    missingFields.contacts.push(`${landlordLabel} contact (${landlordForename} ${landlordSurname})`);
+                    isComplete = false;
+                }
+
+                // Check landlord address - must have all required TDS fields
+                if (!landlordSource.address ||
+                    !landlordSource.address.postcode || landlordSource.address.postcode.trim() === '' ||
+                    !landlordSource.address.nameNo || landlordSource.address.nameNo.trim() === '' ||
+                    !landlordSource.address.street || landlordSource.address.street.trim() === '' ||
+                    (!landlordSource.address.town && !landlordSource.address.locality) ||
+                    ((landlordSource.address.town || '').trim() === '' && (landlordSource.address.locality || '').trim() === '')) {
+                    missingFields.contacts.push(`${landlordLabel} address (${landlordForename} ${landlordSurname})`);
+                    isComplete = false;
+                }
+            });
+        }
+
+        // Deposit validation
+        const hasDeposit = this.checkDepositAvailability(altoData);
+        if (!hasDeposit) {
+            missingFields.deposit.push('deposit amount');
+            isComplete = false;
+        }
+
+        // Create human-readable summary of missing fields
+        const missingSummary = this.createHumanReadableSummary(missingFields);
+
+        return {
+            isComplete,
+            missingFields,
+            summary: missingSummary,
+            canPendForPolling: this.canCreatePendingIntegration(missingFields)
+        };
+    }
+
+    /**
+     * Create human-readable summary from missing fields
+     */
+    createHumanReadableSummary(missingFields) {
+        const messages = [];
+
+        // Handle deposit
+        if (missingFields.deposit.length > 0) {
+            messages.push(`Please add the deposit amount in ${this.displayName}`);
+        }
+
+        // Handle tenancy fields
+        if (missingFields.tenancy.length > 0) {
+            // Check for specific tenancy fields to provide better messaging
+            if (missingFields.tenancy.includes('deposit scheme type')) {
+                messages.push(`Please specify the deposit scheme type in ${this.displayName}`);
+            } else {
+                messages.push(`Please complete tenancy details in ${this.displayName}`);
+            }
+        }
+
+        // Handle property fields
+        if (missingFields.property.length > 0) {
+            messages.push(`Please complete property details in ${this.displayName}`);
+        }
+
+        // Handle contact fields with more specific messaging
+        if (missingFields.contacts.length > 0) {
+            const contactMessages = [];
+
+            missingFields.contacts.forEach(field => {
+                // Parse the field to create better messages
+                if (field.includes('tenant 2 contact') || field.includes('tenant 3 contact') || field.includes('tenant 4 contact')) {
+                    // Extract tenant name if present
+                    const nameMatch = field.match(/\(([^)]+)\)/);
+                    const name = nameMatch ? nameMatch[1] : 'joint tenant';
+                    contactMessages.push(`Please add email or phone number for ${name} in ${this.displayName}`);
+                } else if (field.includes('lead tenant contact')) {
+                    const nameMatch = field.match(/\(([^)]+)\)/);
+                    const name = nameMatch ? nameMatch[1] : 'lead tenant';
+                    contactMessages.push(`Please add email or phone number for ${name} in ${this.displayName}`);
+                } else if (field.includes('landlord 2 contact') || field.includes('landlord 3 contact') || field.includes('landlord 4 contact')) {
+                    const nameMatch = field.match(/\(([^)]+)\)/);
+                    const name = nameMatch ? nameMatch[1] : 'joint landlord';
+                    contactMessages.push(`Please add email or phone number for ${name} in ${this.displayName}`);
+                } else if (field.includes('primary landlord contact')) {
+                    const nameMatch = field.match(/\(([^)]+)\)/);
+                    const name = nameMatch ? nameMatch[1] : 'primary landlord';
+                    contactMessages.push(`Please add email or phone number for ${name} in ${this.displayName}`);
+                } else if (field.includes('landlord') && field.includes('address')) {
+                    const nameMatch = field.match(/\(([^)]+)\)/);
+                    const name = nameMatch ? nameMatch[1] : 'landlord';
+                    contactMessages.push(`Please add complete address for ${name} in ${this.displayName}`);
+                } else if (field.includes('landlord') && field.includes('name')) {
+                    contactMessages.push(`Please add landlord name in ${this.displayName}`);
+                } else if (field.includes('tenant') && field.includes('name')) {
+                    contactMessages.push(`Please add tenant name in ${this.displayName}`);
+                } else if (field.includes('tenant contacts')) {
+                    contactMessages.push(`Please add tenant information in ${this.displayName}`);
+                } else if (field.includes('landlord information')) {
+                    contactMessages.push(`Please add landlord information in ${this.displayName}`);
+                }
+            });
+
+            messages.push(...contactMessages);
+        }
+
+        return messages.length > 0 ? messages.join('. ') : 'Missing required information';
+    }
+
+    /**
+     * Check if deposit information is available from Alto data
+     */
+    checkDepositAvailability(altoData) {
+        const { tenancy } = altoData;
+
+        if (!tenancy) {
+            this.context.log('❌ No tenancy data available');
+            return false;
+        }
+
+        // Total of all deposit lines (depositRequested/depositAmount for a single deposit) must be > 0
+        const depositLines = this.getDepositLines(altoData);
+        const depositTotal = this.getDepositAmount(altoData);
+
+        this.context.log('🔍 Deposit availability check:', {
+            depositLines: depositLines.length,
+            depositTotal,
+            hasDeposit: !!(depositTotal && depositTotal > 0)
+        });
+
+        return !!(depositTotal && depositTotal > 0);
+    }
+
+    /**
+     * Deposit lines for the tenancy
+     * Tenancies with several deposits (or a mid-tenancy increase) list them in tenancy.deposits
+     * ({ amount, description, dateRequested }); otherwise the single requested deposit is the only line
+     */
+    getDepositLines(altoData) {
+        const tenancy = altoData.tenancy || {};
+
+        if (Array.isArray(tenancy.deposits) && tenancy.deposits.length > 0) {
+            return tenancy.deposits
+                .filter(line => line && line.amount !== undefined && line.amount !== null && line.amount !== '')
+                .map(line => ({
+                    amount: Number(line.amount),
+                    description: line.description || line.type || null,
+                    date: line.dateRequested || line.date || null
+                }));
+        }
+
+        const amount = tenancy.depositRequested ?? tenancy.depositAmount;
+        return amount === undefined || amount === null ? [] : [{ amount: Number(amount) }];
+    }
+
+    /**
+     * Deposit release for the tenancy
+     * Alto holds the agreed split in tenancy.depositRelease ({ status, tenantAmount, deductions: [{ type, amount, description }] });
+     * deductions are only final once the release status is Agreed (or Released)
+     */
+    getDepositRelease(altoData) {
+        const tenancy = altoData.tenancy || {};
+        const release = tenancy.depositRelease;
+
+        if (!release) {
+            return null;
+        }
+
+        const status = release.status || null;
+
+        return {
+            agreed: ['agreed', 'released'].includes(String(status || '').toLowerCase()),
+            status,
+            tenancyEndDate: release.tenancyEndDate || tenancy.endDate || null,
+            tenantAmount: release.tenantAmount ?? null,
+            deductions: (release.deductions || []).map(deduction => ({
+                category: deduction.type || deduction.category || null,
+                amount: deduction.amount,
+                description: deduction.description || null
+            }))
+        };
+    }
+
+    /**
+     * Protection deadline dates for the tenancy
+     * Alto records when the deposit was received in tenancy.depositReceivedDate (or per deposit line as dateReceived);
+     * without it the deadline runs from the tenancy start date
+     */
+    getProtectionDates(altoData) {
+        const tenancy = altoData?.tenancy || {};
+
+        const receivedDates = (Array.isArray(tenancy.deposits) ? tenancy.deposits : [])
+            .map(line => line?.dateReceived)
+            .filter(Boolean)
+            .sort((a, b) => new Date(a) - new Date(b));
+
+        return {
+            depositReceivedDate: tenancy.depositReceivedDate || receivedDates[0] || null,
+            tenancyStartDate: tenancy.startDate || null
+        };
+    }
+
+    /**
+     * Total deposit across all deposit lines (undefined when the tenancy has no deposit information)
+     */
+    getDepositAmount(altoData) {
+        const lines = this.getDepositLines(altoData);
+
+        if (lines.length === 0) {
+            return undefined;
+        }
+
+        return Math.round(lines.reduce((total, line) => total + (line.amount || 0), 0) * 100) / 100;
+    }
+
+    /**
+     * Determine if missing fields are suitable for pending/polling
+     */
+    canCreatePendingIntegration(missingFields) {
+        // We can create pending integrations for:
+        // 1. Missing deposit amounts (already supported)
+        // 2. Missing optional tenancy fields like startDate (may be filled later)
+        // 3. Missing contact information (may be added later)
+
+        // We cannot create pending integrations for:
+        // 1. Missing core tenancy or property data (fundamental data structure issues)
+
+        const hasCoreTenancyData = !missingFields.tenancy.includes('entire tenancy data') && !missingFields.tenancy.includes('id');
+        const hasCorePropertyData = !missingFields.property.includes('entire property data') && !missingFields.property.includes('id');
+
+        return hasCoreTenancyData && hasCorePropertyData;
+    }
+
+    /**
+     * All landlords - prefer altoData.landlords from /landlords endpoint (has addresses), fall back to property.owners
+     */
+    getLandlords(altoData) {
+        // Handle both structures: landlords object with items array, or direct array
+        if (altoData.landlords) {
+            // /landlords endpoint returns { totalCount, items: [] }
+            return altoData.landlords.items || altoData.landlords;
+        }
+        // property.owners is a direct array
+        return altoData.property?.owners || [];
+    }
+
+    /**
+     * All tenant people - handle both structures:
+     * 1. Multiple people in same contact: tenants[0].items[0].people[]
+     * 2. Multiple separate contacts: tenants[].items[0].people[0]
+     */
+    getTenantPeople(altoData) {
+        const allTenants = [];
+        (altoData.tenants || []).forEach(tenantContact => {
+            if (tenantContact.items && tenantContact.items.length > 0) {
+                const people = tenantContact.items[0].people || [];
+                const contactId = tenantContact.items[0].id; // Get the contact ID from items[0]
+                // Add contact ID to each person
+                allTenants.push(...people.map(person => ({
+                    ...person,
+                    contactId: contactId  // Add contact ID to person object
+                })));
+            }
+        });
+        return allTenants;
+    }
+
+    /**
+     * Property and primary landlord postcodes (landlord may differ from property)
+     */
+    getPostcodes(altoData) {
+        const landlordSource = altoData.landlord || altoData.property?.owners?.[0];
+
+        return {
+            property: altoData.property?.address?.postcode,
+            landlord: landlordSource?.address?.postcode
+        };
+    }
+
+    /**
+     * Each landlord's address postcode and each tenant's forwarding address postcode
+     */
+    getPersonPostcodes(altoData) {
+        return {
+            landlords: this.getLandlords(altoData).map(landlord => landlord.address?.postcode || null),
+            tenants: this.getTenantPeople(altoData).map(tenant => tenant.forwardingAddress?.postcode || null)
+        };
+    }
+
+    /**
+     * All landlords and tenant people, in the order mapToDepositModel maps them
+     */
+    getPeople(altoData) {
+        return {
+            landlords: this.getLandlords(altoData),
+            tenants: this.getTenantPeople(altoData)
+        };
+    }
+
+    /**
+     * Map Alto data to the standard deposit model (the payload accepted by /api/tds/create)
+     */
+    mapToDepositModel(altoData, { propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults, agencyRef, branchId, protectionFeePaidBy }) {
+        this.context.log('📝 Mapping Alto data to standard deposit model...');
+
+        const { tenancy, property } = altoData;
+
+        // Extract all landlords and tenants (validation already done in validateDataCompleteness)
+        const allLandlords = this.getLandlords(altoData);
+        const allTenants = this.getTenantPeople(altoData);
+
+        // Process all landlords
+        const processedLandlords = allLandlords.map((landlord, index) => {
+            // Extract landlord contact information - Handle both flat and nested structures
+            // /landlords endpoint: {email, phone, forename, surname, title}
+            // property.owners: {emailAddresses[], phoneNumbers[], name: {forename, surname, title}}
+            const landlordEmail = landlord.email ||
+                (landlord.emailAddresses && landlord.emailAddresses.length > 0 ? landlord.emailAddresses[0].address : null);
+            const landlordPhone = landlord.phone ||
+                (landlord.phoneNumbers && landlord.phoneNumbers.length > 0 ? landlord.phoneNumbers[0].number : null);
+
+            // All landlords require email or phone (TDS API requirement)
+            if (!landlordEmail && !landlordPhone) {
+                throw new Error(`Landlord ${index + 1} (${landlord.forename || landlord.name?.forename} ${landlord.surname || landlord.name?.surname}) must have either email or phone number - both are missing from ${this.displayName} data`);
+            }
+
+            // Extract landlord name - handle both structures
+            const landlordTitle = landlord.title || landlord.name?.title;
+            const landlordForename = landlord.forename || landlord.name?.forename;
+            const landlordSurname = landlord.surname || landlord.name?.surname;
+
+            // Normalize title to TDS-accepted values (returns null if not supported)
+            const normalizedTitle = this.normalizeTitle(landlordTitle);
+
+            // Build landlord object - only include title if it's supported
+            const landlordData = {
+                id: landlord.id || landlord.ownerId || landlord.contactId,  // Use available ID field
+                firstName: landlordForename,
+                lastName: landlordSurname,
+                email: landlordEmail,
+                phone: landlordPhone,
+                address: landlord.address,
+                // Each landlord's own postcode lookup (the primary landlord falls back to the single lookup)
+                county: this.resolveCounty(
+                    personPostcodeResults?.landlords?.[index] || (index === 0 ? landlordPostcodeResult : null),
+                    landlord.address
+                )
+            };
+
+            // Only include title if it's a valid Salesforce title
+            if (normalizedTitle) {
+                landlordData.title = normalizedTitle;
+            }
+
+            return landlordData;
+        });
+
+        // Process all tenants
+        const processedTenants = allTenants.map((tenant, index) => {
+            // Extract tenant contact information - TDS requires at least ONE (email OR mobile, not both mandatory)
+            const hasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
+            const hasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
+
+            // All tenants require email or phone (TDS API requirement)
+            if (!hasEmail && !hasPhone) {
+                throw new Error(`Tenant ${index + 1} (${tenant.forename} ${tenant.surname}) must have either email or phone number - both are missing from ${this.displayName} data`);
+            }
+
+            const tenantEmail = hasEmail ? tenant.emailAddresses[0].address : null;
+            const tenantPhone = hasPhone ? tenant.phoneNumbers[0].number : null;
+
+            // Normalize title to TDS-accepted values (returns null if not supported)
+            const normalizedTitle = this.normalizeTitle(tenant.title);
+
+            // Debug: Log the contactId to see if it exists
+            this.context.log(`🔍 Processing tenant ${index + 1}, contactId:`, tenant.contactId);
+
+            // Build tenant object - only include title if it's supported
+            const tenantData = {
+                id: tenant.contactId,  // Use the contact ID we added earlier
+                firstName: tenant.forename,
+                lastName: tenant.surname,
+                email: tenantEmail,
+                phone: tenantPhone
+            };
+
+            // Only include title if it's a valid Salesforce title
+            if (normalizedTitle) {
+                tenantData.title = normalizedTitle;
+            }
+
+            // Forwarding address (optional) with the county from its own postcode lookup
+            if (tenant.forwardingAddress?.postcode) {
+                tenantData.address = tenant.forwardingAddress;
+                tenantData.county = this.resolveCounty(personPostcodeResults?.tenants?.[index], tenant.forwardingAddress);
+            }
+
+            return tenantData;
+        });
+
+        const depositModel = {
+            tenancyId: tenancy.id,
+            depositAmount: this.getDepositAmount(altoData),  // Total of all deposit lines (depositRequested for a single deposit)
+            rentAmount: property.rent || tenancy.rent,  // Prefer property.rent per PoC
+            tenancyStartDate: tenancy.startDate,
+            tenancyEndDate: tenancy.endDate,
+            property: {
+                id: property.id,  // Include property ID from Alto
+                address: property.address,
+                county: propertyPostcodeResult.county,
+                propertyType: property.propertyType,
+                bedrooms: property.bedrooms,
+                receptions: property.receptions
+            },
+            landlords: processedLandlords,  // Array of all landlords
+            landlord: processedLandlords[0],  // Keep backwards compatibility - first landlord
+            tenants: processedTenants,  // Array of all tenants
+            // Include organization mapping data for TDS adapter
+            agencyRef: agencyRef,
+            branchId: branchId,
+            agency: {
+                ref: agencyRef,
+                branchId: branchId
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        // Itemised deposits (protected as one total - the lines are kept in the deposit history)
+        const depositLines = this.getDepositLines(altoData);
+        if (depositLines.length > 1) {
+            depositModel.depositLines = depositLines;
+        }
+
+        // Custodial or Insured (Insured adds the deposit holder and protection fee payer)
+        return applySchemeRules(depositModel, tenancy.depositSchemeType, { protectionFeePaidBy });
+    }
+
+    /**
+     * Mock Alto data for development
+     */
+    getMockData(tenancyId) {
+        // For testing delayed processing, use zero deposit for specific tenancy IDs
+        const isZeroDepositTest = tenancyId === 'TEN_ZERO_DEPOSIT' || tenancyId === 'TEN_000000';
+        const depositAmount = isZeroDepositTest ? 0 : 1500.00;
+
+        return {
+            tenancy: {
+                id: tenancyId,
+                inventoryId: 'INV_789012',
+                landlordId: 'CONTACT_LL_001',
+                tenantIds: ['CONTACT_T_001'],
+                depositRequested: depositAmount, // Alto API field name
+                depositAmount: depositAmount,
+                rentAmount: 1200.00,
+                startDate: '2024-01-15',
+                endDate: '2024-07-14',
+                status: 'active',
+                agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
+                branchId: 'MAIN'
+            },
+            property: {
+                id: 'INV_789012',
+                address: {
+                    line1: '123 Test Street',
+                    line2: 'Test Area',
+                    town: 'Milton Keynes',
+                    county: 'Buckinghamshire',
+                    postcode: 'MK18 1AA'
+                },
+                propertyType: 'House',
+                bedrooms: 3,
+                bathrooms: 2,
+                owners: [{
+                    name: {
+                        title: 'Mr',
+                        forename: 'Test',
+                        surname: 'Landlord'
+                    },
+                    emailAddresses: [{
+                        address: 'landlord@example.com',
+                        type: 'Business'
+                    }],
+                    phoneNumbers: [{
+                        number: '01234567890',
+                        type: 'Mobile'
+                    }]
+                }]
+            },
+            tenants: [{
+                items: [{
+                    people: [{
+                        title: 'Ms',
+                        forename: 'Test',
+                        surname: 'Tenant',
+                        emailAddresses: [{
+                            address: 'tenant@example.com',
+                            type: 'Personal'
+                        }],
+                        phoneNumbers: [{
+                            number: '01234567891',
+                            type: 'Mobile'
+                        }]
+                    }]
+                }]
+            }],
+            fetchedAt: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Jupix Source Adapter
+ * JupixAPIClient returns data in the Alto structure, so validation and
+ * mapping are inherited from the Alto adapter
+ */
+class JupixSourceAdapter extends AltoSourceAdapter {
+    get sourceSystem() {
+        return 'jupix';
+    }
+
+    get displayName() {
+        return 'Jupix';
+    }
+
+    /**
+     * The Jupix API is read-only for tenancies - the DAN is not written back
+     */
+    get supportsWriteBack() {
+        return false;
+    }
+
+    /**
+     * Resolve Jupix API URL for the organization's environment
+     */
+    async getApiUrl(environment) {
+        const jupixApiUrl = environment === 'production'
+            ? process.env.JUPIX_API_BASE_URL || 'https://api.jupix.co.uk'
+            : process.env.JUPIX_API_DEV_BASE_URL || process.env.JUPIX_API_BASE_URL || 'https://api.jupix.co.uk';
+
+        this.context.log(`✅ Using Jupix API URL for ${environment}: ${jupixApiUrl}`);
+        return jupixApiUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * Create a Jupix API client for the organization's environment
+     * Each Jupix agency authenticates with its own OAuth client, stored on its organisation
+     * mapping; JUPIX_CLIENT_ID/JUPIX_CLIENT_SECRET only cover mappings saved without one
+     *
+     * @param {string} environment - Organization environment
+     * @param {Object} orgContext - { mapping } from the organisation mapping lookup
+     */
+    async createApiClient(environment = 'development', { mapping } = {}) {
+        const credentials = mapping?.jupixCredentials;
+
+        if (!credentials?.clientId) {
+            this.context.log('⚠️ No Jupix client credentials on the organisation mapping, using JUPIX_CLIENT_ID');
+        }
+
+        return new JupixAPIClient({
+            baseUrl: await this.getApiUrl(environment),
+            clientId: credentials?.clientId || process.env.JUPIX_CLIENT_ID,
+            clientSecret: credentials?.clientSecret || process.env.JUPIX_CLIENT_SECRET,
+            timeout: this.timeout,
+            context: this.context
+        });
+    }
+}
+
+/**
+ * Deposit Upload Source Adapter
+ * Rows from CSV/XLSX uploads, already validated when the file was uploaded
+ */
+class UploadSourceAdapter extends SourceAdapterInterface {
+    get sourceSystem() {
+        return 'upload';
+    }
+
+    get displayName() {
+        return 'Deposit Upload';
+    }
+
+    /**
+     * Load the uploaded row (workflowData carries uploadId and rowNumber)
+     */
+    async fetchTenancyData(workflowData) {
+        // Required on use - the upload module (and its validator) is only needed by the upload channel
+        const { getDepositUploadRow } = require('./deposit-upload');
+        const row = await getDepositUploadRow(workflowData.uploadId, workflowData.rowNumber, this.context);
+
+        if (!row) {
+            throw new Error(`Upload row ${workflowData.rowNumber} not found for upload ${workflowData.uploadId}`);
+        }
+
+        return {
+            tenancy: {
+                id: row.record.tenancyRef,
+                agencyRef: workflowData.agencyRef,
+                branchId: workflowData.branchId
+            },
+            record: row.record
+        };
+    }
+
+    /**
+     * Rows are validated in full on upload - invalid rows never reach the workflow
+     * The scheme is checked again, as the organisation's enabled schemes may have changed since
+     */
+    validateCompleteness(uploadData, { enabledSchemes } = {}) {
+        const { getUploadSchemeType } = require('./deposit-upload');
+        const schemeCheck = checkDepositScheme(getUploadSchemeType(uploadData.record), enabledSchemes);
+
+        if (schemeCheck.status === 'rejected') {
+            this.context.log(`🚫 Uploaded row rejected: ${schemeCheck.rejectionReason}`);
+            return {
+                isComplete: false,
+                isPermanentRejection: true,
+                rejectionReason: schemeCheck.rejectionReason,
+                missingFields: {},
+                summary: schemeCheck.rejectionReason,
+                canPendForPolling: false
+            };
+        }
+
+        return {
+            isComplete: true,
+            missingFields: {},
+            summary: 'All required fields present',
+            canPendForPolling: false
+        };
+    }
+
+    getPostcodes(uploadData) {
+        return {
+            property: uploadData.record.propertyPostcode,
+            landlord: uploadData.record.landlordPostcode
+        };
+    }
+
+    mapToDepositModel(uploadData, { propertyPostcodeResult, landlordPostcodeResult, agencyRef, branchId, protectionFeePaidBy }) {
+        this.context.log('📝 Mapping uploaded row to standard deposit model...');
+
+        const { buildTdsDepositPayload, getUploadSchemeType } = require('./deposit-upload');
+        const payload = buildTdsDepositPayload(uploadData.record, {
+            agencyRef,
+            branchId,
+            propertyCounty: propertyPostcodeResult.county,
+            landlordCounty: landlordPostcodeResult.county
+        });
+
+        // Titles are optional for TDS - unsupported titles are omitted
+        for (const person of [...payload.landlords, ...payload.tenants]) {
+            const normalizedTitle = this.normalizeTitle(person.title);
+            if (normalizedTitle) {
+                person.title = normalizedTitle;
+            } else {
+                delete person.title;
+            }
+        }
+        payload.landlord = payload.landlords[0];
+
+        return applySchemeRules(payload, getUploadSchemeType(uploadData.record), { protectionFeePaidBy });
+    }
+}
+
+/**
+ * Source Adapter Factory
+ */
+class SourceAdapterFactory {
+    static getAdapter(sourceSystem, config) {
+        switch (sourceSystem) {
+            case 'alto':
+                return new AltoSourceAdapter(config);
+            case 'jupix':
+                return new JupixSourceAdapter(config);
+            case 'upload':
+                return new UploadSourceAdapter(config);
+            default:
+                throw new Error(`Unknown source system: ${sourceSystem}`);
+        }
+    }
+
+    /**
+     * Sources that start workflows from webhooks and the workflow API
+     * (uploaded rows are started by the DepositUpload function)
+     */
+    static getSupportedSources() {
+        return ['alto', 'jupix'];
+    }
+}
+
+module.exports = {
+    SourceAdapterInterface,
+    AltoSourceAdapter,
+    JupixSourceAdapter,
+    UploadSourceAdapter,
+    SourceAdapterFactory
+};
@@ -0,0 +1,113 @@
+/**
+ * Source Write-back Module
+ *
+ * After a deposit is registered, the DAN and protection date are written back to the
+ * source system tenancy and the Deposit Protection Certificate (DPC) is attached to it.
+ *
+ * Key Features:
+ * - Deposit protection details for the source tenancy (DAN, protection date, scheme)
+ * - DPC document built from the TDS certificate
+ * - Per-part tracking, so a retry only repeats the parts that have not succeeded yet
+ *
+ * State is stored on the deposit registration (see deposit-registry saveWriteBack).
+ */
+
+const { normalizeSchemeRegion } = require('./deposit-schemes');
+
+/**
+ * Parts of the write-back, in the order they are attempted
+ */
+const WRITE_BACK_PARTS = ['depositReference', 'certificate'];
+
+// Scheme names by region (England & Wales deposits name the TDS scheme type)
+const SCHEME_NAMES = {
+  S: 'SafeDeposits Scotland',
+  NI: 'TDS Northern Ireland'
+};
+
+/**
+ * Parts still to be written back
+ *
+ * @param {Object} writeBack - Write-back state from the deposit registration (null before the first attempt)
+ * @returns {Array<string>}
+ */
+function getOutstandingParts(writeBack) {
+  return WRITE_BACK_PARTS.filter(part => !writeBack?.[part]?.completedAt);
+}
+
+/**
+ * Deposit protection details written to the source tenancy
+ *
+ * @param {string} dan - DAN the deposit is protected under
+ * @param {string} registeredAt - When the deposit was registered (ISO timestamp)
+ * @param {Object} payload - Deposit model submitted to TDS ({ region, schemeType })
+ * @returns {Object} { reference, protectedDate, scheme }
+ */
+function buildDepositProtection(dan, registeredAt, payload = {}) {
+  const registered = new Date(registeredAt || Date.now());
+  const region = normalizeSchemeRegion(payload?.region);
+
+  return {
+    reference: dan,
+    protectedDate: (Number.isNaN(registered.getTime()) ? new Date() : registered).toISOString().split('T')[0],
+    scheme: SCHEME_NAMES[region] || `TDS ${payload?.schemeType || 'Custodial'}`
+  };
+}
+
+/**
+ * DPC document attached to the source tenancy
+ *
+ * @param {string} dan - DAN the certificate is for
+ * @param {string} certificate - Certificate PDF (base64) from the TDS DPC endpoint
+ * @returns {Object} { fileName, contentType, content, description }
+ */
+function buildCertificateDocument(dan, certificate) {
+  return {
+    fileName: `DPC-${dan}.pdf`,
+    contentType: 'application/pdf',
+    content: certificate,
+    description: `Deposit Protection Certificate (DAN ${dan})`
+  };
+}
+
+/**
+ * Apply the results of a write-back attempt to the stored state
+ *
+ * @param {Object} writeBack - Previous state (null before the first attempt)
+ * @param {string} dan - DAN being written back
+ * @param {Array<Object>} results - [{ part, success, error }] for the parts attempted
+ * @returns {Object} { dan, status: 'completed' | 'pending', depositReference, certificate, attempts, lastError, lastAttemptAt }
+ */
+function applyWriteBackResults(writeBack, dan, results) {
+  const now = new Date().toISOString();
+  const state = {
+    dan,
+    depositReference: null,
+    certificate: null,
+    attempts: 0,
+    ...writeBack,
+    lastAttemptAt: now
+  };
+
+  results.forEach(({ part, success, error }) => {
+    state[part] = success
+      ? { completedAt: now }
+      : { completedAt: null, error };
+  });
+
+  const errors = results.filter(result => !result.success).map(result => `${result.part}: ${result.error}`);
+
+  state.attempts += 1;
+  state.status = getOutstandingParts(state).length === 0 ? 'completed' : 'pending';
+  state.lastError = errors.length > 0 ? errors.join('; ') : null;
+
+  return state;
+}
+
+module.exports = {
+  WRITE_BACK_PARTS,
+  getOutstandingParts,
+  buildDepositProtection,
+  buildCertificateDocument,
+  applyWriteBackResults
+};
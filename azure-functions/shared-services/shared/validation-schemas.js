@@ -13,6 +13,93 @@
 
 const Joi = require('joi');
 
+/**
+ * Salesforce credentials for one scheme region (TDS England & Wales, SafeDeposits Scotland, TDS NI)
+ */
+const salesforceRegionCredentials = Joi.object({
+  memberId: Joi.string().required().min(1).max(100),
+  branchId: Joi.string().required().min(1).max(100),
+  schemeType: Joi.string().optional().valid('Custodial', 'Insured'),
+  authMethod: Joi.string().optional().valid('api-key', 'oauth2'),
+  apiKey: Joi.string().optional().min(1).max(500),
+  clientId: Joi.string().optional().min(1).max(500),
+  clientSecret: Joi.string().optional().min(1).max(500)
+});
+
+/**
+ * Salesforce credentials keyed by scheme region, for organisations with properties in more than one region
+ */
+const salesforceRegions = Joi.object({
+  EW: salesforceRegionCredentials.optional(),
+  S: salesforceRegionCredentials.optional(),
+  NI: salesforceRegionCredentials.optional()
+});
+
+/**
+ * Field mapping rules - per-organisation source paths, defaults and transforms (see field-mapping.js)
+ */
+const fieldMappingPath = Joi.string()
+  .pattern(/^[$@](\.[A-Za-z_][\w-]*|\[(\d+|\*)\])*$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a path such as $.property.owners[0].email or @.name.forename'
+  });
+
+const fieldMappingPaths = Joi.alternatives().try(fieldMappingPath, Joi.array().items(fieldMappingPath).min(1));
+
+const fieldMappingRule = Joi.alternatives().try(
+  fieldMappingPaths,
+  Joi.object({
+    path: fieldMappingPaths.optional(),
+    default: Joi.any().optional(),
+    transform: Joi.string().optional().valid('title', 'date', 'number', 'string', 'uppercase', 'lowercase', 'boolean'),
+    format: Joi.string().optional().pattern(/^(?=.*YYYY)(?=.*MM)(?=.*DD)[YMD/\-. ]+$/)
+  }).or('path', 'default')
+);
+
+const fieldMappingFields = Joi.object().pattern(Joi.string().pattern(/^[A-Za-z][\w]*(\.[A-Za-z][\w]*)*$/), fieldMappingRule);
+
+const fieldMappingPeople = Joi.object({
+  path: fieldMappingPath.optional(),
+  fields: fieldMappingFields.optional(),
+  lead: Joi.object({
+    path: fieldMappingPath.required(),
+    equals: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).optional()
+  }).optional()
+});
+
+const fieldMappingRules = Joi.object({
+  fields: fieldMappingFields.optional(),
+  landlords: fieldMappingPeople.optional(),
+  tenants: fieldMappingPeople.optional()
+});
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time of day (HH:MM)'
+});
+
+const timezone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+}).messages({
+  'any.invalid': '{{#label}} must be an IANA timezone (e.g. Europe/London)'
+});
+
+// Per-organisation polling overrides (see shared/polling-policy.js) - same ranges as the global polling settings
+const pollingPolicy = Joi.object({
+  pendingPollInterval: Joi.number().integer().min(1).max(60).optional(),
+  maxPollAttempts: Joi.number().integer().min(5).max(100).optional(),
+  backoffMultiplier: Joi.number().min(1).max(3).optional(),
+  quietHours: Joi.object({
+    start: timeOfDay.required(),
+    end: timeOfDay.required(),
+    timezone: timezone.optional()
+  }).optional().allow(null)
+});
+
 /**
  * Joi Schemas for Common Parameters
  */
@@ -509,7 +596,13 @@ const schemas = {
         alto: Joi.object({
           agencyRef: Joi.string().uuid().required(),
           branchId: Joi.string().optional().allow('', null).max(100)
-        }).optional()
+        }).optional(),
+        jupix: Joi.object({
+          agencyRef: Joi.string().uuid().required(),
+          branchId: Joi.string().optional().allow('', null).max(100),
+          clientId: Joi.string().optional().min(1).max(500),
+          clientSecret: Joi.string().optional().min(1).max(500)
+        }).and('clientId', 'clientSecret').optional()
       }).optional(),
       otherwise: Joi.object().optional().allow(null)
     }),
@@ -532,6 +625,19 @@ const schemas = {
     }).required().messages({
       'any.required': 'tdsSalesforceConfig is required'
     }),
+    tdsSalesforceRegions: salesforceRegions.optional(),
+    depositSchemes: Joi.array()
+      .items(Joi.string().valid('Custodial', 'Insured'))
+      .min(1)
+      .unique()
+      .optional()
+      .default(['Custodial'])
+      .messages({
+        'any.only': 'depositSchemes may only contain Custodial and Insured'
+      }),
+    insuredProtectionFeePaidBy: Joi.string().optional().valid('Agent', 'Landlord').default('Agent'),
+    fieldMappingRules: fieldMappingRules.optional(),
+    pollingPolicy: pollingPolicy.optional(),
     isActive: Joi.boolean()
       .optional()
       .default(true)
@@ -565,7 +671,14 @@ const schemas = {
     sfApiKey: Joi.string().optional().min(1).max(500),
     sfClientId: Joi.string().optional().min(1).max(500),
     sfClientSecret: Joi.string().optional().min(1).max(500),
+    sfRegions: salesforceRegions.optional(),
+    jupixClientId: Joi.string().optional().min(1).max(500),
+    jupixClientSecret: Joi.string().optional().min(1).max(500),
     tdsProviderPreference: Joi.string().optional().valid('auto', 'current', 'salesforce'),
+    depositSchemes: Joi.array().items(Joi.string().valid('Custodial', 'Insured')).min(1).unique().optional(),
+    insuredProtectionFeePaidBy: Joi.string().optional().valid('Agent', 'Landlord'),
+    fieldMappingRules: fieldMappingRules.optional().allow(null),
+    pollingPolicy: pollingPolicy.optional().allow(null),
     isActive: Joi.boolean().optional()
   }).options({
     stripUnknown: true,
@@ -637,8 +750,32 @@ const schemas = {
     integrationId: Joi.string().optional().max(200),
     webhookId: Joi.string().optional().max(200),
     source: Joi.string().optional().max(100),
+    eventType: Joi.string().optional().max(100),
     testMode: Joi.boolean().optional().default(false),
-    testConfig: Joi.object().optional().unknown(true)
+    testConfig: Joi.object().optional().unknown(true),
+    dryRun: Joi.boolean().optional().default(false),
+    // Register a new deposit even if the tenancy looks like a renewal of a registered tenancy
+    forceNewRegistration: Joi.boolean().optional().default(false)
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Field Mapping Preview
+   * Validates the tenancy to preview and optional draft rules (the stored rules are used when omitted)
+   */
+  fieldMappingPreviewRequest: Joi.object({
+    tenancyId: Joi.alternatives()
+      .try(
+        Joi.string().min(1).max(200),
+        Joi.number().integer().positive()
+      )
+      .required()
+      .custom(value => String(value)),
+    agencyRef: Joi.string().uuid().required(),
+    branchId: Joi.string().optional().default('DEFAULT').min(1).max(100),
+    rules: fieldMappingRules.optional()
   }).options({
     stripUnknown: true,
     abortEarly: false
@@ -660,6 +797,127 @@ const schemas = {
       'any.required': 'Integration ID is required'
     }),
 
+  /**
+   * Webhook Event ID
+   * Validates webhook event ID from dead-letter URL parameters
+   *
+   * @security Prevents malformed IDs causing database errors
+   */
+  webhookEventId: Joi.string()
+    .required()
+    .pattern(/^wh_\d+_[a-z0-9]{8}$/)
+    .messages({
+      'string.base': 'Webhook ID must be a string',
+      'string.empty': 'Webhook ID cannot be empty',
+      'string.pattern.base': 'Webhook ID must match format: wh_<timestamp>_<hash>',
+      'any.required': 'Webhook ID is required'
+    }),
+
+  /**
+   * Workflow ID
+   * Validates workflow run ID from URL parameters
+   *
+   * @security Prevents malformed IDs causing database errors
+   */
+  workflowId: Joi.string()
+    .required()
+    .pattern(/^wf_\d+_[a-z0-9]{8}$/)
+    .messages({
+      'string.base': 'Workflow ID must be a string',
+      'string.empty': 'Workflow ID cannot be empty',
+      'string.pattern.base': 'Workflow ID must match format: wf_<timestamp>_<hash>',
+      'any.required': 'Workflow ID is required'
+    }),
+
+  /**
+   * Workflow Resume Request
+   * force resubmits to TDS after an interrupted submission has been checked
+   */
+  workflowResumeRequest: Joi.object({
+    force: Joi.boolean().default(false)
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Webhook Bulk Replay Request
+   * Validates bulk replay criteria (agency and time range)
+   *
+   * @security Bounds the number of events one request can requeue
+   */
+  webhookReplayRequest: Joi.object({
+    agencyRef: Joi.string().uuid().required(),
+    sourceSystem: Joi.string().valid('alto', 'jupix').optional(),
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).default(() => new Date()),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    dryRun: Joi.boolean().default(false)
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Backfill Job Request
+   * Validates the criteria for a bulk import of an agency's existing tenancies
+   */
+  backfillJobRequest: Joi.object({
+    agencyRef: Joi.string().uuid().required(),
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).default(() => new Date()),
+    dateField: Joi.string().valid('startDate', 'createdDate').default('startDate'),
+    statuses: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+    branchIds: Joi.array().items(Joi.string().max(50)).max(50).optional(),
+    dryRun: Joi.boolean().default(true),
+    ratePerMinute: Joi.number().integer().min(1).max(60).optional()
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Backfill Upload Options
+   * Validates the query options for a backfill job created from a CSV upload
+   */
+  backfillUploadOptions: Joi.object({
+    agencyRef: Joi.string().uuid().required(),
+    dryRun: Joi.boolean().default(true),
+    ratePerMinute: Joi.number().integer().min(1).max(60).optional()
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Deposit Upload Options
+   * Validates the query options for a CSV/XLSX deposit upload
+   */
+  depositUploadOptions: Joi.object({
+    agencyRef: Joi.string().uuid().required(),
+    branchId: Joi.string().min(1).max(100).default('DEFAULT')
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
+  /**
+   * Webhook Secret Rotation Request
+   * Validates a webhook secret rotation (secret is generated if omitted)
+   *
+   * @security Enforces a minimum secret length
+   */
+  webhookSecretRotation: Joi.object({
+    secret: Joi.string().min(32).max(256).optional()
+      .messages({
+        'string.min': 'secret must be at least 32 characters'
+      }),
+    graceHours: Joi.number().integer().min(0).max(720).optional()
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
   /**
    * Alto Webhook Request - HIGH-006 Security Fix
    * Enhanced webhook payload validation (CloudEvents format)
@@ -721,6 +979,53 @@ const schemas = {
     abortEarly: false
   }),
 
+  /**
+   * Jupix Webhook Request
+   * Validates Jupix webhook event notifications
+   *
+   * @security Prevents malformed webhook payloads triggering workflows
+   * @security Validates agencyRef format before organization lookup
+   */
+  jupixWebhookRequest: Joi.object({
+    event: Joi.string()
+      .valid(
+        'tenancy.created', 'tenancy.updated', 'tenancy.cancelled',
+        'Tenancy.Created', 'Tenancy.Updated', 'Tenancy.Cancelled'
+      )
+      .required()
+      .messages({
+        'any.only': 'event must be a supported Jupix tenancy event',
+        'any.required': 'event is required'
+      }),
+    eventId: Joi.string().optional().max(200),
+    tenancyId: Joi.alternatives()
+      .try(
+        Joi.string().min(1).max(200),
+        Joi.number().integer().positive()
+      )
+      .required()
+      .custom((value, helpers) => {
+        // Convert to string for consistent handling
+        return String(value);
+      })
+      .messages({
+        'alternatives.match': 'tenancyId must be a string or number',
+        'any.required': 'tenancyId is required'
+      }),
+    agencyRef: Joi.string().uuid().required(),
+    branchId: Joi.alternatives()
+      .try(
+        Joi.string().min(1).max(100),
+        Joi.number().integer().positive()
+      )
+      .optional()
+      .custom((value, helpers) => String(value)),
+    timestamp: Joi.string().isoDate().optional()
+  }).options({
+    stripUnknown: true,
+    abortEarly: false
+  }),
+
   /**
    * TDS Deposit Create - HIGH-006 Security Fix
    * Validates TDSAdapter deposit creation request body
@@ -758,9 +1063,29 @@ const schemas = {
         'number.precision': 'depositAmount cannot have more than 2 decimal places',
         'any.required': 'depositAmount is required'
       }),
+    // Itemised deposits (depositAmount is their total)
+    depositLines: Joi.array().items(Joi.object({
+      amount: Joi.number().required().min(0).max(1000000).precision(2),
+      description: Joi.string().optional().allow('', null).max(200),
+      date: Joi.string().optional().allow(null).isoDate()
+    })).optional(),
     rentAmount: Joi.number().required().min(0).max(1000000).precision(2),
     tenancyStartDate: Joi.string().isoDate().required(),
     tenancyEndDate: Joi.string().isoDate().optional().allow(null),
+    schemeType: Joi.string().valid('Custodial', 'Insured').optional().default('Custodial'),
+    // Scheme region from the property postcode (defaults to the organization's own region)
+    region: Joi.string().valid('EW', 'S', 'NI').optional(),
+    // Insured deposits are held by the member agent, who pays the protection fee unless passed to the landlord
+    depositHeldBy: Joi.when('schemeType', {
+      is: 'Insured',
+      then: Joi.string().valid('Agent').default('Agent'),
+      otherwise: Joi.forbidden()
+    }),
+    protectionFeePaidBy: Joi.when('schemeType', {
+      is: 'Insured',
+      then: Joi.string().valid('Agent', 'Landlord').default('Agent'),
+      otherwise: Joi.forbidden()
+    }),
     property: Joi.object({
       id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
       address: Joi.object({
@@ -784,7 +1109,17 @@ const schemas = {
           firstName: Joi.string().required().min(1).max(100),
           lastName: Joi.string().required().min(1).max(100),
           email: Joi.string().email().optional().allow('', null).max(200),
-          phone: Joi.string().optional().allow('', null).max(50)
+          phone: Joi.string().optional().allow('', null).max(50),
+          // Forwarding address (optional)
+          address: Joi.object({
+            nameNo: Joi.string().optional().allow('', null).max(200),
+            subDwelling: Joi.string().optional().allow('', null).max(200),
+            street: Joi.string().optional().allow('', null).max(200),
+            town: Joi.string().optional().allow('', null).max(100),
+            locality: Joi.string().optional().allow('', null).max(100),
+            postcode: Joi.string().required().max(20)
+          }).optional(),
+          county: Joi.string().optional().allow('', null).max(100)
         })
       )
       .min(1)
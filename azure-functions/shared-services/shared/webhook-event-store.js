@@ -0,0 +1,677 @@
+/**
+ * Webhook Event Store Module
+ *
+ * Tracks webhook events that have been accepted onto the durable webhook queue,
+ * so every accepted webhook either reaches the workflow orchestrator or is
+ * visibly parked in the dead-letter view.
+ *
+ * Key Features:
+ * - Queue message construction shared by all webhook receivers
+ * - Delivery status tracking (QUEUED → PROCESSING → COMPLETED / PENDING / REJECTED)
+ * - Retry classification of workflow results
+ * - Dead-letter records for poison messages
+ * - Duplicate suppression for redelivered events and in-flight tenancies
+ * - Raw payload storage (PII encrypted) for webhook replay
+ *
+ * Storage:
+ * - Uses Azure Table Storage (WebhookEvents, WebhookIdempotency tables)
+ * - Uses Azure Storage queues (webhook-events, webhook-events-poison)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const { QueueClient } = require('@azure/storage-queue');
+const { encryptPII, decryptPII } = require('./pii-encryption');
+const { isRepaymentEvent } = require('./deposit-repayment');
+
+const WEBHOOK_QUEUE_NAME = 'webhook-events';
+const WEBHOOK_POISON_QUEUE_NAME = `${WEBHOOK_QUEUE_NAME}-poison`;
+const WEBHOOK_EVENTS_PARTITION = 'WebhookEvent';
+
+const WEBHOOK_EVENT_STATUSES = [
+  'QUEUED', 'PROCESSING', 'RETRYING', 'COMPLETED', 'PENDING',
+  'REJECTED', 'FAILED', 'DEAD_LETTERED', 'DISCARDED'
+];
+
+/**
+ * Statuses during which a webhook event has not yet finished its workflow run
+ */
+const IN_FLIGHT_STATUSES = ['QUEUED', 'PROCESSING', 'RETRYING'];
+
+/**
+ * Workflow steps after which a retry could create a duplicate TDS deposit or repayment request
+ */
+const NON_RETRYABLE_STEPS = ['create_tds_deposit', 'amend_tds_deposit', 'renew_tds_deposit', 'store_integration', 'raise_repayment', 'store_repayment'];
+
+const DEFAULT_DUPLICATE_WINDOW_MINUTES = 30;
+
+/**
+ * How long a claim whose webhook was never recorded as queued holds off other deliveries
+ */
+const PROVISIONAL_CLAIM_MS = 2 * 60 * 1000;
+
+/**
+ * Table Storage string properties are limited to 64KB (32K UTF-16 characters)
+ */
+const MAX_RAW_PAYLOAD_LENGTH = 32000;
+
+const initializedTables = new Set();
+let webhookQueueReady = false;
+
+/**
+ * Get table client
+ * @param {string} tableName - Table name (default: WebhookEvents)
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient(tableName = 'WebhookEvents') {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, tableName);
+}
+
+/**
+ * Ensure a table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (initializedTables.has(tableClient.tableName)) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  initializedTables.add(tableClient.tableName);
+}
+
+/**
+ * Build the message placed on the webhook queue
+ *
+ * @param {Object} integrationData - Data extracted from the webhook payload
+ * @param {Object} options
+ * @param {string} options.webhookId - Webhook ID assigned on receipt
+ * @param {string} options.sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} options.source - Workflow source tag (e.g. 'alto-webhook')
+ * @returns {Object} - Queue message
+ */
+function buildWebhookQueueMessage(integrationData, { webhookId, sourceSystem, source }) {
+  return {
+    webhookId,
+    sourceSystem,
+    source,
+    eventType: integrationData.eventType,
+    tenancyId: integrationData.tenancyId,
+    agencyRef: integrationData.agencyRef,
+    branchId: integrationData.branchId,
+    integrationId: integrationData.integrationId,
+    eventId: integrationData.eventId,
+    enqueuedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Classify a workflow orchestrator result for queue processing
+ *
+ * Completed, pending and rejected results are final. Failures before the TDS
+ * deposit is submitted are retried by the queue; failures after submission are
+ * not, to avoid creating duplicate deposits.
+ *
+ * @param {Object} result - Result returned by TDSWorkflowOrchestrator.execute()
+ * @returns {{ status: string, retryable: boolean }}
+ */
+function classifyWorkflowResult(result) {
+  if (result.success) {
+    return { status: 'COMPLETED', retryable: false };
+  }
+
+  if (result.status === 'REJECTED') {
+    return { status: 'REJECTED', retryable: false };
+  }
+
+  if (result.pendingCreated || result.pendingNudged) {
+    return { status: 'PENDING', retryable: false };
+  }
+
+  if (NON_RETRYABLE_STEPS.includes(result.failedStep)) {
+    return { status: 'FAILED', retryable: false };
+  }
+
+  return { status: 'RETRYING', retryable: true };
+}
+
+/**
+ * Send a message to the webhook queue straight away
+ *
+ * The webhook queue output binding only commits once the function completes, so
+ * callers that update their own state after queuing (reconciliation sweeps, backfill
+ * jobs) send with a QueueClient instead and only move on once the send succeeded.
+ *
+ * @param {Object} message - Queue message (buildWebhookQueueMessage)
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function sendWebhookQueueMessage(message, context) {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  const queueClient = new QueueClient(connectionString, WEBHOOK_QUEUE_NAME);
+
+  if (!webhookQueueReady) {
+    await queueClient.createIfNotExists();
+    webhookQueueReady = true;
+  }
+
+  // The queue trigger reads base64 encoded messages, as written by the output binding
+  await queueClient.sendMessage(Buffer.from(JSON.stringify(message)).toString('base64'));
+
+  context?.log(`📨 Webhook ${message.webhookId} sent to ${WEBHOOK_QUEUE_NAME}`);
+}
+
+/**
+ * Record a webhook event as queued
+ *
+ * @param {Object} message - Queue message
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function recordWebhookQueued(message, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  await tableClient.upsertEntity({
+    partitionKey: WEBHOOK_EVENTS_PARTITION,
+    rowKey: message.webhookId,
+    webhookId: message.webhookId,
+    sourceSystem: message.sourceSystem,
+    eventType: message.eventType || '',
+    eventId: message.eventId || '',
+    tenancyId: message.tenancyId,
+    agencyRef: message.agencyRef || '',
+    branchId: message.branchId || '',
+    status: 'QUEUED',
+    dequeueCount: 0,
+    message: JSON.stringify(message),
+    queuedAt: message.enqueuedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }, 'Replace');
+
+  context?.log(`📬 Webhook ${message.webhookId} recorded as QUEUED`);
+}
+
+/**
+ * Update the delivery status of a webhook event
+ *
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updates - Fields to merge (status, dequeueCount, lastError, workflowId...)
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function updateWebhookEvent(webhookId, updates, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const entity = {
+    partitionKey: WEBHOOK_EVENTS_PARTITION,
+    rowKey: webhookId,
+    updatedAt: new Date().toISOString()
+  };
+
+  for (const [key, value] of Object.entries(updates)) {
+    entity[key] = value === null || value === undefined ? '' : value;
+  }
+
+  await tableClient.upsertEntity(entity, 'Merge');
+
+  if (updates.status) {
+    context?.log(`📝 Webhook ${webhookId} status: ${updates.status}`);
+  }
+}
+
+/**
+ * Park a poison message in the dead-letter view
+ *
+ * @param {Object} message - Queue message that exhausted its retries
+ * @param {number} dequeueCount - Number of delivery attempts
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function recordDeadLetter(message, dequeueCount, context) {
+  const existing = message.webhookId ? await getWebhookEvent(message.webhookId, context) : null;
+  const webhookId = message.webhookId || `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+
+  await updateWebhookEvent(webhookId, {
+    webhookId,
+    sourceSystem: message.sourceSystem || existing?.sourceSystem || 'alto',
+    eventType: message.eventType || existing?.eventType || '',
+    tenancyId: message.tenancyId || existing?.tenancyId || '',
+    agencyRef: message.agencyRef || existing?.agencyRef || '',
+    branchId: message.branchId || existing?.branchId || '',
+    message: JSON.stringify(message),
+    status: 'DEAD_LETTERED',
+    dequeueCount: Math.max(dequeueCount || 0, existing?.dequeueCount || 0),
+    deadLetteredAt: new Date().toISOString()
+  }, context);
+
+  context?.warn(`☠️ Webhook ${webhookId} moved to dead-letter (tenancy ${message.tenancyId || 'unknown'})`);
+}
+
+/**
+ * Store the raw webhook payload so the event can be replayed later
+ *
+ * The raw body is PII encrypted at rest. Payloads too large for a table property
+ * are not stored - the event is then marked as not replayable.
+ *
+ * @param {string} webhookId - Webhook ID
+ * @param {string} rawBody - Raw request body as received
+ * @param {Object} signatureVerification - Signature verification result ({ status, verifiedAt })
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<boolean>} - True if the payload was stored
+ */
+async function storeRawWebhookPayload(webhookId, rawBody, signatureVerification, context) {
+  const encryptedPayload = await encryptPII(rawBody, null, context);
+  const stored = !!encryptedPayload && encryptedPayload.length <= MAX_RAW_PAYLOAD_LENGTH;
+
+  if (!stored) {
+    context?.warn(`⚠️ Raw payload for webhook ${webhookId} not stored (${rawBody?.length || 0} bytes) - event cannot be replayed`);
+  }
+
+  await updateWebhookEvent(webhookId, {
+    rawPayload: stored ? encryptedPayload : null,
+    rawPayloadStored: stored,
+    signatureStatus: signatureVerification?.status || 'unknown',
+    signatureVerifiedAt: signatureVerification?.verifiedAt || null
+  }, context);
+
+  return stored;
+}
+
+/**
+ * Get the stored raw payload of a webhook event
+ *
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - { event, rawBody, signatureVerification } or null if not stored
+ */
+async function getRawWebhookPayload(webhookId, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  let entity;
+  try {
+    entity = await tableClient.getEntity(WEBHOOK_EVENTS_PARTITION, webhookId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!entity.rawPayload) {
+    return null;
+  }
+
+  return {
+    event: formatWebhookEvent(entity),
+    rawBody: await decryptPII(entity.rawPayload, null, context),
+    signatureVerification: {
+      status: entity.signatureStatus || 'unknown',
+      verifiedAt: entity.signatureVerifiedAt || null
+    }
+  };
+}
+
+/**
+ * List webhook events with a stored raw payload for an agency and time range
+ *
+ * @param {Object} criteria
+ * @param {string} criteria.agencyRef - Agency reference
+ * @param {string} criteria.from - Earliest queued time (ISO 8601)
+ * @param {string} criteria.to - Latest queued time (ISO 8601)
+ * @param {string} criteria.sourceSystem - Source system filter (optional)
+ * @param {number} criteria.limit - Maximum number of events to return
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Array>} - Replayable webhook events, oldest first
+ */
+async function listReplayableWebhookEvents({ agencyRef, from, to, sourceSystem, limit = 100 }, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const filters = [
+    `PartitionKey eq '${WEBHOOK_EVENTS_PARTITION}'`,
+    `agencyRef eq '${agencyRef}'`,
+    `queuedAt ge '${new Date(from).toISOString()}'`,
+    `queuedAt le '${new Date(to).toISOString()}'`,
+    'rawPayloadStored eq true'
+  ];
+  if (sourceSystem) {
+    filters.push(`sourceSystem eq '${sourceSystem}'`);
+  }
+
+  const events = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: filters.join(' and ') }
+  });
+
+  for await (const entity of entities) {
+    events.push(formatWebhookEvent(entity));
+  }
+
+  events.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+
+  context?.log(`Found ${events.length} replayable webhook events for agency ${agencyRef}`);
+
+  return events.slice(0, limit);
+}
+
+/**
+ * Get the duplicate suppression window in milliseconds
+ * Configured with WEBHOOK_DUPLICATE_WINDOW_MINUTES (default: 30 minutes)
+ * @returns {number}
+ */
+function getDuplicateWindowMs() {
+  const minutes = parseInt(process.env.WEBHOOK_DUPLICATE_WINDOW_MINUTES, 10);
+  return (Number.isNaN(minutes) || minutes < 0 ? DEFAULT_DUPLICATE_WINDOW_MINUTES : minutes) * 60 * 1000;
+}
+
+/**
+ * Decide whether an existing claim makes a new webhook a duplicate
+ *
+ * A claim stays provisional until the original webhook is recorded as queued - if that
+ * never happened (the delivery failed or the host stopped first) the claim only holds off
+ * concurrent deliveries for a short time, so a redelivery can start the run.
+ *
+ * Once recorded, a claim suppresses new webhooks for as long as the original run is in
+ * flight. A finished run only suppresses redeliveries of the same event inside the
+ * duplicate window - a new event for the tenancy (such as an amendment) starts a new run.
+ *
+ * @param {string} reason - Claim type ('DUPLICATE_EVENT' or 'TENANCY_IN_FLIGHT')
+ * @param {Object} claim - Existing claim ({ claimedAt })
+ * @param {Object|null} originalEvent - Webhook event of the original run
+ * @param {number} now - Current time in milliseconds
+ * @param {number} windowMs - Duplicate window in milliseconds
+ * @returns {boolean}
+ */
+function isDuplicateClaim(reason, claim, originalEvent, now, windowMs) {
+  const claimedAt = new Date(claim.claimedAt).getTime();
+  const claimAge = Number.isNaN(claimedAt) ? Infinity : now - claimedAt;
+
+  if (!originalEvent) {
+    return claimAge < PROVISIONAL_CLAIM_MS;
+  }
+
+  if (IN_FLIGHT_STATUSES.includes(originalEvent.status)) {
+    return true;
+  }
+
+  return reason === 'DUPLICATE_EVENT' && claimAge < windowMs;
+}
+
+/**
+ * Make a value safe for use as a table RowKey
+ */
+function toRowKey(value) {
+  return String(value).replace(/[\\/#?\u0000-\u001f\u007f-\u009f]/g, '_');
+}
+
+/**
+ * Claim a webhook event and its tenancy before starting a workflow run
+ *
+ * Records the CloudEvent ID (when the source provides one) and the tenancy as
+ * in flight. If either is already claimed by a run that is still in flight (or,
+ * for the event ID, inside the duplicate window), the new webhook is reported as
+ * a duplicate of that run and nothing is claimed.
+ *
+ * The claims are provisional until recordWebhookQueued records the webhook - a
+ * caller that fails before then should hand the returned claims to
+ * releaseWebhookClaims so redeliveries are not suppressed.
+ *
+ * @param {Object} event
+ * @param {string} event.webhookId - Webhook ID of the new delivery
+ * @param {string} event.sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} event.eventId - Source event ID (CloudEvent id), if available
+ * @param {string} event.tenancyId - Tenancy ID
+ * @param {string} event.agencyRef - Agency reference
+ * @param {string} event.eventType - Event type (repayment events claim the tenancy separately from deposit runs)
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - { duplicate: false, claims } or { duplicate: true, reason, originalWebhookId, originalEvent, claimedAt }
+ */
+async function claimWebhookEvent({ webhookId, sourceSystem, eventId, tenancyId, agencyRef, eventType }, context) {
+  const tableClient = getTableClient('WebhookIdempotency');
+  await ensureTable(tableClient);
+
+  const windowMs = getDuplicateWindowMs();
+  const keys = [];
+
+  if (eventId) {
+    keys.push({ partitionKey: `event_${sourceSystem}`, rowKey: toRowKey(eventId), reason: 'DUPLICATE_EVENT' });
+  }
+  const tenancyScope = isRepaymentEvent(eventType) ? 'repayment_' : '';
+  keys.push({ partitionKey: `tenancy_${sourceSystem}`, rowKey: toRowKey(`${tenancyScope}${agencyRef}_${tenancyId}`), reason: 'TENANCY_IN_FLIGHT' });
+
+  const claimed = [];
+
+  for (const key of keys) {
+    const claim = {
+      partitionKey: key.partitionKey,
+      rowKey: key.rowKey,
+      webhookId,
+      tenancyId: String(tenancyId),
+      agencyRef: agencyRef || '',
+      eventId: eventId || '',
+      claimedAt: new Date().toISOString()
+    };
+
+    try {
+      await tableClient.createEntity(claim);
+      claimed.push(claim);
+      continue;
+    } catch (error) {
+      if (error.statusCode !== 409) { // 409 = already claimed
+        await releaseClaims(tableClient, claimed, webhookId);
+        throw error;
+      }
+    }
+
+    const existing = await tableClient.getEntity(key.partitionKey, key.rowKey);
+    const originalEvent = existing.webhookId ? await getWebhookEvent(existing.webhookId, context) : null;
+
+    if (!isDuplicateClaim(key.reason, existing, originalEvent, Date.now(), windowMs)) {
+      try {
+        // Take over the expired claim - the etag guards against a concurrent takeover
+        await tableClient.updateEntity(claim, 'Replace', { etag: existing.etag });
+        claimed.push(claim);
+        continue;
+      } catch (error) {
+        if (error.statusCode !== 412) { // 412 = claimed by a concurrent delivery
+          await releaseClaims(tableClient, claimed, webhookId);
+          throw error;
+        }
+      }
+    }
+
+    await releaseClaims(tableClient, claimed, webhookId);
+
+    const current = await tableClient.getEntity(key.partitionKey, key.rowKey);
+    context?.log(`🔁 Duplicate webhook suppressed (${key.reason}): original webhook ${current.webhookId}`);
+
+    return {
+      duplicate: true,
+      reason: key.reason,
+      originalWebhookId: current.webhookId,
+      originalEvent: current.webhookId === existing.webhookId
+        ? originalEvent
+        : await getWebhookEvent(current.webhookId, context),
+      claimedAt: current.claimedAt
+    };
+  }
+
+  return {
+    duplicate: false,
+    claims: claimed.map(({ partitionKey, rowKey }) => ({ partitionKey, rowKey }))
+  };
+}
+
+/**
+ * Release the claims of a webhook that could not be queued
+ *
+ * @param {string} webhookId - Webhook ID the claims were made for
+ * @param {Array} claims - Claims returned by claimWebhookEvent
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function releaseWebhookClaims(webhookId, claims, context) {
+  if (!claims?.length) {
+    return;
+  }
+
+  const tableClient = getTableClient('WebhookIdempotency');
+  await releaseClaims(tableClient, claims, webhookId);
+
+  context?.log(`🔓 Released duplicate claims of webhook ${webhookId}`);
+}
+
+/**
+ * Undo a webhook that could not be sent to the queue
+ *
+ * Releases its claims so a later delivery or sweep is not suppressed, and marks its
+ * event record (when one was written) as FAILED so it no longer looks in flight.
+ *
+ * @param {string} webhookId - Webhook ID
+ * @param {Array} claims - Claims returned by claimWebhookEvent
+ * @param {Error} error - Why the webhook was not queued
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function abandonWebhookEvent(webhookId, claims, error, context) {
+  await releaseWebhookClaims(webhookId, claims, context);
+
+  try {
+    if (await getWebhookEvent(webhookId, context)) {
+      await updateWebhookEvent(webhookId, { status: 'FAILED', lastError: `Not queued: ${error.message}` }, context);
+    }
+  } catch (updateError) {
+    context?.warn(`⚠️ Failed to mark unqueued webhook ${webhookId} as FAILED:`, updateError.message);
+  }
+}
+
+/**
+ * Release claims made by a webhook that turned out to be a duplicate or could not be queued
+ */
+async function releaseClaims(tableClient, claims, webhookId) {
+  for (const claim of claims) {
+    try {
+      const current = await tableClient.getEntity(claim.partitionKey, claim.rowKey);
+      if (current.webhookId === webhookId) {
+        await tableClient.deleteEntity(claim.partitionKey, claim.rowKey, { etag: current.etag });
+      }
+    } catch (error) {
+      // Best effort - the claim of a webhook that was never recorded lapses after PROVISIONAL_CLAIM_MS
+    }
+  }
+}
+
+/**
+ * Get a webhook event by ID
+ *
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Webhook event or null if not found
+ */
+async function getWebhookEvent(webhookId, context) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  try {
+    const entity = await tableClient.getEntity(WEBHOOK_EVENTS_PARTITION, webhookId);
+    return formatWebhookEvent(entity);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    context?.error(`Error retrieving webhook event ${webhookId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List webhook events by status
+ *
+ * @param {Object} options
+ * @param {string} options.status - Status to filter by (default: DEAD_LETTERED)
+ * @param {number} options.limit - Maximum number of events to return
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Array>} - Webhook events, most recently updated first
+ */
+async function listWebhookEvents({ status = 'DEAD_LETTERED', limit = 100 } = {}, context) {
+  if (!WEBHOOK_EVENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid webhook event status: ${status}`);
+  }
+
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  const events = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq '${WEBHOOK_EVENTS_PARTITION}' and status eq '${status}'` }
+  });
+
+  for await (const entity of entities) {
+    events.push(formatWebhookEvent(entity));
+  }
+
+  events.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  context?.log(`Retrieved ${events.length} webhook events with status ${status}`);
+
+  return events.slice(0, limit);
+}
+
+/**
+ * Format a table entity for API responses
+ */
+function formatWebhookEvent(entity) {
+  let message = null;
+  try {
+    message = entity.message ? JSON.parse(entity.message) : null;
+  } catch (parseError) {
+    message = entity.message;
+  }
+
+  return {
+    webhookId: entity.rowKey,
+    sourceSystem: entity.sourceSystem,
+    eventType: entity.eventType,
+    eventId: entity.eventId || null,
+    tenancyId: entity.tenancyId,
+    agencyRef: entity.agencyRef,
+    branchId: entity.branchId,
+    status: entity.status,
+    dequeueCount: entity.dequeueCount || 0,
+    lastError: entity.lastError || null,
+    failedStep: entity.failedStep || null,
+    workflowId: entity.workflowId || null,
+    message,
+    signatureStatus: entity.signatureStatus || null,
+    replayable: entity.rawPayloadStored === true,
+    replayOf: entity.replayOf || null,
+    queuedAt: entity.queuedAt,
+    deadLetteredAt: entity.deadLetteredAt || null,
+    updatedAt: entity.updatedAt
+  };
+}
+
+module.exports = {
+  WEBHOOK_QUEUE_NAME,
+  WEBHOOK_POISON_QUEUE_NAME,
+  WEBHOOK_EVENT_STATUSES,
+  IN_FLIGHT_STATUSES,
+  NON_RETRYABLE_STEPS,
+  buildWebhookQueueMessage,
+  classifyWorkflowResult,
+  sendWebhookQueueMessage,
+  getDuplicateWindowMs,
+  isDuplicateClaim,
+  claimWebhookEvent,
+  releaseWebhookClaims,
+  abandonWebhookEvent,
+  recordWebhookQueued,
+  updateWebhookEvent,
+  recordDeadLetter,
+  storeRawWebhookPayload,
+  getRawWebhookPayload,
+  listReplayableWebhookEvents,
+  getWebhookEvent,
+  listWebhookEvents
+};
@@ -0,0 +1,363 @@
+/**
+ * Webhook Signature Module
+ *
+ * Verifies HMAC signatures on incoming source system webhooks and manages the
+ * per-agency webhook secrets used to sign them.
+ *
+ * Key Features:
+ * - HMAC-SHA256 verification of `<timestamp>.<raw body>` (timing-safe)
+ * - Strict mode: unsigned and stale webhooks are rejected
+ * - Configurable clock-skew tolerance to stop replayed deliveries
+ * - Current and previous secret accepted side by side for zero-downtime rotation
+ * - Per-agency secrets with environment variable fallback
+ *
+ * Configuration:
+ * - WEBHOOK_SIGNATURE_STRICT: 'true' to reject unsigned or stale webhooks (default: false)
+ * - WEBHOOK_SIGNATURE_TOLERANCE_SECONDS: Allowed clock skew (default: 300)
+ * - WEBHOOK_SECRET_ROTATION_GRACE_HOURS: How long the previous secret stays valid (default: 72)
+ * - <SOURCE>_WEBHOOK_SECRET / <SOURCE>_WEBHOOK_SECRET_PREVIOUS: Fallback secrets (e.g. ALTO_WEBHOOK_SECRET)
+ *
+ * Storage:
+ * - Uses Azure Table Storage (WebhookSecrets table)
+ * - Partition key: source system, row key: agency reference
+ * - Secrets are PII encrypted at rest
+ */
+
+const crypto = require('crypto');
+const { TableClient } = require('@azure/data-tables');
+const { encryptPII, decryptPII } = require('./pii-encryption');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_ROTATION_GRACE_HOURS = 72;
+
+const AGENCY_REF_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let tableInitialized = false;
+
+/**
+ * Get table client
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient() {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, 'WebhookSecrets');
+}
+
+/**
+ * Ensure the WebhookSecrets table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (tableInitialized) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  tableInitialized = true;
+}
+
+/**
+ * Read a non-negative integer from the environment
+ */
+function readIntegerSetting(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Get signature verification settings
+ * @returns {{ strict: boolean, toleranceSeconds: number }}
+ */
+function getSignatureSettings() {
+  return {
+    strict: String(process.env.WEBHOOK_SIGNATURE_STRICT).toLowerCase() === 'true',
+    toleranceSeconds: readIntegerSetting('WEBHOOK_SIGNATURE_TOLERANCE_SECONDS', DEFAULT_TOLERANCE_SECONDS)
+  };
+}
+
+/**
+ * Compute the expected signature for a webhook
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string} payload - Raw request body
+ * @param {string} timestamp - Timestamp header value
+ * @returns {string} - Hex encoded HMAC-SHA256
+ */
+function computeSignature(secret, payload, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+}
+
+/**
+ * Compare a received signature against the expected one (timing-safe)
+ */
+function signatureMatches(signature, secret, payload, timestamp) {
+  try {
+    const expected = Buffer.from(computeSignature(secret, payload, timestamp), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a webhook timestamp header
+ * Accepts Unix seconds, Unix milliseconds or an ISO 8601 date
+ *
+ * @param {string} timestamp - Timestamp header value
+ * @returns {number} - Milliseconds since epoch (NaN if unparseable)
+ */
+function parseWebhookTimestamp(timestamp) {
+  if (timestamp === undefined || timestamp === null || timestamp === '') {
+    return NaN;
+  }
+
+  if (/^\d+$/.test(String(timestamp))) {
+    const value = Number(timestamp);
+    return value > 1e12 ? value : value * 1000;
+  }
+
+  return new Date(timestamp).getTime();
+}
+
+/**
+ * Get the secrets a webhook may be signed with, most recent first
+ *
+ * Agency-specific secrets take precedence over the environment fallback. A
+ * previous secret is only returned until its grace period has expired.
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference (from the webhook payload)
+ * @param {Object} context - Azure Function context (for logging)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<{ label: string, secret: string, agencySpecific: boolean }>>}
+ */
+async function getWebhookSecrets(sourceSystem, agencyRef, context, now = Date.now()) {
+  if (agencyRef && AGENCY_REF_PATTERN.test(agencyRef)) {
+    const entity = await getSecretEntity(sourceSystem, agencyRef);
+
+    if (entity && entity.currentSecret) {
+      const secrets = [{
+        label: 'current',
+        secret: await decryptPII(entity.currentSecret, null, context),
+        agencySpecific: true
+      }];
+
+      if (entity.previousSecret && new Date(entity.previousSecretExpiresAt).getTime() > now) {
+        secrets.push({
+          label: 'previous',
+          secret: await decryptPII(entity.previousSecret, null, context),
+          agencySpecific: true
+        });
+      }
+
+      return secrets;
+    }
+  }
+
+  const envPrefix = `${sourceSystem.toUpperCase()}_WEBHOOK_SECRET`;
+  const secrets = [];
+
+  if (process.env[envPrefix]) {
+    secrets.push({ label: 'current', secret: process.env[envPrefix], agencySpecific: false });
+  }
+  if (process.env[`${envPrefix}_PREVIOUS`]) {
+    secrets.push({ label: 'previous', secret: process.env[`${envPrefix}_PREVIOUS`], agencySpecific: false });
+  }
+
+  return secrets;
+}
+
+/**
+ * Verify a webhook signature
+ *
+ * Invalid signatures are always rejected. Missing signatures, missing secrets and
+ * timestamps outside the tolerance are only rejected in strict mode.
+ *
+ * @param {Object} webhook
+ * @param {string} webhook.sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} webhook.agencyRef - Agency reference (from the webhook payload)
+ * @param {string} webhook.rawBody - Raw request body
+ * @param {string} webhook.signature - Signature header value
+ * @param {string} webhook.timestamp - Timestamp header value
+ * @param {Object} context - Azure Function context (for logging)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { valid, status: 'verified' | 'skipped' | 'rejected', reason, secretUsed, verifiedAt }
+ */
+async function verifyWebhookSignature({ sourceSystem, agencyRef, rawBody, signature, timestamp }, context, now = Date.now()) {
+  const { strict, toleranceSeconds } = getSignatureSettings();
+  const secrets = await getWebhookSecrets(sourceSystem, agencyRef, context, now);
+
+  if (secrets.length === 0 || !signature || !timestamp) {
+    const reason = secrets.length === 0 ? 'NO_SECRET_CONFIGURED' : 'MISSING_SIGNATURE';
+    return strict
+      ? { valid: false, status: 'rejected', reason }
+      : { valid: true, status: 'skipped', reason, verifiedAt: null };
+  }
+
+  const signedAt = parseWebhookTimestamp(timestamp);
+  const withinTolerance = !Number.isNaN(signedAt) && Math.abs(now - signedAt) <= toleranceSeconds * 1000;
+
+  if (!withinTolerance && strict) {
+    return { valid: false, status: 'rejected', reason: 'STALE_TIMESTAMP' };
+  }
+
+  const match = secrets.find(candidate => signatureMatches(signature, candidate.secret, rawBody, timestamp));
+
+  if (!match) {
+    return { valid: false, status: 'rejected', reason: 'SIGNATURE_MISMATCH' };
+  }
+
+  if (!withinTolerance) {
+    context?.warn(`⚠️ ${sourceSystem} webhook timestamp outside ${toleranceSeconds}s tolerance (accepted - strict mode off)`);
+  }
+
+  if (match.label === 'previous') {
+    context?.log(`🔑 ${sourceSystem} webhook signed with the previous secret for agency ${agencyRef}`);
+  }
+
+  return {
+    valid: true,
+    status: 'verified',
+    reason: withinTolerance ? null : 'STALE_TIMESTAMP',
+    secretUsed: match.label,
+    agencySpecific: match.agencySpecific,
+    verifiedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Read the stored secret entity for an agency
+ */
+async function getSecretEntity(sourceSystem, agencyRef) {
+  const tableClient = getTableClient();
+  await ensureTable(tableClient);
+
+  try {
+    return await tableClient.getEntity(sourceSystem, agencyRef.toLowerCase());
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rotate an agency's webhook secret
+ *
+ * The existing secret becomes the previous secret and stays valid for the grace
+ * period, so the source system can switch over without rejected deliveries.
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference
+ * @param {string} secret - New webhook secret
+ * @param {Object} options
+ * @param {number} options.graceHours - Hours the previous secret stays valid
+ * @param {string} options.rotatedBy - User performing the rotation
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object>} - Secret status (no secret values)
+ */
+async function rotateWebhookSecret(sourceSystem, agencyRef, secret, { graceHours, rotatedBy } = {}, context) {
+  const existing = await getSecretEntity(sourceSystem, agencyRef);
+  const hours = graceHours ?? readIntegerSetting('WEBHOOK_SECRET_ROTATION_GRACE_HOURS', DEFAULT_ROTATION_GRACE_HOURS);
+  const now = new Date();
+
+  const entity = {
+    partitionKey: sourceSystem,
+    rowKey: agencyRef.toLowerCase(),
+    currentSecret: await encryptPII(secret, null, context),
+    previousSecret: existing?.currentSecret || '',
+    previousSecretExpiresAt: existing?.currentSecret
+      ? new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString()
+      : '',
+    rotatedAt: now.toISOString(),
+    rotatedBy: rotatedBy || ''
+  };
+
+  const tableClient = getTableClient();
+  await tableClient.upsertEntity(entity, 'Replace');
+
+  context?.log(`🔑 ${sourceSystem} webhook secret rotated for agency ${agencyRef} (previous valid for ${existing?.currentSecret ? hours : 0}h)`);
+
+  return formatSecretStatus(entity);
+}
+
+/**
+ * Stop accepting an agency's previous webhook secret
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Secret status, or null if no secret is stored
+ */
+async function retirePreviousWebhookSecret(sourceSystem, agencyRef, context) {
+  const existing = await getSecretEntity(sourceSystem, agencyRef);
+  if (!existing) {
+    return null;
+  }
+
+  const entity = { ...existing, previousSecret: '', previousSecretExpiresAt: '' };
+  await getTableClient().updateEntity(entity, 'Replace', { etag: existing.etag });
+
+  context?.log(`🔑 Previous ${sourceSystem} webhook secret retired for agency ${agencyRef}`);
+
+  return formatSecretStatus(entity);
+}
+
+/**
+ * Get an agency's webhook secret status (no secret values)
+ *
+ * @param {string} sourceSystem - Source system ('alto', 'jupix')
+ * @param {string} agencyRef - Agency reference
+ * @returns {Promise<Object>} - Secret status
+ */
+async function getWebhookSecretStatus(sourceSystem, agencyRef) {
+  const entity = await getSecretEntity(sourceSystem, agencyRef);
+
+  if (!entity) {
+    return {
+      agencySpecific: false,
+      hasCurrentSecret: !!process.env[`${sourceSystem.toUpperCase()}_WEBHOOK_SECRET`],
+      hasPreviousSecret: !!process.env[`${sourceSystem.toUpperCase()}_WEBHOOK_SECRET_PREVIOUS`],
+      previousSecretExpiresAt: null,
+      rotatedAt: null,
+      rotatedBy: null
+    };
+  }
+
+  return formatSecretStatus(entity);
+}
+
+/**
+ * Format a secret entity for API responses
+ */
+function formatSecretStatus(entity, now = Date.now()) {
+  return {
+    agencySpecific: true,
+    hasCurrentSecret: !!entity.currentSecret,
+    hasPreviousSecret: !!entity.previousSecret && new Date(entity.previousSecretExpiresAt).getTime() > now,
+    previousSecretExpiresAt: entity.previousSecretExpiresAt || null,
+    rotatedAt: entity.rotatedAt || null,
+    rotatedBy: entity.rotatedBy || null
+  };
+}
+
+module.exports = {
+  getSignatureSettings,
+  computeSignature,
+  parseWebhookTimestamp,
+  getWebhookSecrets,
+  verifyWebhookSignature,
+  rotateWebhookSecret,
+  retirePreviousWebhookSecret,
+  getWebhookSecretStatus
+};
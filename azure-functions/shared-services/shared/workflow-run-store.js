@@ -0,0 +1,393 @@
+/**
+ * Workflow Run Store Module
+ *
+ * Persists every source system → TDS workflow run and each of its steps, so a
+ * run that fails or is interrupted part way (e.g. after the deposit was created
+ * but before it was recorded) can be resumed from its last completed step
+ * instead of starting over and submitting the deposit again.
+ *
+ * Key Features:
+ * - Run status, current step and last completed step
+ * - Step timeline across attempts (step results PII encrypted at rest)
+ * - Checkpoint of the prepared payload and TDS result (PII encrypted at rest)
+ * - Resumable run selection for retried events
+ *
+ * Storage:
+ * - Uses Azure Table Storage (WorkflowRuns, WorkflowRunSteps tables)
+ * - Runs: partition key = 'WorkflowRun', row key = workflow ID
+ * - Steps: partition key = workflow ID, row key = <attempt>_<sequence>
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const { encryptJSON, decryptJSON } = require('./pii-encryption');
+
+const WORKFLOW_RUNS_PARTITION = 'WorkflowRun';
+
+const WORKFLOW_RUN_STATUSES = ['RUNNING', 'COMPLETED', 'FAILED', 'NEEDS_REVIEW', 'PENDING', 'REJECTED', 'NUDGED'];
+
+/**
+ * Steps that submit to TDS - an interrupted submission has an unknown outcome
+ */
+const TDS_SUBMISSION_STEPS = ['create_tds_deposit', 'amend_tds_deposit', 'renew_tds_deposit'];
+
+const DEFAULT_STALE_RUN_MINUTES = 15;
+const MAX_PROPERTY_LENGTH = 32000; // Table Storage string properties are limited to 64KB (UTF-16)
+
+const initializedTables = new Set();
+
+/**
+ * Get table client
+ * @param {string} tableName - Table name
+ * @returns {TableClient} - Table client instance
+ */
+function getTableClient(tableName) {
+  const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+  return TableClient.fromConnectionString(connectionString, tableName);
+}
+
+/**
+ * Ensure a table exists
+ * @param {TableClient} tableClient - Table client instance
+ */
+async function ensureTable(tableClient) {
+  if (initializedTables.has(tableClient.tableName)) return;
+
+  try {
+    await tableClient.createTable();
+  } catch (error) {
+    if (error.statusCode !== 409) { // 409 = table already exists
+      throw error;
+    }
+  }
+  initializedTables.add(tableClient.tableName);
+}
+
+/**
+ * Minutes after which a RUNNING run with no progress is treated as interrupted
+ * (longer than the function timeout, so a live run is never resumed twice)
+ */
+function getStaleRunMinutes() {
+  return parseInt(process.env.WORKFLOW_STALE_RUN_MINUTES, 10) || DEFAULT_STALE_RUN_MINUTES;
+}
+
+/**
+ * Build the row key of a step (sorts by attempt, then by order within the attempt)
+ */
+function getStepRowKey(attempt, sequence) {
+  return `${String(attempt).padStart(3, '0')}_${String(sequence).padStart(3, '0')}`;
+}
+
+/**
+ * Create or update a workflow run
+ *
+ * @param {Object} run - Run fields (workflowId required; other fields are merged)
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function saveWorkflowRun(run, context) {
+  const tableClient = getTableClient('WorkflowRuns');
+  await ensureTable(tableClient);
+
+  const { workflowId, workflowData, checkpoint, ...fields } = run;
+  const entity = {
+    partitionKey: WORKFLOW_RUNS_PARTITION,
+    rowKey: workflowId,
+    workflowId,
+    updatedAt: new Date().toISOString()
+  };
+
+  for (const [key, value] of Object.entries(fields)) {
+    entity[key] = value === null || value === undefined ? '' : value;
+  }
+
+  if (workflowData) {
+    entity.workflowData = JSON.stringify(workflowData);
+  }
+
+  if (checkpoint) {
+    entity.checkpoint = await encryptJSON(checkpoint, null, context);
+    entity.checkpointStep = checkpoint.step || '';
+    entity.tdsSubmitted = !!checkpoint.tdsResult;
+  }
+
+  await tableClient.upsertEntity(entity, 'Merge');
+
+  if (fields.status && fields.status !== 'RUNNING') {
+    context?.log(`📝 Workflow run ${workflowId} status: ${fields.status}`);
+  }
+}
+
+/**
+ * Record a step of a workflow run
+ *
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} step
+ * @param {number} step.attempt - Run attempt the step belongs to
+ * @param {number} step.sequence - Order of the step within the attempt
+ * @param {string} step.step - Step name
+ * @param {string} step.status - started | completed | failed
+ * @param {string} step.timestamp - When the step started
+ * @param {string} step.completedAt - When the step completed or failed (optional)
+ * @param {Object} step.result - Step result (optional)
+ * @param {string} step.error - Error message (optional)
+ * @param {Object} context - Azure Function context (for logging)
+ */
+async function saveWorkflowStep(workflowId, { attempt, sequence, step, status, timestamp, completedAt, result, error }, context) {
+  const tableClient = getTableClient('WorkflowRunSteps');
+  await ensureTable(tableClient);
+
+  let encryptedResult = '';
+  if (result !== undefined && result !== null) {
+    encryptedResult = await encryptJSON(result, null, context);
+    if (encryptedResult.length > MAX_PROPERTY_LENGTH) {
+      encryptedResult = await encryptJSON({ truncated: true }, null, context);
+    }
+  }
+
+  await tableClient.upsertEntity({
+    partitionKey: workflowId,
+    rowKey: getStepRowKey(attempt, sequence),
+    attempt,
+    sequence,
+    step,
+    status,
+    startedAt: timestamp,
+    completedAt: completedAt || '',
+    result: encryptedResult,
+    error: error || ''
+  }, 'Replace');
+}
+
+/**
+ * Format a run entity (checkpoint left encrypted unless requested)
+ */
+async function formatWorkflowRun(entity, { includeCheckpoint = false } = {}, context) {
+  const run = {
+    workflowId: entity.rowKey,
+    sourceSystem: entity.sourceSystem,
+    agencyRef: entity.agencyRef || null,
+    branchId: entity.branchId || null,
+    tenancyId: entity.tenancyId,
+    eventType: entity.eventType || null,
+    webhookId: entity.webhookId || null,
+    status: entity.status,
+    attempt: entity.attempt || 1,
+    currentStep: entity.currentStep || null,
+    lastCompletedStep: entity.lastCompletedStep || null,
+    failedStep: entity.failedStep || null,
+    error: entity.error || null,
+    checkpointStep: entity.checkpointStep || null,
+    tdsSubmitted: !!entity.tdsSubmitted,
+    dan: entity.dan || null,
+    depositId: entity.depositId || null,
+    integrationId: entity.integrationId || null,
+    workflowData: entity.workflowData ? JSON.parse(entity.workflowData) : {},
+    startedAt: entity.startedAt,
+    resumedAt: entity.resumedAt || null,
+    completedAt: entity.completedAt || null,
+    updatedAt: entity.updatedAt
+  };
+
+  if (includeCheckpoint) {
+    run.checkpoint = entity.checkpoint ? await decryptJSON(entity.checkpoint, null, context) : null;
+  }
+
+  return run;
+}
+
+/**
+ * Get a workflow run
+ *
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @param {Object} options
+ * @param {boolean} options.includeCheckpoint - Decrypt and include the checkpoint
+ * @returns {Promise<Object|null>} - Run or null if not found
+ */
+async function getWorkflowRun(workflowId, context, { includeCheckpoint = false } = {}) {
+  const tableClient = getTableClient('WorkflowRuns');
+  await ensureTable(tableClient);
+
+  let entity;
+  try {
+    entity = await tableClient.getEntity(WORKFLOW_RUNS_PARTITION, workflowId);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  return formatWorkflowRun(entity, { includeCheckpoint }, context);
+}
+
+/**
+ * List the steps of a workflow run, in order, across all attempts
+ *
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Array>} - Steps (with decrypted results)
+ */
+async function listWorkflowSteps(workflowId, context) {
+  const tableClient = getTableClient('WorkflowRunSteps');
+  await ensureTable(tableClient);
+
+  const steps = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: `PartitionKey eq '${String(workflowId).replace(/'/g, "''")}'` }
+  });
+
+  for await (const entity of entities) {
+    steps.push({
+      rowKey: entity.rowKey,
+      attempt: entity.attempt,
+      step: entity.step,
+      status: entity.status,
+      startedAt: entity.startedAt,
+      completedAt: entity.completedAt || null,
+      result: entity.result ? await decryptJSON(entity.result, null, context) : null,
+      error: entity.error || null
+    });
+  }
+
+  steps.sort((a, b) => a.rowKey.localeCompare(b.rowKey));
+
+  return steps.map(({ rowKey, ...step }) => step);
+}
+
+/**
+ * Get a workflow run with its full step timeline
+ *
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Run with steps, or null if not found
+ */
+async function getWorkflowTimeline(workflowId, context) {
+  const run = await getWorkflowRun(workflowId, context);
+
+  if (!run) {
+    return null;
+  }
+
+  return {
+    ...run,
+    resumable: isRunResumable(run),
+    steps: await listWorkflowSteps(workflowId, context)
+  };
+}
+
+/**
+ * Check whether a run stopped before completing
+ * (FAILED, NEEDS_REVIEW, or RUNNING with no progress for longer than the stale threshold)
+ *
+ * @param {Object} run - Run from getWorkflowRun()
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isRunResumable(run, now = new Date()) {
+  if (run.status === 'FAILED' || run.status === 'NEEDS_REVIEW') {
+    return true;
+  }
+
+  if (run.status === 'RUNNING') {
+    const staleBefore = now.getTime() - getStaleRunMinutes() * 60 * 1000;
+    return new Date(run.updatedAt).getTime() < staleBefore;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a stopped run was interrupted or failed inside a TDS submission
+ * without a recorded result, in which case it is unknown whether TDS received the
+ * deposit (a timeout can fail the call after TDS accepted it) and the run may only
+ * be resumed once someone has checked (NEEDS_REVIEW)
+ *
+ * @param {Object} run - Run from getWorkflowRun()
+ * @returns {boolean}
+ */
+function isSubmissionOutcomeUnknown(run) {
+  if (run.status === 'NEEDS_REVIEW') {
+    return true;
+  }
+  if (run.tdsSubmitted) {
+    return false;
+  }
+  if (run.status === 'RUNNING') {
+    return TDS_SUBMISSION_STEPS.includes(run.currentStep);
+  }
+  return run.status === 'FAILED' &&
+    (TDS_SUBMISSION_STEPS.includes(run.failedStep) || TDS_SUBMISSION_STEPS.includes(run.currentStep));
+}
+
+/**
+ * Pick the run a new execution for a tenancy should resume, if any
+ *
+ * A stopped run is resumed when its deposit was (or may have been) submitted to
+ * TDS - it must be recorded whatever event arrives next - or when the same
+ * webhook is being retried. Otherwise the new execution starts a fresh run.
+ *
+ * @param {Array} runs - Runs of the tenancy
+ * @param {Object} options
+ * @param {string} options.webhookId - Webhook being processed (optional)
+ * @param {Date} options.now - Current time
+ * @returns {Object|null} - Run to resume, or null
+ */
+function selectResumableRun(runs, { webhookId, now = new Date() } = {}) {
+  const candidates = runs
+    .filter(run => isRunResumable(run, now))
+    .filter(run => run.tdsSubmitted || isSubmissionOutcomeUnknown(run) || (webhookId && run.webhookId === webhookId))
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  return candidates[0] || null;
+}
+
+/**
+ * Find the run a new execution for a tenancy should resume
+ *
+ * @param {Object} criteria
+ * @param {string} criteria.sourceSystem - Source system
+ * @param {string} criteria.agencyRef - Agency reference
+ * @param {string} criteria.tenancyId - Tenancy ID
+ * @param {string} criteria.webhookId - Webhook being processed (optional)
+ * @param {Object} context - Azure Function context (for logging)
+ * @returns {Promise<Object|null>} - Run (with checkpoint) or null
+ */
+async function findResumableRun({ sourceSystem, agencyRef, tenancyId, webhookId }, context) {
+  const tableClient = getTableClient('WorkflowRuns');
+  await ensureTable(tableClient);
+
+  const filters = [
+    `PartitionKey eq '${WORKFLOW_RUNS_PARTITION}'`,
+    `tenancyId eq '${String(tenancyId).replace(/'/g, "''")}'`,
+    `sourceSystem eq '${String(sourceSystem).replace(/'/g, "''")}'`,
+    "(status eq 'FAILED' or status eq 'NEEDS_REVIEW' or status eq 'RUNNING')"
+  ];
+  if (agencyRef) filters.push(`agencyRef eq '${String(agencyRef).replace(/'/g, "''")}'`);
+
+  const runs = [];
+  const entities = tableClient.listEntities({
+    queryOptions: { filter: filters.join(' and ') }
+  });
+
+  for await (const entity of entities) {
+    runs.push(await formatWorkflowRun(entity, {}, context));
+  }
+
+  const run = selectResumableRun(runs, { webhookId });
+
+  return run ? getWorkflowRun(run.workflowId, context, { includeCheckpoint: true }) : null;
+}
+
+module.exports = {
+  WORKFLOW_RUN_STATUSES,
+  TDS_SUBMISSION_STEPS,
+  saveWorkflowRun,
+  saveWorkflowStep,
+  getWorkflowRun,
+  listWorkflowSteps,
+  getWorkflowTimeline,
+  isRunResumable,
+  isSubmissionOutcomeUnknown,
+  selectResumableRun,
+  findResumableRun
+};
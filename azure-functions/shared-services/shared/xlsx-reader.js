@@ -0,0 +1,225 @@
+/**
+ * XLSX Reader Module
+ *
+ * Reads the cell values of the first worksheet of an Excel (.xlsx) workbook
+ * using only Node built-ins. An .xlsx file is a zip archive of XML parts; this
+ * reads the archive directory, inflates the parts it needs and extracts the
+ * cell values. Formatting, formulas and further worksheets are ignored.
+ *
+ * Key Features:
+ * - Shared strings, inline strings, numbers and booleans
+ * - Sparse rows and cells (gaps are returned as empty strings)
+ * - Excel date serial conversion helper
+ */
+
+const zlib = require('zlib');
+
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+/**
+ * Check whether a buffer looks like a zip archive (and so possibly an .xlsx file)
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isXlsxBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_FILE_HEADER;
+}
+
+/**
+ * List the entries of a zip archive
+ *
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Function>} - Entry name → function returning the entry contents
+ */
+function readZipEntries(buffer) {
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Invalid XLSX file: zip directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let index = 0; index < entryCount; index++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid XLSX file: corrupt zip directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      const localNameLength = buffer.readUInt16LE(localHeaderOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localHeaderOffset + 28);
+      const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported XLSX compression method: ${method}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decode XML character entities
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Concatenate the text runs (<t>) of a string item
+ */
+function readTextRuns(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Convert a cell reference's column letters to a zero-based index (A → 0, AA → 26)
+ */
+function columnIndex(cellReference) {
+  const letters = cellReference.replace(/[0-9]/g, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Find the zip path of the workbook's first worksheet
+ */
+function findFirstSheetPath(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const relationships = entries.get('xl/_rels/workbook.xml.rels');
+
+  if (workbook && relationships) {
+    const sheet = workbook().toString('utf8').match(/<sheet\s[^>]*r:id="([^"]+)"/);
+    const relationshipXml = relationships().toString('utf8');
+
+    for (const match of relationshipXml.matchAll(/<Relationship\s[^>]*>/g)) {
+      const id = match[0].match(/Id="([^"]+)"/);
+      const target = match[0].match(/Target="([^"]+)"/);
+
+      if (sheet && id && target && id[1] === sheet[1]) {
+        return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+      }
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first worksheet of an .xlsx workbook
+ *
+ * @param {Buffer} buffer - Workbook file contents
+ * @returns {Array<{ line: number, values: Array<string> }>} - Non-blank rows (line = worksheet row number)
+ */
+function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+
+  const sharedStrings = [];
+  const sharedStringsEntry = entries.get('xl/sharedStrings.xml');
+  if (sharedStringsEntry) {
+    for (const match of sharedStringsEntry().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(readTextRuns(match[1]));
+    }
+  }
+
+  const sheetEntry = entries.get(findFirstSheetPath(entries));
+  if (!sheetEntry) {
+    throw new Error('Invalid XLSX file: no worksheet found');
+  }
+
+  const rows = [];
+  const sheetXml = sheetEntry().toString('utf8');
+
+  for (const rowMatch of sheetXml.matchAll(/<row\s([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1], 10) || rows.length + 1;
+    const values = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = (attributes.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1] || 'n';
+      const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = readTextRuns(content);
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (rawValue !== undefined) {
+        value = decodeXml(rawValue);
+      }
+
+      const index = reference ? columnIndex(reference) : values.length;
+      while (values.length < index) values.push('');
+      values[index] = value.trim();
+    }
+
+    if (values.some(value => value !== '')) {
+      rows.push({ line: rowNumber, values });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Convert an Excel date serial number to an ISO date (YYYY-MM-DD)
+ *
+ * @param {number|string} serial - Days since 1899-12-30
+ * @returns {string|null} - ISO date or null if not a serial number
+ */
+function excelSerialToIsoDate(serial) {
+  const days = Number(serial);
+  if (!Number.isFinite(days) || days <= 0) {
+    return null;
+  }
+  return new Date(EXCEL_EPOCH_MS + Math.floor(days) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isXlsxBuffer,
+  readXlsxRows,
+  excelSerialToIsoDate
+};
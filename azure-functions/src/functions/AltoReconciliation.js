@@ -0,0 +1,331 @@
+const { app } = require('@azure/functions');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { validateAgencyRef, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const {
+    buildWebhookQueueMessage,
+    sendWebhookQueueMessage,
+    recordWebhookQueued,
+    claimWebhookEvent,
+    abandonWebhookEvent
+} = require('../../shared-services/shared/webhook-event-store');
+const {
+    getSweepWindow,
+    groupMappingsByAgency,
+    isTenancyInScope,
+    findIntegrationRecord,
+    getLastSweepAt,
+    saveSweepReport,
+    listSweepReports
+} = require('../../shared-services/shared/reconciliation-store');
+const { OrganizationMappingService } = require('./OrganizationMapping');
+
+/**
+ * Alto Reconciliation Azure Function
+ * Catches missed webhooks: lists Alto tenancies created or updated since the last
+ * sweep and starts workflows for any tenancy the integration has no record of
+ */
+// Timer function for the hourly reconciliation sweep
+app.timer('AltoReconciliation', {
+    schedule: '0 30 * * * *', // Run every hour at half past
+    handler: async (myTimer, context) => {
+        try {
+            context.log('🔎 Starting Alto reconciliation sweep...');
+
+            const reconciler = new AltoReconciliationService(context);
+            const results = await reconciler.run();
+
+            context.log('✅ Alto reconciliation completed:', results.summary);
+
+            return results.summary;
+
+        } catch (error) {
+            context.log('❌ Alto reconciliation failed:', error);
+            throw error;
+        }
+    }
+});
+
+// Missed webhook reports and manual trigger
+app.http('AltoReconciliationReports', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    route: 'reconciliation/alto/{action?}',
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        const action = request.params.action || 'report';
+
+        let agencyRef = null;
+        if (request.query.get('agencyRef')) {
+            try {
+                agencyRef = validateAgencyRef(request.query.get('agencyRef'));
+            } catch (validationError) {
+                return {
+                    status: 400,
+                    jsonBody: formatValidationError(validationError)
+                };
+            }
+        }
+
+        try {
+            if (action === 'report' && request.method === 'GET') {
+                const limit = Math.min(parseInt(request.query.get('limit'), 10) || 50, 500);
+                const missedOnly = request.query.get('missedOnly') === 'true';
+
+                const reports = await listSweepReports({ agencyRef, missedOnly, limit }, context);
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        reports,
+                        count: reports.length,
+                        totalMissed: reports.reduce((total, report) => total + report.missedCount, 0),
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            if (action === 'run' && request.method === 'POST') {
+                if (!hasRole(authResult.user, 'Admin')) {
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            error: 'Forbidden',
+                            message: 'Admin role required for this operation',
+                            requiredRole: 'Admin',
+                            userRoles: authResult.user.roles
+                        }
+                    };
+                }
+
+                const dryRun = request.query.get('dryRun') === 'true';
+
+                context.log(`🔎 Manual Alto reconciliation triggered by ${authResult.user.email} (dryRun: ${dryRun})`);
+
+                const reconciler = new AltoReconciliationService(context, { dryRun });
+                const results = await reconciler.run({ agencyRef });
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        dryRun,
+                        results: results.summary,
+                        reports: results.reports,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            return {
+                status: 400,
+                jsonBody: {
+                    error: 'Invalid action',
+                    validActions: ['GET report', 'POST run']
+                }
+            };
+
+        } catch (error) {
+            context.log('❌ Alto reconciliation request failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Alto reconciliation request failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Alto Reconciliation Service Class
+ */
+class AltoReconciliationService {
+    constructor(context, { dryRun = false } = {}) {
+        this.context = context;
+        this.dryRun = dryRun;
+        this.sourceSystem = 'alto';
+
+        this.adapter = SourceAdapterFactory.getAdapter(this.sourceSystem, { context });
+    }
+
+    /**
+     * Sweep every active Alto agency (or a single agency)
+     * @returns {Promise<{ summary, reports, messages }>} - messages are those sent to the webhook queue
+     */
+    async run({ agencyRef = null } = {}) {
+        const mappingService = new OrganizationMappingService(this.context);
+        const agencies = groupMappingsByAgency(await mappingService.getAllMappings(), this.sourceSystem)
+            .filter(agency => !agencyRef || agency.agencyRef === agencyRef);
+
+        this.context.log(`🔎 Reconciling ${agencies.length} Alto agencies`);
+
+        const reports = [];
+        const messages = [];
+
+        for (const agency of agencies) {
+            // One agency failing (e.g. revoked Alto access) must not stop the others
+            const result = await this.sweepAgency(agency);
+            reports.push(result.report);
+            messages.push(...result.messages);
+        }
+
+        return {
+            summary: {
+                agencies: reports.length,
+                failedAgencies: reports.filter(report => report.status === 'FAILED').length,
+                checked: reports.reduce((total, report) => total + report.checkedCount, 0),
+                missed: reports.reduce((total, report) => total + report.missedTenancies.length, 0),
+                started: messages.length,
+                timestamp: new Date().toISOString()
+            },
+            reports,
+            messages
+        };
+    }
+
+    /**
+     * Sweep one agency and record its missed webhook report
+     */
+    async sweepAgency(agency) {
+        const startedAt = new Date();
+        const window = getSweepWindow(await getLastSweepAt(this.sourceSystem, agency.agencyRef), startedAt);
+
+        const report = {
+            sweepId: `recon_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
+            sourceSystem: this.sourceSystem,
+            agencyRef: agency.agencyRef,
+            organizationName: agency.organizationName,
+            environment: agency.environment,
+            windowFrom: window.from,
+            windowTo: window.to,
+            checkedCount: 0,
+            missedTenancies: [],
+            startedAt: startedAt.toISOString()
+        };
+        const messages = [];
+
+        try {
+            const altoClient = await this.adapter.createApiClient(agency.environment);
+            const tenancies = (await altoClient.listTenanciesModifiedSince(agency.agencyRef, window.from))
+                .filter(tenancy => isTenancyInScope(tenancy, agency));
+
+            report.checkedCount = tenancies.length;
+
+            for (const tenancy of tenancies) {
+                const recordFound = await findIntegrationRecord(agency.agencyRef, tenancy.id);
+                if (recordFound) {
+                    continue;
+                }
+
+                const missed = {
+                    tenancyId: tenancy.id,
+                    branchId: tenancy.branchId,
+                    createdDate: tenancy.createdDate,
+                    modifiedDate: tenancy.modifiedDate
+                };
+
+                if (this.dryRun) {
+                    missed.action = 'DRY_RUN';
+                } else {
+                    const message = await this.startWorkflow(agency, tenancy);
+                    missed.action = message ? 'WORKFLOW_STARTED' : 'ALREADY_IN_FLIGHT';
+                    missed.webhookId = message?.webhookId || null;
+                    if (message) messages.push(message);
+                }
+
+                this.context.warn(`⚠️ Missed webhook: tenancy ${tenancy.id} (agency ${agency.agencyRef}) - ${missed.action}`);
+                report.missedTenancies.push(missed);
+            }
+
+            report.status = 'COMPLETED';
+
+        } catch (error) {
+            this.context.log(`❌ Reconciliation failed for agency ${agency.agencyRef}:`, error.message);
+            report.status = 'FAILED';
+            report.error = error.message;
+        }
+
+        report.completedAt = new Date().toISOString();
+
+        // A dry run must not advance the sweep window
+        if (!this.dryRun) {
+            try {
+                await saveSweepReport(report, this.context);
+            } catch (error) {
+                // The sweep window is not advanced, so the next sweep checks these tenancies again
+                this.context.log(`❌ Failed to save reconciliation report for agency ${agency.agencyRef}:`, error.message);
+            }
+        }
+
+        return { report, messages };
+    }
+
+    /**
+     * Queue a workflow for a missed tenancy through the durable webhook pipeline
+     *
+     * The message is sent before the sweep moves on - if the send fails the claim is
+     * released and the agency's sweep fails, so its window is not advanced past the tenancy.
+     *
+     * @returns {Promise<Object|null>} - Queue message, or null if a run is already in flight
+     */
+    async startWorkflow(agency, tenancy) {
+        const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+        const branchId = tenancy.branchId || agency.branchIds[0] || 'DEFAULT';
+
+        // A webhook may have arrived since the listing - the claim stops a second run
+        const claimResult = await claimWebhookEvent({
+            webhookId,
+            sourceSystem: this.sourceSystem,
+            tenancyId: tenancy.id,
+            agencyRef: agency.agencyRef
+        }, this.context);
+
+        if (claimResult.duplicate) {
+            return null;
+        }
+
+        const message = buildWebhookQueueMessage({
+            eventType: 'Tenancy.Created',
+            tenancyId: tenancy.id,
+            agencyRef: agency.agencyRef,
+            branchId
+        }, {
+            webhookId,
+            sourceSystem: this.sourceSystem,
+            source: 'alto-reconciliation'
+        });
+
+        try {
+            await recordWebhookQueued(message, this.context);
+            await sendWebhookQueueMessage(message, this.context);
+        } catch (error) {
+            await abandonWebhookEvent(webhookId, claimResult.claims, error, this.context);
+            throw error;
+        }
+
+        return message;
+    }
+}
+
+// Export for internal use (no HTTP, no auth needed)
+module.exports = { AltoReconciliationService };
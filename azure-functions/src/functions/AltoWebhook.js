@@ -1,6 +1,15 @@
 const { app } = require('@azure/functions');
-const crypto = require('crypto');
 const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const {
+    buildWebhookQueueMessage,
+    recordWebhookQueued,
+    storeRawWebhookPayload,
+    claimWebhookEvent,
+    releaseWebhookClaims
+} = require('../../shared-services/shared/webhook-event-store');
+const { verifyWebhookSignature } = require('../../shared-services/shared/webhook-signature');
+const { webhookQueueOutput } = require('./WebhookQueueProcessor');
+const { REPAYMENT_EVENT_TYPES } = require('../../shared-services/shared/deposit-repayment');
 
 /**
  * Alto Webhook Receiver Azure Function
@@ -10,6 +19,7 @@ app.http('AltoWebhook', {
     methods: ['POST', 'GET'],
     authLevel: 'function', // Secure with function key
     route: 'webhooks/alto',
+    extraOutputs: [webhookQueueOutput],
     handler: async (request, context) => {
 
         // Handle GET request for webhook validation
@@ -20,7 +30,7 @@ app.http('AltoWebhook', {
                     status: 'active',
                     message: 'Alto webhook endpoint is operational',
                     timestamp: new Date().toISOString(),
-                    supportedEvents: ['Tenancy.Created', 'Tenancy.Updated'],
+                    supportedEvents: ['Tenancy.Created', 'Tenancy.Updated', ...REPAYMENT_EVENT_TYPES],
                     format: 'CloudEvents v1.0'
                 }
             };
@@ -33,30 +43,53 @@ app.http('AltoWebhook', {
             const rawBody = await request.text();
             const headers = request.headers;
 
-            // Verify webhook signature if secret is configured
-            const signature = headers.get('x-alto-webhook-signature');
-            const timestamp = headers.get('x-alto-webhook-timestamp');
+            // Parse webhook payload (the agency reference selects the signing secret)
+            let webhookData = null;
+            try {
+                webhookData = JSON.parse(rawBody);
+            } catch (parseError) {
+                context.warn('⚠️ Alto webhook body is not valid JSON');
+            }
 
-            if (process.env.ALTO_WEBHOOK_SECRET && signature && timestamp) {
-                const isValid = verifyAltoWebhookSignature(rawBody, signature, timestamp);
+            // Verify webhook signature (strict mode rejects unsigned and stale webhooks)
+            // The result is stored with the raw payload so replayed events keep it
+            const signatureVerification = await verifyWebhookSignature({
+                sourceSystem: 'alto',
+                agencyRef: webhookData?.data?.agencyRef || webhookData?.agencyRef,
+                rawBody,
+                signature: headers.get('x-alto-webhook-signature'),
+                timestamp: headers.get('x-alto-webhook-timestamp')
+            }, context);
 
-                if (!isValid) {
-                    context.log('❌ Alto webhook signature verification failed');
-                    return {
-                        status: 401,
-                        jsonBody: {
-                            error: 'Webhook signature verification failed',
-                            timestamp: new Date().toISOString()
-                        }
-                    };
-                }
-                context.log('✅ Alto webhook signature verified');
+            if (!signatureVerification.valid) {
+                context.log(`❌ Alto webhook signature verification failed: ${signatureVerification.reason}`);
+                return {
+                    status: 401,
+                    jsonBody: {
+                        error: 'Webhook signature verification failed',
+                        reason: signatureVerification.reason,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            if (signatureVerification.status === 'verified') {
+                context.log(`✅ Alto webhook signature verified (${signatureVerification.secretUsed} secret)`);
             } else {
-                context.log('⚠️ Alto webhook signature verification skipped');
+                context.log(`⚠️ Alto webhook signature verification skipped: ${signatureVerification.reason}`);
+            }
+
+            if (!webhookData) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid webhook payload',
+                        message: 'Request body must be valid JSON',
+                        timestamp: new Date().toISOString()
+                    }
+                };
             }
 
-            // Parse webhook payload
-            let webhookData = JSON.parse(rawBody);
             context.log('📦 Alto webhook payload:', JSON.stringify(webhookData, null, 2));
 
             // ✅ HIGH-006 FIX: Validate Alto webhook request using Joi schema
@@ -95,34 +128,70 @@ app.http('AltoWebhook', {
 
             context.log('✅ Webhook data validated successfully');
 
-            // Trigger the integration workflow asynchronously (fire and forget)
+            // Put the event on the durable webhook queue for the WebhookQueueProcessor
             const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
 
-            context.log('🚀 Queuing Alto integration workflow:', webhookId);
-
-            // Call the WorkflowOrchestrator via HTTP (don't await - fire and forget)
-            const functionKey = process.env.AZURE_FUNCTION_KEY || process.env.FUNCTION_KEY || '';
-            const workflowBaseUrl = process.env.WORKFLOW_ORCHESTRATOR_URL || `${process.env.FUNCTIONS_BASE_URL || 'http://localhost:7071'}/api/workflows/alto-tds`;
-            const workflowUrl = functionKey ? `${workflowBaseUrl}?code=${functionKey}` : workflowBaseUrl;
-
-            // Trigger workflow asynchronously
-            fetch(workflowUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
+            // Suppress redelivered events and events for tenancies that already have a run in flight
+            let claimResult = { duplicate: false, claims: [] };
+            try {
+                claimResult = await claimWebhookEvent({
+                    webhookId,
+                    sourceSystem: 'alto',
+                    eventId: integrationData.eventId,
                     tenancyId: integrationData.tenancyId,
                     agencyRef: integrationData.agencyRef,
-                    branchId: integrationData.branchId,
-                    integrationId: integrationData.integrationId,
-                    webhookId: webhookId,
-                    source: 'alto-webhook'
-                })
-            }).catch(err => {
-                context.log('⚠️ Background workflow trigger error (non-blocking):', err.message);
+                    eventType: integrationData.eventType
+                }, context);
+            } catch (claimError) {
+                context.warn('⚠️ Duplicate check failed, processing webhook anyway:', claimError.message);
+            }
+
+            if (claimResult.duplicate) {
+                return {
+                    status: 200,
+                    jsonBody: {
+                        status: 'duplicate',
+                        message: 'Webhook is a duplicate of an earlier delivery - no new workflow started',
+                        reason: claimResult.reason,
+                        tenancyId: integrationData.tenancyId,
+                        agencyRef: integrationData.agencyRef,
+                        original: {
+                            webhookId: claimResult.originalWebhookId,
+                            status: claimResult.originalEvent?.status || 'QUEUED',
+                            workflowId: claimResult.originalEvent?.workflowId || null,
+                            receivedAt: claimResult.claimedAt,
+                            href: `/api/webhooks/dead-letter/get/${claimResult.originalWebhookId}`
+                        },
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            context.log('🚀 Queuing Alto integration workflow:', webhookId);
+
+            const queueMessage = buildWebhookQueueMessage(integrationData, {
+                webhookId,
+                sourceSystem: 'alto',
+                source: 'alto-webhook'
             });
 
+            try {
+                await recordWebhookQueued(queueMessage, context);
+            } catch (trackingError) {
+                // The claims stay provisional without the record - release them rather than hold off a redelivery
+                context.warn('⚠️ Failed to record queued webhook (non-blocking):', trackingError.message);
+                await releaseWebhookClaims(webhookId, claimResult.claims, context);
+            }
+
+            // The message is only committed to the queue if this function completes successfully
+            context.extraOutputs.set(webhookQueueOutput, queueMessage);
+
+            try {
+                await storeRawWebhookPayload(webhookId, rawBody, signatureVerification, context);
+            } catch (storageError) {
+                context.warn('⚠️ Failed to store raw webhook payload for replay (non-blocking):', storageError.message);
+            }
+
             // Return immediately - webhook acknowledged
             return {
                 status: 202, // 202 Accepted - processing asynchronously
@@ -133,7 +202,7 @@ app.http('AltoWebhook', {
                     tenancyId: integrationData.tenancyId,
                     agencyRef: integrationData.agencyRef,
                     timestamp: new Date().toISOString(),
-                    note: 'Integration will be processed asynchronously. Check audit log for results.'
+                    note: 'Integration will be processed asynchronously. Check audit log or the webhook dead-letter view for results.'
                 }
             };
 
@@ -174,6 +243,7 @@ function extractIntegrationData(webhookData) {
             agencyRef: webhookData.data.agencyRef,
             branchId: webhookData.data.branchId,
             integrationId: webhookData.data.integrationId,
+            eventId: webhookData.id,
             relatedSubjects: webhookData.data.relatedSubjects,
             eventType: webhookData.type || 'Tenancy.Created',
             timestamp: webhookData.time || new Date().toISOString(),
@@ -205,7 +275,7 @@ function validateWebhookData(data) {
     if (!data.eventType) errors.push('Missing eventType');
 
     // Validate event type
-    const supportedEvents = ['Tenancy.Created', 'Tenancy.Updated', 'Tenancy.Cancelled'];
+    const supportedEvents = ['Tenancy.Created', 'Tenancy.Updated', 'Tenancy.Cancelled', ...REPAYMENT_EVENT_TYPES];
     if (data.eventType && !supportedEvents.includes(data.eventType)) {
         errors.push(`Unsupported event type: ${data.eventType}`);
     }
@@ -216,23 +286,4 @@ function validateWebhookData(data) {
     };
 }
 
-/**
- * Verify Alto webhook signature
- */
-function verifyAltoWebhookSignature(payload, signature, timestamp) {
-    try {
-        const secret = process.env.ALTO_WEBHOOK_SECRET;
-        const expectedSignature = crypto
-            .createHmac('sha256', secret)
-            .update(`${timestamp}.${payload}`)
-            .digest('hex');
-
-        return crypto.timingSafeEqual(
-            Buffer.from(signature, 'hex'),
-            Buffer.from(expectedSignature, 'hex')
-        );
-    } catch (error) {
-        return false;
-    }
-}
-
+module.exports = { extractIntegrationData, validateWebhookData };
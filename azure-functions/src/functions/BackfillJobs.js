@@ -0,0 +1,516 @@
+const { app } = require('@azure/functions');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const {
+    buildWebhookQueueMessage,
+    sendWebhookQueueMessage,
+    recordWebhookQueued,
+    claimWebhookEvent,
+    abandonWebhookEvent
+} = require('../../shared-services/shared/webhook-event-store');
+const {
+    groupMappingsByAgency,
+    isTenancyInScope,
+    findIntegrationRecord,
+    loadIntegratedTenancyIds
+} = require('../../shared-services/shared/reconciliation-store');
+const {
+    parseTenancyCsv,
+    filterTenancies,
+    planBackfillItems,
+    createBackfillJob,
+    getBackfillJob,
+    listBackfillJobs,
+    updateBackfillJob,
+    listBackfillItems,
+    updateBackfillItem
+} = require('../../shared-services/shared/backfill-store');
+const { OrganizationMappingService } = require('./OrganizationMapping');
+
+const DEFAULT_RATE_PER_MINUTE = 10;
+const DEFAULT_MAX_PER_MINUTE = 30;
+
+/**
+ * Backfill Jobs Azure Function
+ * Imports the existing tenancies of a newly onboarded agency. Tenancies are listed
+ * from the Alto API (or uploaded as CSV), previewed, then fed through the webhook
+ * queue at a throttled rate. Progress is stored per tenancy, so a paused or
+ * interrupted job resumes where it stopped.
+ */
+// Timer function that feeds running backfill jobs into the webhook queue
+app.timer('BackfillProcessor', {
+    schedule: '0 * * * * *', // Run every minute
+    handler: async (myTimer, context) => {
+        try {
+            const backfill = new BackfillService(context);
+            const results = await backfill.processRunningJobs();
+
+            if (results.messages.length > 0) {
+                context.log('✅ Backfill batch queued:', results.summary);
+            }
+
+            return results.summary;
+
+        } catch (error) {
+            context.log('❌ Backfill processing failed:', error);
+            throw error;
+        }
+    }
+});
+
+// Backfill job management
+app.http('BackfillJobs', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    route: 'backfill/{action?}/{jobId?}',
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        const action = request.params.action || 'list';
+        const jobId = request.params.jobId;
+
+        if (request.method === 'POST' && !hasRole(authResult.user, 'Admin')) {
+            context.log(`❌ User ${authResult.user.email} lacks Admin role for backfill ${action}`);
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        const backfill = new BackfillService(context);
+
+        try {
+            if (request.method === 'GET' && action === 'list') {
+                const jobs = await listBackfillJobs({
+                    status: request.query.get('status') || undefined,
+                    agencyRef: request.query.get('agencyRef') || undefined,
+                    limit: Math.min(parseInt(request.query.get('limit'), 10) || 50, 500)
+                });
+
+                return {
+                    status: 200,
+                    jsonBody: { success: true, jobs, count: jobs.length, timestamp: new Date().toISOString() }
+                };
+            }
+
+            if (request.method === 'POST' && action === 'create') {
+                const criteria = validateRequestBody(await request.json(), schemas.backfillJobRequest);
+                const job = await backfill.createFromAlto(criteria, authResult.user);
+
+                return { status: 201, jsonBody: { success: true, job, timestamp: new Date().toISOString() } };
+            }
+
+            if (request.method === 'POST' && action === 'upload') {
+                const options = validateRequestBody({
+                    agencyRef: request.query.get('agencyRef'),
+                    dryRun: request.query.get('dryRun') ?? undefined,
+                    ratePerMinute: request.query.get('ratePerMinute') ?? undefined
+                }, schemas.backfillUploadOptions);
+
+                const { tenancies, errors } = parseTenancyCsv(await request.text());
+
+                if (tenancies.length === 0) {
+                    return {
+                        status: 400,
+                        jsonBody: { error: 'No tenancies found in CSV upload', errors }
+                    };
+                }
+
+                const job = await backfill.createFromCsv(tenancies, options, authResult.user);
+
+                return {
+                    status: 201,
+                    jsonBody: { success: true, job, csvErrors: errors, timestamp: new Date().toISOString() }
+                };
+            }
+
+            if (!jobId) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid action',
+                        validActions: ['GET list', 'GET status/{jobId}', 'GET items/{jobId}', 'POST create', 'POST upload', 'POST start/{jobId}', 'POST pause/{jobId}', 'POST cancel/{jobId}']
+                    }
+                };
+            }
+
+            const job = await getBackfillJob(jobId);
+            if (!job) {
+                return { status: 404, jsonBody: { error: 'Backfill job not found', jobId } };
+            }
+
+            if (request.method === 'GET' && action === 'status') {
+                return { status: 200, jsonBody: { success: true, job, timestamp: new Date().toISOString() } };
+            }
+
+            if (request.method === 'GET' && action === 'items') {
+                const items = await listBackfillItems(jobId, {
+                    status: request.query.get('status') || undefined,
+                    limit: Math.min(parseInt(request.query.get('limit'), 10) || 1000, 5000)
+                });
+
+                return {
+                    status: 200,
+                    jsonBody: { success: true, jobId, items, count: items.length, timestamp: new Date().toISOString() }
+                };
+            }
+
+            if (request.method === 'POST' && BackfillService.TRANSITIONS[action]) {
+                const { from, to, actorField } = BackfillService.TRANSITIONS[action];
+
+                if (!from.includes(job.status)) {
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            error: `Cannot ${action} a backfill job that is ${job.status}`,
+                            jobId,
+                            allowedStatuses: from
+                        }
+                    };
+                }
+
+                const updates = { status: to, [actorField]: authResult.user.email };
+                if (action === 'start' && !job.startedAt) {
+                    updates.startedAt = new Date().toISOString();
+                }
+
+                await updateBackfillJob(jobId, updates, context);
+
+                return {
+                    status: 200,
+                    jsonBody: { success: true, job: await getBackfillJob(jobId), timestamp: new Date().toISOString() }
+                };
+            }
+
+            return {
+                status: 400,
+                jsonBody: {
+                    error: 'Invalid action',
+                    validActions: ['GET list', 'GET status/{jobId}', 'GET items/{jobId}', 'POST create', 'POST upload', 'POST start/{jobId}', 'POST pause/{jobId}', 'POST cancel/{jobId}']
+                }
+            };
+
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                context.warn('❌ Backfill request validation failed:', error.validationErrors);
+                return {
+                    status: 400,
+                    jsonBody: formatValidationError(error)
+                };
+            }
+
+            if (error.statusCode === 400 || error.statusCode === 404) {
+                return {
+                    status: error.statusCode,
+                    jsonBody: { error: error.message }
+                };
+            }
+
+            context.log('❌ Backfill request failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Backfill request failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Backfill Service Class
+ */
+class BackfillService {
+    constructor(context) {
+        this.context = context;
+    }
+
+    /**
+     * Read a positive integer from the environment
+     */
+    static readSetting(name, defaultValue) {
+        const value = parseInt(process.env[name], 10);
+        return Number.isNaN(value) || value < 1 ? defaultValue : value;
+    }
+
+    /**
+     * Create a job from the agency's tenancies in the Alto API
+     */
+    async createFromAlto(criteria, user) {
+        const agency = await this.getAgency(criteria.agencyRef);
+
+        if (agency.sourceSystem !== 'alto') {
+            throw Object.assign(
+                new Error(`Agency ${criteria.agencyRef} uses ${agency.sourceSystem} - upload a CSV of tenancies instead`),
+                { statusCode: 400 }
+            );
+        }
+
+        const adapter = SourceAdapterFactory.getAdapter(agency.sourceSystem, { context: this.context });
+        const altoClient = await adapter.createApiClient(agency.environment);
+        const listed = await altoClient.listTenancies(criteria.agencyRef);
+
+        const tenancies = filterTenancies(listed, criteria)
+            .filter(tenancy => isTenancyInScope(tenancy, agency));
+
+        this.context.log(`📋 Alto listed ${listed.length} tenancies for agency ${criteria.agencyRef}, ${tenancies.length} match the backfill criteria`);
+
+        return this.createJob(agency, tenancies, {
+            enumeration: 'alto-api',
+            criteria: {
+                from: criteria.from.toISOString(),
+                to: criteria.to.toISOString(),
+                dateField: criteria.dateField,
+                statuses: criteria.statuses || [],
+                branchIds: criteria.branchIds || []
+            },
+            dryRun: criteria.dryRun,
+            ratePerMinute: criteria.ratePerMinute
+        }, user);
+    }
+
+    /**
+     * Create a job from an uploaded list of tenancies
+     */
+    async createFromCsv(tenancies, options, user) {
+        const agency = await this.getAgency(options.agencyRef);
+
+        return this.createJob(agency, tenancies, {
+            enumeration: 'csv',
+            criteria: {},
+            dryRun: options.dryRun,
+            ratePerMinute: options.ratePerMinute
+        }, user);
+    }
+
+    /**
+     * Find the agency's active organization mapping
+     */
+    async getAgency(agencyRef) {
+        const mappingService = new OrganizationMappingService(this.context);
+        const mappings = await mappingService.getAllMappings();
+
+        for (const sourceSystem of ['alto', 'jupix']) {
+            const agency = groupMappingsByAgency(mappings, sourceSystem)
+                .find(candidate => candidate.agencyRef === agencyRef);
+
+            if (agency) {
+                return { ...agency, sourceSystem };
+            }
+        }
+
+        throw Object.assign(new Error(`No active organization mapping for agency ${agencyRef}`), { statusCode: 404 });
+    }
+
+    /**
+     * Classify tenancies and store the job
+     * A dry run stays in PREVIEW until it is started
+     */
+    async createJob(agency, tenancies, { enumeration, criteria, dryRun, ratePerMinute }, user) {
+        const items = planBackfillItems(tenancies, await loadIntegratedTenancyIds(agency.agencyRef));
+        const hasPending = items.some(item => item.status === 'PENDING');
+
+        let status = 'PREVIEW';
+        if (!dryRun) {
+            status = hasPending ? 'RUNNING' : 'COMPLETED';
+        }
+
+        const now = new Date().toISOString();
+
+        return createBackfillJob({
+            jobId: `backfill_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
+            agencyRef: agency.agencyRef,
+            sourceSystem: agency.sourceSystem,
+            environment: agency.environment,
+            branchId: agency.branchIds[0] || 'DEFAULT',
+            enumeration,
+            criteria,
+            status,
+            dryRun,
+            ratePerMinute: ratePerMinute || BackfillService.readSetting('BACKFILL_RATE_PER_MINUTE', DEFAULT_RATE_PER_MINUTE),
+            createdBy: user.email,
+            startedAt: status === 'RUNNING' ? now : '',
+            completedAt: status === 'COMPLETED' ? now : ''
+        }, items, this.context);
+    }
+
+    /**
+     * Queue the next batch of every running job, oldest job first
+     * BACKFILL_MAX_PER_MINUTE caps the total across jobs so backfills never swamp live webhooks
+     * @returns {Promise<{ summary, messages }>} - messages are those sent to the webhook queue
+     */
+    async processRunningJobs() {
+        const jobs = (await listBackfillJobs({ status: 'RUNNING' })).reverse();
+        let budget = BackfillService.readSetting('BACKFILL_MAX_PER_MINUTE', DEFAULT_MAX_PER_MINUTE);
+
+        const messages = [];
+        const summary = { jobs: jobs.length, queued: 0, skipped: 0, failed: 0, completedJobs: 0 };
+
+        for (const job of jobs) {
+            if (budget <= 0) {
+                break;
+            }
+
+            const result = await this.processJob(job, Math.min(job.ratePerMinute, budget));
+            budget -= result.messages.length;
+
+            messages.push(...result.messages);
+            summary.queued += result.messages.length;
+            summary.skipped += result.skipped;
+            summary.failed += result.failed;
+            if (result.completed) summary.completedJobs++;
+        }
+
+        summary.timestamp = new Date().toISOString();
+
+        return { summary, messages };
+    }
+
+    /**
+     * Queue up to `limit` pending tenancies of a job
+     */
+    async processJob(job, limit) {
+        const items = await listBackfillItems(job.jobId, { status: 'PENDING', limit });
+        const messages = [];
+        let skipped = 0;
+        let failed = 0;
+
+        for (const item of items) {
+            try {
+                // A webhook or reconciliation sweep may have picked the tenancy up since the preview
+                const recordFound = await findIntegrationRecord(job.agencyRef, item.tenancyId);
+                if (recordFound) {
+                    await updateBackfillItem(job.jobId, item.tenancyId, { status: 'SKIPPED', skipReason: `ALREADY_INTEGRATED (${recordFound})` });
+                    skipped++;
+                    continue;
+                }
+
+                const message = await this.startWorkflow(job, item);
+                if (!message) {
+                    await updateBackfillItem(job.jobId, item.tenancyId, { status: 'SKIPPED', skipReason: 'ALREADY_IN_FLIGHT' });
+                    skipped++;
+                    continue;
+                }
+
+                await updateBackfillItem(job.jobId, item.tenancyId, {
+                    status: 'QUEUED',
+                    webhookId: message.webhookId,
+                    queuedAt: message.enqueuedAt
+                });
+                messages.push(message);
+
+            } catch (error) {
+                this.context.log(`❌ Backfill of tenancy ${item.tenancyId} (job ${job.jobId}) failed:`, error.message);
+                await updateBackfillItem(job.jobId, item.tenancyId, { status: 'FAILED', error: error.message });
+                failed++;
+            }
+        }
+
+        const pendingCount = Math.max(job.pendingCount - items.length, 0);
+        const updates = {
+            pendingCount,
+            queuedCount: job.queuedCount + messages.length,
+            skippedCount: job.skippedCount + skipped,
+            failedCount: job.failedCount + failed,
+            lastProcessedAt: new Date().toISOString()
+        };
+
+        // Only complete a job that is still running (it may have been paused or cancelled meanwhile)
+        const completed = items.length < limit || pendingCount === 0;
+        if (completed) {
+            const current = await getBackfillJob(job.jobId);
+            if (current?.status === 'RUNNING') {
+                updates.status = 'COMPLETED';
+                updates.completedAt = new Date().toISOString();
+            }
+        }
+
+        await updateBackfillJob(job.jobId, updates, this.context);
+
+        this.context.log(`📦 Backfill job ${job.jobId}: queued ${messages.length}, skipped ${skipped}, failed ${failed}, ${pendingCount} pending`);
+
+        return { messages, skipped, failed, completed: updates.status === 'COMPLETED' };
+    }
+
+    /**
+     * Queue a workflow for a backfilled tenancy through the durable webhook pipeline
+     *
+     * The message is sent before the item is marked QUEUED - if the send fails the claim
+     * is released and the item fails with the error.
+     *
+     * @returns {Promise<Object|null>} - Queue message, or null if a run is already in flight
+     */
+    async startWorkflow(job, item) {
+        const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+
+        const claimResult = await claimWebhookEvent({
+            webhookId,
+            sourceSystem: job.sourceSystem,
+            tenancyId: item.tenancyId,
+            agencyRef: job.agencyRef
+        }, this.context);
+
+        if (claimResult.duplicate) {
+            return null;
+        }
+
+        const message = {
+            ...buildWebhookQueueMessage({
+                eventType: 'Tenancy.Created',
+                tenancyId: item.tenancyId,
+                agencyRef: job.agencyRef,
+                branchId: item.branchId || job.branchId
+            }, {
+                webhookId,
+                sourceSystem: job.sourceSystem,
+                source: `${job.sourceSystem}-backfill`
+            }),
+            backfillJobId: job.jobId
+        };
+
+        try {
+            await recordWebhookQueued(message, this.context);
+            await sendWebhookQueueMessage(message, this.context);
+        } catch (error) {
+            await abandonWebhookEvent(webhookId, claimResult.claims, error, this.context);
+            throw error;
+        }
+
+        return message;
+    }
+}
+
+/**
+ * Allowed job status transitions for the POST actions
+ */
+BackfillService.TRANSITIONS = {
+    start: { from: ['PREVIEW', 'PAUSED'], to: 'RUNNING', actorField: 'startedBy' },
+    pause: { from: ['RUNNING'], to: 'PAUSED', actorField: 'pausedBy' },
+    cancel: { from: ['PREVIEW', 'RUNNING', 'PAUSED'], to: 'CANCELLED', actorField: 'cancelledBy' }
+};
+
+// Export for internal use (no HTTP, no auth needed)
+module.exports = { BackfillService };
@@ -0,0 +1,417 @@
+const { app, output } = require('@azure/functions');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const { lookupPostcode } = require('../../shared-services/shared/service-helpers');
+const { storeBatchTracking, updateBatchStatus } = require('../../shared-services/shared/batch-tracking');
+const {
+    getMaxUploadRows,
+    getUploadTemplateCsv,
+    parseDepositUpload,
+    normalizeUploadRecord,
+    validateUploadRecord,
+    createDepositUpload,
+    getDepositUpload,
+    getDepositUploadRow,
+    updateDepositUploadRow
+} = require('../../shared-services/shared/deposit-upload');
+const { OrganizationMappingService } = require('./OrganizationMapping');
+const { TDSWorkflowOrchestrator } = require('./WorkflowOrchestrator');
+
+const DEPOSIT_UPLOAD_QUEUE_NAME = 'deposit-upload-rows';
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const UK_POSTCODE_PATTERN = /^[A-Z]{1,2}[0-9][A-Z0-9]?\s?[0-9][A-Z]{2}$/;
+
+/**
+ * Deposit upload queue output binding
+ * One message per valid row - TDS submission can take minutes per deposit
+ */
+const depositUploadQueueOutput = output.storageQueue({
+    queueName: DEPOSIT_UPLOAD_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage'
+});
+
+/**
+ * Deposit Upload Azure Function
+ * CSV/XLSX upload channel for agencies without a supported property management
+ * system. Rows are validated on upload (per-row error report); valid rows are
+ * queued and submitted through the standard TDS workflow.
+ */
+app.http('DepositUpload', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    route: 'deposits/upload/{uploadId?}',
+    extraOutputs: [depositUploadQueueOutput],
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        const uploadId = request.params.uploadId;
+
+        try {
+            if (request.method === 'GET' && uploadId === 'template') {
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': 'text/csv; charset=utf-8',
+                        'Content-Disposition': 'attachment; filename="deposit-upload-template.csv"'
+                    },
+                    body: getUploadTemplateCsv()
+                };
+            }
+
+            if (request.method === 'GET' && uploadId) {
+                const upload = await getDepositUpload(uploadId);
+
+                if (!upload) {
+                    return { status: 404, jsonBody: { error: 'Deposit upload not found', uploadId } };
+                }
+
+                return { status: 200, jsonBody: { success: true, upload, timestamp: new Date().toISOString() } };
+            }
+
+            if (request.method === 'POST' && !uploadId) {
+                if (!hasRole(authResult.user, 'Admin')) {
+                    context.log(`❌ User ${authResult.user.email} lacks Admin role for deposit upload`);
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            error: 'Forbidden',
+                            message: 'Admin role required for this operation',
+                            requiredRole: 'Admin',
+                            userRoles: authResult.user.roles
+                        }
+                    };
+                }
+
+                return await handleUpload(request, authResult.user, context);
+            }
+
+            return {
+                status: 400,
+                jsonBody: {
+                    error: 'Invalid request',
+                    validActions: ['GET template', 'GET {uploadId}', 'POST (CSV or XLSX body)']
+                }
+            };
+
+        } catch (error) {
+            context.log('❌ Deposit upload request failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Deposit upload request failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Validate an uploaded file, store its rows and queue the valid ones
+ */
+async function handleUpload(request, user, context) {
+    let options;
+    try {
+        options = validateRequestBody({
+            agencyRef: request.query.get('agencyRef'),
+            branchId: request.query.get('branchId') || undefined
+        }, schemas.depositUploadOptions);
+    } catch (validationError) {
+        return {
+            status: 400,
+            jsonBody: formatValidationError(validationError)
+        };
+    }
+
+    const mappingService = new OrganizationMappingService(context);
+    const mappingResult = await mappingService.getMapping(options.agencyRef, options.branchId);
+
+    if (!mappingResult || !mappingResult.mapping) {
+        return {
+            status: 404,
+            jsonBody: {
+                error: 'Organization mapping not found',
+                message: `No active organization mapping for agencyRef: ${options.agencyRef}, branchId: ${options.branchId}`
+            }
+        };
+    }
+
+    const buffer = Buffer.from(await request.arrayBuffer());
+
+    if (buffer.length === 0) {
+        return { status: 400, jsonBody: { error: 'Upload a CSV or XLSX file as the request body' } };
+    }
+
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        return { status: 413, jsonBody: { error: `Upload exceeds ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` } };
+    }
+
+    let parsed;
+    try {
+        parsed = parseDepositUpload(buffer);
+    } catch (parseError) {
+        return { status: 400, jsonBody: { error: 'Could not read upload', message: parseError.message } };
+    }
+
+    if (parsed.records.length === 0) {
+        return { status: 400, jsonBody: { error: 'No rows found in upload - the first row must be the template header' } };
+    }
+
+    const maxRows = getMaxUploadRows();
+    if (parsed.records.length > maxRows) {
+        return {
+            status: 413,
+            jsonBody: { error: `Upload has ${parsed.records.length} rows - the maximum is ${maxRows}. Split the file and upload each part.` }
+        };
+    }
+
+    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+    const mapping = mappingResult.mapping;
+    const branchId = mappingResult.storedBranchId || options.branchId;
+
+    context.log(`📤 Deposit upload ${uploadId} for agency ${options.agencyRef}: ${parsed.records.length} rows (${parsed.fileType})`);
+
+    const records = parsed.records.map(({ rowNumber, record }) => ({ rowNumber, record: normalizeUploadRecord(record) }));
+    const counties = await lookupCounties(records, context);
+    const firstRowByTenancy = new Map();
+
+    const rows = records.map(({ rowNumber, record }) => {
+        const propertyCounty = counties.get(record.propertyPostcode);
+        const landlordCounty = counties.get(record.landlordPostcode);
+
+        const errors = validateUploadRecord(record, {
+            uploadId,
+            agencyRef: options.agencyRef,
+            branchId: record.branchId || branchId,
+            memberNumber: mapping.legacy?.memberId || mapping.salesforce?.memberId || options.agencyRef,
+            propertyCounty,
+            landlordCounty,
+            enabledSchemes: mapping.depositSchemes
+        });
+
+        if (record.propertyPostcode && !record.propertyCounty && !propertyCounty) {
+            errors.push({ field: 'propertyPostcode', message: 'propertyPostcode was not recognised - check it or fill in propertyCounty' });
+        }
+
+        if (record.tenancyRef) {
+            if (firstRowByTenancy.has(record.tenancyRef)) {
+                errors.push({ field: 'tenancyRef', message: `Duplicate tenancyRef (first seen on row ${firstRowByTenancy.get(record.tenancyRef)})` });
+            } else {
+                firstRowByTenancy.set(record.tenancyRef, rowNumber);
+            }
+        }
+
+        return { rowNumber, record, errors, status: errors.length > 0 ? 'INVALID' : 'QUEUED' };
+    });
+
+    const upload = await createDepositUpload({
+        uploadId,
+        agencyRef: options.agencyRef,
+        branchId,
+        fileType: parsed.fileType,
+        uploadedBy: user.email
+    }, rows, context);
+
+    const messages = rows
+        .filter(row => row.status === 'QUEUED')
+        .map(row => ({
+            uploadId,
+            rowNumber: row.rowNumber,
+            tenancyRef: row.record.tenancyRef,
+            agencyRef: options.agencyRef,
+            branchId: row.record.branchId || branchId,
+            enqueuedAt: new Date().toISOString()
+        }));
+
+    if (messages.length > 0) {
+        context.extraOutputs.set(depositUploadQueueOutput, messages);
+    }
+
+    context.log(`✅ Deposit upload ${uploadId}: ${upload.validRows} rows queued, ${upload.invalidRows} rows invalid`);
+
+    return {
+        status: 202,
+        jsonBody: {
+            success: upload.validRows > 0,
+            uploadId,
+            fileType: parsed.fileType,
+            totalRows: upload.totalRows,
+            queuedRows: upload.validRows,
+            invalidRows: upload.invalidRows,
+            rowErrors: rows
+                .filter(row => row.status === 'INVALID')
+                .map(row => ({ rowNumber: row.rowNumber, tenancyRef: row.record.tenancyRef || null, errors: row.errors })),
+            unknownColumns: parsed.unknownColumns,
+            statusUrl: `/api/deposits/upload/${uploadId}`,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Look up the county of every distinct postcode in the upload (rows with a county column are skipped)
+ * @returns {Promise<Map<string, string>>} - Postcode → county (unrecognised postcodes are omitted)
+ */
+async function lookupCounties(records, context) {
+    const postcodes = new Set();
+
+    for (const { record } of records) {
+        if (record.propertyPostcode && !record.propertyCounty) postcodes.add(record.propertyPostcode);
+        if (record.landlordPostcode && !record.landlordCounty) postcodes.add(record.landlordPostcode);
+    }
+
+    const counties = new Map();
+
+    for (const postcode of postcodes) {
+        if (!UK_POSTCODE_PATTERN.test(postcode)) {
+            continue;
+        }
+
+        try {
+            const result = await lookupPostcode(postcode, context);
+            if (result.region) {
+                counties.set(postcode, result.region);
+            }
+        } catch (error) {
+            context.warn(`⚠️ Postcode lookup failed for ${postcode}: ${error.message}`);
+        }
+    }
+
+    return counties;
+}
+
+/**
+ * Deposit Upload Processor Azure Function
+ * Submits one queued upload row through the standard TDS workflow
+ */
+app.storageQueue('DepositUploadProcessor', {
+    queueName: DEPOSIT_UPLOAD_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage',
+    handler: async (queueItem, context) => {
+        const message = typeof queueItem === 'string' ? JSON.parse(queueItem) : queueItem;
+        const { uploadId, rowNumber } = message;
+
+        context.log(`📥 Processing deposit upload ${uploadId} row ${rowNumber}`);
+
+        const row = await getDepositUploadRow(uploadId, rowNumber, context);
+
+        // Only QUEUED rows are submitted, so a redelivered message never creates a second deposit
+        if (!row || row.status !== 'QUEUED') {
+            context.warn(`⚠️ Skipping deposit upload ${uploadId} row ${rowNumber} (status: ${row?.status || 'not found'})`);
+            return;
+        }
+
+        await updateDepositUploadRow(uploadId, rowNumber, { status: 'PROCESSING' });
+
+        const orchestrator = new TDSWorkflowOrchestrator(context, null, 'upload');
+        let result;
+
+        try {
+            result = await orchestrator.execute({
+                eventType: 'Tenancy.Created',
+                tenancyId: message.tenancyRef,
+                agencyRef: message.agencyRef,
+                branchId: message.branchId,
+                uploadId,
+                rowNumber
+            });
+        } catch (error) {
+            context.error(`❌ Workflow threw for deposit upload ${uploadId} row ${rowNumber}:`, error);
+            await updateDepositUploadRow(uploadId, rowNumber, { status: 'QUEUED', error: error.message });
+            throw error;
+        }
+
+        let status = result.success ? 'SUBMITTED' : 'FAILED';
+        if (result.pendingCreated) {
+            status = 'PENDING';
+        }
+
+        const batchId = await recordBatchTracking(message, result, context);
+
+        await updateDepositUploadRow(uploadId, rowNumber, {
+            status,
+            workflowId: result.workflowId,
+            dan: result.dan,
+            batchId,
+            error: result.success ? null : (result.error || result.message)
+        });
+
+        context.log(`${result.success ? '✅' : '❌'} Deposit upload ${uploadId} row ${rowNumber}: ${status}${result.dan ? ` (DAN ${result.dan})` : ''}`);
+    }
+});
+
+/**
+ * Track a submitted row in BatchTracking so uploads show up on the dashboards
+ * Tracking failures are logged and never fail the row
+ * @returns {Promise<string|null>} - Batch ID, or null if the workflow never reached TDS
+ */
+async function recordBatchTracking(message, result, context) {
+    const tdsStep = result.steps?.find(step => step.step === 'create_tds_deposit' || step.step === 'amend_tds_deposit');
+    if (!tdsStep) {
+        return null;
+    }
+
+    const tdsResult = tdsStep.result || {};
+    const payload = result.steps.find(step => step.step === 'prepare_tds_payload')?.result?.payload || null;
+    const organizationId = `${message.agencyRef}:${message.branchId}`;
+    const isDual = tdsResult.mode === 'dual';
+
+    const batchId = tdsResult.batch_id || tdsResult.legacy?.batch_id || tdsResult.salesforce?.batch_id ||
+        `UPLOAD_${message.uploadId}_${message.rowNumber}`;
+
+    try {
+        await storeBatchTracking(
+            batchId,
+            isDual ? 'current' : (tdsResult.provider || 'current'),
+            organizationId,
+            message.tenancyRef,
+            payload,
+            tdsResult,
+            {
+                endpoint: tdsStep.step === 'amend_tds_deposit' ? 'UpdateDeposit' : 'CreateDeposit',
+                executionMode: isDual ? 'dual' : 'single',
+                altoAgencyRef: message.agencyRef,
+                altoBranchId: message.branchId,
+                altoWorkflowId: result.workflowId,
+                requestDurationMs: parseInt(result.processingTime, 10) || null,
+                legacyBatchId: tdsResult.legacy?.batch_id || null,
+                salesforceBatchId: tdsResult.salesforce?.batch_id || null
+            },
+            context
+        );
+
+        await updateBatchStatus(
+            batchId,
+            organizationId,
+            result.success ? 'created' : 'failed',
+            result.dan || null,
+            null,
+            result.success ? null : { error: result.error, failedStep: result.failedStep, uploadId: message.uploadId },
+            null,
+            context
+        );
+    } catch (error) {
+        context.warn(`⚠️ Batch tracking failed for deposit upload ${message.uploadId} row ${message.rowNumber}: ${error.message}`);
+    }
+
+    return batchId;
+}
+
+// Export for internal use (no HTTP, no auth needed)
+module.exports = { DEPOSIT_UPLOAD_QUEUE_NAME, depositUploadQueueOutput };
@@ -65,6 +65,9 @@ class IntegrationAuditLogger {
                 danNumber: integrationData.dan || '',
                 tdsDepositId: integrationData.depositId || '',
 
+                // Protected amounts - initial deposit, top-ups and reductions (non-PII)
+                depositHistory: integrationData.depositHistory ? JSON.stringify(integrationData.depositHistory) : '',
+
                 // ✅ ENCRYPTED: TDS response (may contain echoed PII)
                 tdsResponse: encryptedTdsResponse,
 
@@ -251,6 +254,17 @@ class IntegrationAuditLogger {
             }
         }
 
+        // Other source system errors (step name is fetch_<source>_data)
+        const sourceStepMatch = failedStep && failedStep.match(/^fetch_(\w+)_data$/);
+        if (sourceStepMatch) {
+            const sourcePrefix = sourceStepMatch[1].toUpperCase();
+            if (errorText.includes('timeout') || errorText.includes('network')) {
+                return `${sourcePrefix}_NETWORK_ERROR`;
+            } else {
+                return `${sourcePrefix}_API_ERROR`;
+            }
+        }
+
         // Validation errors
         if (failedStep === 'validate_data' || errorText.includes('validation')) {
             return 'DATA_VALIDATION_ERROR';
@@ -0,0 +1,229 @@
+const { app } = require('@azure/functions');
+const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const {
+    buildWebhookQueueMessage,
+    recordWebhookQueued,
+    storeRawWebhookPayload,
+    claimWebhookEvent,
+    releaseWebhookClaims
+} = require('../../shared-services/shared/webhook-event-store');
+const { verifyWebhookSignature } = require('../../shared-services/shared/webhook-signature');
+const { webhookQueueOutput } = require('./WebhookQueueProcessor');
+
+/**
+ * Jupix event names mapped to the canonical event types used across the integration
+ */
+const JUPIX_EVENT_MAP = {
+    'tenancy.created': 'Tenancy.Created',
+    'tenancy.updated': 'Tenancy.Updated',
+    'tenancy.cancelled': 'Tenancy.Cancelled'
+};
+
+/**
+ * Jupix Webhook Receiver Azure Function
+ * Receives tenancy event webhooks from Jupix and triggers the integration workflow
+ */
+app.http('JupixWebhook', {
+    methods: ['POST', 'GET'],
+    authLevel: 'function', // Secure with function key
+    route: 'webhooks/jupix',
+    extraOutputs: [webhookQueueOutput],
+    handler: async (request, context) => {
+
+        // Handle GET request for webhook validation
+        if (request.method === 'GET') {
+            return {
+                status: 200,
+                jsonBody: {
+                    status: 'active',
+                    message: 'Jupix webhook endpoint is operational',
+                    timestamp: new Date().toISOString(),
+                    supportedEvents: ['tenancy.created', 'tenancy.updated']
+                }
+            };
+        }
+
+        try {
+            context.log('🔔 Jupix webhook received');
+
+            // Get raw body for signature verification
+            const rawBody = await request.text();
+            const headers = request.headers;
+
+            // Parse webhook payload (the agency reference selects the signing secret)
+            let webhookData = null;
+            try {
+                webhookData = JSON.parse(rawBody);
+            } catch (parseError) {
+                context.warn('⚠️ Jupix webhook body is not valid JSON');
+            }
+
+            // Verify webhook signature (strict mode rejects unsigned and stale webhooks)
+            // The result is stored with the raw payload so replayed events keep it
+            const signatureVerification = await verifyWebhookSignature({
+                sourceSystem: 'jupix',
+                agencyRef: webhookData?.agencyRef,
+                rawBody,
+                signature: headers.get('x-jupix-webhook-signature'),
+                timestamp: headers.get('x-jupix-webhook-timestamp')
+            }, context);
+
+            if (!signatureVerification.valid) {
+                context.log(`❌ Jupix webhook signature verification failed: ${signatureVerification.reason}`);
+                return {
+                    status: 401,
+                    jsonBody: {
+                        error: 'Webhook signature verification failed',
+                        reason: signatureVerification.reason,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            if (signatureVerification.status === 'verified') {
+                context.log(`✅ Jupix webhook signature verified (${signatureVerification.secretUsed} secret)`);
+            } else {
+                context.log(`⚠️ Jupix webhook signature verification skipped: ${signatureVerification.reason}`);
+            }
+
+            if (!webhookData) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid webhook payload',
+                        message: 'Request body must be valid JSON',
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            context.log('📦 Jupix webhook payload:', JSON.stringify(webhookData, null, 2));
+
+            try {
+                webhookData = validateRequestBody(webhookData, schemas.jupixWebhookRequest);
+                context.log('✅ Jupix webhook Joi schema validation passed');
+            } catch (validationError) {
+                if (validationError.name === 'ValidationError') {
+                    context.warn('❌ Jupix webhook Joi schema validation failed:', validationError.validationErrors);
+
+                    return {
+                        status: 400,
+                        jsonBody: formatValidationError(validationError)
+                    };
+                }
+                // Re-throw unexpected errors
+                throw validationError;
+            }
+
+            const integrationData = extractIntegrationData(webhookData);
+
+            context.log(`✅ Jupix ${integrationData.eventType} event validated for tenancy ${integrationData.tenancyId}`);
+
+            // Put the event on the durable webhook queue for the WebhookQueueProcessor
+            const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+
+            // Suppress redelivered events and events for tenancies that already have a run in flight
+            let claimResult = { duplicate: false, claims: [] };
+            try {
+                claimResult = await claimWebhookEvent({
+                    webhookId,
+                    sourceSystem: 'jupix',
+                    eventId: integrationData.eventId,
+                    tenancyId: integrationData.tenancyId,
+                    agencyRef: integrationData.agencyRef
+                }, context);
+            } catch (claimError) {
+                context.warn('⚠️ Duplicate check failed, processing webhook anyway:', claimError.message);
+            }
+
+            if (claimResult.duplicate) {
+                return {
+                    status: 200,
+                    jsonBody: {
+                        status: 'duplicate',
+                        message: 'Webhook is a duplicate of an earlier delivery - no new workflow started',
+                        reason: claimResult.reason,
+                        tenancyId: integrationData.tenancyId,
+                        agencyRef: integrationData.agencyRef,
+                        original: {
+                            webhookId: claimResult.originalWebhookId,
+                            status: claimResult.originalEvent?.status || 'QUEUED',
+                            workflowId: claimResult.originalEvent?.workflowId || null,
+                            receivedAt: claimResult.claimedAt,
+                            href: `/api/webhooks/dead-letter/get/${claimResult.originalWebhookId}`
+                        },
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            context.log('🚀 Queuing Jupix integration workflow:', webhookId);
+
+            const queueMessage = buildWebhookQueueMessage(integrationData, {
+                webhookId,
+                sourceSystem: 'jupix',
+                source: 'jupix-webhook'
+            });
+
+            try {
+                await recordWebhookQueued(queueMessage, context);
+            } catch (trackingError) {
+                // The claims stay provisional without the record - release them rather than hold off a redelivery
+                context.warn('⚠️ Failed to record queued webhook (non-blocking):', trackingError.message);
+                await releaseWebhookClaims(webhookId, claimResult.claims, context);
+            }
+
+            // The message is only committed to the queue if this function completes successfully
+            context.extraOutputs.set(webhookQueueOutput, queueMessage);
+
+            try {
+                await storeRawWebhookPayload(webhookId, rawBody, signatureVerification, context);
+            } catch (storageError) {
+                context.warn('⚠️ Failed to store raw webhook payload for replay (non-blocking):', storageError.message);
+            }
+
+            // Return immediately - webhook acknowledged
+            return {
+                status: 202, // 202 Accepted - processing asynchronously
+                jsonBody: {
+                    status: 'accepted',
+                    message: 'Webhook received and queued for processing',
+                    webhookId: webhookId,
+                    tenancyId: integrationData.tenancyId,
+                    agencyRef: integrationData.agencyRef,
+                    timestamp: new Date().toISOString(),
+                    note: 'Integration will be processed asynchronously. Check audit log or the webhook dead-letter view for results.'
+                }
+            };
+
+        } catch (error) {
+            context.log('❌ Jupix webhook processing failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Jupix webhook processing failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Extract integration data from Jupix webhook payload
+ */
+function extractIntegrationData(webhookData) {
+    return {
+        tenancyId: webhookData.tenancyId,
+        agencyRef: webhookData.agencyRef,
+        branchId: webhookData.branchId,
+        eventId: webhookData.eventId,
+        integrationId: webhookData.eventId,
+        eventType: JUPIX_EVENT_MAP[webhookData.event] || webhookData.event,
+        timestamp: webhookData.timestamp || new Date().toISOString(),
+        source: 'jupix'
+    };
+}
+
+module.exports = { extractIntegrationData };
@@ -2038,6 +2038,7 @@ app.http('LegacyAPIGateway', {
 
 module.exports = {
   authenticateLegacyRequest,
+  getSalesforceUrl,
   handleCreateDeposit,
   handleRaiseRepaymentRequest,
   handleCreateDepositStatus,
@@ -2,6 +2,8 @@ const { app } = require('@azure/functions');
 const { TableClient } = require('@azure/data-tables');
 const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
 const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { parseEnabledSchemes } = require('../../shared-services/shared/deposit-schemes');
+const { encryptJSON, decryptJSON } = require('../../shared-services/shared/pii-encryption');
 
 /**
  * Organization Mapping Service Azure Function
@@ -287,6 +289,52 @@ app.http('OrganizationMapping', {
     }
 });
 
+/**
+ * Decrypt stored regional Salesforce credentials (JSON keyed by region, PII encrypted at rest)
+ */
+async function parseSalesforceRegions(value, context) {
+    try {
+        return (await decryptJSON(value, null, context)) || {};
+    } catch (error) {
+        context?.warn(`⚠️ Could not read regional Salesforce credentials: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Decrypt stored Jupix OAuth client credentials ({ clientId, clientSecret }, PII encrypted at rest)
+ */
+async function parseJupixCredentials(value, context) {
+    try {
+        return await decryptJSON(value, null, context);
+    } catch (error) {
+        context?.warn(`⚠️ Could not read Jupix client credentials: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Parse stored field mapping rules (JSON) - null when the organisation uses the standard mapping
+ */
+function parseFieldMappingRules(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse stored polling policy overrides (JSON) - null when the organisation uses the global polling settings
+ */
+function parsePollingPolicy(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Organization Mapping Service Class with Azure Storage Table persistence
  */
@@ -375,11 +423,22 @@ class OrganizationMappingService {
                                     clientId: entity.sfClientId,
                                     clientSecret: entity.sfClientSecret
                                 },
+                                // Salesforce credentials for other scheme regions (S, NI), keyed by region
+                                salesforceRegions: await parseSalesforceRegions(entity.sfRegions, this.context),
+                                // Jupix OAuth client of this agency (null when none is stored - JUPIX_CLIENT_ID is used)
+                                jupixCredentials: await parseJupixCredentials(entity.jupixCredentials, this.context),
                                 // Metadata
                                 organizationName: entity.organizationName,
                                 environment: env,
                                 integrationType: entity.integrationType,
                                 tdsProviderPreference: entity.tdsProviderPreference || 'auto',
+                                // TDS schemes deposits are registered for (Custodial and/or Insured)
+                                depositSchemes: parseEnabledSchemes(entity.depositSchemes),
+                                insuredProtectionFeePaidBy: entity.insuredProtectionFeePaidBy || 'Agent',
+                                // Per-organisation source field overrides (see shared/field-mapping.js)
+                                fieldMappingRules: parseFieldMappingRules(entity.fieldMappingRules),
+                                // Per-organisation polling overrides (see shared/polling-policy.js)
+                                pollingPolicy: parsePollingPolicy(entity.pollingPolicy),
                                 isActive: true,
 
                                 // Deprecated fields (for backward compatibility)
@@ -465,7 +524,13 @@ class OrganizationMappingService {
                         sfApiKey: entity.sfApiKey,
                         sfClientId: entity.sfClientId,
                         sfClientSecret: entity.sfClientSecret,  // ← ADD THIS!
+                        sfRegions: await parseSalesforceRegions(entity.sfRegions, this.context),
+                        jupixClientId: (await parseJupixCredentials(entity.jupixCredentials, this.context))?.clientId || null,
                         tdsProviderPreference: entity.tdsProviderPreference,
+                        depositSchemes: parseEnabledSchemes(entity.depositSchemes),
+                        insuredProtectionFeePaidBy: entity.insuredProtectionFeePaidBy || 'Agent',
+                        fieldMappingRules: parseFieldMappingRules(entity.fieldMappingRules),
+                        pollingPolicy: parsePollingPolicy(entity.pollingPolicy),
                         isActive: entity.isActive,
                         createdAt: entity.createdAt,
                         updatedAt: entity.updatedAt
@@ -574,6 +639,11 @@ class OrganizationMappingService {
             integrationCredentials,
             tdsLegacyConfig,
             tdsSalesforceConfig,
+            tdsSalesforceRegions,
+            depositSchemes,
+            insuredProtectionFeePaidBy,
+            fieldMappingRules,
+            pollingPolicy,
             isActive = true
         } = mappingData;
 
@@ -604,6 +674,9 @@ class OrganizationMappingService {
             let integrationId;
             if (integrationType === 'alto' && integrationCredentials.alto) {
                 integrationId = `${integrationCredentials.alto.agencyRef}:${integrationCredentials.alto.branchId || 'DEFAULT'}`;
+            } else if (integrationType === 'jupix' && integrationCredentials.jupix) {
+                // Jupix agencies are keyed the same way as Alto so getMapping() works for both
+                integrationId = `${integrationCredentials.jupix.agencyRef}:${integrationCredentials.jupix.branchId || 'DEFAULT'}`;
             } else if (integrationType === 'LtSFB') {
                 // Generate unique ID for LtSFB based on organization name
                 const sanitizedName = organizationName.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_-]/g, '');
@@ -615,6 +688,12 @@ class OrganizationMappingService {
             const partitionKey = `OrgMapping_${environment}`;
             const rowKey = integrationId;
 
+            // The Jupix OAuth client is stored encrypted, apart from the plain integration identifiers
+            const { clientId: jupixClientId, clientSecret: jupixClientSecret, ...jupixIdentifiers } = integrationCredentials?.jupix || {};
+            const storedCredentials = integrationCredentials?.jupix
+                ? { ...integrationCredentials, jupix: jupixIdentifiers }
+                : integrationCredentials;
+
             // Check if mapping already exists
             const existingEntity = await this.getEntity(partitionKey, rowKey);
             if (existingEntity) {
@@ -632,7 +711,10 @@ class OrganizationMappingService {
                 organizationName,
                 environment,
                 integrationType,
-                integrationCredentials: JSON.stringify(integrationCredentials),
+                integrationCredentials: JSON.stringify(storedCredentials),
+                jupixCredentials: jupixClientId
+                    ? await encryptJSON({ clientId: jupixClientId, clientSecret: jupixClientSecret }, null, this.context)
+                    : '',
                 // Legacy TDS
                 legacyMemberId: tdsLegacyConfig.memberId,
                 legacyBranchId: tdsLegacyConfig.branchId,
@@ -646,8 +728,16 @@ class OrganizationMappingService {
                 sfApiKey: tdsSalesforceConfig.apiKey || null, // TODO: Encrypt
                 sfClientId: tdsSalesforceConfig.clientId || null,
                 sfClientSecret: tdsSalesforceConfig.clientSecret || null, // TODO: Encrypt
+                sfRegions: await encryptJSON(tdsSalesforceRegions || {}, null, this.context),
                 // Provider preference (default to 'auto')
                 tdsProviderPreference: 'auto',
+                // Deposit schemes (default to Custodial only)
+                depositSchemes: parseEnabledSchemes(depositSchemes).join(','),
+                insuredProtectionFeePaidBy: insuredProtectionFeePaidBy || 'Agent',
+                // Field mapping rules (empty - standard mapping)
+                fieldMappingRules: fieldMappingRules ? JSON.stringify(fieldMappingRules) : '',
+                // Polling policy overrides (empty - global polling settings)
+                pollingPolicy: pollingPolicy ? JSON.stringify(pollingPolicy) : '',
                 // Status
                 isActive,
                 createdAt: new Date().toISOString(),
@@ -692,15 +782,22 @@ class OrganizationMappingService {
             sfApiKey,
             sfClientId,
             sfClientSecret,
+            sfRegions,
+            jupixClientId,
+            jupixClientSecret,
             tdsProviderPreference,
+            depositSchemes,
+            insuredProtectionFeePaidBy,
+            fieldMappingRules,
+            pollingPolicy,
             isActive
         } = mappingData;
 
         try {
             // Build the integration identifier for rowKey lookup
             let integrationId;
-            if (integrationType === 'alto') {
-                // For Alto, we need to get the agencyRef and branchId from the existing mapping
+            if (integrationType === 'alto' || integrationType === 'jupix') {
+                // For Alto/Jupix, we need to get the agencyRef and branchId from the existing mapping
                 // We'll search for it by organization details
                 const allMappings = await this.getAllMappings();
                 const existingMapping = allMappings.find(m =>
@@ -718,8 +815,9 @@ class OrganizationMappingService {
 
                 // Extract integrationId from existing mapping
                 const existingCreds = existingMapping.integrationCredentials;
-                if (existingCreds && existingCreds.alto) {
-                    integrationId = `${existingCreds.alto.agencyRef}:${existingCreds.alto.branchId || 'DEFAULT'}`;
+                const sourceCreds = existingCreds && existingCreds[integrationType];
+                if (sourceCreds) {
+                    integrationId = `${sourceCreds.agencyRef}:${sourceCreds.branchId || 'DEFAULT'}`;
                 } else {
                     return {
                         success: false,
@@ -760,7 +858,20 @@ class OrganizationMappingService {
                 sfRegion: sfRegion || existingEntity.sfRegion,
                 sfSchemeType: sfSchemeType || existingEntity.sfSchemeType,
                 sfAuthMethod: sfAuthMethod || existingEntity.sfAuthMethod,
+                sfRegions: sfRegions ? await encryptJSON(sfRegions, null, this.context) : existingEntity.sfRegions,
                 tdsProviderPreference: tdsProviderPreference || existingEntity.tdsProviderPreference,
+                depositSchemes: depositSchemes
+                    ? parseEnabledSchemes(depositSchemes).join(',')
+                    : existingEntity.depositSchemes,
+                insuredProtectionFeePaidBy: insuredProtectionFeePaidBy || existingEntity.insuredProtectionFeePaidBy,
+                // null clears the rules (back to the standard mapping)
+                fieldMappingRules: fieldMappingRules !== undefined
+                    ? (fieldMappingRules ? JSON.stringify(fieldMappingRules) : '')
+                    : existingEntity.fieldMappingRules,
+                // null clears the overrides (back to the global polling settings)
+                pollingPolicy: pollingPolicy !== undefined
+                    ? (pollingPolicy ? JSON.stringify(pollingPolicy) : '')
+                    : existingEntity.pollingPolicy,
                 isActive: typeof isActive === 'boolean' ? isActive : existingEntity.isActive,
                 updatedAt: new Date().toISOString()
             };
@@ -778,6 +889,13 @@ class OrganizationMappingService {
             if (sfClientSecret && sfClientSecret.trim()) {
                 updatedEntity.sfClientSecret = sfClientSecret;
             }
+            if ((jupixClientId && jupixClientId.trim()) || (jupixClientSecret && jupixClientSecret.trim())) {
+                const existingJupix = await parseJupixCredentials(existingEntity.jupixCredentials, this.context) || {};
+                updatedEntity.jupixCredentials = await encryptJSON({
+                    clientId: jupixClientId || existingJupix.clientId,
+                    clientSecret: jupixClientSecret || existingJupix.clientSecret
+                }, null, this.context);
+            }
 
             await this.tableClient.updateEntity(updatedEntity, 'Replace');
 
@@ -2,8 +2,21 @@ const { app } = require('@azure/functions');
 const { TableClient } = require('@azure/data-tables');
 const { schemas } = require('../../shared-services/shared/validation-schemas');
 const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
-const { AltoAPIClient } = require('../../shared-services/shared/alto-api-client');
-const { AltoTDSOrchestrator } = require('./WorkflowOrchestrator');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const { TDSWorkflowOrchestrator } = require('./WorkflowOrchestrator');
+const { OrganizationMappingService } = require('./OrganizationMapping');
+const { PollingSettingsManager } = require('./PollingSettings');
+const { evaluateCompleteness, getPendingStatus } = require('../../shared-services/shared/data-completeness');
+const { resolvePollingPolicy, scheduleNextPoll } = require('../../shared-services/shared/polling-policy');
+const { describeProtectionDeadline, compareByProtectionDeadline } = require('../../shared-services/shared/protection-deadline');
+const {
+    clearedLeaseFields,
+    isLeaseActive,
+    describeLease,
+    isLeaseLostError,
+    acquireLease,
+    updateLeasedEntity
+} = require('../../shared-services/shared/pending-lease');
 
 /**
  * Pending Integrations Manager Azure Function
@@ -59,7 +72,7 @@ app.http('PendingIntegrationsManager', {
                 }
             }
 
-            const manager = new PendingIntegrationsManagerClass(context);
+            const manager = new PendingIntegrationsManagerClass(context, authResult.user);
 
             switch (action) {
                 case 'list':
@@ -116,6 +129,9 @@ app.http('PendingIntegrationsManager', {
                         statusCode = 200;
                     } else if (!retryResult.success && retryResult.error === 'Integration not found') {
                         statusCode = 404;
+                    } else if (retryResult.status === 'leased') {
+                        // Being processed by the polling service (or another retry)
+                        statusCode = 409;
                     } else if (!retryResult.success) {
                         // Other failures (e.g., workflow errors)
                         statusCode = 500;
@@ -139,7 +155,7 @@ app.http('PendingIntegrationsManager', {
 
                     const cancelResult = await manager.cancelPendingIntegration(id);
                     return {
-                        status: cancelResult.success ? 200 : 404,
+                        status: cancelResult.success ? 200 : (cancelResult.status === 'leased' ? 409 : 404),
                         jsonBody: {
                             ...cancelResult,
                             timestamp: new Date().toISOString()
@@ -325,8 +341,11 @@ app.http('PendingIntegrationsManager', {
  * Pending Integrations Manager Class
  */
 class PendingIntegrationsManagerClass {
-    constructor(context) {
+    constructor(context, user = null) {
         this.context = context;
+
+        // Lease owner for manual retries (shown on the dashboards while the retry runs)
+        this.leaseOwner = `retry:${user?.email || context.invocationId || 'unknown'}`;
         this.tableName = 'PendingIntegrations';
         this.archiveTableName = 'PendingIntegrationArchive';
 
@@ -354,7 +373,8 @@ class PendingIntegrationsManagerClass {
                 const status = entity.integrationStatus;
                 this.context.log(`🔍 Found integration ${entity.rowKey} with status: ${status}`);
 
-                if (status && ['PENDING_DEPOSIT', 'PENDING_DATA'].includes(status)) {
+                // PROCESSING rows are listed too, so the dashboards show who holds each lease
+                if (status && ['PENDING_DEPOSIT', 'PENDING_DATA', 'PROCESSING'].includes(status)) {
                     integrations.push(this.formatIntegrationEntity(entity));
                 } else {
                     this.context.log(`⏭️ Skipping integration ${entity.rowKey} with status: ${status} (not pending)`);
@@ -397,26 +417,60 @@ class PendingIntegrationsManagerClass {
      * Retry a pending integration (reset poll count and immediately run validation)
      */
     async retryPendingIntegration(id) {
+        let integration = null;
+        let leased = false;
+
         try {
-            const integration = await this.getPendingIntegration(id);
+            integration = await this.getPendingIntegration(id);
             if (!integration) {
                 return { success: false, error: 'Integration not found' };
             }
 
             this.context.log(`🔄 Starting immediate retry for integration ${id}`);
 
+            if (isLeaseActive(integration._entity) && integration._entity.leaseOwner !== this.leaseOwner) {
+                return this.leasedResult(integration);
+            }
+
+            // Pending repayments and write-backs are processed by the polling service - schedule the next poll now
+            if (['repayment', 'writeback'].includes(integration.integrationType)) {
+                await this.tableClient.updateEntity(this.createCleanEntity(integration, {
+                    pollCount: 0,
+                    nextPollAt: new Date().toISOString(),
+                    lastPolledAt: new Date().toISOString()
+                }), 'Replace', { etag: integration._entity.etag });
+
+                return { success: true, message: `Pending ${integration.integrationType} scheduled for the next poll` };
+            }
+
+            // Take the lease so the polling service leaves the integration alone while the retry runs
+            const lease = await acquireLease(this.tableClient, integration._entity, this.leaseOwner, {
+                fields: {
+                    integrationStatus: 'PROCESSING',
+                    processingStartedAt: new Date().toISOString(),
+                    pendingReason: 'Manual retry in progress'
+                }
+            });
+
+            if (!lease.acquired) {
+                return this.leasedResult(integration, lease.lease);
+            }
+
+            Object.assign(integration._entity, lease.fields, { etag: lease.etag });
+            leased = true;
+
             // Reset polling state
             integration.pollCount = 0;
             integration.lastPolledAt = new Date().toISOString();
 
             // Re-fetch Alto data to check if missing fields are now available
-            const altoData = await this.fetchAltoDataForRetry(integration);
+            const altoData = await this.fetchSourceDataForRetry(integration);
             if (!altoData) {
                 this.context.log(`❌ Could not fetch Alto data for ${integration.tenancyId}`);
                 // Schedule next poll and return
                 const updatedEntity = this.createCleanEntity(integration, {
                     pollCount: 0,
-                    nextPollAt: this.calculateNextPollTime(1).toISOString(),
+                    nextPollAt: (await this.calculateNextPollTime(1, integration)).toISOString(),
                     lastPolledAt: new Date().toISOString(),
                     pendingReason: `Manual retry failed - ${integration.pendingReason || 'Unknown reason'}`
                 });
@@ -428,7 +482,7 @@ class PendingIntegrationsManagerClass {
                     }
                 });
 
-                await this.tableClient.updateEntity(updatedEntity, 'Replace');
+                await updateLeasedEntity(this.tableClient, updatedEntity, this.leaseOwner);
                 return { success: false, error: 'Could not fetch Alto data' };
             }
 
@@ -439,19 +493,10 @@ class PendingIntegrationsManagerClass {
             this.context.log(`   Landlord Data: ${JSON.stringify(altoData.landlord)}`);
             this.context.log(`   Property Owners: ${JSON.stringify(altoData.property?.owners)}`);
 
-            // Parse missing fields if it's a string
-            let parsedMissingFields;
-            try {
-                parsedMissingFields = typeof integration.missingFields === 'string'
-                    ? JSON.parse(integration.missingFields)
-                    : integration.missingFields;
-            } catch (error) {
-                this.context.log(`⚠️ Failed to parse missing fields for ${integration.tenancyId}, using default structure`);
-                parsedMissingFields = { tenancy: [], property: [], contacts: [], deposit: ['deposit amount'] };
-            }
-
             // Check if data is now complete
-            const validationResult = this.validateDataCompleteness(altoData, parsedMissingFields);
+            const adapter = SourceAdapterFactory.getAdapter(integration.sourceSystem || 'alto', { context: this.context });
+            const enabledSchemes = await this.getEnabledSchemes(integration);
+            const validationResult = this.validateDataCompleteness(adapter, altoData, enabledSchemes);
 
             // Debug: Log validation result
             this.context.log(`🔍 Validation result for ${integration.tenancyId}:`);
@@ -460,7 +505,7 @@ class PendingIntegrationsManagerClass {
             this.context.log(`   Summary: ${validationResult.summary}`);
 
             // Check if this tenancy is permanently rejected (wrong deposit scheme type)
-            if (validationResult.isPermanentRejection) {
+            if (validationResult.outcome === 'rejected') {
                 this.context.log(`🚫 ${integration.tenancyId} permanently rejected: ${validationResult.rejectionReason}`);
 
                 // Mark as rejected and archive
@@ -478,7 +523,7 @@ class PendingIntegrationsManagerClass {
                     }
                 });
 
-                await this.tableClient.updateEntity(rejectedEntity, 'Replace');
+                await updateLeasedEntity(this.tableClient, rejectedEntity, this.leaseOwner);
 
                 // Immediately archive the rejected integration
                 await this.archiveIntegration(rejectedEntity, 'REJECTED', validationResult.rejectionReason);
@@ -493,7 +538,7 @@ class PendingIntegrationsManagerClass {
                 };
             }
 
-            if (validationResult.isComplete) {
+            if (validationResult.outcome === 'complete') {
                 this.context.log(`✅ Data now complete for ${integration.tenancyId} - triggering workflow`);
 
                 // IMMEDIATELY mark as PROCESSING to prevent duplicate processing by polling service
@@ -510,7 +555,7 @@ class PendingIntegrationsManagerClass {
                     }
                 });
 
-                await this.tableClient.updateEntity(processingEntity, 'Replace');
+                await updateLeasedEntity(this.tableClient, processingEntity, this.leaseOwner);
                 this.context.log(`🔄 Marked ${integration.tenancyId} as PROCESSING`);
 
                 // Trigger the workflow orchestrator with complete data
@@ -518,7 +563,7 @@ class PendingIntegrationsManagerClass {
                     tenancyId: integration.tenancyId,
                     agencyRef: integration.agencyRef,
                     branchId: integration.branchId
-                });
+                }, integration.sourceSystem);
 
                 if (workflowResult.success) {
                     // Mark as completed and store results
@@ -540,7 +585,7 @@ class PendingIntegrationsManagerClass {
                         }
                     });
 
-                    await this.tableClient.updateEntity(completedEntity, 'Replace');
+                    await updateLeasedEntity(this.tableClient, completedEntity, this.leaseOwner);
 
                     // Immediately archive the completed integration
                     await this.archiveIntegration(completedEntity, 'COMPLETED', 'Completed via manual retry');
@@ -560,12 +605,12 @@ class PendingIntegrationsManagerClass {
                     // Workflow identified data is still incomplete - return to pending state
                     this.context.log(`⏳ Workflow indicates data still incomplete for ${integration.tenancyId}`);
 
-                    const integrationStatus = workflowResult.missingFields?.deposit?.length > 0 ? 'PENDING_DEPOSIT' : 'PENDING_DATA';
+                    const integrationStatus = getPendingStatus(workflowResult.missingFields);
 
                     const stillPendingEntity = this.createCleanEntity(integration, {
                         integrationStatus: integrationStatus,
                         pollCount: 0,
-                        nextPollAt: this.calculateNextPollTime(1).toISOString(),
+                        nextPollAt: (await this.calculateNextPollTime(1, integration)).toISOString(),
                         lastPolledAt: new Date().toISOString(),
                         pendingReason: `Manual retry - ${workflowResult.pendingReason || 'Data still incomplete'}`,
                         missingFields: JSON.stringify(workflowResult.missingFields || {})
@@ -578,7 +623,7 @@ class PendingIntegrationsManagerClass {
                         }
                     });
 
-                    await this.tableClient.updateEntity(stillPendingEntity, 'Replace');
+                    await updateLeasedEntity(this.tableClient, stillPendingEntity, this.leaseOwner);
 
                     this.context.log(`⏳ Integration ${id} returned to pending state: ${workflowResult.pendingReason}`);
 
@@ -607,7 +652,7 @@ class PendingIntegrationsManagerClass {
                         }
                     });
 
-                    await this.tableClient.updateEntity(failedEntity, 'Replace');
+                    await updateLeasedEntity(this.tableClient, failedEntity, this.leaseOwner);
 
                     // Immediately archive the failed integration
                     await this.archiveIntegration(failedEntity, 'FAILED', `Workflow failed: ${workflowResult.error || 'Unknown error'}`);
@@ -622,12 +667,12 @@ class PendingIntegrationsManagerClass {
                 }
             } else {
                 // Still missing data - revert to PENDING_DEPOSIT/PENDING_DATA and schedule next poll
-                const integrationStatus = validationResult.missingFields.deposit?.length > 0 ? 'PENDING_DEPOSIT' : 'PENDING_DATA';
+                const integrationStatus = validationResult.pendingStatus;
 
                 const updatedEntity = this.createCleanEntity(integration, {
                     integrationStatus: integrationStatus,
                     pollCount: 0,
-                    nextPollAt: this.calculateNextPollTime(1).toISOString(),
+                    nextPollAt: (await this.calculateNextPollTime(1, integration)).toISOString(),
                     lastPolledAt: new Date().toISOString(),
                     pendingReason: `Manual retry - Still awaiting: ${validationResult.summary}`,
                     missingFields: JSON.stringify(validationResult.missingFields)
@@ -640,7 +685,7 @@ class PendingIntegrationsManagerClass {
                     }
                 });
 
-                await this.tableClient.updateEntity(updatedEntity, 'Replace');
+                await updateLeasedEntity(this.tableClient, updatedEntity, this.leaseOwner);
 
                 this.context.log(`⏳ Integration ${id} still pending: ${validationResult.summary}`);
 
@@ -656,10 +701,35 @@ class PendingIntegrationsManagerClass {
 
         } catch (error) {
             this.context.log('❌ Error retrying integration:', error.message);
+
+            // Hand the integration back to polling rather than leave it leased until the lease expires
+            if (leased && !isLeaseLostError(error)) {
+                await updateLeasedEntity(this.tableClient, this.createCleanEntity(integration, {
+                    integrationStatus: integration._entity.leasedFromStatus || 'PENDING_DATA',
+                    pendingReason: `Manual retry failed: ${error.message}`
+                }), this.leaseOwner).catch(releaseError => {
+                    this.context.log(`⚠️ Failed to release lease on ${id}:`, releaseError.message);
+                });
+            }
+
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Result for an integration leased by someone else (the polling service or another retry)
+     */
+    leasedResult(integration, lease = describeLease(integration._entity)) {
+        this.context.log(`⏭️ ${integration.id} is leased by ${lease?.owner || 'another process'} - not retried`);
+
+        return {
+            success: false,
+            status: 'leased',
+            error: 'Integration is currently being processed',
+            lease
+        };
+    }
+
     /**
      * Cancel a pending integration
      */
@@ -670,6 +740,11 @@ class PendingIntegrationsManagerClass {
                 return { success: false, error: 'Integration not found' };
             }
 
+            // Cancelling under a lease would race the submission to TDS
+            if (isLeaseActive(integration._entity)) {
+                return this.leasedResult(integration);
+            }
+
             // Mark as cancelled
             const updatedEntity = this.createCleanEntity(integration, {
                 integrationStatus: 'CANCELLED',
@@ -683,8 +758,8 @@ class PendingIntegrationsManagerClass {
                 }
             });
 
-            // Update first (in case archive fails)
-            await this.tableClient.updateEntity(updatedEntity, 'Replace');
+            // Update first (in case archive fails) - conditional, so a lease taken since the read wins
+            await this.tableClient.updateEntity(updatedEntity, 'Replace', { etag: integration._entity.etag });
 
             this.context.log(`❌ Cancelled integration ${id}`);
 
@@ -914,6 +989,11 @@ class PendingIntegrationsManagerClass {
             let updated = 0;
 
             for (const integration of pendingIntegrations) {
+                // Leased integrations are already being processed
+                if (isLeaseActive(integration._entity)) {
+                    continue;
+                }
+
                 try {
                     const updatedEntity = this.createCleanEntity(integration, {
                         nextPollAt: new Date().toISOString() // Poll immediately
@@ -926,7 +1006,7 @@ class PendingIntegrationsManagerClass {
                         }
                     });
 
-                    await this.tableClient.updateEntity(updatedEntity, 'Replace');
+                    await this.tableClient.updateEntity(updatedEntity, 'Replace', { etag: integration._entity.etag });
                     updated++;
 
                 } catch (error) {
@@ -1030,6 +1110,9 @@ class PendingIntegrationsManagerClass {
             tenancyId: entity.tenancyId || '',
             agencyRef: entity.agencyRef || '',
             branchId: entity.branchId || '',
+            sourceSystem: entity.sourceSystem || 'alto',
+            integrationType: entity.integrationType || '',
+            eventType: entity.eventType || '',
             webhookStatus: entity.webhookStatus || '',
             altoDataRetrievalStatus: entity.altoDataRetrievalStatus || '',
             tdsCreationStatus: entity.tdsCreationStatus || '',
@@ -1055,9 +1138,19 @@ class PendingIntegrationsManagerClass {
             tdsCreatedAt: entity.tdsCreatedAt || '',
             danReceivedAt: entity.danReceivedAt || '',
             lastError: entity.lastError || '',
+            protectionDeadline: entity.protectionDeadline || '',
+            protectionDeadlineBasis: entity.protectionDeadlineBasis || '',
+            escalationTier: entity.escalationTier || '',
+            escalatedAt: entity.escalatedAt || '',
+            leaseOwner: entity.leaseOwner || '',
+            leaseAcquiredAt: entity.leaseAcquiredAt || '',
+            leaseExpiresAt: entity.leaseExpiresAt || '',
+            leasedFromStatus: entity.leasedFromStatus || '',
             createdAt: entity.createdAt || '',
             updatedAt: new Date().toISOString(),
-            ...overrides
+            ...overrides,
+            // Leaving PROCESSING releases the lease
+            ...((overrides.integrationStatus || entity.integrationStatus) !== 'PROCESSING' && clearedLeaseFields())
         };
     }
 
@@ -1071,6 +1164,8 @@ class PendingIntegrationsManagerClass {
             tenancyId: entity.tenancyId,
             agencyRef: entity.agencyRef,
             branchId: entity.branchId,
+            sourceSystem: entity.sourceSystem || 'alto',
+            integrationType: entity.integrationType || 'deposit',
             integrationStatus: entity.integrationStatus,
             pendingReason: entity.pendingReason,
             pollCount: entity.pollCount || 0,
@@ -1083,6 +1178,10 @@ class PendingIntegrationsManagerClass {
             altoDataRetrievedAt: entity.altoDataRetrievedAt,
             danNumber: entity.danNumber,
             tdsDepositId: entity.tdsDepositId,
+            // Statutory 30-day protection deadline (null for follow-ups and tenancies without dates)
+            protectionDeadline: describeProtectionDeadline(entity),
+            // Who is processing the integration (null when not leased)
+            lease: describeLease(entity),
             _entity: entity // Keep full entity for updates
         };
 
@@ -1102,243 +1201,103 @@ class PendingIntegrationsManagerClass {
     }
 
     /**
-     * Fetch Alto data for retry validation
-     * Uses direct AltoAPIClient call instead of HTTP (more secure, no auth needed for internal calls)
+     * Fetch source system data for retry validation
+     * Uses the source adapter directly instead of HTTP (more secure, no auth needed for internal calls)
      */
-    async fetchAltoDataForRetry(integration) {
-        try {
-            // Get Alto API URL from AltoSettings
-            let altoApiUrl = process.env.ALTO_API_BASE_URL || 'https://api.alto.zoopladev.co.uk';
-            const environment = integration.environment || 'development';
-
-            try {
-                // Load Alto settings directly from table storage
-                const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
-                const settingsTableClient = TableClient.fromConnectionString(connectionString, 'AltoSettings');
-
-                const settingsEntity = await settingsTableClient.getEntity('Settings', 'AltoConfig');
-                const settings = {
-                    development: JSON.parse(settingsEntity.developmentSettings || '{}'),
-                    production: JSON.parse(settingsEntity.productionSettings || '{}')
-                };
-
-                altoApiUrl = environment === 'production'
-                    ? settings.production.altoApi || altoApiUrl
-                    : settings.development.altoApi || altoApiUrl;
+    async fetchSourceDataForRetry(integration) {
+        const sourceSystem = integration.sourceSystem || 'alto';
 
-                this.context.log(`✅ Using Alto API URL for ${environment}: ${altoApiUrl}`);
-            } catch (error) {
-                // 404 or other error - use defaults
-                this.context.log('⚠️ Failed to load Alto settings, using defaults:', error.message);
-            }
-
-            // Remove trailing slash
-            altoApiUrl = altoApiUrl.replace(/\/$/, '');
-
-            // Initialize Alto API client
-            const altoClient = new AltoAPIClient({
-                baseUrl: altoApiUrl,
-                clientId: process.env.ALTO_CLIENT_ID,
-                clientSecret: process.env.ALTO_CLIENT_SECRET,
-                timeout: 30000,
-                context: this.context
+        try {
+            const adapter = SourceAdapterFactory.getAdapter(sourceSystem, {
+                context: this.context,
+                timeout: 30000
             });
 
             // Fetch tenancy data directly (no HTTP call, no auth needed)
-            const tenancyData = await altoClient.fetchFullTenancyData(
-                integration.tenancyId,
-                integration.agencyRef,
-                integration.branchId,
-                false, // testMode
-                {}     // testConfig
-            );
-
-            return tenancyData;
+            return await adapter.fetchTenancyData({
+                tenancyId: integration.tenancyId,
+                agencyRef: integration.agencyRef,
+                branchId: integration.branchId
+            }, {
+                environment: integration.environment || 'development',
+                effectiveBranchId: integration.branchId,
+                mapping: await this.getOrganizationMapping(integration)
+            });
 
         } catch (error) {
-            this.context.log(`❌ Failed to fetch Alto data for ${integration.tenancyId}:`, error.message);
+            this.context.log(`❌ Failed to fetch ${sourceSystem} data for ${integration.tenancyId}:`, error.message);
             return null;
         }
     }
 
     /**
-     * Validate data completeness for retry (synchronized with WorkflowOrchestrator logic)
+     * Get the organisation mapping for an integration (null when unavailable)
      */
-    validateDataCompleteness(altoData, previousMissingFields) {
-        const missingFields = {
-            tenancy: [],
-            property: [],
-            contacts: [],
-            deposit: []
-        };
-
-        let isComplete = true;
-
-        // Check deposit scheme type - critical filter for TDS custodial tenancies
-        const depositSchemeType = altoData.tenancy?.depositSchemeType;
-
-        // If depositSchemeType is present but not TDS Custodial or Unspecified, this is a permanent rejection
-        if (depositSchemeType &&
-            depositSchemeType !== 'DisputeServiceCustodial' &&
-            depositSchemeType !== 'Unspecified') {
-            this.context.log(`🚫 Tenancy rejected: Tenancy is not for TDS Custodial (scheme type: ${depositSchemeType})`);
-            // This tenancy is for a different scheme - permanently reject
-            return {
-                isComplete: false,
-                isPermanentRejection: true,
-                rejectionReason: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`,
-                missingFields: {},
-                summary: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`
-            };
-        }
-
-        // If depositSchemeType is "Unspecified", treat as missing field (can continue retry)
-        if (!depositSchemeType || depositSchemeType === 'Unspecified') {
-            missingFields.tenancy.push('deposit scheme type');
-            isComplete = false;
-            this.context.log(`⏳ Deposit scheme type is unspecified - will continue retry polling`);
-        }
-
-        // Check deposit availability - synchronized with WorkflowOrchestrator.checkDepositAvailability
-        // Consider deposit information available if the field exists (even if it's 0)
-        // This allows zero-deposit tenancies to proceed
-        const depositRequested = altoData.tenancy?.depositRequested;
-        const depositAmount = altoData.tenancy?.depositAmount;
-
-        const hasDepositInfo = (depositRequested !== undefined && depositRequested !== null) ||
-                              (depositAmount !== undefined && depositAmount !== null);
-
-        if (!hasDepositInfo) {
-            missingFields.deposit.push('deposit amount');
-            isComplete = false;
-        }
-
-        // Check other required tenancy fields
-        const requiredTenancyFields = ['id', 'startDate'];
-        if (altoData.tenancy) {
-            requiredTenancyFields.forEach(field => {
-                if (!altoData.tenancy[field]) {
-                    missingFields.tenancy.push(field);
-                    isComplete = false;
-                }
-            });
-        } else {
-            missingFields.tenancy.push('entire tenancy data');
-            isComplete = false;
+    async getOrganizationMapping(integration) {
+        try {
+            const mappingService = new OrganizationMappingService(this.context);
+            const result = await mappingService.getMapping(integration.agencyRef, integration.branchId || 'DEFAULT');
+            return result?.mapping || null;
+        } catch (error) {
+            this.context.warn(`⚠️ Could not load organisation mapping for ${integration.agencyRef}: ${error.message}`);
+            return null;
         }
+    }
 
-        // Check property fields
-        if (altoData.property) {
-            if (!altoData.property.address) {
-                missingFields.property.push('address');
-                isComplete = false;
-            }
-            if (!altoData.property.id) {
-                missingFields.property.push('id');
-                isComplete = false;
-            }
-        } else {
-            missingFields.property.push('entire property data');
-            isComplete = false;
+    /**
+     * Get the deposit schemes enabled in the organisation mapping (Custodial only if unavailable)
+     */
+    async getEnabledSchemes(integration) {
+        try {
+            const mappingService = new OrganizationMappingService(this.context);
+            const result = await mappingService.getMapping(integration.agencyRef, integration.branchId || 'DEFAULT');
+            return result?.mapping?.depositSchemes;
+        } catch (error) {
+            this.context.warn(`⚠️ Could not load deposit schemes for ${integration.agencyRef}: ${error.message}`);
+            return undefined;
         }
+    }
 
-        // Check tenant contact information
-        if (!altoData.tenants || altoData.tenants.length === 0 ||
-            !altoData.tenants[0]?.items || altoData.tenants[0].items.length === 0 ||
-            !altoData.tenants[0].items[0]?.people || altoData.tenants[0].items[0].people.length === 0) {
-            missingFields.contacts.push('tenant contacts');
-            isComplete = false;
-        } else {
-            const tenant = altoData.tenants[0].items[0].people[0];
-            if (!tenant.forename || !tenant.surname) {
-                missingFields.contacts.push('tenant name (forename and surname)');
-                isComplete = false;
-            }
+    /**
+     * Validate data completeness for retry (the shared completeness engine, as used by the workflow orchestrator)
+     */
+    validateDataCompleteness(adapter, sourceData, enabledSchemes) {
+        return evaluateCompleteness(adapter, sourceData, { enabledSchemes });
+    }
 
-            // Check tenant has either email or phone
-            const tenantHasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
-            const tenantHasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
-            if (!tenantHasEmail && !tenantHasPhone) {
-                missingFields.contacts.push('tenant contact (email or phone)');
-                isComplete = false;
-            }
+    /**
+     * Calculate next poll time from the polling settings and the organisation's polling policy (shared with the polling service)
+     */
+    async calculateNextPollTime(pollCount, integration = null) {
+        if (!this.pollingSettings) {
+            this.pollingSettings = await new PollingSettingsManager(this.context).getSettingsOrDefaults();
         }
 
-        // Check landlord - try /landlords endpoint first, fall back to property.owners
-        const landlordSource = altoData.landlord || altoData.property?.owners?.[0];
-
-        if (!landlordSource) {
-            missingFields.contacts.push('landlord information');
-            isComplete = false;
-        } else {
-            // Handle both /landlords structure (flat: forename, surname) and property.owners structure (nested: name.forename)
-            const landlordForename = landlordSource.forename || landlordSource.name?.forename;
-            const landlordSurname = landlordSource.surname || landlordSource.name?.surname;
-
-            if (!landlordForename || !landlordSurname) {
-                missingFields.contacts.push('landlord name (forename and surname)');
-                isComplete = false;
-            }
-
-            // Check landlord has either email or phone
-            // Handle both structures: flat (email, phone) vs nested (emailAddresses[], phoneNumbers[])
-            const landlordEmail = landlordSource.email ||
-                (landlordSource.emailAddresses && landlordSource.emailAddresses.length > 0 ? landlordSource.emailAddresses[0].address : null);
-            const landlordPhone = landlordSource.phone ||
-                (landlordSource.phoneNumbers && landlordSource.phoneNumbers.length > 0 ? landlordSource.phoneNumbers[0].number : null);
-
-            if (!landlordEmail && !landlordPhone) {
-                missingFields.contacts.push('landlord contact (email or phone)');
-                isComplete = false;
-            }
-
-            // Check landlord address - must have all required TDS fields
-            if (!landlordSource.address ||
-                !landlordSource.address.postcode || landlordSource.address.postcode.trim() === '' ||
-                !landlordSource.address.nameNo || landlordSource.address.nameNo.trim() === '' ||
-                !landlordSource.address.street || landlordSource.address.street.trim() === '' ||
-                (!landlordSource.address.town && !landlordSource.address.locality) ||
-                ((landlordSource.address.town || '').trim() === '' && (landlordSource.address.locality || '').trim() === '')) {
-                missingFields.contacts.push('landlord address (nameNo, street, town, postcode required)');
-                isComplete = false;
+        let organizationPolicy = null;
+        if (integration) {
+            const branchId = integration.branchId || 'DEFAULT';
+            try {
+                const mappingService = new OrganizationMappingService(this.context);
+                const result = await mappingService.getMapping(integration.agencyRef, branchId);
+                organizationPolicy = result?.mapping?.pollingPolicy;
+            } catch (error) {
+                // Schedule with the global policy rather than fail the retry
+                this.context.warn(`⚠️ Could not load organisation mapping for ${integration.agencyRef}:${branchId}: ${error.message}`);
             }
         }
 
-        const missingSummary = [];
-        Object.keys(missingFields).forEach(category => {
-            if (missingFields[category].length > 0) {
-                missingSummary.push(`${category}: ${missingFields[category].join(', ')}`);
-            }
-        });
-
-        return {
-            isComplete,
-            missingFields,
-            summary: missingSummary.join('; ')
-        };
-    }
-
-    /**
-     * Calculate next poll time with exponential backoff
-     */
-    calculateNextPollTime(pollCount) {
-        // Start with 2 minutes, then 5, 10, 15, 30, then stay at 60 minutes
-        const intervals = [2, 5, 10, 15, 30, 60]; // minutes
-        const intervalIndex = Math.min(pollCount - 1, intervals.length - 1);
-        const intervalMinutes = intervals[intervalIndex];
-
-        return new Date(Date.now() + intervalMinutes * 60 * 1000);
+        return scheduleNextPoll(pollCount, resolvePollingPolicy({ settings: this.pollingSettings, organizationPolicy }));
     }
 
     /**
      * Trigger workflow orchestrator
-     * Uses direct AltoTDSOrchestrator call instead of HTTP (more secure, no auth needed for internal calls)
+     * Uses direct TDSWorkflowOrchestrator call instead of HTTP (more secure, no auth needed for internal calls)
      */
-    async triggerWorkflowOrchestrator(workflowData) {
+    async triggerWorkflowOrchestrator(workflowData, sourceSystem = 'alto') {
         try {
             // Create orchestrator instance and execute workflow directly
             // No bearer token needed since this is an internal call
-            const orchestrator = new AltoTDSOrchestrator(this.context, null);
+            const orchestrator = new TDSWorkflowOrchestrator(this.context, null, sourceSystem);
             const result = await orchestrator.execute(workflowData);
 
             // Return result in same format as HTTP endpoint
@@ -1414,6 +1373,15 @@ class PendingIntegrationsManagerClass {
                     COMPLETED: 0,
                     FAILED: 0
                 },
+                // Pending deposits by protection deadline escalation tier
+                byProtectionDeadline: {
+                    overdue: 0,
+                    critical: 0,
+                    urgent: 0,
+                    warning: 0,
+                    onTrack: 0,
+                    noDeadline: 0
+                },
                 recentIntegrations: [],
                 pendingIntegrations: [],
                 completedIntegrations: [],
@@ -1458,13 +1426,26 @@ class PendingIntegrationsManagerClass {
                     lastChecked: entity.lastPolledAt,
                     danNumber: entity.danNumber,
                     tdsDepositId: entity.tdsDepositId,
-                    hasDeposit: entity.tdsResponse ? true : false
+                    hasDeposit: entity.tdsResponse ? true : false,
+                    protectionDeadline: entity.protectionDeadline || null,
+                    daysRemaining: null,
+                    escalationTier: null,
+                    lease: describeLease(entity)
                 };
 
                 allIntegrations.push(integrationInfo);
 
                 // Categorize integrations
                 if (status === 'PENDING_DEPOSIT' || status === 'PENDING_DATA') {
+                    const deadline = describeProtectionDeadline(entity);
+                    if (deadline) {
+                        integrationInfo.daysRemaining = deadline.daysRemaining;
+                        integrationInfo.escalationTier = deadline.escalationTier;
+                        summary.byProtectionDeadline[deadline.escalationTier || 'onTrack']++;
+                    } else if ((entity.integrationType || 'deposit') === 'deposit') {
+                        summary.byProtectionDeadline.noDeadline++;
+                    }
+
                     summary.pendingIntegrations.push(integrationInfo);
                 } else if (status === 'COMPLETED') {
                     summary.completedIntegrations.push(integrationInfo);
@@ -1477,8 +1458,10 @@ class PendingIntegrationsManagerClass {
             allIntegrations.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
             summary.recentIntegrations = allIntegrations.slice(0, 10);
 
-            // Limit pending/completed/failed lists to 20 each
-            summary.pendingIntegrations = summary.pendingIntegrations.slice(0, 20);
+            // Limit pending/completed/failed lists to 20 each (pending closest to the protection deadline first)
+            summary.pendingIntegrations = summary.pendingIntegrations
+                .sort((a, b) => compareByProtectionDeadline(a, b))
+                .slice(0, 20);
             summary.completedIntegrations = summary.completedIntegrations.slice(0, 20);
             summary.failedIntegrations = summary.failedIntegrations.slice(0, 20);
 
@@ -1613,4 +1596,6 @@ class PendingIntegrationsManagerClass {
             return defaultValue;
         }
     }
-}
\ No newline at end of file
+}
+
+module.exports = { PendingIntegrationsManagerClass };
@@ -3,8 +3,28 @@ const axios = require('axios');
 const { TableClient } = require('@azure/data-tables');
 const { IntegrationAuditLogger } = require('./IntegrationAuditLogger');
 const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
-const { AltoAPIClient } = require('../../shared-services/shared/alto-api-client');
-const { AltoTDSOrchestrator } = require('./WorkflowOrchestrator');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const { TDSWorkflowOrchestrator } = require('./WorkflowOrchestrator');
+const { OrganizationMappingService } = require('./OrganizationMapping');
+const { evaluateCompleteness } = require('../../shared-services/shared/data-completeness');
+const { resolvePollingPolicy, getQuietHoursEnd, scheduleNextPoll } = require('../../shared-services/shared/polling-policy');
+const {
+    isMoreSevere,
+    buildProtectionDeadlineFields,
+    describeProtectionDeadline,
+    compareByProtectionDeadline
+} = require('../../shared-services/shared/protection-deadline');
+const telemetry = require('../../shared-services/shared/telemetry');
+const {
+    getLeaseDurationMs,
+    clearedLeaseFields,
+    isLeaseActive,
+    isLeaseLostError,
+    acquireLease,
+    updateLeasedEntity
+} = require('../../shared-services/shared/pending-lease');
+const { getPollingLimits, runWithConcurrency } = require('../../shared-services/shared/polling-scheduler');
+const { checkRateLimit } = require('../../shared-services/shared/rate-limiter');
 
 /**
  * Pending Integration Polling Service Azure Function
@@ -27,6 +47,9 @@ app.timer('PendingPollingService', {
                 completed: results.completed,
                 failed: results.failed,
                 stillPending: results.stillPending,
+                skipped: results.skipped,
+                deferred: results.deferred,
+                notStarted: results.notStarted,
                 timestamp: new Date().toISOString()
             };
 
@@ -62,7 +85,7 @@ app.http('PendingPollingServiceManual', {
         try {
             context.log('🔄 Manual pending integration polling triggered...');
 
-            const pollingService = new PendingPollingServiceClass(context);
+            const pollingService = new PendingPollingServiceClass(context, `manual-poll:${authResult.user.email}`);
             const results = await pollingService.processPendingIntegrations();
 
             context.log('✅ Manual polling completed:', results);
@@ -76,7 +99,10 @@ app.http('PendingPollingServiceManual', {
                         processed: results.processed,
                         completed: results.completed,
                         failed: results.failed,
-                        stillPending: results.stillPending
+                        stillPending: results.stillPending,
+                        skipped: results.skipped,
+                        deferred: results.deferred,
+                        notStarted: results.notStarted
                     },
                     timestamp: new Date().toISOString()
                 }
@@ -154,8 +180,11 @@ app.http('GetArchivedPendingIntegrations', {
  * Pending Integration Polling Service Class
  */
 class PendingPollingServiceClass {
-    constructor(context) {
+    constructor(context, leaseOwner = null) {
         this.context = context;
+
+        // Lease owner shown on the dashboards while this run processes an integration
+        this.leaseOwner = leaseOwner || `polling:${context.invocationId || Date.now()}`;
         this.tableName = 'PendingIntegrations';
         this.archiveTableName = 'PendingIntegrationArchive';
 
@@ -172,6 +201,9 @@ class PendingPollingServiceClass {
         this.pollingSettingsManager = new PollingSettingsManager(context);
         this.settings = null;
 
+        // Organisation mappings looked up during this run (deposit schemes, polling policy), keyed by agencyRef:branchId
+        this.organizationMappings = new Map();
+
         // Track initialization state
         this.tablesInitialized = false;
     }
@@ -221,6 +253,10 @@ class PendingPollingServiceClass {
     async processPendingIntegrations() {
         this.context.log('🔍 Checking for pending integrations ready for polling...');
 
+        // The run-time budget covers the whole run, including cleanup and escalation
+        const limits = getPollingLimits();
+        const runDeadline = Date.now() + limits.runBudgetMs;
+
         try {
             // Ensure tables are initialized
             await this.ensureTablesInitialized();
@@ -228,43 +264,78 @@ class PendingPollingServiceClass {
             // First, clean up any stale integrations that should be archived
             await this.cleanupStaleIntegrations();
 
+            // Notify integrations approaching their 30-day protection deadline
+            await this.escalateProtectionDeadlines();
+
             // Find pending integrations ready for polling
-            const pendingIntegrations = await this.getPendingIntegrations();
+            const pendingIntegrations = await this.getPendingIntegrations(limits.batchSize);
 
             if (pendingIntegrations.length === 0) {
                 this.context.log('📭 No pending integrations ready for polling');
-                return { processed: 0, completed: 0, failed: 0, stillPending: 0 };
+                return { processed: 0, completed: 0, failed: 0, stillPending: 0, skipped: 0, deferred: 0, notStarted: 0 };
             }
 
-            this.context.log(`📋 Found ${pendingIntegrations.length} pending integrations to check`);
+            this.context.log(`📋 Found ${pendingIntegrations.length} pending integrations to check (concurrency ${limits.concurrency}, ${limits.agencyConcurrency} per agency)`);
 
             const results = {
                 processed: 0,
                 completed: 0,
                 failed: 0,
-                stillPending: 0
+                stillPending: 0,
+                skipped: 0,
+                deferred: 0,
+                notStarted: 0
             };
 
-            // Process each pending integration
-            for (const integration of pendingIntegrations) {
-                try {
-                    const result = await this.processPendingIntegration(integration);
-                    results.processed++;
+            // Process in parallel - a slow source system call only holds up its own slot, and no agency
+            // takes more than its share of the slots. Nothing new starts once the run-time budget is spent.
+            const { results: outcomes, notStarted } = await runWithConcurrency(
+                pendingIntegrations,
+                integration => this.processWithinRateLimit(integration),
+                {
+                    concurrency: limits.concurrency,
+                    perKeyLimit: limits.agencyConcurrency,
+                    keyOf: integration => `${integration.sourceSystem || 'alto'}:${integration.agencyRef}`,
+                    shouldStop: () => Date.now() >= runDeadline
+                }
+            );
 
-                    if (result.status === 'completed') {
-                        results.completed++;
-                    } else if (result.status === 'failed' || result.status === 'permanently_failed') {
-                        results.failed++;
-                    } else {
-                        results.stillPending++;
-                    }
+            for (const { item: integration, value: result, error } of outcomes) {
+                if (error) {
+                    this.context.log(`❌ Failed to process integration ${integration.rowKey}:`, error.message);
+                    results.failed++;
+                    continue;
+                }
 
-                } catch (error) {
-                    this.context.log(`❌ Failed to process integration ${integration.id}:`, error.message);
+                // Leased by another run (or a manual retry) - it is not processed here
+                if (result.status === 'skipped') {
+                    results.skipped++;
+                    continue;
+                }
+
+                // Over the organisation's rate limit - left due for the next run
+                if (result.status === 'deferred') {
+                    results.deferred++;
+                    continue;
+                }
+
+                results.processed++;
+
+                if (result.status === 'completed') {
+                    results.completed++;
+                } else if (result.status === 'failed' || result.status === 'permanently_failed') {
                     results.failed++;
+                } else {
+                    results.stillPending++;
                 }
             }
 
+            // Integrations not started keep their due nextPollAt, so the next run picks them up first
+            results.notStarted = notStarted.length;
+            if (notStarted.length > 0) {
+                this.context.log(`⏱️ Run-time budget reached - ${notStarted.length} integrations left for the next run`);
+            }
+
             return results;
 
         } catch (error) {
@@ -273,13 +344,58 @@ class PendingPollingServiceClass {
         }
     }
 
+    /**
+     * Process a pending integration if its organisation is outside its polling quiet hours and within
+     * the rate-limiter.js limits for its source system (organisation = agencyRef:branchId, as for the
+     * TDS request forwarder)
+     */
+    async processWithinRateLimit(integration) {
+        const sourceSystem = integration.sourceSystem || 'alto';
+        const organizationId = `${integration.agencyRef}:${integration.branchId}`;
+
+        const policy = await this.getPollingPolicy(integration);
+        const quietHoursEnd = getQuietHoursEnd(policy.quietHours);
+        if (quietHoursEnd) {
+            return await this.deferForQuietHours(integration, quietHoursEnd);
+        }
+
+        const rateLimit = await checkRateLimit(sourceSystem, organizationId, this.context);
+        if (!rateLimit.allowed) {
+            this.context.log(`⏳ Deferring ${integration.rowKey}: ${sourceSystem}:${organizationId} rate limited (retry after ${rateLimit.retryAfter}s)`);
+            return { status: 'deferred', reason: rateLimit.reason, retryAfter: rateLimit.retryAfter };
+        }
+
+        return await this.processPendingIntegration(integration);
+    }
+
+    /**
+     * Move the next poll of an integration to the end of its organisation's quiet hours
+     * Conditional on the etag - an integration changed since it was read is left to whoever changed it
+     */
+    async deferForQuietHours(integration, quietHoursEnd) {
+        this.context.log(`🌙 Deferring ${integration.rowKey}: ${integration.agencyRef} quiet hours until ${quietHoursEnd.toISOString()}`);
+
+        try {
+            await this.tableClient.updateEntity({
+                partitionKey: integration.partitionKey,
+                rowKey: integration.rowKey,
+                nextPollAt: quietHoursEnd.toISOString()
+            }, 'Merge', { etag: integration.etag || '*' });
+        } catch (error) {
+            if (error.statusCode !== 412 && error.statusCode !== 404) { // 412 = changed since read, 404 = archived since read
+                throw error;
+            }
+        }
+
+        return { status: 'deferred', reason: 'quiet_hours', until: quietHoursEnd.toISOString() };
+    }
+
     /**
      * Cleanup stale integrations - archive terminal states and exceeded attempts
      */
     async cleanupStaleIntegrations() {
         try {
             const partitionKey = 'PendingIntegration';
-            const settings = await this.loadSettings();
 
             this.context.log('🧹 Running cleanup for stale integrations...');
 
@@ -291,11 +407,18 @@ class PendingPollingServiceClass {
             });
 
             let archivedCount = 0;
+            let reclaimedCount = 0;
             let totalCount = 0;
 
             for await (const entity of entities) {
                 totalCount++;
-                const maxPollCount = entity.maxPollCount || settings.maxPollAttempts || 20;
+                const maxPollCount = entity.maxPollCount || (await this.getPollingPolicy(entity)).maxPollAttempts;
+
+                // Leased integrations are being processed - their holder archives or releases them
+                if (isLeaseActive(entity)) {
+                    this.context.log(`⏭️ Skipping ${entity.rowKey}: leased by ${entity.leaseOwner} until ${entity.leaseExpiresAt}`);
+                    continue;
+                }
 
                 this.context.log(`🔍 Checking ${entity.rowKey}: status=${entity.integrationStatus}, pollCount=${entity.pollCount}/${maxPollCount}`);
 
@@ -325,29 +448,19 @@ class PendingPollingServiceClass {
                     await this.archiveIntegration(entity, 'REJECTED', entity.pendingReason || 'Rejected - not for TDS Custodial scheme');
                     archivedCount++;
                 } else if (entity.integrationStatus === 'PROCESSING') {
-                    // Check if PROCESSING is abandoned (stuck for > 15 minutes)
-                    const processingStartedAt = entity.processingStartedAt ? new Date(entity.processingStartedAt) : null;
-                    if (processingStartedAt) {
-                        const minutesSinceProcessingStarted = (Date.now() - processingStartedAt.getTime()) / 1000 / 60;
-                        if (minutesSinceProcessingStarted > 15) {
-                            this.context.log(`📦 Archiving ${entity.rowKey}: abandoned PROCESSING (stuck for ${Math.round(minutesSinceProcessingStarted)} minutes)`);
-                            await this.archiveIntegration(entity, 'FAILED', `Processing abandoned after ${Math.round(minutesSinceProcessingStarted)} minutes`);
-                            archivedCount++;
-                        } else {
-                            this.context.log(`⏭️ Skipping ${entity.rowKey}: currently PROCESSING (${Math.round(minutesSinceProcessingStarted)} minutes)`);
-                        }
-                    } else {
-                        // No processingStartedAt timestamp - assume abandoned
-                        this.context.log(`📦 Archiving ${entity.rowKey}: PROCESSING without timestamp (likely abandoned)`);
-                        await this.archiveIntegration(entity, 'FAILED', 'Processing abandoned (no timestamp)');
-                        archivedCount++;
+                    // Lease expired (or a PROCESSING row without a lease that has been stuck for longer than one) - reclaim it
+                    const startedAt = entity.leaseAcquiredAt || entity.processingStartedAt;
+                    if (!entity.leaseOwner && startedAt && Date.now() - new Date(startedAt).getTime() < getLeaseDurationMs()) {
+                        this.context.log(`⏭️ Skipping ${entity.rowKey}: currently PROCESSING (since ${startedAt})`);
+                    } else if (await this.reclaimExpiredLease(entity)) {
+                        reclaimedCount++;
                     }
                 } else {
                     this.context.log(`⏭️ Skipping ${entity.rowKey}: still active (status=${entity.integrationStatus})`);
                 }
             }
 
-            this.context.log(`🧹 Cleanup complete: Checked ${totalCount} integrations, archived ${archivedCount}`);
+            this.context.log(`🧹 Cleanup complete: Checked ${totalCount} integrations, archived ${archivedCount}, reclaimed ${reclaimedCount} expired leases`);
 
         } catch (error) {
             this.context.log('❌ Error during cleanup:', error.message);
@@ -356,10 +469,131 @@ class PendingPollingServiceClass {
         }
     }
 
+    /**
+     * Return an integration whose lease expired to polling
+     * Conditional on the etag read by the cleanup, so a concurrent reclaim (or acquisition) wins
+     *
+     * @returns {Promise<boolean>} Whether this run reclaimed it
+     */
+    async reclaimExpiredLease(entity) {
+        const returnStatus = entity.leasedFromStatus || 'PENDING_DATA';
+        const heldBy = entity.leaseOwner || 'unknown';
+
+        try {
+            await this.tableClient.updateEntity({
+                partitionKey: entity.partitionKey,
+                rowKey: entity.rowKey,
+                ...clearedLeaseFields(),
+                integrationStatus: returnStatus,
+                nextPollAt: new Date().toISOString(),
+                pendingReason: `Lease held by ${heldBy} expired - returned to polling`
+            }, 'Merge', { etag: entity.etag });
+
+            this.context.log(`♻️ Reclaimed ${entity.rowKey}: lease held by ${heldBy} expired (returned to ${returnStatus})`);
+            return true;
+
+        } catch (error) {
+            if (error.statusCode !== 412 && error.statusCode !== 404) {
+                throw error;
+            }
+
+            this.context.log(`⏭️ ${entity.rowKey} changed since it was read - not reclaimed`);
+            return false;
+        }
+    }
+
+    /**
+     * Escalate pending deposits approaching their statutory protection deadline
+     * Each tier (14, 7 and 2 days remaining, then overdue) is notified once per integration
+     */
+    async escalateProtectionDeadlines() {
+        try {
+            const entities = this.tableClient.listEntities({
+                queryOptions: {
+                    filter: `PartitionKey eq 'PendingIntegration' and (integrationStatus eq 'PENDING_DEPOSIT' or integrationStatus eq 'PENDING_DATA' or integrationStatus eq 'PROCESSING')`
+                }
+            });
+
+            let escalatedCount = 0;
+
+            for await (const entity of entities) {
+                const deadline = describeProtectionDeadline(entity);
+                if (!deadline?.escalationTier || !isMoreSevere(deadline.escalationTier, entity.escalationTier)) {
+                    continue;
+                }
+
+                // Record the tier before notifying, conditional on the etag - an integration changed since
+                // it was read (e.g. escalated by a concurrent run) is skipped rather than notified twice
+                try {
+                    await this.tableClient.updateEntity({
+                        partitionKey: entity.partitionKey,
+                        rowKey: entity.rowKey,
+                        escalationTier: deadline.escalationTier,
+                        escalatedAt: new Date().toISOString()
+                    }, 'Merge', { etag: entity.etag });
+                } catch (error) {
+                    if (error.statusCode !== 412 && error.statusCode !== 404) { // 412 = changed since read, 404 = archived since read
+                        throw error;
+                    }
+
+                    this.context.log(`⏭️ ${entity.rowKey} changed since it was read - not escalated`);
+                    continue;
+                }
+
+                await this.notifyProtectionDeadline(entity, deadline);
+
+                escalatedCount++;
+            }
+
+            if (escalatedCount > 0) {
+                this.context.log(`🚨 Escalated ${escalatedCount} integrations approaching their protection deadline`);
+            }
+
+        } catch (error) {
+            this.context.log('❌ Error escalating protection deadlines:', error.message);
+            // Don't throw - escalation failure shouldn't break polling
+        }
+    }
+
+    /**
+     * Raise a protection deadline notification
+     * Tracked as a telemetry event (for Application Insights alerts) and, when PROTECTION_DEADLINE_WEBHOOK_URL
+     * is configured, posted to that webhook (Teams/Slack incoming webhooks accept the { text } body)
+     */
+    async notifyProtectionDeadline(entity, deadline) {
+        const when = deadline.daysRemaining < 0
+            ? `${Math.abs(deadline.daysRemaining)} days overdue`
+            : `${deadline.daysRemaining} days remaining`;
+        const message = `Deposit for tenancy ${entity.tenancyId} (agency ${entity.agencyRef || 'unknown'}) must be protected by ${deadline.protectionDeadline} - ${when}. Pending: ${entity.pendingReason || 'awaiting data'}`;
+
+        this.context.warn(`🚨 [${deadline.escalationTier.toUpperCase()}] ${message}`);
+
+        telemetry.trackEvent('Protection_Deadline_Escalated', {
+            integrationId: entity.rowKey,
+            tenancyId: entity.tenancyId,
+            agencyRef: entity.agencyRef || '',
+            sourceSystem: entity.sourceSystem || 'alto',
+            escalationTier: deadline.escalationTier,
+            protectionDeadline: deadline.protectionDeadline,
+            protectionDeadlineBasis: deadline.protectionDeadlineBasis || '',
+            daysRemaining: deadline.daysRemaining
+        });
+
+        const webhookUrl = process.env.PROTECTION_DEADLINE_WEBHOOK_URL;
+        if (webhookUrl) {
+            try {
+                await axios.post(webhookUrl, { text: `[${deadline.escalationTier.toUpperCase()}] ${message}` }, { timeout: 10000 });
+            } catch (error) {
+                this.context.warn(`⚠️ Failed to post protection deadline notification for ${entity.rowKey}:`, error.message);
+            }
+        }
+    }
+
     /**
      * Get pending integrations ready for polling
+     * @param {number} limit - Maximum integrations to return (POLLING_BATCH_SIZE)
      */
-    async getPendingIntegrations() {
+    async getPendingIntegrations(limit = 10) {
         try {
             const now = new Date();
             const partitionKey = 'PendingIntegration';
@@ -377,10 +611,10 @@ class PendingPollingServiceClass {
                 pendingIntegrations.push(entity);
             }
 
-            // Sort by nextPollAt (oldest first) and limit to 10 to avoid overwhelming
+            // Sort escalated deadlines first, then by nextPollAt (oldest first), and limit the batch to avoid overwhelming
             const result = pendingIntegrations
-                .sort((a, b) => new Date(a.nextPollAt) - new Date(b.nextPollAt))
-                .slice(0, 10);
+                .sort((a, b) => compareByProtectionDeadline(a, b) || new Date(a.nextPollAt) - new Date(b.nextPollAt))
+                .slice(0, limit);
 
             if (result.length > 0) {
                 this.context.log(`📋 Processing ${result.length} integrations ready for polling`);
@@ -399,17 +633,29 @@ class PendingPollingServiceClass {
     async processPendingIntegration(integration) {
         this.context.log(`🔄 Processing ${integration.rowKey}: attempt ${integration.pollCount + 1}`);
 
+        // Take the lease before anything else - the etag-conditional update means only one
+        // overlapping poll, force-poll or manual retry processes the integration
+        const lease = await acquireLease(this.tableClient, integration, this.leaseOwner, {
+            fields: {
+                integrationStatus: 'PROCESSING',
+                processingStartedAt: new Date().toISOString(),
+                pollCount: (integration.pollCount || 0) + 1,
+                lastPolledAt: new Date().toISOString()
+            }
+        });
+
+        if (!lease.acquired) {
+            this.context.log(`⏭️ Skipping ${integration.rowKey}: leased by ${lease.lease?.owner || 'another run'}`);
+            return { status: 'skipped', reason: 'leased', lease: lease.lease };
+        }
+
+        Object.assign(integration, lease.fields, { etag: lease.etag });
+
         try {
-            // IMMEDIATELY mark as PROCESSING to prevent duplicate processing by concurrent polls
-            integration.integrationStatus = 'PROCESSING';
-            integration.processingStartedAt = new Date().toISOString();
-            integration.pollCount = (integration.pollCount || 0) + 1;
-            integration.lastPolledAt = new Date().toISOString();
-            await this.updateIntegration(integration);
 
-            // Check if max polls exceeded using settings
-            const settings = await this.loadSettings();
-            const maxPollCount = integration.maxPollCount || settings.maxPollAttempts || 20;
+            // Check if max polls exceeded using the organisation's polling policy
+            const policy = await this.getPollingPolicy(integration);
+            const maxPollCount = integration.maxPollCount || policy.maxPollAttempts;
 
             if (integration.pollCount >= maxPollCount) {
                 this.context.log(`⏰ ${integration.rowKey} exceeded max attempts (${maxPollCount}) - archiving`);
@@ -419,32 +665,37 @@ class PendingPollingServiceClass {
                 return { status: 'failed', reason: 'expired' };
             }
 
+            // Pending repayments re-run the repayment workflow rather than the deposit workflow
+            if (integration.integrationType === 'repayment') {
+                return await this.processPendingRepayment(integration);
+            }
+
+            // Pending write-backs only retry the source system write-back (the deposit is already registered)
+            if (integration.integrationType === 'writeback') {
+                return await this.processPendingWriteBack(integration);
+            }
+
             // Re-fetch Alto data to check if missing fields are now available
-            const altoData = await this.fetchAltoData(integration);
+            const altoData = await this.fetchSourceData(integration);
             if (!altoData) {
                 // Revert status back to PENDING_DATA and schedule next poll
                 integration.integrationStatus = 'PENDING_DATA';
                 integration.pendingReason = 'Alto data unavailable';
-                integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount)).toISOString();
+                integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
                 await this.updateIntegration(integration);
                 return { status: 'pending', reason: 'alto_data_unavailable' };
             }
 
-            // Check if data is now complete
-            // Parse missing fields if it's a string
-            let parsedMissingFields;
-            try {
-                parsedMissingFields = typeof integration.missingFields === 'string'
-                    ? JSON.parse(integration.missingFields)
-                    : integration.missingFields;
-            } catch (error) {
-                parsedMissingFields = { tenancy: [], property: [], contacts: [], deposit: ['deposit amount'] };
-            }
+            // Refresh the protection deadline (the deposit received date may have been recorded since)
+            const adapter = SourceAdapterFactory.getAdapter(integration.sourceSystem || 'alto', { context: this.context });
+            Object.assign(integration, buildProtectionDeadlineFields(adapter.getProtectionDates(altoData), integration));
 
-            const validationResult = this.validateDataCompleteness(altoData, parsedMissingFields);
+            // Check if data is now complete
+            const enabledSchemes = await this.getEnabledSchemes(integration);
+            const validationResult = this.validateDataCompleteness(adapter, altoData, enabledSchemes);
 
             // Check if this tenancy is permanently rejected (wrong deposit scheme type)
-            if (validationResult.isPermanentRejection) {
+            if (validationResult.outcome === 'rejected') {
                 this.context.log(`🚫 ${integration.rowKey} permanently rejected: ${validationResult.rejectionReason}`);
 
                 // Mark as rejected and archive
@@ -459,7 +710,7 @@ class PendingPollingServiceClass {
                 return { status: 'rejected', reason: 'wrong_deposit_scheme_type', rejectionReason: validationResult.rejectionReason };
             }
 
-            if (validationResult.isComplete) {
+            if (validationResult.outcome === 'complete') {
                 this.context.log(`✅ ${integration.rowKey} data complete - triggering workflow`);
 
                 // Update pending reason (status already set to PROCESSING at start of function)
@@ -471,7 +722,7 @@ class PendingPollingServiceClass {
                     tenancyId: integration.tenancyId,
                     agencyRef: integration.agencyRef,
                     branchId: integration.branchId
-                });
+                }, integration.sourceSystem || 'alto');
 
                 if (workflowResult.success) {
                     // Mark as completed and store results
@@ -551,7 +802,7 @@ class PendingPollingServiceClass {
                         integration.integrationStatus = 'PENDING_DEPOSIT';
                         integration.lastError = JSON.stringify(workflowResult); // Stringify to avoid EDM type error
                         integration.pendingReason = `TDS error (retryable): ${errorAnalysis.description}`;
-                        integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount)).toISOString();
+                        integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
 
                         await this.updateIntegration(integration);
                         return { status: 'pending', reason: 'retryable_tds_error' };
@@ -559,16 +810,23 @@ class PendingPollingServiceClass {
                 }
             } else {
                 // Data still incomplete - revert status back to PENDING and schedule next poll
-                integration.integrationStatus = validationResult.missingFields.deposit?.length > 0 ? 'PENDING_DEPOSIT' : 'PENDING_DATA';
+                // (missing core data keeps polling too - it is bounded by maxPollAttempts)
+                integration.integrationStatus = validationResult.pendingStatus;
                 integration.missingFields = validationResult.missingFields;
                 integration.pendingReason = `Waiting for: ${validationResult.summary}`;
-                integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount)).toISOString();
+                integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
 
                 await this.updateIntegration(integration);
                 return { status: 'pending', reason: 'data_still_incomplete' };
             }
 
         } catch (error) {
+            // The lease expired and was reclaimed mid-run - the new holder owns the integration now
+            if (isLeaseLostError(error)) {
+                this.context.warn(`⚠️ ${error.message} - leaving ${integration.rowKey} to the new holder`);
+                return { status: 'skipped', reason: 'lease_lost' };
+            }
+
             this.context.log(`❌ Error processing ${integration.rowKey}:`, error.message);
 
             // Revert to PENDING_DEPOSIT on unexpected error and schedule retry
@@ -578,7 +836,7 @@ class PendingPollingServiceClass {
                 timestamp: new Date().toISOString()
             };
             integration.pendingReason = `Processing error: ${error.message}`;
-            integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount)).toISOString();
+            integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
 
             await this.updateIntegration(integration);
             throw error;
@@ -586,271 +844,222 @@ class PendingPollingServiceClass {
     }
 
     /**
-     * Load polling settings from storage
+     * Process a pending end-of-tenancy repayment
+     * Re-runs the repayment workflow, which re-reads the deposit release and raises the repayment once it is agreed and adds up
      */
-    async loadSettings() {
-        if (!this.settings) {
-            try {
-                this.settings = await this.pollingSettingsManager.getSettings();
-                this.context.log(`📊 Loaded polling settings: pendingPollInterval=${this.settings.pendingPollInterval}min, maxPollAttempts=${this.settings.maxPollAttempts}`);
-            } catch (error) {
-                this.context.log('⚠️ Failed to load polling settings, using defaults:', error.message);
-                this.settings = {
-                    pendingPollInterval: 5,
-                    depositCheckInterval: 10,
-                    maxPollAttempts: 20,
-                    backoffMultiplier: 1.5
-                };
-            }
+    async processPendingRepayment(integration) {
+        const orchestrator = new TDSWorkflowOrchestrator(this.context, null, integration.sourceSystem || 'alto');
+        const result = await orchestrator.raiseRepayment({
+            tenancyId: integration.tenancyId,
+            agencyRef: integration.agencyRef,
+            branchId: integration.branchId,
+            eventType: integration.eventType,
+            webhookId: integration.webhookId
+        }, { fromPolling: true });
+
+        if (result.success) {
+            this.context.log(`✅ ${integration.rowKey} repayment raised against DAN ${result.dan}`);
+
+            integration.integrationStatus = 'COMPLETED';
+            integration.danNumber = result.dan || '';
+            integration.tdsResponse = JSON.stringify(result.repayment || {}); // Stringify to avoid EDM type error
+            integration.pendingReason = result.alreadyRaised ? 'Repayment already raised' : 'Repayment raised via polling service';
+
+            await this.archiveIntegration(integration, 'COMPLETED', integration.pendingReason);
+            return { status: 'completed', workflowResult: result };
         }
-        return this.settings;
-    }
-
-    /**
-     * Calculate next poll time with configurable exponential backoff
-     */
-    async calculateNextPollTime(pollCount) {
-        const settings = await this.loadSettings();
-
-        // Use settings-based intervals with exponential backoff
-        const baseInterval = settings.pendingPollInterval || 5; // minutes
-        const multiplier = settings.backoffMultiplier || 1.5;
-
-        // Calculate interval with exponential backoff: baseInterval * (multiplier ^ (pollCount - 1))
-        // Cap at 60 minutes maximum
-        const intervalMinutes = Math.min(
-            baseInterval * Math.pow(multiplier, Math.max(0, pollCount - 1)),
-            60
-        );
-
-        this.context.log(`⏰ Next poll for attempt ${pollCount} in ${intervalMinutes} minutes (base: ${baseInterval}, multiplier: ${multiplier})`);
-
-        return new Date(Date.now() + intervalMinutes * 60 * 1000);
-    }
 
-    /**
-     * Fetch Alto data for re-validation
-     * Uses direct AltoAPIClient call instead of HTTP (more secure, no auth needed for internal calls)
-     */
-    async fetchAltoData(integration) {
-        try {
-            // Get Alto API URL from AltoSettings (same logic as AltoIntegration)
-            let altoApiUrl = process.env.ALTO_API_BASE_URL || 'https://api.alto.zoopladev.co.uk';
-            const environment = integration.environment || 'development';
+        if (result.status === 'REJECTED') {
+            this.context.log(`🚫 ${integration.rowKey} repayment rejected: ${result.rejectionReason}`);
 
-            try {
-                // Load Alto settings directly from table storage
-                const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
-                const settingsTableClient = TableClient.fromConnectionString(connectionString, 'AltoSettings');
-
-                const settingsEntity = await settingsTableClient.getEntity('Settings', 'AltoConfig');
-                const settings = {
-                    development: JSON.parse(settingsEntity.developmentSettings || '{}'),
-                    production: JSON.parse(settingsEntity.productionSettings || '{}')
-                };
+            integration.integrationStatus = 'REJECTED';
+            integration.pendingReason = result.rejectionReason;
+            integration.failedAt = new Date().toISOString();
 
-                altoApiUrl = environment === 'production'
-                    ? settings.production.altoApi || altoApiUrl
-                    : settings.development.altoApi || altoApiUrl;
+            await this.archiveIntegration(integration, 'REJECTED', result.rejectionReason);
+            return { status: 'rejected', reason: 'no_registered_deposit', rejectionReason: result.rejectionReason };
+        }
 
-                this.context.log(`✅ Using Alto API URL for ${environment}: ${altoApiUrl}`);
-            } catch (error) {
-                // 404 or other error - use defaults
-                this.context.log('⚠️ Failed to load Alto settings, using defaults:', error.message);
+        if (result.status === 'pending') {
+            integration.integrationStatus = 'PENDING_DATA';
+            integration.pendingReason = result.pendingReason;
+            if (result.error) {
+                integration.lastError = result.error;
             }
+            integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
 
-            // Remove trailing slash
-            altoApiUrl = altoApiUrl.replace(/\/$/, '');
+            await this.updateIntegration(integration);
+            return { status: 'pending', reason: 'repayment_not_ready' };
+        }
 
-            // Initialize Alto API client
-            const altoClient = new AltoAPIClient({
-                baseUrl: altoApiUrl,
-                clientId: process.env.ALTO_CLIENT_ID,
-                clientSecret: process.env.ALTO_CLIENT_SECRET,
-                timeout: 30000,
-                context: this.context
-            });
+        // Rejected by TDS (or failed after submission) - archive rather than raise it twice
+        this.context.log(`❌ ${integration.rowKey} repayment failed at ${result.failedStep}: ${result.error}`);
 
-            // Fetch tenancy data directly (no HTTP call, no auth needed)
-            const tenancyData = await altoClient.fetchFullTenancyData(
-                integration.tenancyId,
-                integration.agencyRef,
-                integration.branchId,
-                false, // testMode
-                {}     // testConfig
-            );
+        const errorAnalysis = this.analyzeTDSError(result.error);
+        integration.integrationStatus = 'FAILED';
+        integration.lastError = JSON.stringify(result); // Stringify to avoid EDM type error
+        integration.failureReason = 'REPAYMENT_FAILED';
+        integration.failureDescription = errorAnalysis.description || result.error || '';
+        integration.failureCategory = errorAnalysis.category || '';
+        integration.failedAt = new Date().toISOString();
 
-            return tenancyData;
-
-        } catch (error) {
-            this.context.log(`❌ Failed to fetch Alto data for ${integration.tenancyId}:`, error.message);
-            return null;
-        }
+        await this.archiveIntegration(integration, 'FAILED', integration.failureDescription);
+        return { status: 'permanently_failed', reason: 'repayment_failed', errorAnalysis };
     }
 
     /**
-     * Validate data completeness (synchronized with WorkflowOrchestrator logic)
+     * Process a pending source system write-back
+     * Retries the parts of the write-back (deposit reference, certificate) that have not succeeded yet
      */
-    validateDataCompleteness(altoData, previousMissingFields) {
-        const missingFields = {
-            tenancy: [],
-            property: [],
-            contacts: [],
-            deposit: []
-        };
+    async processPendingWriteBack(integration) {
+        const orchestrator = new TDSWorkflowOrchestrator(this.context, null, integration.sourceSystem || 'alto');
+        const result = await orchestrator.writeBackToSource({
+            tenancyId: integration.tenancyId,
+            agencyRef: integration.agencyRef,
+            branchId: integration.branchId
+        }, { fromPolling: true });
+
+        if (result.status === 'completed') {
+            this.context.log(`✅ ${integration.rowKey} DAN ${result.dan} written back to ${integration.sourceSystem || 'alto'}`);
+
+            integration.integrationStatus = 'COMPLETED';
+            integration.danNumber = result.dan || '';
+            integration.pendingReason = 'Write-back completed via polling service';
+
+            await this.archiveIntegration(integration, 'COMPLETED', integration.pendingReason);
+            return { status: 'completed', writeBack: result };
+        }
 
-        let isComplete = true;
+        if (result.status === 'skipped') {
+            this.context.log(`🚫 ${integration.rowKey} write-back skipped: ${result.reason}`);
 
-        // Check deposit scheme type - critical filter for TDS custodial tenancies
-        const depositSchemeType = altoData.tenancy?.depositSchemeType;
+            integration.integrationStatus = 'FAILED';
+            integration.pendingReason = result.reason;
+            integration.failedAt = new Date().toISOString();
 
-        // If depositSchemeType is present but not TDS Custodial or Unspecified, this is a permanent rejection
-        if (depositSchemeType &&
-            depositSchemeType !== 'DisputeServiceCustodial' &&
-            depositSchemeType !== 'Unspecified') {
-            this.context.log(`🚫 Tenancy rejected: Tenancy is not for TDS Custodial (scheme type: ${depositSchemeType})`);
-            // This tenancy is for a different scheme - permanently reject
-            return {
-                isComplete: false,
-                isPermanentRejection: true,
-                rejectionReason: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`,
-                missingFields: {},
-                summary: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`
-            };
+            await this.archiveIntegration(integration, 'FAILED', result.reason);
+            return { status: 'permanently_failed', reason: 'no_registered_deposit' };
         }
 
-        // If depositSchemeType is "Unspecified", treat as missing field (can continue polling)
-        if (!depositSchemeType || depositSchemeType === 'Unspecified') {
-            missingFields.tenancy.push('deposit scheme type');
-            isComplete = false;
-            this.context.log(`⏳ Deposit scheme type is unspecified - will continue polling`);
-        }
+        integration.integrationStatus = 'PENDING_DATA';
+        integration.pendingReason = `Write-back failed (will retry): ${result.lastError}`;
+        integration.lastError = result.lastError || '';
+        integration.nextPollAt = (await this.calculateNextPollTime(integration.pollCount, integration)).toISOString();
 
-        // Check deposit availability
-        const depositRequested = altoData.tenancy?.depositRequested;
-        const depositAmount = altoData.tenancy?.depositAmount;
-        const hasDepositInfo = (depositRequested !== undefined && depositRequested !== null) ||
-                              (depositAmount !== undefined && depositAmount !== null);
+        await this.updateIntegration(integration);
+        return { status: 'pending', reason: 'writeback_failed' };
+    }
 
-        if (!hasDepositInfo) {
-            missingFields.deposit.push('deposit amount');
-            isComplete = false;
+    /**
+     * Load polling settings from storage
+     */
+    async loadSettings() {
+        if (!this.settings) {
+            this.settings = await this.pollingSettingsManager.getSettingsOrDefaults();
+            this.context.log(`📊 Loaded polling settings: pendingPollInterval=${this.settings.pendingPollInterval}min, maxPollAttempts=${this.settings.maxPollAttempts}`);
         }
+        return this.settings;
+    }
 
-        // Check tenancy fields
-        const requiredTenancyFields = ['id', 'startDate'];
-        if (altoData.tenancy) {
-            requiredTenancyFields.forEach(field => {
-                if (!altoData.tenancy[field]) {
-                    missingFields.tenancy.push(field);
-                    isComplete = false;
-                }
-            });
-        } else {
-            missingFields.tenancy.push('entire tenancy data');
-            isComplete = false;
+    /**
+     * Get the organisation mapping for an integration (null when unavailable)
+     * Looked up once per organisation per run - the polling service processes many integrations per agency
+     */
+    getOrganizationMapping(integration) {
+        const branchId = integration.branchId || 'DEFAULT';
+        const key = `${integration.agencyRef}:${branchId}`;
+
+        if (!this.organizationMappings.has(key)) {
+            const mappingService = new OrganizationMappingService(this.context);
+            this.organizationMappings.set(key, mappingService.getMapping(integration.agencyRef, branchId)
+                .then(result => result?.mapping || null)
+                .catch(error => {
+                    this.context.warn(`⚠️ Could not load organisation mapping for ${key}: ${error.message}`);
+                    return null;
+                }));
         }
 
-        // Check property fields
-        if (altoData.property) {
-            if (!altoData.property.address) {
-                missingFields.property.push('address');
-                isComplete = false;
-            }
-            if (!altoData.property.id) {
-                missingFields.property.push('id');
-                isComplete = false;
-            }
-        } else {
-            missingFields.property.push('entire property data');
-            isComplete = false;
-        }
+        return this.organizationMappings.get(key);
+    }
 
-        // Check tenant contact information
-        if (!altoData.tenants || altoData.tenants.length === 0 ||
-            !altoData.tenants[0]?.items || altoData.tenants[0].items.length === 0 ||
-            !altoData.tenants[0].items[0]?.people || altoData.tenants[0].items[0].people.length === 0) {
-            missingFields.contacts.push('tenant contacts');
-            isComplete = false;
-        } else {
-            const tenant = altoData.tenants[0].items[0].people[0];
-            if (!tenant.forename || !tenant.surname) {
-                missingFields.contacts.push('tenant name (forename and surname)');
-                isComplete = false;
-            }
+    /**
+     * Resolve the polling policy for an integration - the organisation's overrides on top of the global settings
+     * (the global settings alone when no integration is given)
+     */
+    async getPollingPolicy(integration = null) {
+        const settings = await this.loadSettings();
+        const mapping = integration ? await this.getOrganizationMapping(integration) : null;
 
-            // Check tenant has either email or phone
-            const tenantHasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
-            const tenantHasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
-            if (!tenantHasEmail && !tenantHasPhone) {
-                missingFields.contacts.push('tenant contact (email or phone)');
-                isComplete = false;
-            }
-        }
+        return resolvePollingPolicy({ settings, organizationPolicy: mapping?.pollingPolicy });
+    }
+
+    /**
+     * Calculate next poll time with configurable exponential backoff (shared with new pending integrations and manual retries)
+     * Uses the integration's polling policy, and never falls inside the organisation's quiet hours
+     */
+    async calculateNextPollTime(pollCount, integration = null) {
+        const policy = await this.getPollingPolicy(integration);
+        const nextPollAt = scheduleNextPoll(pollCount, policy);
 
-        // Check landlord - try /landlords endpoint first, fall back to property.owners
-        const landlordSource = altoData.landlord || altoData.property?.owners?.[0];
+        this.context.log(`⏰ Next poll for attempt ${pollCount} at ${nextPollAt.toISOString()} (base: ${policy.pendingPollInterval} from ${policy.sources.pendingPollInterval}, multiplier: ${policy.backoffMultiplier} from ${policy.sources.backoffMultiplier})`);
 
-        if (!landlordSource) {
-            missingFields.contacts.push('landlord information');
-            isComplete = false;
-        } else {
-            // Handle both /landlords structure (flat: forename, surname) and property.owners structure (nested: name.forename)
-            const landlordForename = landlordSource.forename || landlordSource.name?.forename;
-            const landlordSurname = landlordSource.surname || landlordSource.name?.surname;
+        return nextPollAt;
+    }
 
-            if (!landlordForename || !landlordSurname) {
-                missingFields.contacts.push('landlord name (forename and surname)');
-                isComplete = false;
-            }
+    /**
+     * Fetch source system data for re-validation
+     * Uses the source adapter directly instead of HTTP (more secure, no auth needed for internal calls)
+     */
+    async fetchSourceData(integration) {
+        const sourceSystem = integration.sourceSystem || 'alto';
 
-            // Check landlord has either email or phone
-            // Handle both structures: flat (email, phone) vs nested (emailAddresses[], phoneNumbers[])
-            const landlordEmail = landlordSource.email ||
-                (landlordSource.emailAddresses && landlordSource.emailAddresses.length > 0 ? landlordSource.emailAddresses[0].address : null);
-            const landlordPhone = landlordSource.phone ||
-                (landlordSource.phoneNumbers && landlordSource.phoneNumbers.length > 0 ? landlordSource.phoneNumbers[0].number : null);
+        try {
+            const adapter = SourceAdapterFactory.getAdapter(sourceSystem, {
+                context: this.context,
+                timeout: 30000
+            });
 
-            if (!landlordEmail && !landlordPhone) {
-                missingFields.contacts.push('landlord contact (email or phone)');
-                isComplete = false;
-            }
+            // Fetch tenancy data directly (no HTTP call, no auth needed)
+            return await adapter.fetchTenancyData({
+                tenancyId: integration.tenancyId,
+                agencyRef: integration.agencyRef,
+                branchId: integration.branchId
+            }, {
+                environment: integration.environment || 'development',
+                effectiveBranchId: integration.branchId,
+                mapping: await this.getOrganizationMapping(integration)
+            });
 
-            // Check landlord address - must have all required TDS fields
-            if (!landlordSource.address ||
-                !landlordSource.address.postcode || landlordSource.address.postcode.trim() === '' ||
-                !landlordSource.address.nameNo || landlordSource.address.nameNo.trim() === '' ||
-                !landlordSource.address.street || landlordSource.address.street.trim() === '' ||
-                (!landlordSource.address.town && !landlordSource.address.locality) ||
-                ((landlordSource.address.town || '').trim() === '' && (landlordSource.address.locality || '').trim() === '')) {
-                missingFields.contacts.push('landlord address (nameNo, street, town, postcode required)');
-                isComplete = false;
-            }
+        } catch (error) {
+            this.context.log(`❌ Failed to fetch ${sourceSystem} data for ${integration.tenancyId}:`, error.message);
+            return null;
         }
+    }
 
-        const missingSummary = [];
-        Object.keys(missingFields).forEach(category => {
-            if (missingFields[category].length > 0) {
-                missingSummary.push(`${category}: ${missingFields[category].join(', ')}`);
-            }
-        });
+    /**
+     * Get the deposit schemes enabled in the organisation mapping (Custodial only if unavailable)
+     */
+    async getEnabledSchemes(integration) {
+        const mapping = await this.getOrganizationMapping(integration);
+        return mapping?.depositSchemes;
+    }
 
-        return {
-            isComplete,
-            missingFields,
-            summary: missingSummary.join('; ')
-        };
+    /**
+     * Validate data completeness (the shared completeness engine, as used by the workflow orchestrator)
+     */
+    validateDataCompleteness(adapter, sourceData, enabledSchemes) {
+        return evaluateCompleteness(adapter, sourceData, { enabledSchemes });
     }
 
     /**
      * Trigger workflow orchestrator
-     * Uses direct AltoTDSOrchestrator call instead of HTTP (more secure, no auth needed for internal calls)
+     * Uses direct TDSWorkflowOrchestrator call instead of HTTP (more secure, no auth needed for internal calls)
      */
-    async triggerWorkflowOrchestrator(workflowData) {
+    async triggerWorkflowOrchestrator(workflowData, sourceSystem = 'alto') {
         try {
             // Create orchestrator instance and execute workflow directly
             // No bearer token needed since this is an internal call
-            const orchestrator = new AltoTDSOrchestrator(this.context, null);
+            const orchestrator = new TDSWorkflowOrchestrator(this.context, null, sourceSystem);
             const result = await orchestrator.execute(workflowData);
 
             // Return result in same format as HTTP endpoint
@@ -871,6 +1080,12 @@ class PendingPollingServiceClass {
         try {
             integration.updatedAt = new Date().toISOString();
 
+            // Leaving PROCESSING releases the lease
+            const leased = integration.leaseOwner === this.leaseOwner;
+            if (integration.integrationStatus !== 'PROCESSING') {
+                Object.assign(integration, clearedLeaseFields());
+            }
+
             // Serialize complex objects for Azure Table Storage
             const updateEntity = { ...integration };
             if (updateEntity.lastError && typeof updateEntity.lastError === 'object') {
@@ -880,7 +1095,12 @@ class PendingPollingServiceClass {
                 updateEntity.missingFields = JSON.stringify(updateEntity.missingFields);
             }
 
-            await this.tableClient.updateEntity(updateEntity, 'Replace');
+            // Writes under a lease are fenced - they fail if the lease was reclaimed by someone else
+            if (leased) {
+                integration.etag = await updateLeasedEntity(this.tableClient, updateEntity, this.leaseOwner);
+            } else {
+                await this.tableClient.updateEntity(updateEntity, 'Replace');
+            }
             this.context.log(`✅ Updated integration ${integration.rowKey}`);
         } catch (error) {
             this.context.log(`❌ Failed to update integration ${integration.rowKey}:`, error.message);
@@ -1079,4 +1299,6 @@ class PendingPollingServiceClass {
 
     // Note: Integration audit logging methods have been replaced by the centralized IntegrationAuditLogger
     // This ensures consistent audit logging across all sources (DIRECT_WEBHOOK, PENDING_POLLING)
-}
\ No newline at end of file
+}
+
+module.exports = { PendingPollingServiceClass };
@@ -1,5 +1,8 @@
 const { app } = require('@azure/functions');
 const { TableClient } = require('@azure/data-tables');
+const { DEFAULT_POLLING_SETTINGS } = require('../../shared-services/shared/poll-backoff');
+const { resolvePollingPolicy, isWithinQuietHours } = require('../../shared-services/shared/polling-policy');
+const { OrganizationMappingService } = require('./OrganizationMapping');
 
 /**
  * Polling Settings Management Azure Function
@@ -7,6 +10,8 @@ const { TableClient } = require('@azure/data-tables');
  */
 
 // Get polling settings
+// ?integrationId=<pending integration> or ?agencyRef=<agency>&branchId=<branch> adds the effective policy for
+// that integration/organisation, with where each value came from (organization, global or default)
 app.http('GetPollingSettings', {
     methods: ['GET'],
     authLevel: 'anonymous',
@@ -18,11 +23,41 @@ app.http('GetPollingSettings', {
             const settingsManager = new PollingSettingsManager(context);
             const settings = await settingsManager.getSettings();
 
+            const integrationId = request.query.get('integrationId');
+            const agencyRef = request.query.get('agencyRef');
+
+            if (!integrationId && !agencyRef) {
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        settings: settings
+                    }
+                };
+            }
+
+            const effective = await settingsManager.getEffectivePolicy(settings, {
+                integrationId,
+                agencyRef,
+                branchId: request.query.get('branchId')
+            });
+
+            if (!effective) {
+                return {
+                    status: 404,
+                    jsonBody: {
+                        success: false,
+                        error: `Pending integration ${integrationId} not found`
+                    }
+                };
+            }
+
             return {
                 status: 200,
                 jsonBody: {
                     success: true,
-                    settings: settings
+                    settings: settings,
+                    ...effective
                 }
             };
 
@@ -159,10 +194,10 @@ class PollingSettingsManager {
             try {
                 const entity = await this.tableClient.getEntity(partitionKey, rowKey);
                 return {
-                    pendingPollInterval: entity.pendingPollInterval || 5,
-                    depositCheckInterval: entity.depositCheckInterval || 10,
-                    maxPollAttempts: entity.maxPollAttempts || 20,
-                    backoffMultiplier: entity.backoffMultiplier || 1.5,
+                    pendingPollInterval: entity.pendingPollInterval || DEFAULT_POLLING_SETTINGS.pendingPollInterval,
+                    depositCheckInterval: entity.depositCheckInterval || DEFAULT_POLLING_SETTINGS.depositCheckInterval,
+                    maxPollAttempts: entity.maxPollAttempts || DEFAULT_POLLING_SETTINGS.maxPollAttempts,
+                    backoffMultiplier: entity.backoffMultiplier || DEFAULT_POLLING_SETTINGS.backoffMultiplier,
                     lastUpdated: entity.lastUpdated,
                     updatedBy: entity.updatedBy || 'system'
                 };
@@ -171,10 +206,7 @@ class PollingSettingsManager {
                     // Return default settings if not found
                     this.context.log('📋 No polling settings found, returning defaults');
                     return {
-                        pendingPollInterval: 5,
-                        depositCheckInterval: 10,
-                        maxPollAttempts: 20,
-                        backoffMultiplier: 1.5,
+                        ...DEFAULT_POLLING_SETTINGS,
                         lastUpdated: null,
                         updatedBy: 'system'
                     };
@@ -187,6 +219,62 @@ class PollingSettingsManager {
         }
     }
 
+    /**
+     * Get settings, falling back to the defaults when they cannot be read
+     * (polling and scheduling carry on rather than failing on a settings outage)
+     */
+    async getSettingsOrDefaults() {
+        try {
+            return await this.getSettings();
+        } catch (error) {
+            this.context.log('⚠️ Failed to load polling settings, using defaults:', error.message);
+            return { ...DEFAULT_POLLING_SETTINGS };
+        }
+    }
+
+    /**
+     * Resolve the effective polling policy for a pending integration or an organisation
+     *
+     * @param {Object} settings - Global polling settings
+     * @param {Object} target - { integrationId } or { agencyRef, branchId }
+     * @returns {Promise<Object|null>} { organization, effectivePolicy } - null when the integration does not exist
+     */
+    async getEffectivePolicy(settings, { integrationId, agencyRef, branchId }) {
+        if (integrationId) {
+            const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+            const pendingTableClient = TableClient.fromConnectionString(connectionString, 'PendingIntegrations');
+
+            try {
+                const integration = await pendingTableClient.getEntity('PendingIntegration', integrationId);
+                agencyRef = integration.agencyRef;
+                branchId = integration.branchId;
+            } catch (error) {
+                if (error.statusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        const mappingService = new OrganizationMappingService(this.context);
+        const result = await mappingService.getMapping(agencyRef, branchId || 'DEFAULT');
+        const policy = resolvePollingPolicy({ settings, organizationPolicy: result?.mapping?.pollingPolicy });
+
+        return {
+            organization: {
+                integrationId: integrationId || null,
+                agencyRef,
+                branchId: branchId || 'DEFAULT',
+                organizationName: result?.mapping?.organizationName || null,
+                mappingFound: !!result
+            },
+            effectivePolicy: {
+                ...policy,
+                inQuietHours: isWithinQuietHours(policy.quietHours)
+            }
+        };
+    }
+
     async saveSettings(settings) {
         try {
             const partitionKey = 'PollingSettings';
@@ -69,6 +69,36 @@ async function lookupPostcodeFromAPI(postcode) {
     }
 }
 
+/**
+ * Lookup a batch of postcodes (POST /api/postcode, and direct calls from the workflow orchestrator)
+ * A failed lookup is returned as { found: false, error } for that postcode only
+ */
+async function lookupPostcodeBatch(postcodes) {
+    return Promise.all(
+        postcodes.map(async (postcode) => {
+            try {
+                const result = await lookupPostcodeFromAPI(postcode);
+                return {
+                    postcode: result.postcode || postcode,
+                    county: result.county,
+                    country: result.country,
+                    region: result.region,
+                    found: result.success,
+                    cached: result.cached,
+                    ...(result.success ? {} : { error: result.error })
+                };
+            } catch (error) {
+                return {
+                    postcode,
+                    county: null,
+                    found: false,
+                    error: error.message
+                };
+            }
+        })
+    );
+}
+
 /**
  * PostcodeLookup Azure Function
  * GET /api/postcode/{postcode} - Single lookup
@@ -186,28 +216,7 @@ app.http('PostcodeLookup', {
                 const postcodes = validatedBody.postcodes;
 
                 // Lookup all postcodes
-                const results = await Promise.all(
-                    postcodes.map(async (postcode) => {
-                        try {
-                            const result = await lookupPostcodeFromAPI(postcode);
-                            return {
-                                postcode: result.postcode || postcode,
-                                county: result.county,
-                                country: result.country,
-                                region: result.region,
-                                found: result.success,
-                                cached: result.cached
-                            };
-                        } catch (error) {
-                            return {
-                                postcode,
-                                county: null,
-                                found: false,
-                                error: error.message
-                            };
-                        }
-                    })
-                );
+                const results = await lookupPostcodeBatch(postcodes);
 
                 const responseTime = Date.now() - startTime;
                 const foundCount = results.filter(r => r.found).length;
@@ -236,4 +245,6 @@ app.http('PostcodeLookup', {
             };
         }
     }
-});
\ No newline at end of file
+});
+
+module.exports = { lookupPostcodeBatch };
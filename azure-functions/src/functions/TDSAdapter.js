@@ -8,6 +8,7 @@ const { validateRequestBody, schemas, formatValidationError } = require('../../s
 const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
 const { OrganizationMappingService } = require('./OrganizationMapping');
 const { loadTDSSettings } = require('../../shared-services/shared/service-helpers');
+const { normalizeSchemeRegion, getRegionCredentials, REGION_NAMES } = require('../../shared-services/shared/deposit-schemes');
 
 /**
  * Sanitize string for Salesforce API - removes special characters that Salesforce rejects
@@ -138,7 +139,7 @@ class CurrentTDSProvider extends TDSProviderInterface {
             branch_id: orgConfig.branchId,
             api_key: orgConfig.apiKey,
             region: 'EW',
-            scheme_type: 'Custodial',
+            scheme_type: depositData.schemeType || 'Custodial',
             tenancy: [{
                 user_tenancy_reference: depositData.tenancyId,
                 property_id: depositData.property?.id || 1,
@@ -190,6 +191,18 @@ class CurrentTDSProvider extends TDSProviderInterface {
                 tenantPerson.person_mobile = tenant.phone;
             }
 
+            // Forwarding address (optional) with the county from its own postcode lookup
+            if (tenant.address?.postcode) {
+                Object.assign(tenantPerson, {
+                    person_paon: tenant.address.nameNo,
+                    person_street: tenant.address.street,
+                    person_town: tenant.address.town || tenant.address.locality,
+                    person_administrative_area: tenant.county,
+                    person_postcode: tenant.address.postcode,
+                    person_country: 'United Kingdom'
+                });
+            }
+
             people.push(tenantPerson);
         });
 
@@ -434,6 +447,45 @@ class CurrentTDSProvider extends TDSProviderInterface {
         return formattedErrors.join('; ');
     }
 
+    /**
+     * Amend an existing deposit (same payload as CreateDeposit, keyed by DAN)
+     */
+    async updateDeposit(dan, depositData, orgConfig) {
+        try {
+            const tdsPayload = this.buildTDSPayload(depositData, orgConfig || {
+                memberId: this.memberId,
+                branchId: this.branchId,
+                apiKey: this.apiKey
+            });
+            tdsPayload.tenancy[0].dan = dan;
+
+            if (this.context) {
+                this.context.log(`📤 Submitting amendment for DAN ${dan} to TDS UpdateDeposit endpoint`);
+            }
+            const response = await this.makeRequest('POST', '/UpdateDeposit', tdsPayload);
+
+            if (!response.success) {
+                throw new Error(`TDS deposit amendment failed: ${response.error || 'Unknown error'}`);
+            }
+
+            return {
+                success: true,
+                dan,
+                status: 'amended',
+                batch_id: response.batch_id,
+                provider: 'current-tds'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                dan,
+                error: error.message,
+                provider: 'current-tds'
+            };
+        }
+    }
+
     async getDepositStatus(depositId) {
         try {
             const response = await this.makeRequest('GET', `/deposits/${depositId}`);
@@ -561,8 +613,13 @@ class SalesforceTDSProvider extends TDSProviderInterface {
                     tenantPerson.person_mobile = tenant.phone;
                 }
 
-                // Note: Tenants don't have addresses in Alto workflow
-                // Salesforce TDS does not require tenant address
+                // Salesforce TDS does not require a tenant address - send the forwarding address when there is one
+                if (tenant.address?.postcode) {
+                    tenantPerson.person_paon = sanitizeForSalesforce(tenant.address.nameNo || '');
+                    tenantPerson.person_street = sanitizeForSalesforce(tenant.address.street || '');
+                    tenantPerson.person_town = sanitizeForSalesforce(tenant.address.town || '');
+                    tenantPerson.person_postcode = tenant.address.postcode;
+                }
 
                 people.push(tenantPerson);
             });
@@ -649,6 +706,12 @@ class SalesforceTDSProvider extends TDSProviderInterface {
             payload.tenancy.property_saon = sanitizeForSalesforce(depositData.property.address.subDwelling);
         }
 
+        // Insured scheme: the deposit stays with the member agent, and TDS charges a protection fee
+        if (depositData.schemeType === 'Insured') {
+            payload.tenancy.deposit_held_by = depositData.depositHeldBy || 'Agent';
+            payload.tenancy.protection_fee_paid_by = depositData.protectionFeePaidBy || 'Agent';
+        }
+
         return payload;
     }
 
@@ -962,6 +1025,54 @@ class SalesforceTDSProvider extends TDSProviderInterface {
         };
     }
 
+    /**
+     * Amend an existing deposit in Salesforce TDS (same payload as depositcreation, keyed by DAN)
+     */
+    async updateDeposit(dan, depositData, orgConfig) {
+        try {
+            if (this.context) {
+                this.context.log(`💼 Amending Salesforce TDS deposit ${dan}...`);
+            }
+
+            const payload = this.buildSalesforcePayload(depositData);
+            payload.tenancy.dan = dan;
+
+            const response = await this.makeRequest(
+                'POST',
+                '/services/apexrest/depositupdate',
+                payload
+            );
+
+            // Salesforce returns "Success" (capital S) not "success"
+            const isSuccess = response.Success === 'true' || response.Success === true || response.success === true;
+
+            if (!isSuccess) {
+                throw new Error(`Salesforce deposit amendment failed: ${response.error || 'Unknown error'}`);
+            }
+
+            return {
+                success: true,
+                dan,
+                status: 'amended',
+                batch_id: response.batch_id,
+                provider: 'salesforce-tds'
+            };
+
+        } catch (error) {
+            if (this.context) {
+                this.context.log(`❌ Salesforce deposit amendment error:`, error.message);
+            }
+
+            return {
+                success: false,
+                dan,
+                error: error.message,
+                provider: 'salesforce-tds',
+                details: error.response?.data || error.message
+            };
+        }
+    }
+
     async getDepositStatus(depositId) {
         try {
             const response = await this.makeRequest(
@@ -987,6 +1098,10 @@ class SalesforceTDSProvider extends TDSProviderInterface {
     }
 }
 
+// The legacy TDS API only registers England & Wales Custodial deposits
+const INSURED_REQUIRES_SALESFORCE = 'Insured deposits can only be registered through Salesforce TDS - set the organization\'s TDS provider preference to salesforce or auto';
+const REGION_REQUIRES_SALESFORCE = 'Scotland and Northern Ireland deposits can only be registered through Salesforce TDS - set the organization\'s TDS provider preference to salesforce or auto';
+
 /**
  * TDS Adapter Factory
  */
@@ -1003,6 +1118,381 @@ class TDSAdapterFactory {
     }
 }
 
+/**
+ * TDS Deposit Service
+ * Resolves organization credentials and TDS settings, then routes deposit operations
+ * to the preferred provider (or both in dual mode). Used by the TDSAdapter HTTP function
+ * and directly by the workflow orchestrator (no HTTP, no auth needed for internal calls)
+ */
+class TDSDepositService {
+    constructor(context) {
+        this.context = context;
+    }
+
+    /**
+     * Resolve provider configuration for an organization
+     * Falls back to environment defaults when no agencyRef is given or no mapping exists
+     */
+    async resolveProviders(agencyRef = null, branchId = null) {
+        const context = this.context;
+
+        let legacyConfig = {};
+        let salesforceConfig = {};
+        let salesforceRegions = {};
+        let orgEnvironment = 'development'; // Default to development
+        let tdsProviderPreference = process.env.TDS_ACTIVE_PROVIDER || 'current'; // Default from env or 'current'
+
+        if (agencyRef) {
+            try {
+                // Use direct OrganizationMappingService (no HTTP, no auth needed for internal calls)
+                const mappingService = new OrganizationMappingService(context);
+                const result = await mappingService.getMapping(agencyRef, branchId || 'DEFAULT');
+
+                if (result && result.mapping) {
+                    const mapping = result.mapping;
+
+                    // Store both sets of credentials separately
+                    legacyConfig = {
+                        apiKey: mapping.legacy?.apiKey,
+                        memberId: mapping.legacy?.memberId,
+                        branchId: mapping.legacy?.branchId
+                    };
+
+                    salesforceRegions = mapping.salesforceRegions || {};
+
+                    salesforceConfig = {
+                        apiKey: mapping.salesforce?.apiKey,
+                        memberId: mapping.salesforce?.memberId,
+                        branchId: mapping.salesforce?.branchId,
+                        region: mapping.salesforce?.region,
+                        schemeType: mapping.salesforce?.schemeType,
+                        authMethod: mapping.salesforce?.authMethod,
+                        clientId: mapping.salesforce?.clientId,
+                        clientSecret: mapping.salesforce?.clientSecret
+                    };
+
+                    // Get environment from organization mapping
+                    orgEnvironment = mapping.environment || 'development';
+                    // Get TDS provider preference from organization mapping
+                    tdsProviderPreference = mapping.tdsProviderPreference || 'auto';
+
+                    context.log(`📊 Organization Mapping Found:`);
+                    context.log(`   Environment: ${orgEnvironment}`);
+                    context.log(`   TDS Provider: ${tdsProviderPreference}`);
+                    if (legacyConfig.memberId) {
+                        context.log(`   Legacy - Member: ${legacyConfig.memberId}, Branch: ${legacyConfig.branchId}`);
+                    }
+                    if (salesforceConfig.memberId) {
+                        context.log(`   Salesforce - Member: ${salesforceConfig.memberId}, Branch: ${salesforceConfig.branchId}`);
+                    }
+                }
+            } catch (error) {
+                context.warn('Failed to lookup organization mapping, using defaults:', error.message);
+            }
+        }
+
+        // Fetch TDS Settings to get dynamic API URLs
+        // Use direct loadTDSSettings helper (no HTTP, no auth needed for internal calls)
+        let tdsSettings = null;
+        try {
+            tdsSettings = await loadTDSSettings(context);
+            context.log(`✅ TDS Settings loaded successfully for ${orgEnvironment} environment`);
+        } catch (error) {
+            context.warn('Failed to load TDS settings, using defaults:', error.message);
+        }
+
+        // Determine TDS URLs based on environment and settings
+        const legacyTdsUrl = tdsSettings
+            ? (orgEnvironment === 'production' ? tdsSettings.production.legacyTdsApi : tdsSettings.development.legacyTdsApi)
+            : (process.env.TDS_CURRENT_BASE_URL || 'https://sandbox.api.custodial.tenancydepositscheme.com/v1.2');
+
+        const salesforceTdsUrl = tdsSettings
+            ? (orgEnvironment === 'production' ? tdsSettings.production.salesforceTdsApi : tdsSettings.development.salesforceTdsApi)
+            : process.env.SALESFORCE_INSTANCE_URL;
+
+        // Provider configuration with dynamic URLs and provider-specific credentials
+        const providerConfigs = {
+            current: {
+                baseUrl: legacyTdsUrl,
+                apiKey: legacyConfig.apiKey || process.env.TDS_API_KEY,
+                memberId: legacyConfig.memberId || process.env.TDS_MEMBER_ID,
+                branchId: legacyConfig.branchId || process.env.TDS_BRANCH_ID
+            },
+            salesforce: {
+                instanceUrl: salesforceTdsUrl,
+                apiKey: salesforceConfig.apiKey || process.env.SALESFORCE_API_KEY,
+                memberId: salesforceConfig.memberId || process.env.SALESFORCE_MEMBER_ID,
+                branchId: salesforceConfig.branchId || process.env.SALESFORCE_BRANCH_ID,
+                region: salesforceConfig.region,
+                schemeType: salesforceConfig.schemeType,
+                authMethod: salesforceConfig.authMethod,
+                clientId: salesforceConfig.clientId,
+                clientSecret: salesforceConfig.clientSecret
+            }
+        };
+
+        return {
+            providerConfigs,
+            providerCredentials: { current: legacyConfig, salesforce: salesforceConfig },
+            salesforceRegions,
+            tdsProviderPreference,
+            orgEnvironment
+        };
+    }
+
+    /**
+     * Get a provider instance from resolved configuration
+     */
+    getProvider(providerType, resolved) {
+        return TDSAdapterFactory.getProvider(providerType, {
+            ...resolved.providerConfigs[providerType],
+            context: this.context
+        });
+    }
+
+    /**
+     * Route a deposit to the provider and credentials for its scheme and region
+     * Deposits for a property outside the organization's own region (Scotland, Northern Ireland)
+     * use the organization's credentials for that region. The legacy TDS API only registers
+     * England & Wales Custodial deposits, so Insured and other regions always go to Salesforce TDS
+     *
+     * @returns {Object} - { tdsProviderPreference } ('auto', 'current' or 'salesforce') or { error }
+     */
+    applySchemeRouting(depositData, resolved) {
+        const region = depositData.region;
+        const homeRegion = normalizeSchemeRegion(resolved.providerCredentials.salesforce.region);
+
+        if (region && region !== homeRegion) {
+            const credentials = getRegionCredentials({ salesforceRegions: resolved.salesforceRegions }, region);
+
+            if (!credentials) {
+                this.context.warn(`⚠️ Deposit for a property in ${REGION_NAMES[region]} but the organization has no credentials for that region`);
+                return { error: `No ${REGION_NAMES[region]} scheme credentials configured for this organization` };
+            }
+
+            resolved.providerConfigs.salesforce = {
+                ...resolved.providerConfigs.salesforce,
+                apiKey: credentials.apiKey,
+                memberId: credentials.memberId,
+                branchId: credentials.branchId,
+                region: credentials.region,
+                schemeType: credentials.schemeType,
+                authMethod: credentials.authMethod,
+                clientId: credentials.clientId,
+                clientSecret: credentials.clientSecret
+            };
+            resolved.providerCredentials.salesforce = credentials;
+
+            this.context.log(`🗺️ ${REGION_NAMES[region]} property - using regional credentials (Member: ${credentials.memberId}, Branch: ${credentials.branchId})`);
+        }
+
+        const isInsured = depositData.schemeType === 'Insured';
+        const isOutsideEW = !!region && region !== 'EW';
+
+        if (!isInsured && !isOutsideEW) {
+            return { tdsProviderPreference: resolved.tdsProviderPreference };
+        }
+
+        if (resolved.tdsProviderPreference === 'current') {
+            this.context.warn('⚠️ Deposit not supported by the legacy TDS API for an organization whose TDS provider preference is current (legacy only)');
+            return { error: isInsured ? INSURED_REQUIRES_SALESFORCE : REGION_REQUIRES_SALESFORCE };
+        }
+
+        if (isInsured) {
+            resolved.providerConfigs.salesforce.schemeType = 'Insured';
+            resolved.providerCredentials.salesforce = { ...resolved.providerCredentials.salesforce, schemeType: 'Insured' };
+            this.context.log('🛡️ Insured deposit - routing to Salesforce TDS (Insured scheme)');
+        } else {
+            this.context.log(`🗺️ ${REGION_NAMES[region]} deposit - routing to Salesforce TDS only`);
+        }
+
+        return { tdsProviderPreference: 'salesforce' };
+    }
+
+    /**
+     * Determine the provider a deposit would be sent to
+     * Resolves the organization's providers, then applies scheme and region routing
+     *
+     * @returns {Object} - { resolved, tdsProviderPreference } or { resolved, error }
+     */
+    async determineProvider(depositData) {
+        const resolved = await this.resolveProviders(depositData.agencyRef, depositData.branchId);
+        const { tdsProviderPreference, error } = this.applySchemeRouting(depositData, resolved);
+
+        return { resolved, tdsProviderPreference, error };
+    }
+
+    /**
+     * Preview a deposit without submitting it (workflow dry run)
+     * Builds the payload in both the legacy and Salesforce formats with the transformers
+     * createDeposit uses, and reports which provider(s) would receive it
+     *
+     * @returns {Object} - { provider, mode, error, legacy: { payload, error }, salesforce: { payload, error } }
+     */
+    async previewDeposit(depositData) {
+        const { resolved, tdsProviderPreference, error } = await this.determineProvider(depositData);
+        const { providerCredentials } = resolved;
+
+        const build = (providerType, transform) => {
+            try {
+                return { payload: transform(this.getProvider(providerType, resolved)) };
+            } catch (buildError) {
+                return { payload: null, error: buildError.message };
+            }
+        };
+
+        const legacy = build('current', provider => {
+            const payload = provider.buildTDSPayload(depositData, providerCredentials.current);
+            return { ...payload, api_key: payload.api_key ? '***' : payload.api_key };  // Sanitized
+        });
+        const salesforce = build('salesforce', provider => provider.buildSalesforcePayload(depositData));
+
+        return {
+            provider: error ? null : tdsProviderPreference,
+            mode: error ? null : (tdsProviderPreference === 'auto' ? 'dual' : 'single'),
+            ...(error && { error }),
+            legacy: {
+                ...legacy,
+                memberId: resolved.providerConfigs.current.memberId,
+                branchId: resolved.providerConfigs.current.branchId
+            },
+            salesforce: {
+                ...salesforce,
+                memberId: resolved.providerConfigs.salesforce.memberId,
+                branchId: resolved.providerConfigs.salesforce.branchId,
+                region: resolved.providerConfigs.salesforce.region || 'EW',
+                schemeType: resolved.providerConfigs.salesforce.schemeType || 'Custodial'
+            }
+        };
+    }
+
+    /**
+     * Create a deposit with the organization's preferred provider (both in dual mode)
+     */
+    async createDeposit(depositData) {
+        const { resolved, tdsProviderPreference, error } = await this.determineProvider(depositData);
+        const { providerCredentials } = resolved;
+
+        if (error) {
+            return { success: false, error };
+        }
+
+        this.context.log(`🎯 TDS operation: create using provider preference: ${tdsProviderPreference}`);
+
+        if (tdsProviderPreference === 'auto') {
+            // Dual Mode - Send to BOTH providers
+            this.context.log('🔄 Dual Mode: Sending to both Legacy and Salesforce TDS APIs');
+
+            const currentProvider = this.getProvider('current', resolved);
+            const salesforceProvider = this.getProvider('salesforce', resolved);
+
+            // Send to both in parallel (credentials already in provider configs)
+            const [currentResult, salesforceResult] = await Promise.allSettled([
+                currentProvider.createDeposit(depositData, providerCredentials.current),
+                salesforceProvider.createDeposit(depositData, providerCredentials.salesforce)
+            ]);
+
+            const currentData = currentResult.status === 'fulfilled' ? currentResult.value : { success: false, error: currentResult.reason?.message };
+            const salesforceData = salesforceResult.status === 'fulfilled' ? salesforceResult.value : { success: false, error: salesforceResult.reason?.message };
+
+            this.context.log(`📊 Legacy Result: ${currentData.success ? '✅ Success' : '❌ Failed'}`);
+            this.context.log(`📊 Salesforce Result: ${salesforceData.success ? '✅ Success' : '❌ Failed'}`);
+
+            // Return combined result (consider successful if at least one succeeded)
+            return {
+                success: currentData.success || salesforceData.success,
+                mode: 'dual',
+                legacy: currentData,
+                salesforce: salesforceData
+            };
+        }
+
+        // Single Mode - Send to specific provider ('current' or 'salesforce')
+        const provider = this.getProvider(tdsProviderPreference, resolved);
+
+        // Pass the correct credentials based on provider
+        const createResult = await provider.createDeposit(depositData, providerCredentials[tdsProviderPreference]);
+
+        return {
+            ...createResult,
+            provider: tdsProviderPreference
+        };
+    }
+
+    /**
+     * Amend an existing deposit
+     *
+     * @param {Object} providerDans - DAN per provider ({ current, salesforce })
+     * @param {Object} depositData - Full deposit model with the amended values
+     * @param {Array} changes - Changed fields (from diffDepositPayloads), for logging
+     */
+    async amendDeposit(providerDans, depositData, changes = []) {
+        const { resolved, tdsProviderPreference, error } = await this.determineProvider(depositData);
+        const { providerCredentials } = resolved;
+
+        if (error) {
+            return { success: false, error };
+        }
+
+        this.context.log(`🎯 TDS operation: amend (${changes.map(c => c.field).join(', ') || 'full payload'}) using provider preference: ${tdsProviderPreference}`);
+
+        if (tdsProviderPreference === 'auto') {
+            // Dual Mode - amend the deposit with every provider that registered it
+            const targets = ['current', 'salesforce'].filter(p => providerDans[p]);
+
+            if (targets.length === 0) {
+                return { success: false, error: 'No DAN recorded for any TDS provider' };
+            }
+
+            const results = await Promise.allSettled(targets.map(p =>
+                this.getProvider(p, resolved).updateDeposit(providerDans[p], depositData, providerCredentials[p])
+            ));
+
+            const byProvider = {};
+            targets.forEach((p, index) => {
+                byProvider[p] = results[index].status === 'fulfilled'
+                    ? results[index].value
+                    : { success: false, error: results[index].reason?.message };
+            });
+
+            return {
+                success: Object.values(byProvider).some(r => r.success),
+                mode: 'dual',
+                legacy: byProvider.current,
+                salesforce: byProvider.salesforce
+            };
+        }
+
+        const dan = providerDans[tdsProviderPreference] || providerDans.current || providerDans.salesforce;
+        if (!dan) {
+            return { success: false, error: 'No DAN recorded for the deposit' };
+        }
+
+        const provider = this.getProvider(tdsProviderPreference, resolved);
+        const amendResult = await provider.updateDeposit(dan, depositData, providerCredentials[tdsProviderPreference]);
+
+        return {
+            ...amendResult,
+            provider: tdsProviderPreference
+        };
+    }
+
+    /**
+     * Get deposit status from the primary provider (current for 'auto', otherwise the preference)
+     */
+    async getDepositStatus(depositId, agencyRef = null, branchId = null) {
+        const resolved = await this.resolveProviders(agencyRef, branchId);
+        const statusProvider = resolved.tdsProviderPreference === 'auto' ? 'current' : resolved.tdsProviderPreference;
+
+        const statusResult = await this.getProvider(statusProvider, resolved).getDepositStatus(depositId);
+
+        return {
+            ...statusResult,
+            provider: statusProvider
+        };
+    }
+}
+
 /**
  * TDS Adapter Azure Function
  * Handles deposit operations with hot-swappable TDS providers
@@ -1032,118 +1522,15 @@ app.http('TDSAdapter', {
             const action = request.params.action;
             const depositId = request.params.depositId;
 
-            // Get organization mapping if provided
-            let legacyConfig = {};
-            let salesforceConfig = {};
-            let orgEnvironment = 'development'; // Default to development
-            let tdsProviderPreference = process.env.TDS_ACTIVE_PROVIDER || 'current'; // Default from env or 'current'
-            let requestData = {};
-
-            // Read request data only once
-            if (request.method === 'POST' && action === 'create') {
-                requestData = await request.json();
-            }
-
-            if (requestData.agencyRef) {
-                try {
-                    // Use direct OrganizationMappingService (no HTTP, no auth needed for internal calls)
-                    const mappingService = new OrganizationMappingService(context);
-                    const result = await mappingService.getMapping(
-                        requestData.agencyRef,
-                        requestData.branchId || 'DEFAULT'
-                    );
-
-                    if (result && result.mapping) {
-                        const mapping = result.mapping;
-
-                        // Store both sets of credentials separately
-                        legacyConfig = {
-                            apiKey: mapping.legacy?.apiKey,
-                            memberId: mapping.legacy?.memberId,
-                            branchId: mapping.legacy?.branchId
-                        };
-
-                        salesforceConfig = {
-                            apiKey: mapping.salesforce?.apiKey,
-                            memberId: mapping.salesforce?.memberId,
-                            branchId: mapping.salesforce?.branchId,
-                            region: mapping.salesforce?.region,
-                            schemeType: mapping.salesforce?.schemeType,
-                            authMethod: mapping.salesforce?.authMethod,
-                            clientId: mapping.salesforce?.clientId,
-                            clientSecret: mapping.salesforce?.clientSecret
-                        };
-
-                        // Get environment from organization mapping
-                        orgEnvironment = mapping.environment || 'development';
-                        // Get TDS provider preference from organization mapping
-                        tdsProviderPreference = mapping.tdsProviderPreference || 'auto';
-
-                        context.log(`📊 Organization Mapping Found:`);
-                        context.log(`   Environment: ${orgEnvironment}`);
-                        context.log(`   TDS Provider: ${tdsProviderPreference}`);
-                        if (legacyConfig.memberId) {
-                            context.log(`   Legacy - Member: ${legacyConfig.memberId}, Branch: ${legacyConfig.branchId}`);
-                        }
-                        if (salesforceConfig.memberId) {
-                            context.log(`   Salesforce - Member: ${salesforceConfig.memberId}, Branch: ${salesforceConfig.branchId}`);
-                        }
-                    }
-                } catch (error) {
-                    context.warn('Failed to lookup organization mapping, using defaults:', error.message);
-                }
-            }
-
-            // Fetch TDS Settings to get dynamic API URLs
-            // Use direct loadTDSSettings helper (no HTTP, no auth needed for internal calls)
-            let tdsSettings = null;
-            try {
-                tdsSettings = await loadTDSSettings(context);
-                context.log(`✅ TDS Settings loaded successfully for ${orgEnvironment} environment`);
-            } catch (error) {
-                context.warn('Failed to load TDS settings, using defaults:', error.message);
-            }
-
-            // Determine TDS URLs based on environment and settings
-            const legacyTdsUrl = tdsSettings
-                ? (orgEnvironment === 'production' ? tdsSettings.production.legacyTdsApi : tdsSettings.development.legacyTdsApi)
-                : (process.env.TDS_CURRENT_BASE_URL || 'https://sandbox.api.custodial.tenancydepositscheme.com/v1.2');
-
-            const salesforceTdsUrl = tdsSettings
-                ? (orgEnvironment === 'production' ? tdsSettings.production.salesforceTdsApi : tdsSettings.development.salesforceTdsApi)
-                : process.env.SALESFORCE_INSTANCE_URL;
-
-            // Provider configuration with dynamic URLs and provider-specific credentials
-            const providerConfigs = {
-                current: {
-                    baseUrl: legacyTdsUrl,
-                    apiKey: legacyConfig.apiKey || process.env.TDS_API_KEY,
-                    memberId: legacyConfig.memberId || process.env.TDS_MEMBER_ID,
-                    branchId: legacyConfig.branchId || process.env.TDS_BRANCH_ID
-                },
-                salesforce: {
-                    instanceUrl: salesforceTdsUrl,
-                    apiKey: salesforceConfig.apiKey || process.env.SALESFORCE_API_KEY,
-                    memberId: salesforceConfig.memberId || process.env.SALESFORCE_MEMBER_ID,
-                    branchId: salesforceConfig.branchId || process.env.SALESFORCE_BRANCH_ID,
-                    region: salesforceConfig.region,
-                    schemeType: salesforceConfig.schemeType,
-                    authMethod: salesforceConfig.authMethod,
-                    clientId: salesforceConfig.clientId,
-                    clientSecret: salesforceConfig.clientSecret
-                }
-            };
-
-            context.log(`🎯 TDS operation: ${action} using provider preference: ${tdsProviderPreference}`);
+            const tdsService = new TDSDepositService(context);
 
             switch (action) {
-                case 'create':
+                case 'create': {
                     if (request.method !== 'POST') {
                         return { status: 405, jsonBody: { error: 'POST method required for create' } };
                     }
 
-                    // Use the requestData we already read
-                    let depositData = requestData;
+                    let depositData = await request.json();
 
                     // ✅ HIGH-006 FIX: Validate TDS deposit create request body
                     try {
@@ -1162,71 +1549,73 @@ app.http('TDSAdapter', {
                         throw validationError;
                     }
 
-                    // Handle different provider preferences
-                    if (tdsProviderPreference === 'auto') {
-                        // Dual Mode - Send to BOTH providers
-                        context.log('🔄 Dual Mode: Sending to both Legacy and Salesforce TDS APIs');
-
-                        const currentProvider = TDSAdapterFactory.getProvider('current', {
-                            ...providerConfigs.current,
-                            context: context
-                        });
-
-                        const salesforceProvider = TDSAdapterFactory.getProvider('salesforce', {
-                            ...providerConfigs.salesforce,
-                            context: context
-                        });
+                    const createResult = await tdsService.createDeposit(depositData);
 
-                        // Send to both in parallel (credentials already in provider configs)
-                        const [currentResult, salesforceResult] = await Promise.allSettled([
-                            currentProvider.createDeposit(depositData, legacyConfig),
-                            salesforceProvider.createDeposit(depositData, salesforceConfig)
-                        ]);
+                    return {
+                        status: createResult.success ? 201 : 400,
+                        jsonBody: {
+                            ...createResult,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
 
-                        const currentData = currentResult.status === 'fulfilled' ? currentResult.value : { success: false, error: currentResult.reason?.message };
-                        const salesforceData = salesforceResult.status === 'fulfilled' ? salesforceResult.value : { success: false, error: salesforceResult.reason?.message };
+                case 'amend': {
+                    if (request.method !== 'POST' && request.method !== 'PUT') {
+                        return { status: 405, jsonBody: { error: 'POST or PUT method required for amend' } };
+                    }
 
-                        context.log(`📊 Legacy Result: ${currentData.success ? '✅ Success' : '❌ Failed'}`);
-                        context.log(`📊 Salesforce Result: ${salesforceData.success ? '✅ Success' : '❌ Failed'}`);
+                    if (!depositId) {
+                        return { status: 400, jsonBody: { error: 'DAN required' } };
+                    }
 
-                        // Return combined result (consider successful if at least one succeeded)
-                        const overallSuccess = currentData.success || salesforceData.success;
+                    const { error: danError } = schemas.depositId.validate(depositId);
+                    if (danError) {
+                        context.warn('❌ DAN validation failed:', danError.message);
 
                         return {
-                            status: overallSuccess ? 201 : 400,
+                            status: 400,
                             jsonBody: {
-                                success: overallSuccess,
-                                mode: 'dual',
-                                legacy: currentData,
-                                salesforce: salesforceData,
+                                success: false,
+                                error: 'Invalid DAN format',
+                                message: danError.message,
                                 timestamp: new Date().toISOString()
                             }
                         };
+                    }
 
-                    } else {
-                        // Single Mode - Send to specific provider
-                        const activeProvider = tdsProviderPreference; // 'current' or 'salesforce'
-
-                        const provider = TDSAdapterFactory.getProvider(activeProvider, {
-                            ...providerConfigs[activeProvider],
-                            context: context
-                        });
+                    let amendData = await request.json();
 
-                        // Pass the correct credentials based on provider
-                        const providerCredentials = activeProvider === 'current' ? legacyConfig : salesforceConfig;
-                        const createResult = await provider.createDeposit(depositData, providerCredentials);
+                    try {
+                        amendData = validateRequestBody(amendData, schemas.tdsDepositCreate);
+                        context.log('✅ TDS deposit amend validation passed');
+                    } catch (validationError) {
+                        if (validationError.name === 'ValidationError') {
+                            context.warn('❌ TDS deposit amend validation failed:', validationError.validationErrors);
 
-                        return {
-                            status: createResult.success ? 201 : 400,
-                            jsonBody: {
-                                ...createResult,
-                                provider: activeProvider,
-                                timestamp: new Date().toISOString()
-                            }
-                        };
+                            return {
+                                status: 400,
+                                jsonBody: formatValidationError(validationError)
+                            };
+                        }
+                        throw validationError;
                     }
 
-                case 'status':
+                    const amendResult = await tdsService.amendDeposit(
+                        { current: depositId, salesforce: depositId },
+                        amendData
+                    );
+
+                    return {
+                        status: amendResult.success ? 200 : 400,
+                        jsonBody: {
+                            ...amendResult,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
+
+                case 'status': {
                     if (!depositId) {
                         return { status: 400, jsonBody: { error: 'Deposit ID required' } };
                     }
@@ -1252,25 +1641,20 @@ app.http('TDSAdapter', {
                         throw validationError;
                     }
 
-                    // For status, use primary provider (current for 'auto', otherwise use preference)
-                    const statusProvider = tdsProviderPreference === 'auto' ? 'current' : tdsProviderPreference;
-                    const provider = TDSAdapterFactory.getProvider(statusProvider, {
-                        ...providerConfigs[statusProvider],
-                        context: context
-                    });
-
-                    const statusResult = await provider.getDepositStatus(depositId);
+                    const statusResult = await tdsService.getDepositStatus(depositId);
 
                     return {
                         status: statusResult.success ? 200 : 404,
                         jsonBody: {
                             ...statusResult,
-                            provider: statusProvider,
                             timestamp: new Date().toISOString()
                         }
                     };
+                }
+
+                case 'health': {
+                    const { tdsProviderPreference } = await tdsService.resolveProviders();
 
-                case 'health':
                     return {
                         status: 200,
                         jsonBody: {
@@ -1280,15 +1664,17 @@ app.http('TDSAdapter', {
                             timestamp: new Date().toISOString()
                         }
                     };
+                }
 
                 default:
                     return {
                         status: 400,
                         jsonBody: {
                             error: 'Invalid action',
-                            availableActions: ['create', 'status', 'health'],
+                            availableActions: ['create', 'amend', 'status', 'health'],
                             usage: {
                                 create: 'POST /api/tds/create',
+                                amend: 'POST /api/tds/amend/{dan}',
                                 status: 'GET /api/tds/status/{depositId}',
                                 health: 'GET /api/tds/health'
                             }
@@ -1308,4 +1694,7 @@ app.http('TDSAdapter', {
             };
         }
     }
-});
\ No newline at end of file
+});
+
+// Export for internal use by WorkflowOrchestrator (no HTTP, no auth needed)
+module.exports = { TDSDepositService, TDSAdapterFactory };
@@ -0,0 +1,337 @@
+const { app, output } = require('@azure/functions');
+const { validateRequestBody, schemas } = require('../../shared-services/shared/validation-schemas');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const { isRepaymentEvent } = require('../../shared-services/shared/deposit-repayment');
+const {
+    WEBHOOK_QUEUE_NAME,
+    WEBHOOK_POISON_QUEUE_NAME,
+    WEBHOOK_EVENT_STATUSES,
+    classifyWorkflowResult,
+    updateWebhookEvent,
+    recordDeadLetter,
+    getWebhookEvent,
+    listWebhookEvents
+} = require('../../shared-services/shared/webhook-event-store');
+const { TDSWorkflowOrchestrator } = require('./WorkflowOrchestrator');
+
+/**
+ * Webhook queue output binding
+ * Used by webhook receivers (and the dead-letter requeue action) to enqueue events
+ */
+const webhookQueueOutput = output.storageQueue({
+    queueName: WEBHOOK_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage'
+});
+
+/**
+ * Webhook Queue Processor Azure Function
+ * Consumes queued webhook events and runs the source system → TDS workflow
+ * (or the repayment workflow for tenancy ended / deposit released events).
+ * Throwing returns the message to the queue; after host.json maxDequeueCount
+ * attempts the runtime moves it to the poison queue.
+ */
+app.storageQueue('WebhookQueueProcessor', {
+    queueName: WEBHOOK_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage',
+    handler: async (queueItem, context) => {
+        const message = typeof queueItem === 'string' ? JSON.parse(queueItem) : queueItem;
+        const dequeueCount = context.triggerMetadata?.dequeueCount || 1;
+        const sourceSystem = (message.sourceSystem || 'alto').toLowerCase();
+
+        context.log(`📥 Processing queued webhook ${message.webhookId} (attempt ${dequeueCount}, source: ${sourceSystem})`);
+
+        if (!SourceAdapterFactory.getSupportedSources().includes(sourceSystem)) {
+            // Retrying will never help - park it straight away
+            context.error(`❌ Unsupported source system on queued webhook: ${sourceSystem}`);
+            await recordDeadLetter(message, dequeueCount, context);
+            return;
+        }
+
+        let workflowData;
+        try {
+            workflowData = validateRequestBody(message, schemas.workflowOrchestratorRequest);
+        } catch (validationError) {
+            if (validationError.name === 'ValidationError') {
+                context.error('❌ Queued webhook failed validation:', validationError.validationErrors);
+                await recordDeadLetter(message, dequeueCount, context);
+                return;
+            }
+            throw validationError;
+        }
+
+        await updateWebhookEvent(message.webhookId, {
+            status: 'PROCESSING',
+            dequeueCount,
+            lastAttemptAt: new Date().toISOString()
+        }, context);
+
+        const orchestrator = new TDSWorkflowOrchestrator(context, null, sourceSystem);
+        let result;
+
+        try {
+            result = isRepaymentEvent(workflowData.eventType)
+                ? await orchestrator.raiseRepayment(workflowData)
+                : await orchestrator.execute(workflowData);
+        } catch (error) {
+            context.error(`❌ Workflow threw for webhook ${message.webhookId}:`, error);
+            await updateWebhookEvent(message.webhookId, {
+                status: 'RETRYING',
+                lastError: error.message,
+                workflowId: orchestrator.workflowId
+            }, context);
+            throw error;
+        }
+
+        const outcome = classifyWorkflowResult(result);
+
+        await updateWebhookEvent(message.webhookId, {
+            status: outcome.status,
+            workflowId: result.workflowId,
+            failedStep: result.failedStep,
+            lastError: result.success ? null : (result.error || result.message),
+            completedAt: outcome.retryable ? null : new Date().toISOString()
+        }, context);
+
+        if (outcome.retryable) {
+            // Throw so the queue redelivers the message after the visibility timeout
+            throw new Error(`Workflow failed at step '${result.failedStep}' for webhook ${message.webhookId}: ${result.error}`);
+        }
+
+        context.log(`✅ Queued webhook ${message.webhookId} processed: ${outcome.status}`);
+    }
+});
+
+/**
+ * Webhook Poison Queue Processor Azure Function
+ * Parks messages that exhausted their retries in the dead-letter view
+ */
+app.storageQueue('WebhookPoisonQueueProcessor', {
+    queueName: WEBHOOK_POISON_QUEUE_NAME,
+    connection: 'AzureWebJobsStorage',
+    handler: async (queueItem, context) => {
+        let message;
+        try {
+            message = typeof queueItem === 'string' ? JSON.parse(queueItem) : queueItem;
+        } catch (parseError) {
+            message = { raw: String(queueItem) };
+        }
+
+        await recordDeadLetter(message, context.triggerMetadata?.dequeueCount, context);
+    }
+});
+
+/**
+ * Webhook Dead-Letter Azure Function
+ * Provides HTTP endpoints to view, requeue and discard parked webhook events
+ */
+app.http('WebhookDeadLetter', {
+    methods: ['GET', 'POST', 'DELETE'],
+    authLevel: 'anonymous',
+    route: 'webhooks/dead-letter/{action?}/{id?}',
+    extraOutputs: [webhookQueueOutput],
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        const action = request.params.action || 'list';
+        const id = request.params.id;
+
+        // Check role-based access for write operations
+        const writeActions = ['requeue', 'discard'];
+        if (writeActions.includes(action) && !hasRole(authResult.user, 'Admin')) {
+            context.log(`❌ User ${authResult.user.email} lacks Admin role for action: ${action}`);
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        if (['get', ...writeActions].includes(action)) {
+            if (!id) {
+                return {
+                    status: 400,
+                    jsonBody: { error: 'Webhook ID required' }
+                };
+            }
+
+            const { error: idError } = schemas.webhookEventId.validate(id);
+            if (idError) {
+                context.warn('❌ Webhook ID validation failed:', idError.message);
+
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Invalid webhook ID format',
+                        message: idError.message,
+                        expectedFormat: 'wh_<timestamp>_<8-char-hash>',
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+        }
+
+        try {
+            switch (action) {
+                case 'list': {
+                    const status = (request.query.get('status') || 'DEAD_LETTERED').toUpperCase();
+                    const limit = parseInt(request.query.get('limit'), 10) || 100;
+
+                    if (!WEBHOOK_EVENT_STATUSES.includes(status)) {
+                        return {
+                            status: 400,
+                            jsonBody: {
+                                error: `Invalid status: ${status}`,
+                                validStatuses: WEBHOOK_EVENT_STATUSES
+                            }
+                        };
+                    }
+
+                    const events = await listWebhookEvents({ status, limit }, context);
+
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            events,
+                            count: events.length,
+                            status,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
+
+                case 'get': {
+                    const event = await getWebhookEvent(id, context);
+                    if (!event) {
+                        return {
+                            status: 404,
+                            jsonBody: { error: 'Webhook event not found' }
+                        };
+                    }
+
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            event,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
+
+                case 'requeue': {
+                    if (request.method !== 'POST') {
+                        return { status: 405, jsonBody: { error: 'Use POST to requeue a webhook event' } };
+                    }
+
+                    const event = await getWebhookEvent(id, context);
+                    if (!event || !event.message) {
+                        return {
+                            status: 404,
+                            jsonBody: { error: 'Webhook event not found' }
+                        };
+                    }
+
+                    const message = {
+                        ...event.message,
+                        webhookId: id,
+                        requeuedAt: new Date().toISOString(),
+                        requeuedBy: authResult.user.email
+                    };
+
+                    context.extraOutputs.set(webhookQueueOutput, message);
+
+                    await updateWebhookEvent(id, {
+                        status: 'QUEUED',
+                        requeuedAt: message.requeuedAt,
+                        requeuedBy: authResult.user.email
+                    }, context);
+
+                    context.log(`🔁 Webhook ${id} requeued by ${authResult.user.email}`);
+
+                    return {
+                        status: 202,
+                        jsonBody: {
+                            success: true,
+                            message: 'Webhook event requeued for processing',
+                            webhookId: id,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
+
+                case 'discard': {
+                    if (request.method === 'GET') {
+                        return { status: 405, jsonBody: { error: 'Use POST or DELETE to discard a webhook event' } };
+                    }
+
+                    const event = await getWebhookEvent(id, context);
+                    if (!event) {
+                        return {
+                            status: 404,
+                            jsonBody: { error: 'Webhook event not found' }
+                        };
+                    }
+
+                    // Keep the record for audit purposes - only the status changes
+                    await updateWebhookEvent(id, {
+                        status: 'DISCARDED',
+                        discardedAt: new Date().toISOString(),
+                        discardedBy: authResult.user.email
+                    }, context);
+
+                    return {
+                        status: 200,
+                        jsonBody: {
+                            success: true,
+                            message: 'Webhook event discarded',
+                            webhookId: id,
+                            timestamp: new Date().toISOString()
+                        }
+                    };
+                }
+
+                default:
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            error: 'Invalid action',
+                            validActions: ['list', 'get', 'requeue', 'discard']
+                        }
+                    };
+            }
+        } catch (error) {
+            context.error('❌ Webhook dead-letter operation failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Webhook dead-letter operation failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+module.exports = { webhookQueueOutput };
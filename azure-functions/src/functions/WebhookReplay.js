@@ -0,0 +1,295 @@
+const { app } = require('@azure/functions');
+const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const {
+    buildWebhookQueueMessage,
+    recordWebhookQueued,
+    storeRawWebhookPayload,
+    updateWebhookEvent,
+    getRawWebhookPayload,
+    listReplayableWebhookEvents
+} = require('../../shared-services/shared/webhook-event-store');
+const { webhookQueueOutput } = require('./WebhookQueueProcessor');
+const altoWebhook = require('./AltoWebhook');
+const jupixWebhook = require('./JupixWebhook');
+
+/**
+ * Webhook receivers whose stored payloads can be replayed
+ * Replays run the same schema validation and extraction as a live delivery
+ */
+const REPLAY_RECEIVERS = {
+    alto: {
+        schema: schemas.altoWebhookRequest,
+        extractIntegrationData: altoWebhook.extractIntegrationData,
+        validateIntegrationData: altoWebhook.validateWebhookData
+    },
+    jupix: {
+        schema: schemas.jupixWebhookRequest,
+        extractIntegrationData: jupixWebhook.extractIntegrationData
+    }
+};
+
+/**
+ * Webhook Replay Azure Function
+ * Pushes stored webhook events back through the webhook queue, either a single
+ * event by ID or every stored event for an agency within a time range.
+ * Replays bypass duplicate suppression - they are an explicit operator action.
+ */
+app.http('WebhookReplay', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'webhooks/replay/{webhookId?}',
+    extraOutputs: [webhookQueueOutput],
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        if (!hasRole(authResult.user, 'Admin')) {
+            context.log(`❌ User ${authResult.user.email} lacks Admin role for webhook replay`);
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        const webhookId = request.params.webhookId;
+
+        try {
+            if (webhookId) {
+                return await replaySingle(webhookId, authResult.user, context);
+            }
+
+            let criteria;
+            try {
+                criteria = validateRequestBody(await request.json(), schemas.webhookReplayRequest);
+            } catch (validationError) {
+                if (validationError.name === 'ValidationError') {
+                    context.warn('❌ Webhook replay request validation failed:', validationError.validationErrors);
+                    return {
+                        status: 400,
+                        jsonBody: formatValidationError(validationError)
+                    };
+                }
+                throw validationError;
+            }
+
+            return await replayBulk(criteria, authResult.user, context);
+
+        } catch (error) {
+            context.error('❌ Webhook replay failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Webhook replay failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Replay a single stored webhook event
+ */
+async function replaySingle(webhookId, user, context) {
+    const { error: idError } = schemas.webhookEventId.validate(webhookId);
+    if (idError) {
+        context.warn('❌ Webhook ID validation failed:', idError.message);
+
+        return {
+            status: 400,
+            jsonBody: {
+                success: false,
+                error: 'Invalid webhook ID format',
+                message: idError.message,
+                expectedFormat: 'wh_<timestamp>_<8-char-hash>',
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    const stored = await getRawWebhookPayload(webhookId, context);
+    if (!stored) {
+        return {
+            status: 404,
+            jsonBody: {
+                error: 'No stored payload for webhook',
+                webhookId,
+                message: 'The webhook was not found or was received before raw payloads were stored'
+            }
+        };
+    }
+
+    let message;
+    try {
+        message = buildReplayMessage(stored, user);
+    } catch (replayError) {
+        return {
+            status: 422,
+            jsonBody: {
+                error: 'Stored webhook cannot be replayed',
+                webhookId,
+                message: replayError.message
+            }
+        };
+    }
+
+    context.extraOutputs.set(webhookQueueOutput, message);
+    await recordReplay(message, stored, user, context);
+
+    context.log(`🔁 Webhook ${webhookId} replayed as ${message.webhookId} by ${user.email}`);
+
+    return {
+        status: 202,
+        jsonBody: {
+            success: true,
+            message: 'Webhook event replayed',
+            replayOf: webhookId,
+            webhookId: message.webhookId,
+            signatureStatus: stored.signatureVerification.status,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Replay every stored webhook event for an agency within a time range
+ */
+async function replayBulk(criteria, user, context) {
+    const events = await listReplayableWebhookEvents(criteria, context);
+
+    context.log(`🔁 Bulk replay for agency ${criteria.agencyRef}: ${events.length} events (dryRun: ${criteria.dryRun})`);
+
+    if (criteria.dryRun) {
+        return {
+            status: 200,
+            jsonBody: {
+                success: true,
+                dryRun: true,
+                count: events.length,
+                events: events.map(event => ({
+                    webhookId: event.webhookId,
+                    sourceSystem: event.sourceSystem,
+                    eventType: event.eventType,
+                    tenancyId: event.tenancyId,
+                    status: event.status,
+                    queuedAt: event.queuedAt
+                })),
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    const replays = [];
+    const skipped = [];
+
+    for (const event of events) {
+        const stored = await getRawWebhookPayload(event.webhookId, context);
+        if (!stored) {
+            skipped.push({ webhookId: event.webhookId, reason: 'No stored payload' });
+            continue;
+        }
+
+        try {
+            replays.push({ message: buildReplayMessage(stored, user), stored });
+        } catch (replayError) {
+            skipped.push({ webhookId: event.webhookId, reason: replayError.message });
+        }
+    }
+
+    if (replays.length > 0) {
+        context.extraOutputs.set(webhookQueueOutput, replays.map(replay => replay.message));
+
+        for (const { message, stored } of replays) {
+            await recordReplay(message, stored, user, context);
+        }
+    }
+
+    context.log(`✅ Bulk replay queued ${replays.length} events, skipped ${skipped.length}`);
+
+    return {
+        status: 202,
+        jsonBody: {
+            success: true,
+            message: `${replays.length} webhook events replayed`,
+            agencyRef: criteria.agencyRef,
+            from: criteria.from.toISOString(),
+            to: criteria.to.toISOString(),
+            replayed: replays.map(({ message }) => ({ replayOf: message.replayOf, webhookId: message.webhookId })),
+            skipped,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Rebuild the queue message for a stored webhook event
+ * Throws if the stored payload no longer passes the receiver's validation
+ */
+function buildReplayMessage(stored, user) {
+    const sourceSystem = stored.event.sourceSystem;
+    const receiver = REPLAY_RECEIVERS[sourceSystem];
+
+    if (!receiver) {
+        throw new Error(`Replay not supported for source system: ${sourceSystem}`);
+    }
+
+    const webhookData = validateRequestBody(JSON.parse(stored.rawBody), receiver.schema);
+    const integrationData = receiver.extractIntegrationData(webhookData);
+
+    if (receiver.validateIntegrationData) {
+        const validation = receiver.validateIntegrationData(integrationData);
+        if (!validation.isValid) {
+            throw new Error(`Invalid webhook data: ${validation.errors.join(', ')}`);
+        }
+    }
+
+    const webhookId = `wh_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+
+    return {
+        ...buildWebhookQueueMessage(integrationData, {
+            webhookId,
+            sourceSystem,
+            source: `${sourceSystem}-replay`
+        }),
+        replayOf: stored.event.webhookId,
+        replayedBy: user.email
+    };
+}
+
+/**
+ * Track a replayed event and link it to the original
+ * The replay keeps the raw payload and signature result, so it can itself be replayed
+ */
+async function recordReplay(message, stored, user, context) {
+    await recordWebhookQueued(message, context);
+    await storeRawWebhookPayload(message.webhookId, stored.rawBody, stored.signatureVerification, context);
+    await updateWebhookEvent(message.webhookId, {
+        replayOf: message.replayOf,
+        replayedBy: user.email
+    }, context);
+    await updateWebhookEvent(message.replayOf, {
+        lastReplayId: message.webhookId,
+        lastReplayedAt: message.enqueuedAt,
+        lastReplayedBy: user.email
+    }, context);
+}
@@ -0,0 +1,160 @@
+const { app } = require('@azure/functions');
+const crypto = require('crypto');
+const { validateRequestBody, validateAgencyRef, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
+const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
+const {
+    getSignatureSettings,
+    rotateWebhookSecret,
+    retirePreviousWebhookSecret,
+    getWebhookSecretStatus
+} = require('../../shared-services/shared/webhook-signature');
+
+/**
+ * Webhook Secrets Azure Function
+ * Manages per-agency webhook signing secrets:
+ * - GET: secret status and signature settings (never the secret itself)
+ * - POST: rotate - the old secret stays valid for the grace period
+ * - DELETE: retire the previous secret once the source system has switched over
+ */
+app.http('WebhookSecrets', {
+    methods: ['GET', 'POST', 'DELETE'],
+    authLevel: 'anonymous',
+    route: 'settings/webhook-secrets/{sourceSystem}/{agencyRef}',
+    handler: async (request, context) => {
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        context.log(`✅ Authenticated user: ${authResult.user.email}`);
+
+        if (request.method !== 'GET' && !hasRole(authResult.user, 'Admin')) {
+            context.log(`❌ User ${authResult.user.email} lacks Admin role for webhook secret ${request.method}`);
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        const sourceSystem = (request.params.sourceSystem || '').toLowerCase();
+        if (!SourceAdapterFactory.getSupportedSources().includes(sourceSystem)) {
+            return {
+                status: 400,
+                jsonBody: {
+                    error: `Unsupported source system: ${sourceSystem}`,
+                    supportedSources: SourceAdapterFactory.getSupportedSources()
+                }
+            };
+        }
+
+        let agencyRef;
+        try {
+            agencyRef = validateAgencyRef(request.params.agencyRef);
+        } catch (validationError) {
+            return {
+                status: 400,
+                jsonBody: formatValidationError(validationError)
+            };
+        }
+
+        try {
+            if (request.method === 'GET') {
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        sourceSystem,
+                        agencyRef,
+                        secret: await getWebhookSecretStatus(sourceSystem, agencyRef),
+                        settings: getSignatureSettings(),
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            if (request.method === 'DELETE') {
+                const status = await retirePreviousWebhookSecret(sourceSystem, agencyRef, context);
+                if (!status) {
+                    return {
+                        status: 404,
+                        jsonBody: { error: 'No agency-specific webhook secret found' }
+                    };
+                }
+
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'Previous webhook secret retired',
+                        sourceSystem,
+                        agencyRef,
+                        secret: status,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+
+            let rotation;
+            try {
+                const body = await request.text();
+                rotation = validateRequestBody(body ? JSON.parse(body) : {}, schemas.webhookSecretRotation);
+            } catch (validationError) {
+                if (validationError.name === 'ValidationError') {
+                    return {
+                        status: 400,
+                        jsonBody: formatValidationError(validationError)
+                    };
+                }
+                throw validationError;
+            }
+
+            // Generate a secret unless the source system issued one
+            const secret = rotation.secret || crypto.randomBytes(32).toString('hex');
+
+            const status = await rotateWebhookSecret(sourceSystem, agencyRef, secret, {
+                graceHours: rotation.graceHours,
+                rotatedBy: authResult.user.email
+            }, context);
+
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    message: 'Webhook secret rotated',
+                    sourceSystem,
+                    agencyRef,
+                    // Only returned when generated here - it cannot be retrieved again
+                    generatedSecret: rotation.secret ? undefined : secret,
+                    secret: status,
+                    timestamp: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            context.error('❌ Webhook secret operation failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Webhook secret operation failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
@@ -1,21 +1,74 @@
 const { app } = require('@azure/functions');
-const axios = require('axios');
 const { IntegrationAuditLogger } = require('./IntegrationAuditLogger');
 const { validateRequestBody, schemas, formatValidationError } = require('../../shared-services/shared/validation-schemas');
 const { validateEntraToken, hasRole } = require('../../shared-services/shared/entra-auth-middleware');
-const { AltoAPIClient } = require('../../shared-services/shared/alto-api-client');
+const { SourceAdapterFactory } = require('../../shared-services/shared/source-adapters');
 const { OrganizationMappingService } = require('./OrganizationMapping');
 const { lookupPostcode } = require('../../shared-services/shared/service-helpers');
+const { TDSDepositService } = require('./TDSAdapter');
+const { resolveSchemeRegion, normalizeSchemeRegion, getRegionCredentials } = require('../../shared-services/shared/deposit-schemes');
+const { lookupPostcodeBatch } = require('./PostcodeLookup');
+const { applyFieldMappingRules } = require('../../shared-services/shared/field-mapping');
+const {
+    diffDepositPayloads,
+    getDepositAmountChange,
+    buildDepositHistoryEntry,
+    getDepositRegistration,
+    findRenewalCandidate,
+    saveDepositRegistration,
+    recordDepositAmendment,
+    recordDepositRepayment,
+    saveWriteBack
+} = require('../../shared-services/shared/deposit-registry');
+const {
+    getProtectedAmount,
+    buildRepaymentSplit,
+    buildRepaymentRequest
+} = require('../../shared-services/shared/deposit-repayment');
+const {
+    getOutstandingParts,
+    buildDepositProtection,
+    buildCertificateDocument,
+    applyWriteBackResults
+} = require('../../shared-services/shared/source-writeback');
+const { buildProtectionDeadlineFields } = require('../../shared-services/shared/protection-deadline');
+const { evaluateCompleteness } = require('../../shared-services/shared/data-completeness');
+const { resolvePollingPolicy, scheduleNextPoll } = require('../../shared-services/shared/polling-policy');
+const { PollingSettingsManager } = require('./PollingSettings');
+const {
+    saveWorkflowRun,
+    saveWorkflowStep,
+    getWorkflowRun,
+    getWorkflowTimeline,
+    findResumableRun,
+    isRunResumable,
+    isSubmissionOutcomeUnknown
+} = require('../../shared-services/shared/workflow-run-store');
+
+// Same limit as the POST /api/postcode batch route
+const POSTCODE_BATCH_SIZE = 100;
 
 /**
  * Workflow Orchestrator Azure Function
- * Orchestrates the complete Alto → TDS integration workflow
+ * Orchestrates the complete source system (Alto, Jupix, ...) → TDS integration workflow
  */
 app.http('WorkflowOrchestrator', {
     methods: ['POST'],
     authLevel: 'anonymous',
-    route: 'workflows/alto-tds',
+    route: 'workflows/{source}-tds',
     handler: async (request, context) => {
+        const sourceSystem = (request.params.source || '').toLowerCase();
+
+        if (!SourceAdapterFactory.getSupportedSources().includes(sourceSystem)) {
+            return {
+                status: 404,
+                jsonBody: {
+                    error: `Unsupported source system: ${request.params.source}`,
+                    supportedSources: SourceAdapterFactory.getSupportedSources()
+                }
+            };
+        }
+
         // Validate Entra ID token
         const authResult = await validateEntraToken(request, context);
 
@@ -56,9 +109,20 @@ app.http('WorkflowOrchestrator', {
                 throw validationError;
             }
 
-            context.log('🚀 Starting Alto → TDS workflow:', workflowData);
+            context.log(`🚀 Starting ${sourceSystem} → TDS workflow:`, workflowData);
+
+            const orchestrator = new TDSWorkflowOrchestrator(context, bearerToken, sourceSystem);
+
+            // Dry run: prepare the payload and stop - nothing is submitted to TDS or stored
+            if (workflowData.dryRun) {
+                const dryRunResult = await orchestrator.dryRun(workflowData);
+
+                return {
+                    status: dryRunResult.success ? 200 : 500,
+                    jsonBody: dryRunResult
+                };
+            }
 
-            const orchestrator = new AltoTDSOrchestrator(context, bearerToken);
             const result = await orchestrator.execute(workflowData);
 
             // Determine status code:
@@ -68,7 +132,7 @@ app.http('WorkflowOrchestrator', {
             let statusCode = 500;
             if (result.success) {
                 statusCode = 200;
-            } else if (result.pendingCreated) {
+            } else if (result.pendingCreated || result.pendingNudged) {
                 statusCode = 202; // Accepted - will be processed later
             }
 
@@ -93,203 +157,645 @@ app.http('WorkflowOrchestrator', {
 });
 
 /**
- * Alto to TDS Integration Orchestrator
+ * Field Mapping Preview
+ * Shows how an organisation's field mapping rules (or draft rules) map a live tenancy - nothing is submitted
  */
-class AltoTDSOrchestrator {
-    constructor(context, bearerToken = null) {
+app.http('FieldMappingPreview', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'field-mapping/{source}/preview',
+    handler: async (request, context) => {
+        const sourceSystem = (request.params.source || '').toLowerCase();
+
+        if (!SourceAdapterFactory.getSupportedSources().includes(sourceSystem)) {
+            return {
+                status: 404,
+                jsonBody: {
+                    error: `Unsupported source system: ${request.params.source}`,
+                    supportedSources: SourceAdapterFactory.getSupportedSources()
+                }
+            };
+        }
+
+        // Validate Entra ID token
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        // Mapping rules are organisation configuration - Admin only
+        if (!hasRole(authResult.user, 'Admin')) {
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        let previewData;
+        try {
+            previewData = validateRequestBody(await request.json(), schemas.fieldMappingPreviewRequest);
+        } catch (validationError) {
+            if (validationError.name === 'ValidationError') {
+                return {
+                    status: 400,
+                    jsonBody: formatValidationError(validationError)
+                };
+            }
+            return {
+                status: 400,
+                jsonBody: { error: 'Invalid JSON body' }
+            };
+        }
+
+        try {
+            const { rules, ...workflowData } = previewData;
+
+            context.log(`🧩 Previewing field mapping for ${sourceSystem} tenancy ${workflowData.tenancyId}`);
+
+            const orchestrator = new TDSWorkflowOrchestrator(context, null, sourceSystem);
+            const preview = await orchestrator.previewFieldMapping(workflowData, rules);
+
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    ...preview,
+                    timestamp: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            context.log('❌ Field mapping preview failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Field mapping preview failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Workflow Run Timeline
+ * Returns a persisted workflow run with every step of every attempt
+ */
+app.http('WorkflowRunTimeline', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'workflows/{workflowId}',
+    handler: async (request, context) => {
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        const { workflowId } = request.params;
+        const invalidId = validateWorkflowId(workflowId, context);
+        if (invalidId) {
+            return invalidId;
+        }
+
+        try {
+            const timeline = await getWorkflowTimeline(workflowId, context);
+
+            if (!timeline) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Workflow run not found', workflowId }
+                };
+            }
+
+            return {
+                status: 200,
+                jsonBody: timeline
+            };
+
+        } catch (error) {
+            context.log('❌ Failed to load workflow run:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    error: 'Failed to load workflow run',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Workflow Run Resume
+ * Resumes a failed or interrupted workflow run from its last completed step (Admin only)
+ */
+app.http('WorkflowRunResume', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'workflows/{workflowId}/resume',
+    handler: async (request, context) => {
+        const authResult = await validateEntraToken(request, context);
+
+        if (!authResult.isValid) {
+            return {
+                status: 401,
+                jsonBody: {
+                    error: 'Unauthorized',
+                    message: authResult.error,
+                    errorCode: authResult.errorCode
+                }
+            };
+        }
+
+        if (!hasRole(authResult.user, 'Admin')) {
+            context.log(`❌ User ${authResult.user.email} lacks Admin role for workflow resume`);
+            return {
+                status: 403,
+                jsonBody: {
+                    error: 'Forbidden',
+                    message: 'Admin role required for this operation',
+                    requiredRole: 'Admin',
+                    userRoles: authResult.user.roles
+                }
+            };
+        }
+
+        const { workflowId } = request.params;
+        const invalidId = validateWorkflowId(workflowId, context);
+        if (invalidId) {
+            return invalidId;
+        }
+
+        try {
+            const text = await request.text();
+
+            let options;
+            try {
+                options = validateRequestBody(text ? JSON.parse(text) : {}, schemas.workflowResumeRequest);
+            } catch (validationError) {
+                if (validationError.name === 'ValidationError') {
+                    return {
+                        status: 400,
+                        jsonBody: formatValidationError(validationError)
+                    };
+                }
+                throw validationError;
+            }
+
+            const run = await getWorkflowRun(workflowId, context, { includeCheckpoint: true });
+
+            if (!run) {
+                return {
+                    status: 404,
+                    jsonBody: { error: 'Workflow run not found', workflowId }
+                };
+            }
+
+            if (!isRunResumable(run)) {
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Workflow run cannot be resumed',
+                        message: run.status === 'RUNNING'
+                            ? 'Workflow run is still in progress'
+                            : `Workflow run finished with status ${run.status}`,
+                        workflowId,
+                        status: run.status
+                    }
+                };
+            }
+
+            context.log(`🔁 ${authResult.user.email} resuming workflow run ${workflowId}${options.force ? ' (force)' : ''}`);
+
+            const orchestrator = new TDSWorkflowOrchestrator(context, null, run.sourceSystem);
+            const result = await orchestrator.execute(run.workflowData, { run, force: options.force });
+
+            let statusCode = 500;
+            if (result.success) {
+                statusCode = 200;
+            } else if (result.needsReview) {
+                statusCode = 409;
+            } else if (result.pendingCreated || result.pendingNudged) {
+                statusCode = 202;
+            }
+
+            return {
+                status: statusCode,
+                jsonBody: result
+            };
+
+        } catch (error) {
+            context.log('❌ Workflow resume failed:', error);
+            return {
+                status: 500,
+                jsonBody: {
+                    success: false,
+                    error: 'Workflow resume failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+    }
+});
+
+/**
+ * Validate a workflow ID route parameter
+ * @returns {Object|null} - 400 response, or null if valid
+ */
+function validateWorkflowId(workflowId, context) {
+    const { error } = schemas.workflowId.validate(workflowId);
+
+    if (!error) {
+        return null;
+    }
+
+    context.warn('❌ Workflow ID validation failed:', error.message);
+
+    return {
+        status: 400,
+        jsonBody: {
+            success: false,
+            error: 'Invalid workflow ID format',
+            message: error.message,
+            expectedFormat: 'wf_<timestamp>_<8-char-hash>',
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Source System to TDS Integration Orchestrator
+ * Source-specific fetching, validation and mapping is delegated to a source adapter
+ */
+class TDSWorkflowOrchestrator {
+    constructor(context, bearerToken = null, sourceSystem = 'alto') {
         this.context = context;
         this.bearerToken = bearerToken;
         this.workflowId = `wf_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+        this.attempt = 1;
         this.startTime = Date.now();
         this.auditLogger = new IntegrationAuditLogger(context);
+        this.sourceSystem = sourceSystem;
+        this.adapter = SourceAdapterFactory.getAdapter(sourceSystem, { context, timeout: 600000 });
     }
 
     /**
-     * Normalize title to Salesforce TDS-accepted values
-     * Salesforce TDS API accepts: "Mr.", "Ms.", "Mrs.", "Dr.", "Prof.", "Mx." (with periods)
-     * Title is optional - if not recognized, return null and omit from payload
+     * Execute the complete source system → TDS workflow
+     *
+     * The run and each step are persisted as they progress. If a stopped run exists for
+     * this tenancy (see findResumableRun) it is resumed after its last checkpoint instead
+     * of starting over.
+     *
+     * @param {Object} workflowData - Workflow request (tenancyId, agencyRef, branchId, ...)
+     * @param {Object} options
+     * @param {Object} options.run - Run to resume (from getWorkflowRun with checkpoint)
+     * @param {boolean} options.force - Resume even if a TDS submission was interrupted
      */
-    normalizeTitle(title) {
-        if (!title) return null; // No title provided - will be omitted
-
-        // Remove any existing periods and convert to lowercase for matching
-        const titleLower = title.toLowerCase().trim().replace(/\./g, '');
-
-        // Map common variations to Salesforce-accepted titles (WITH periods)
-        const titleMap = {
-            'mr': 'Mr.',
-            'mrs': 'Mrs.',
-            'miss': 'Ms.',  // Convert Miss to Ms.
-            'ms': 'Ms.',
-            'dr': 'Dr.',
-            'prof': 'Prof.',
-            'mx': 'Mx.'
-        };
-
-        // Return matched title or null if not supported
-        // Null means don't send title field (it's optional in Salesforce API)
-        return titleMap[titleLower] || null;
-    }
-
-    /**
-     * Execute the complete Alto → TDS workflow
-     */
-    async execute(workflowData) {
+    async execute(workflowData, options = {}) {
         const steps = [];
         let currentStep = null;
 
         // Store workflow data for access in other methods
         this.workflowData = workflowData;
 
+        const resumedRun = options.run || await this.findRunToResume(workflowData);
+
+        if (resumedRun && isSubmissionOutcomeUnknown(resumedRun) && !options.force) {
+            return this.blockUnknownSubmission(resumedRun, steps);
+        }
+
+        const checkpoint = resumedRun ? this.adoptRun(resumedRun, steps) : {};
+
+        await this.recordRun({
+            sourceSystem: this.sourceSystem,
+            agencyRef: workflowData.agencyRef,
+            branchId: workflowData.branchId,
+            tenancyId: String(workflowData.tenancyId),
+            eventType: workflowData.eventType,
+            webhookId: workflowData.webhookId,
+            workflowData,
+            status: 'RUNNING',
+            attempt: this.attempt,
+            currentStep: null,
+            failedStep: null,
+            error: null,
+            ...(resumedRun
+                ? { resumedAt: new Date().toISOString() }
+                : { startedAt: new Date(this.startTime).toISOString() })
+        });
+
         try {
             this.context.log(`🔄 Executing workflow ${this.workflowId} for tenancy ${workflowData.tenancyId}`);
 
-            // Step 1: Fetch Alto tenancy data
-            currentStep = 'fetch_alto_data';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+            // Updates for tenancies already waiting on data are handed to the polling service,
+            // so the pending integration and this workflow never submit the same deposit twice
+            if (!resumedRun && workflowData.eventType === 'Tenancy.Updated') {
+                const nudged = await this.nudgePendingIntegration(workflowData);
 
-            const altoData = await this.fetchAltoData(workflowData);
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = { dataFetched: true, hasProperty: !!altoData.property };
-
-            // Step 2: Validate and enrich data
-            currentStep = 'validate_data';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+                if (nudged) {
+                    await this.recordRun({ status: 'NUDGED', completedAt: new Date().toISOString() });
 
-            const validationResult = await this.validateAndEnrichData(altoData);
+                    return {
+                        success: false,
+                        pendingNudged: true,
+                        workflowId: this.workflowId,
+                        tenancyId: workflowData.tenancyId,
+                        integrationId: nudged.integrationId,
+                        status: nudged.status,
+                        message: 'Pending integration scheduled to re-poll immediately',
+                        processingTime: `${Date.now() - this.startTime}ms`,
+                        steps,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+            }
 
-            // Check if this tenancy is permanently rejected (wrong deposit scheme type)
-            if (!validationResult.isValid && validationResult.validationResult?.isPermanentRejection) {
-                this.context.log('🚫 Tenancy rejected: ' + validationResult.validationResult.rejectionReason);
+            let sourceData = {};
+            let tdsPayload = checkpoint.tdsPayload;
+            let tdsResult = checkpoint.tdsResult;
+            let changes = checkpoint.changes || null;
 
-                // Archive this integration immediately - no polling needed
-                const rejectionResult = await this.archiveTenancyRejection(
-                    workflowData,
-                    altoData,
-                    validationResult.validationResult.rejectionReason
-                );
+            if (tdsPayload) {
+                this.context.log(`⏩ Resuming workflow ${this.workflowId} after '${checkpoint.step}' (attempt ${this.attempt})`);
+            } else {
+                // Step 1: Fetch source system tenancy data
+                currentStep = `fetch_${this.sourceSystem}_data`;
+                await this.startStep(steps, currentStep);
+
+                sourceData = await this.fetchSourceData(workflowData);
+                await this.completeStep(steps, { dataFetched: true, hasProperty: !!sourceData.property });
+
+                // Step 2: Validate and enrich data
+                currentStep = 'validate_data';
+                await this.startStep(steps, currentStep);
+
+                const validationResult = await this.validateAndEnrichData(sourceData);
+
+                // Check if this tenancy is permanently rejected (wrong deposit scheme type)
+                if (validationResult.validationResult.outcome === 'rejected') {
+                    return await this.rejectTenancy(
+                        workflowData,
+                        sourceData,
+                        steps,
+                        validationResult.validationResult.rejectionReason,
+                        'Tenancy rejected - not for an enabled TDS scheme'
+                    );
+                }
 
-                steps[steps.length - 1].status = 'completed';
-                steps[steps.length - 1].result = {
-                    rejected: true,
-                    reason: validationResult.validationResult.rejectionReason
-                };
+                // Check if data is incomplete but can be handled with delayed processing
+                if (validationResult.validationResult.outcome === 'pending') {
+                    this.context.log('💤 Data incomplete but suitable for delayed processing');
+
+                    // Create pending integration and return early
+                    const pendingResult = await this.createPendingIntegrationForMissingData(
+                        workflowData,
+                        sourceData,
+                        validationResult.validationResult
+                    );
+
+                    await this.completeStep(steps, {
+                        pendingIntegration: true,
+                        status: pendingResult.status,
+                        reason: pendingResult.pendingReason
+                    });
+                    await this.recordRun({
+                        status: 'PENDING',
+                        integrationId: pendingResult.integrationId,
+                        completedAt: new Date().toISOString()
+                    });
+
+                    const processingTime = Date.now() - this.startTime;
 
-                const processingTime = Date.now() - this.startTime;
+                    return {
+                        success: false, // Changed from true - this is not a completed workflow
+                        pendingCreated: true, // New field to indicate pending integration was created
+                        workflowId: this.workflowId,
+                        tenancyId: workflowData.tenancyId,
+                        integrationId: pendingResult.integrationId,
+                        status: pendingResult.status,
+                        message: pendingResult.message,
+                        pendingReason: pendingResult.pendingReason,
+                        missingFields: pendingResult.missingFields,
+                        nextPollAt: pendingResult.nextPollAt,
+                        processingTime: `${processingTime}ms`,
+                        steps,
+                        timestamp: new Date().toISOString()
+                    };
+                }
 
-                return {
-                    success: false,
-                    rejected: true,
-                    workflowId: this.workflowId,
-                    tenancyId: workflowData.tenancyId,
-                    status: 'REJECTED',
-                    message: 'Tenancy rejected - not for TDS Custodial scheme',
-                    rejectionReason: validationResult.validationResult.rejectionReason,
-                    processingTime: `${processingTime}ms`,
-                    steps,
-                    timestamp: new Date().toISOString()
-                };
-            }
+                if (!validationResult.isValid) {
+                    throw new Error(`Data validation failed: ${validationResult.errors.join(', ')}`);
+                }
+                await this.completeStep(steps, validationResult);
+
+                // Step 3: Lookup postcode county for property and landlord
+                currentStep = 'lookup_postcode';
+                await this.startStep(steps, currentStep);
+
+                const postcodes = this.adapter.getPostcodes(sourceData);
+                const propertyPostcodeResult = await this.lookupPostcode(postcodes.property);
+
+                // Also lookup landlord postcode (may be different from property)
+                const landlordPostcode = postcodes.landlord;
+                const landlordPostcodeResult = landlordPostcode ? await this.lookupPostcode(landlordPostcode) : propertyPostcodeResult;
+
+                // Each landlord's address and each tenant's forwarding address, looked up in one batch
+                const personPostcodeResults = await this.lookupPersonPostcodes(this.adapter.getPersonPostcodes(sourceData));
+
+                // Route to the scheme for the property's country (E&W, Scotland or NI)
+                const schemeRegion = resolveSchemeRegion(propertyPostcodeResult, this.orgContext?.mapping);
+                if (schemeRegion.status === 'rejected') {
+                    return await this.rejectTenancy(
+                        workflowData,
+                        sourceData,
+                        steps,
+                        schemeRegion.rejectionReason,
+                        'Tenancy rejected - no scheme credentials for the property region'
+                    );
+                }
 
-            // Check if data is incomplete but can be handled with delayed processing
-            if (!validationResult.isValid && validationResult.validationResult?.canPendForPolling) {
-                this.context.log('💤 Data incomplete but suitable for delayed processing');
+                await this.completeStep(steps, {
+                    property: propertyPostcodeResult,
+                    landlord: landlordPostcodeResult,
+                    people: personPostcodeResults,
+                    region: schemeRegion.region
+                });
 
-                // Create pending integration and return early
-                const pendingResult = await this.createPendingIntegrationForMissingData(
-                    workflowData,
-                    altoData,
-                    validationResult.validationResult
-                );
+                // Step 4: Prepare TDS deposit payload
+                currentStep = 'prepare_tds_payload';
+                await this.startStep(steps, currentStep);
 
-                steps[steps.length - 1].status = 'completed';
-                steps[steps.length - 1].result = {
-                    pendingIntegration: true,
-                    status: pendingResult.status,
-                    reason: pendingResult.pendingReason
+                tdsPayload = {
+                    ...await this.prepareTDSPayload(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults),
+                    region: schemeRegion.region
                 };
 
-                const processingTime = Date.now() - this.startTime;
+                // Log the prepared TDS payload for debugging (like Alto-POC)
+                console.log('📋 Prepared TDS Payload Data:');
+                console.log(JSON.stringify(tdsPayload, null, 2));
 
-                return {
-                    success: false, // Changed from true - this is not a completed workflow
-                    pendingCreated: true, // New field to indicate pending integration was created
-                    workflowId: this.workflowId,
-                    tenancyId: workflowData.tenancyId,
-                    integrationId: pendingResult.integrationId,
-                    status: pendingResult.status,
-                    message: pendingResult.message,
-                    pendingReason: pendingResult.pendingReason,
-                    missingFields: pendingResult.missingFields,
-                    nextPollAt: pendingResult.nextPollAt,
-                    processingTime: `${processingTime}ms`,
-                    steps,
-                    timestamp: new Date().toISOString()
-                };
+                await this.completeStep(steps, {
+                    payloadPrepared: true,
+                    payload: tdsPayload  // Include payload in response for debugging
+                });
+                await this.saveCheckpoint(steps, { tdsPayload });
             }
 
-            if (!validationResult.isValid) {
-                throw new Error(`Data validation failed: ${validationResult.errors.join(', ')}`);
+            // Step 5: Create TDS deposit, amend it if this tenancy already has a DAN,
+            // or continue the previous tenancy's DAN if this tenancy renews it
+            let registration = await getDepositRegistration(
+                this.sourceSystem,
+                workflowData.agencyRef,
+                workflowData.tenancyId,
+                this.context
+            );
+
+            if (registration?.renewalOf && workflowData.forceNewRegistration && !tdsResult) {
+                this.context.log(`⚠️ Tenancy was registered as a renewal of ${registration.renewalOf} - forcing a new deposit registration`);
+                registration = null;
             }
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = validationResult;
 
-            // Step 3: Lookup postcode county for property and landlord
-            currentStep = 'lookup_postcode';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+            let renewal = null;
+            if (tdsResult && checkpoint.renewalOf) {
+                renewal = { registration: await getDepositRegistration(this.sourceSystem, workflowData.agencyRef, checkpoint.renewalOf, this.context) };
+            } else if (!tdsResult && !registration?.dan) {
+                renewal = await this.findRenewal(workflowData, tdsPayload);
+            }
 
-            const propertyPostcodeResult = await this.lookupPostcode(altoData.property?.address?.postcode);
+            if (tdsResult) {
+                this.context.log(`⏩ TDS submission already completed (DAN: ${tdsResult.dan || 'pending'}) - recording it`);
+            } else if (registration && registration.dan) {
+                currentStep = 'amend_tds_deposit';
+                await this.startStep(steps, currentStep);
+
+                changes = diffDepositPayloads(registration.payload, tdsPayload);
+
+                if (changes.length === 0) {
+                    this.context.log(`ℹ️ No deposit changes since last submission for DAN ${registration.dan} - nothing to amend`);
+                    tdsResult = {
+                        success: true,
+                        dan: registration.dan,
+                        depositId: registration.depositId,
+                        status: 'unchanged',
+                        provider: registration.provider
+                    };
+                } else {
+                    this.context.log(`✏️ Amending DAN ${registration.dan}: ${changes.map(c => c.field).join(', ')}`);
 
-            // Also lookup landlord postcode (may be different from property)
-            const landlordSource = altoData.landlord || altoData.property?.owners?.[0];
-            const landlordPostcode = landlordSource?.address?.postcode;
-            const landlordPostcodeResult = landlordPostcode ? await this.lookupPostcode(landlordPostcode) : propertyPostcodeResult;
+                    // Deposit increases (top-ups) and reductions are protected under the existing DAN
+                    const depositChange = getDepositAmountChange(changes);
+                    if (depositChange) {
+                        this.context.log(`💷 Deposit ${depositChange.type} for DAN ${registration.dan}: £${depositChange.previous} → £${depositChange.current}`);
+                    }
 
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = { property: propertyPostcodeResult, landlord: landlordPostcodeResult };
+                    tdsResult = await this.amendTDSDeposit(registration, tdsPayload, changes);
+                    if (!tdsResult.success) {
+                        throw new Error(`TDS deposit amendment failed: ${tdsResult.error}`);
+                    }
+                    tdsResult.dan = tdsResult.dan || registration.dan;
+                    tdsResult.depositId = tdsResult.depositId || registration.depositId;
+                }
 
-            // Step 4: Prepare TDS deposit payload
-            currentStep = 'prepare_tds_payload';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+                await this.completeStep(steps, { ...tdsResult, changes: changes.map(c => c.field) });
+                await this.saveCheckpoint(steps, { tdsPayload, tdsResult, changes });
+            } else if (renewal) {
+                currentStep = 'renew_tds_deposit';
+                await this.startStep(steps, currentStep);
 
-            const tdsPayload = await this.prepareTDSPayload(altoData, propertyPostcodeResult, landlordPostcodeResult);
+                const previous = renewal.registration;
+                const renewalChanges = diffDepositPayloads(previous.payload, tdsPayload);
 
-            // Log the prepared TDS payload for debugging (like Alto-POC)
-            console.log('📋 Prepared TDS Payload Data:');
-            console.log(JSON.stringify(tdsPayload, null, 2));
+                this.context.log(`🔁 Renewing DAN ${previous.dan} (tenancy ${previous.tenancyId} → ${workflowData.tenancyId}): ${renewalChanges.map(c => c.field).join(', ') || 'no deposit changes'}`);
 
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = {
-                payloadPrepared: true,
-                payload: tdsPayload  // Include payload in response for debugging
-            };
+                tdsResult = await this.amendTDSDeposit(previous, tdsPayload, renewalChanges);
+                if (!tdsResult.success) {
+                    throw new Error(`TDS deposit renewal failed: ${tdsResult.error}`);
+                }
+                tdsResult.dan = tdsResult.dan || previous.dan;
+                tdsResult.depositId = tdsResult.depositId || previous.depositId;
 
-            // Step 5: Create TDS deposit
-            currentStep = 'create_tds_deposit';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+                await this.completeStep(steps, {
+                    ...tdsResult,
+                    renewalOf: previous.tenancyId,
+                    changes: renewalChanges.map(c => c.field)
+                });
+                await this.saveCheckpoint(steps, { tdsPayload, tdsResult, renewalOf: previous.tenancyId });
+            } else {
+                currentStep = 'create_tds_deposit';
+                await this.startStep(steps, currentStep);
 
-            const tdsResult = await this.createTDSDeposit(tdsPayload);
-            if (!tdsResult.success) {
-                throw new Error(`TDS deposit creation failed: ${tdsResult.error}`);
+                tdsResult = await this.createTDSDeposit(tdsPayload);
+                if (!tdsResult.success) {
+                    throw new Error(`TDS deposit creation failed: ${tdsResult.error}`);
+                }
+                await this.completeStep(steps, tdsResult);
+                await this.saveCheckpoint(steps, { tdsPayload, tdsResult });
             }
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = tdsResult;
 
             // Step 6: Store integration record
             currentStep = 'store_integration';
-            steps.push({ step: currentStep, status: 'started', timestamp: new Date().toISOString() });
+            await this.startStep(steps, currentStep);
+
+            const integrationRecord = changes
+                ? await this.storeAmendmentRecord(workflowData, registration, tdsPayload, tdsResult, changes)
+                : await this.storeIntegrationRecord(workflowData, sourceData, tdsResult, tdsPayload, renewal?.registration);
+            await this.completeStep(steps, {
+                recordStored: true,
+                integrationId: integrationRecord.id,
+                depositHistory: integrationRecord.depositHistory
+            });
+
+            // Step 7: Write the DAN and certificate back to the source system (new registrations and renewals)
+            // Failures are retried by the polling service - they never fail the registration itself
+            let writeBack = null;
+            if (!changes && !workflowData.testMode && this.adapter.supportsWriteBack) {
+                currentStep = `write_back_${this.sourceSystem}`;
+                await this.startStep(steps, currentStep);
 
-            const integrationRecord = await this.storeIntegrationRecord(workflowData, altoData, tdsResult);
-            steps[steps.length - 1].status = 'completed';
-            steps[steps.length - 1].result = { recordStored: true, integrationId: integrationRecord.id };
+                writeBack = await this.writeBackToSource(workflowData);
+                await this.completeStep(steps, writeBack);
+            }
+
+            await this.recordRun({
+                status: 'COMPLETED',
+                dan: tdsResult.dan,
+                depositId: tdsResult.depositId,
+                integrationId: integrationRecord.id,
+                completedAt: new Date().toISOString()
+            });
 
             const processingTime = Date.now() - this.startTime;
 
             // Log successful integration to audit log
             await this.auditLogger.logSuccess({
                 tenancyId: workflowData.tenancyId,
-                agencyRef: altoData.tenancy?.agencyRef || workflowData.agencyRef,
-                branchId: altoData.tenancy?.branchId || workflowData.branchId,
+                agencyRef: sourceData.tenancy?.agencyRef || workflowData.agencyRef,
+                branchId: sourceData.tenancy?.branchId || workflowData.branchId,
                 workflowId: this.workflowId,
                 source: workflowData.testMode ? 'TEST_WEBHOOK' : 'DIRECT_WEBHOOK',  // Tag test integrations
                 testMode: workflowData.testMode || false,                           // Add test mode flag
@@ -297,7 +803,8 @@ class AltoTDSOrchestrator {
                 dan: tdsResult.dan,
                 depositId: tdsResult.depositId,
                 tdsResponse: tdsResult,
-                totalSteps: 6,
+                depositHistory: integrationRecord.depositHistory,
+                totalSteps: writeBack ? 7 : 6,
                 completedSteps: IntegrationAuditLogger.calculateCompletedSteps(steps),
                 workflowSteps: steps,
                 processingTimeMs: processingTime,
@@ -311,6 +818,14 @@ class AltoTDSOrchestrator {
                 depositId: tdsResult.depositId,
                 dan: tdsResult.dan,
                 integrationId: integrationRecord.id,
+                ...(changes && {
+                    amended: changes.length > 0,
+                    changes: changes.map(c => c.field),
+                    depositChange: integrationRecord.depositChange
+                }),
+                ...(renewal && { renewalOf: renewal.registration.tenancyId }),
+                depositHistory: integrationRecord.depositHistory,
+                ...(writeBack && { writeBack }),
                 processingTime: `${processingTime}ms`,
                 steps,
                 timestamp: new Date().toISOString()
@@ -323,8 +838,11 @@ class AltoTDSOrchestrator {
             if (steps.length > 0 && steps[steps.length - 1].status === 'started') {
                 steps[steps.length - 1].status = 'failed';
                 steps[steps.length - 1].error = error.message;
+                await this.persistStep(steps, steps[steps.length - 1]);
             }
 
+            await this.recordRun({ status: 'FAILED', failedStep: currentStep, error: error.message });
+
             const processingTime = Date.now() - this.startTime;
 
             // Log failed integration to audit log
@@ -361,407 +879,708 @@ class AltoTDSOrchestrator {
     }
 
     /**
-     * Fetch complete Alto tenancy data
+     * Dry run of the workflow for a tenancy
+     * Runs fetch, validation, postcode enrichment and prepareTDSPayload, then stops. Nothing is
+     * submitted to TDS and no run, pending integration or audit record is stored
+     *
+     * @param {Object} workflowData - Workflow request (tenancyId, agencyRef, branchId, ...)
+     * @returns {Object} - { outcome, tdsPayload, provider, payloads, warnings, steps }
+     *                     outcome: 'ready', 'incomplete' (would be held for polling), 'rejected'
+     *                     or 'invalid' (payload could not be prepared or routed)
      */
-    async fetchAltoData(workflowData) {
-        this.context.log('📡 Fetching Alto tenancy data...');
+    async dryRun(workflowData) {
+        const steps = [];
+        const warnings = [];
+        let outcome = 'ready';
+        let currentStep = `fetch_${this.sourceSystem}_data`;
+
+        this.workflowData = workflowData;
+        this.fieldMappingWarnings = [];
+
+        const step = (name, result) => steps.push({ step: name, status: 'completed', result, timestamp: new Date().toISOString() });
+        const finish = extra => ({
+            success: true,
+            dryRun: true,
+            workflowId: this.workflowId,
+            tenancyId: workflowData.tenancyId,
+            outcome,
+            warnings,
+            processingTime: `${Date.now() - this.startTime}ms`,
+            steps,
+            timestamp: new Date().toISOString(),
+            ...extra
+        });
+
+        this.context.log(`🧪 Dry run for tenancy ${workflowData.tenancyId} - nothing will be submitted to TDS`);
 
         try {
-            // Get environment AND branchId from organization mapping
-            let environment = 'development';
-            let effectiveBranchId = workflowData.branchId; // Default to webhook's branch ID
-
-            if (workflowData.agencyRef) {
-                // ✅ Get organization mapping - use direct service call (no HTTP, no auth needed for internal calls)
-                // If org mapping doesn't exist, workflow should fail immediately
-                const mappingService = new OrganizationMappingService(this.context);
-                const result = await mappingService.getMapping(
-                    workflowData.agencyRef,
-                    workflowData.branchId || 'DEFAULT'
-                );
+            // Step 1: Fetch source system tenancy data
+            const sourceData = await this.fetchSourceData(workflowData);
+            step(currentStep, { dataFetched: true, hasProperty: !!sourceData.property });
 
-                if (!result || !result.mapping) {
-                    throw new Error(`Organization mapping not found for agencyRef: ${workflowData.agencyRef}, branchId: ${workflowData.branchId || 'DEFAULT'}`);
-                }
+            // Step 2: Validate data (a live run would reject, or hold incomplete data for polling)
+            currentStep = 'validate_data';
+            const { validationResult } = await this.validateAndEnrichData(sourceData);
+            step(currentStep, validationResult);
+
+            if (validationResult.isPermanentRejection) {
+                outcome = 'rejected';
+                warnings.push({ step: currentStep, message: validationResult.rejectionReason });
+                return finish({ message: 'Tenancy would be rejected - not for an enabled TDS scheme' });
+            }
 
-                environment = result.mapping.environment || 'development';
-                // ✅ Use organization mapping's branch ID (handles DEFAULT wildcard)
-                effectiveBranchId = result.storedBranchId || workflowData.branchId;
+            if (!validationResult.isComplete) {
+                outcome = 'incomplete';
+                warnings.push({ step: currentStep, message: validationResult.summary, missingFields: validationResult.missingFields });
+            }
 
-                this.context.log(`📊 Using environment from org mapping: ${environment}`);
-                this.context.log(`🔑 Using branch ID from org mapping: ${effectiveBranchId}`);
-            } else {
-                throw new Error('agencyRef is required to lookup organization mapping');
+            // Step 3: Lookup postcode county for property, landlords and tenants
+            currentStep = 'lookup_postcode';
+            const postcodes = this.adapter.getPostcodes(sourceData);
+            const propertyPostcodeResult = await this.lookupPostcode(postcodes.property);
+            const landlordPostcodeResult = postcodes.landlord ? await this.lookupPostcode(postcodes.landlord) : propertyPostcodeResult;
+            const personPostcodeResults = await this.lookupPersonPostcodes(this.adapter.getPersonPostcodes(sourceData));
+            const schemeRegion = resolveSchemeRegion(propertyPostcodeResult, this.orgContext?.mapping);
+
+            if (!propertyPostcodeResult.success) {
+                warnings.push({ step: currentStep, message: `Property postcode lookup failed: ${propertyPostcodeResult.error}` });
             }
+            personPostcodeResults.failures.forEach(failure => warnings.push({
+                step: currentStep,
+                message: `Postcode lookup failed for ${failure.person} (${failure.postcode}): ${failure.error}`
+            }));
+
+            step(currentStep, {
+                property: propertyPostcodeResult,
+                landlord: landlordPostcodeResult,
+                people: personPostcodeResults,
+                region: schemeRegion.region
+            });
 
-            // Use direct AltoAPIClient (no HTTP, no auth needed for internal calls)
-            // Get Alto API URL from settings
-            let altoApiUrl = process.env.ALTO_API_BASE_URL || 'https://api.alto.zoopladev.co.uk';
+            if (schemeRegion.status === 'rejected') {
+                outcome = 'rejected';
+                warnings.push({ step: currentStep, message: schemeRegion.rejectionReason });
+                return finish({ message: 'Tenancy would be rejected - no scheme credentials for the property region' });
+            }
 
+            // Step 4: Prepare TDS deposit payload
+            currentStep = 'prepare_tds_payload';
+            let tdsPayload;
             try {
-                const { TableClient } = require('@azure/data-tables');
-                const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
-                const settingsTableClient = TableClient.fromConnectionString(connectionString, 'AltoSettings');
-
-                const settingsEntity = await settingsTableClient.getEntity('Settings', 'AltoConfig');
-                const settings = {
-                    development: JSON.parse(settingsEntity.developmentSettings || '{}'),
-                    production: JSON.parse(settingsEntity.productionSettings || '{}')
+                tdsPayload = {
+                    ...await this.prepareTDSPayload(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults),
+                    region: schemeRegion.region
                 };
+            } catch (error) {
+                // Incomplete data often cannot be mapped yet - report it rather than failing the dry run
+                warnings.push({ step: currentStep, message: error.message });
+                return finish({ outcome: outcome === 'ready' ? 'invalid' : outcome, message: 'TDS payload could not be prepared' });
+            }
 
-                altoApiUrl = environment === 'production'
-                    ? settings.production.altoApi || altoApiUrl
-                    : settings.development.altoApi || altoApiUrl;
+            this.fieldMappingWarnings.forEach(message => warnings.push({ step: currentStep, message: `Field mapping: ${message}` }));
 
-                this.context.log(`✅ Using Alto API URL for ${environment}: ${altoApiUrl}`);
-            } catch (error) {
-                this.context.log('⚠️ Failed to load Alto settings, using defaults:', error.message);
+            // Same validation the TDS adapter applies to /api/tds/create requests
+            const { error: schemaError } = schemas.tdsDepositCreate.validate(tdsPayload, { abortEarly: false, stripUnknown: true });
+            (schemaError?.details || []).forEach(detail => warnings.push({
+                step: currentStep,
+                param: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            step(currentStep, { payloadPrepared: true });
+
+            // Provider routing and the payload in each provider's format (no submission)
+            currentStep = 'preview_tds_deposit';
+            const tdsService = new TDSDepositService(this.context);
+            const preview = await tdsService.previewDeposit(tdsPayload);
+
+            if (preview.error) {
+                warnings.push({ step: currentStep, message: preview.error });
+            }
+            ['legacy', 'salesforce'].filter(format => preview[format].error).forEach(format => warnings.push({
+                step: currentStep,
+                message: `${format} payload could not be built: ${preview[format].error}`
+            }));
+
+            // Deposits already registered would be amended, and renewals would continue the previous DAN
+            let registration = await getDepositRegistration(this.sourceSystem, workflowData.agencyRef, workflowData.tenancyId, this.context);
+            if (registration?.renewalOf && workflowData.forceNewRegistration) {
+                registration = null;
+            }
+            const renewal = registration?.dan ? null : await this.findRenewal(workflowData, tdsPayload);
+            const existing = registration?.dan ? registration : renewal?.registration;
+            const changes = existing ? diffDepositPayloads(existing.payload, tdsPayload) : null;
+
+            let operation = 'create';
+            if (renewal) {
+                operation = 'renew';
+            } else if (registration?.dan) {
+                operation = changes.length > 0 ? 'amend' : 'unchanged';
+            }
+
+            step(currentStep, { provider: preview.provider, mode: preview.mode });
+
+            return finish({
+                outcome: preview.error ? 'invalid' : outcome,
+                operation,
+                ...(renewal && { renewalOf: renewal.registration.tenancyId }),
+                ...(existing && {
+                    dan: existing.dan,
+                    changes: changes.map(c => c.field),
+                    depositChange: getDepositAmountChange(changes)
+                }),
+                provider: preview.provider,
+                mode: preview.mode,
+                tdsPayload,
+                payloads: {
+                    legacy: preview.legacy,
+                    salesforce: preview.salesforce
+                }
+            });
+
+        } catch (error) {
+            this.context.log(`❌ Dry run failed at step '${currentStep}':`, error);
+
+            return {
+                success: false,
+                dryRun: true,
+                workflowId: this.workflowId,
+                tenancyId: workflowData.tenancyId,
+                error: error.message,
+                failedStep: currentStep,
+                warnings,
+                processingTime: `${Date.now() - this.startTime}ms`,
+                steps,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Raise the end-of-tenancy repayment for a registered deposit (tenancy ended / deposit released events)
+     *
+     * The agreed split is read from the source system and checked against the amount protected
+     * under the stored DAN. Releases that are not agreed yet, splits that do not add up and TDS
+     * outages are held as a pending repayment, which the PendingPollingService re-polls.
+     *
+     * @param {Object} workflowData - Workflow request (tenancyId, agencyRef, branchId, eventType, ...)
+     * @param {Object} options
+     * @param {boolean} options.fromPolling - Called for a pending repayment (the polling service reschedules it)
+     */
+    async raiseRepayment(workflowData, options = {}) {
+        const steps = [];
+        let currentStep = 'lookup_registration';
+
+        this.workflowData = workflowData;
+
+        const step = (name, result) => steps.push({ step: name, status: 'completed', result, timestamp: new Date().toISOString() });
+        const finish = fields => ({
+            workflowId: this.workflowId,
+            tenancyId: workflowData.tenancyId,
+            ...fields,
+            processingTime: `${Date.now() - this.startTime}ms`,
+            steps,
+            timestamp: new Date().toISOString()
+        });
+        const hold = async (pendingReason, fields = {}) => {
+            this.context.log(`⏳ Repayment for tenancy ${workflowData.tenancyId} held: ${pendingReason}`);
+
+            if (options.fromPolling) {
+                return finish({ success: false, status: 'pending', pendingReason, ...fields });
+            }
+
+            const pendingResult = await this.createPendingFollowUp(workflowData, 'repayment', pendingReason);
+            return finish({
+                success: false,
+                pendingCreated: true,
+                integrationId: pendingResult.integrationId,
+                status: pendingResult.status,
+                message: 'Repayment held for polling',
+                pendingReason,
+                nextPollAt: pendingResult.nextPollAt,
+                ...fields
+            });
+        };
+
+        this.context.log(`💰 Repayment workflow for tenancy ${workflowData.tenancyId} (${workflowData.eventType || 'polling'})`);
+
+        try {
+            // Repayment events for a tenancy already waiting on its release are handed to the polling service
+            if (!options.fromPolling) {
+                const nudged = await this.nudgePendingIntegration(workflowData, 'repayment');
+
+                if (nudged) {
+                    return finish({
+                        success: false,
+                        pendingNudged: true,
+                        integrationId: nudged.integrationId,
+                        status: nudged.status,
+                        message: 'Pending repayment scheduled to re-poll immediately'
+                    });
+                }
+            }
+
+            // Step 1: The repayment is raised against the DAN this integration registered
+            const registration = await getDepositRegistration(this.sourceSystem, workflowData.agencyRef, workflowData.tenancyId, this.context);
+
+            if (!registration?.dan) {
+                step(currentStep, { registered: false });
+
+                return finish({
+                    success: false,
+                    rejected: true,
+                    status: 'REJECTED',
+                    message: 'Repayment not raised - deposit was not registered by this integration',
+                    rejectionReason: 'No registered deposit found for this tenancy - raise the repayment in the TDS portal'
+                });
+            }
+
+            if (registration.repayment?.status === 'raised') {
+                step(currentStep, { registered: true, dan: registration.dan, alreadyRaised: true });
+
+                return finish({
+                    success: true,
+                    alreadyRaised: true,
+                    dan: registration.repayment.dan,
+                    repayment: registration.repayment,
+                    message: 'Repayment already raised for this deposit'
+                });
+            }
+
+            step(currentStep, { registered: true, dan: registration.dan });
+
+            // Step 2: Fetch the deposit release from the source system
+            currentStep = `fetch_${this.sourceSystem}_data`;
+            const sourceData = await this.fetchSourceData(workflowData);
+            const release = this.adapter.getDepositRelease(sourceData);
+
+            step(currentStep, { dataFetched: true, releaseStatus: release?.status || null });
+
+            if (!release?.agreed) {
+                return await hold(`Waiting for the deposit release to be agreed in ${this.adapter.displayName}`, {
+                    releaseStatus: release?.status || null
+                });
+            }
+
+            // Step 3: Split the protected amount between tenant and landlord
+            currentStep = 'build_repayment';
+            const { isValid, errors, split } = buildRepaymentSplit(release, getProtectedAmount(registration));
+
+            step(currentStep, { isValid, errors, split });
+
+            if (!isValid) {
+                errors.forEach(error => this.context.warn(`⚠️ Repayment split: ${error}`));
+                return await hold(`Repayment split needs correcting in ${this.adapter.displayName}: ${errors.join('; ')}`, {
+                    validationErrors: errors,
+                    split
+                });
+            }
+
+            // Step 4: Raise the repayment with TDS
+            currentStep = 'raise_repayment';
+            const dan = registration.providerDans?.salesforce || registration.dan;
+            const response = await this.submitRepayment(buildRepaymentRequest(dan, split), registration);
+            const raised = response.body?.success === true;
+
+            step(currentStep, { statusCode: response.statusCode, success: raised });
+
+            if (!raised) {
+                const errorDetails = response.body?.errors;
+                const error = typeof errorDetails === 'string' ? errorDetails : JSON.stringify(errorDetails || {});
+
+                // TDS unavailable - retry from polling; anything else was rejected by TDS
+                if (response.statusCode >= 500) {
+                    return await hold(`TDS error (retryable): ${error}`, { error, dan, split });
+                }
+
+                return finish({ success: false, failedStep: currentStep, error, dan, split });
             }
 
-            // Remove trailing slash
-            altoApiUrl = altoApiUrl.replace(/\/$/, '');
+            // Step 5: Record the repayment on the deposit registration
+            currentStep = 'store_repayment';
+            const repayment = await recordDepositRepayment(registration, { dan, split, workflowId: this.workflowId }, this.context);
 
-            // Initialize Alto API client
-            const altoClient = new AltoAPIClient({
-                baseUrl: altoApiUrl,
-                clientId: process.env.ALTO_CLIENT_ID,
-                clientSecret: process.env.ALTO_CLIENT_SECRET,
-                timeout: 600000,
-                context: this.context
+            step(currentStep, { recorded: true });
+
+            this.context.log(`✅ Repayment raised for DAN ${dan}: tenant £${split.tenantAmount}, landlord £${split.landlordAmount}`);
+
+            return finish({
+                success: true,
+                dan,
+                repayment,
+                message: 'Repayment raised with TDS'
             });
 
-            // Fetch tenancy data directly
-            const altoData = await altoClient.fetchFullTenancyData(
-                workflowData.tenancyId,
-                workflowData.agencyRef,
-                effectiveBranchId,  // ✅ Use organization mapping's branch ID
-                workflowData.testMode || false,
-                workflowData.testConfig || {}
-            );
+        } catch (error) {
+            this.context.log(`❌ Repayment workflow failed at step '${currentStep}':`, error);
+
+            return finish({
+                success: false,
+                failedStep: currentStep,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Submit a repayment request through the Legacy API gateway handler (direct call, no HTTP)
+     */
+    async submitRepayment(repaymentRequest, registration) {
+        const { handleRaiseRepaymentRequest } = require('./LegacyAPIGateway');
+
+        return await handleRaiseRepaymentRequest(repaymentRequest, this.getGatewayOrgMapping(registration), this.context);
+    }
+
+    /**
+     * Write the DAN and protection date back to the source tenancy and attach the Deposit Protection Certificate
+     *
+     * Never throws: parts that fail are recorded on the deposit registration and held as a pending
+     * write-back, which the PendingPollingService retries (only the parts still outstanding).
+     *
+     * @param {Object} workflowData - Workflow request (tenancyId, agencyRef, branchId, ...)
+     * @param {Object} options
+     * @param {boolean} options.fromPolling - Called for a pending write-back (the polling service reschedules it)
+     * @returns {Object} - { status: 'completed' | 'pending' | 'skipped' | 'failed', depositReference, certificate, attempts, lastError, pendingId }
+     */
+    async writeBackToSource(workflowData, options = {}) {
+        this.workflowData = this.workflowData || workflowData;
+
+        try {
+            const registration = await getDepositRegistration(this.sourceSystem, workflowData.agencyRef, workflowData.tenancyId, this.context);
+
+            if (!registration?.dan) {
+                return { status: 'skipped', reason: 'No registered deposit for this tenancy' };
+            }
+
+            const outstanding = getOutstandingParts(registration.writeBack);
+            if (outstanding.length === 0) {
+                return { ...registration.writeBack, status: 'completed' };
+            }
+
+            this.context.log(`↩️ Writing DAN ${registration.dan} back to ${this.adapter.displayName}: ${outstanding.join(', ')}`);
+
+            // Resumed runs and the polling service have not resolved the organisation yet
+            this.orgContext = this.orgContext || await this.resolveOrganizationContext(workflowData);
+
+            const results = [];
+            for (const part of outstanding) {
+                try {
+                    if (part === 'depositReference') {
+                        await this.adapter.writeDepositProtection(
+                            workflowData,
+                            this.orgContext,
+                            buildDepositProtection(registration.dan, registration.registeredAt, registration.payload)
+                        );
+                    } else {
+                        await this.attachCertificate(workflowData, registration);
+                    }
+                    results.push({ part, success: true });
+                } catch (error) {
+                    this.context.warn(`⚠️ ${this.adapter.displayName} write-back of ${part} failed: ${error.message}`);
+                    results.push({ part, success: false, error: error.message });
+                }
+            }
+
+            const writeBack = applyWriteBackResults(registration.writeBack, registration.dan, results);
+            await saveWriteBack(registration, writeBack, this.context);
+
+            if (writeBack.status === 'pending' && !options.fromPolling) {
+                const pendingResult = await this.createPendingFollowUp(
+                    workflowData,
+                    'writeback',
+                    `${this.adapter.displayName} write-back failed (will retry): ${writeBack.lastError}`
+                );
+                writeBack.pendingId = pendingResult.integrationId;
+            }
+
+            return writeBack;
+
+        } catch (error) {
+            this.context.warn(`⚠️ ${this.adapter.displayName} write-back failed:`, error.message);
+
+            if (options.fromPolling) {
+                return { status: 'pending', lastError: error.message };
+            }
+
+            const pendingResult = await this.createPendingFollowUp(
+                workflowData,
+                'writeback',
+                `${this.adapter.displayName} write-back failed (will retry): ${error.message}`
+            ).catch(() => null);
+
+            return { status: pendingResult ? 'pending' : 'failed', lastError: error.message, pendingId: pendingResult?.integrationId };
+        }
+    }
+
+    /**
+     * Fetch the Deposit Protection Certificate through the Legacy API gateway DPC handler (direct call, no HTTP)
+     * and attach it to the source tenancy
+     */
+    async attachCertificate(workflowData, registration) {
+        const { handleDPC } = require('./LegacyAPIGateway');
 
-            return altoData;
+        const dan = registration.providerDans?.salesforce || registration.dan;
+        const response = await handleDPC(dan, this.getGatewayOrgMapping(registration), this.context);
 
-        } catch (error) {
-            // No fallback - throw real error
-            this.context.log('❌ Failed to fetch Alto data:', error.message);
-            throw new Error(`Alto API Error: ${error.message}`);
+        // TDS issues the certificate shortly after registration - until then this is retried
+        if (!response.body?.success || !response.body.certificate) {
+            throw new Error(`Deposit Protection Certificate not available: ${JSON.stringify(response.body?.errors || 'no certificate returned')}`);
         }
+
+        await this.adapter.attachTenancyDocument(workflowData, this.orgContext, buildCertificateDocument(registration.dan, response.body.certificate));
     }
 
     /**
-     * Validate data completeness with detailed missing field tracking
+     * Organisation mapping in the shape the Legacy API gateway handlers expect
+     * Uses the Salesforce credentials for the scheme region the deposit was registered in
      */
-    validateDataCompleteness(altoData) {
-        const missingFields = {
-            tenancy: [],
-            property: [],
-            contacts: [],
-            deposit: []
-        };
+    getGatewayOrgMapping(registration) {
+        const { getSalesforceUrl } = require('./LegacyAPIGateway');
 
-        let isComplete = true;
+        const { mapping, environment, effectiveBranchId } = this.orgContext;
+        const region = normalizeSchemeRegion(registration.payload?.region || mapping.salesforce?.region);
+        const credentials = getRegionCredentials(mapping, region) || mapping.salesforce;
 
-        // Check deposit scheme type - critical filter for TDS custodial tenancies
-        const depositSchemeType = altoData.tenancy?.depositSchemeType;
+        return {
+            organizationName: mapping.organizationName,
+            organizationId: `${this.workflowData.agencyRef}:${effectiveBranchId}`,
+            environment,
+            salesforce: {
+                ...credentials,
+                baseUrl: getSalesforceUrl(environment)
+            }
+        };
+    }
 
-        // If depositSchemeType is present but not TDS Custodial or Unspecified, this is a permanent rejection
-        if (depositSchemeType &&
-            depositSchemeType !== 'DisputeServiceCustodial' &&
-            depositSchemeType !== 'Unspecified') {
-            this.context.log(`🚫 Tenancy rejected: Tenancy is not for TDS Custodial (scheme type: ${depositSchemeType})`);
-            // This tenancy is for a different scheme - permanently reject
-            return {
-                isComplete: false,
-                isPermanentRejection: true,
-                rejectionReason: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`,
-                missingFields: {},
-                summary: `Tenancy is not for TDS Custodial scheme (scheme type: ${depositSchemeType})`,
-                canPendForPolling: false
-            };
+    /**
+     * Find a stopped run of this tenancy to resume
+     * Lookup failures are logged and the workflow starts a fresh run
+     */
+    async findRunToResume(workflowData) {
+        try {
+            return await findResumableRun({
+                sourceSystem: this.sourceSystem,
+                agencyRef: workflowData.agencyRef,
+                tenancyId: workflowData.tenancyId,
+                webhookId: workflowData.webhookId
+            }, this.context);
+        } catch (error) {
+            this.context.warn(`⚠️ Could not check for a resumable workflow run: ${error.message}`);
+            return null;
         }
+    }
 
-        // If depositSchemeType is "Unspecified", treat as missing field (can pend for polling)
-        if (!depositSchemeType || depositSchemeType === 'Unspecified') {
-            missingFields.tenancy.push('deposit scheme type');
-            isComplete = false;
-            this.context.log(`⏳ Deposit scheme type is unspecified - will pend for polling`);
-        }
+    /**
+     * Continue a stopped run: take over its workflow ID and carry its checkpointed steps
+     * @returns {Object} - Checkpoint ({ step, completedSteps, tdsPayload, tdsResult, changes })
+     */
+    adoptRun(run, steps) {
+        const checkpoint = run.checkpoint || {};
 
-        // Required tenancy fields
-        const requiredTenancyFields = ['id', 'startDate'];
-        if (altoData.tenancy) {
-            requiredTenancyFields.forEach(field => {
-                if (!altoData.tenancy[field]) {
-                    missingFields.tenancy.push(field);
-                    isComplete = false;
-                }
-            });
-        } else {
-            missingFields.tenancy.push('entire tenancy data');
-            isComplete = false;
-        }
+        this.workflowId = run.workflowId;
+        this.attempt = (run.attempt || 1) + 1;
 
-        // Required property fields
-        if (altoData.property) {
-            if (!altoData.property.address) {
-                missingFields.property.push('address');
-                isComplete = false;
-            }
-            if (!altoData.property.id) {
-                missingFields.property.push('id');
-                isComplete = false;
-            }
-        } else {
-            missingFields.property.push('entire property data');
-            isComplete = false;
+        for (const step of checkpoint.completedSteps || []) {
+            steps.push({ step, status: 'completed', resumed: true, timestamp: new Date().toISOString() });
         }
 
-        // Contact information validation (Alto API structure)
-        // Validate ALL tenants - handle both structures:
-        // 1. Multiple people in same contact: tenants[0].items[0].people[]
-        // 2. Multiple separate contacts: tenants[].items[0].people[0]
-        if (!altoData.tenants || altoData.tenants.length === 0) {
-            missingFields.contacts.push('tenant contacts');
-            isComplete = false;
-        } else {
-            // Collect all tenants from all contact records
-            const allTenants = [];
-            altoData.tenants.forEach(tenantContact => {
-                if (tenantContact.items && tenantContact.items.length > 0) {
-                    const people = tenantContact.items[0].people || [];
-                    allTenants.push(...people);
-                }
-            });
+        this.context.log(`🔁 Resuming workflow run ${run.workflowId} (${run.status}, last checkpoint: ${checkpoint.step || 'none'})`);
 
-            if (allTenants.length === 0) {
-                missingFields.contacts.push('tenant contacts');
-                isComplete = false;
-            } else {
-                // Check ALL tenants for name and contact completeness
-                allTenants.forEach((tenant, index) => {
-                    const tenantLabel = index === 0 ? 'lead tenant' : `tenant ${index + 1}`;
+        return checkpoint;
+    }
 
-                    if (!tenant.forename || !tenant.surname) {
-                        missingFields.contacts.push(`${tenantLabel} name (${tenant.forename || 'unknown'} ${tenant.surname || 'unknown'})`);
-                        isComplete = false;
-                    }
+    /**
+     * Refuse to resume a run that was interrupted during a TDS submission - the deposit
+     * may already exist, so someone must check TDS and resume the run with force
+     */
+    async blockUnknownSubmission(run, steps) {
+        const error = `TDS submission outcome unknown: workflow ${run.workflowId} was interrupted during '${run.currentStep || run.failedStep}'. ` +
+            'Check TDS for this tenancy, then resume the workflow with force to resubmit.';
 
-                    // Check if tenant has either email or phone
-                    const hasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
-                    const hasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
+        this.context.warn(`⚠️ ${error}`);
 
-                    if (!hasEmail && !hasPhone) {
-                        missingFields.contacts.push(`${tenantLabel} contact (${tenant.forename} ${tenant.surname})`);
-                        isComplete = false;
-                    }
-                });
+        if (run.status !== 'NEEDS_REVIEW') {
+            try {
+                await saveWorkflowRun({
+                    workflowId: run.workflowId,
+                    status: 'NEEDS_REVIEW',
+                    failedStep: run.currentStep,
+                    error
+                }, this.context);
+            } catch (persistError) {
+                this.context.warn(`⚠️ Failed to flag workflow run ${run.workflowId} for review: ${persistError.message}`);
             }
         }
 
-        // Validate ALL landlords - try /landlords endpoint first, fall back to property.owners
-        // Handle both structures: landlords object with items array, or direct array
-        let allLandlords = [];
-        if (altoData.landlords) {
-            // /landlords endpoint returns { totalCount, items: [] }
-            allLandlords = altoData.landlords.items || altoData.landlords;
-        } else if (altoData.property?.owners) {
-            // property.owners is a direct array
-            allLandlords = altoData.property.owners;
-        }
-
-        if (!allLandlords || allLandlords.length === 0) {
-            missingFields.contacts.push('landlord information');
-            isComplete = false;
-        } else {
-            // Check ALL landlords for name, contact, and address completeness
-            allLandlords.forEach((landlordSource, index) => {
-                const landlordLabel = index === 0 ? 'primary landlord' : `landlord ${index + 1}`;
+        return {
+            success: false,
+            needsReview: true,
+            workflowId: run.workflowId,
+            tenancyId: run.tenancyId,
+            error,
+            failedStep: run.currentStep || run.failedStep,
+            processingTime: `${Date.now() - this.startTime}ms`,
+            steps,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-                // Handle both /landlords structure (flat: forename, surname) and property.owners structure (nested: name.forename)
-                const landlordForename = landlordSource.forename || landlordSource.name?.forename;
-                const landlordSurname = landlordSource.surname || landlordSource.name?.surname;
+    /**
+     * Persist run fields (storage failures are logged, never fail the workflow)
+     */
+    async recordRun(fields) {
+        try {
+            await saveWorkflowRun({ workflowId: this.workflowId, ...fields }, this.context);
+        } catch (error) {
+            this.context.warn(`⚠️ Failed to persist workflow run ${this.workflowId}: ${error.message}`);
+        }
+    }
 
-                if (!landlordForename || !landlordSurname) {
-                    missingFields.contacts.push(`${landlordLabel} name`);
-                    isComplete = false;
-                }
+    /**
+     * Persist a step of this attempt (storage failures are logged, never fail the workflow)
+     */
+    async persistStep(steps, step) {
+        try {
+            await saveWorkflowStep(this.workflowId, {
+                ...step,
+                attempt: this.attempt,
+                sequence: steps.indexOf(step) + 1,
+                completedAt: step.status === 'started' ? null : new Date().toISOString()
+            }, this.context);
+        } catch (error) {
+            this.context.warn(`⚠️ Failed to persist step '${step.step}' of workflow ${this.workflowId}: ${error.message}`);
+        }
+    }
 
-                // Check landlord has either email or phone
-                // Handle both structures: flat (email, phone) vs nested (emailAddresses[], phoneNumbers[])
-                const landlordEmail = landlordSource.email ||
-                    (landlordSource.emailAddresses && landlordSource.emailAddresses.length > 0 ? landlordSource.emailAddresses[0].address : null);
-                const landlordPhone = landlordSource.phone ||
-                    (landlordSource.phoneNumbers && landlordSource.phoneNumbers.length > 0 ? landlordSource.phoneNumbers[0].number : null);
+    /**
+     * Start a workflow step
+     */
+    async startStep(steps, stepName) {
+        const step = { step: stepName, status: 'started', timestamp: new Date().toISOString() };
+        steps.push(step);
 
-                if (!landlordEmail && !landlordPhone) {
-                    missingFields.contacts.push(`${landlordLabel} contact (${landlordForename} ${landlordSurname})`);
-                    isComplete = false;
-                }
+        await this.persistStep(steps, step);
+        await this.recordRun({ currentStep: stepName });
+    }
 
-                // Check landlord address - must have all required TDS fields
-                if (!landlordSource.address ||
-                    !landlordSource.address.postcode || landlordSource.address.postcode.trim() === '' ||
-                    !landlordSource.address.nameNo || landlordSource.address.nameNo.trim() === '' ||
-                    !landlordSource.address.street || landlordSource.address.street.trim() === '' ||
-                    (!landlordSource.address.town && !landlordSource.address.locality) ||
-                    ((landlordSource.address.town || '').trim() === '' && (landlordSource.address.locality || '').trim() === '')) {
-                    missingFields.contacts.push(`${landlordLabel} address (${landlordForename} ${landlordSurname})`);
-                    isComplete = false;
-                }
-            });
-        }
+    /**
+     * Complete the current workflow step
+     */
+    async completeStep(steps, result) {
+        const step = steps[steps.length - 1];
+        step.status = 'completed';
+        step.result = result;
 
-        // Deposit validation
-        const hasDeposit = this.checkDepositAvailability(altoData);
-        if (!hasDeposit) {
-            missingFields.deposit.push('deposit amount');
-            isComplete = false;
-        }
+        await this.persistStep(steps, step);
+        await this.recordRun({ lastCompletedStep: step.step });
+    }
 
-        // Create human-readable summary of missing fields
-        const missingSummary = this.createHumanReadableSummary(missingFields);
+    /**
+     * Checkpoint the outputs later steps need, so a resumed run can skip the completed steps
+     */
+    async saveCheckpoint(steps, data) {
+        const completedSteps = steps.filter(step => step.status === 'completed').map(step => step.step);
 
-        return {
-            isComplete,
-            missingFields,
-            summary: missingSummary,
-            canPendForPolling: this.canCreatePendingIntegration(missingFields)
-        };
+        await this.recordRun({
+            checkpoint: { step: completedSteps[completedSteps.length - 1], completedSteps, ...data }
+        });
     }
 
     /**
-     * Create human-readable summary from missing fields
+     * Resolve environment and effective branch ID from the organization mapping
      */
-    createHumanReadableSummary(missingFields) {
-        const messages = [];
-
-        // Handle deposit
-        if (missingFields.deposit.length > 0) {
-            messages.push('Please add the deposit amount in Alto');
+    async resolveOrganizationContext(workflowData) {
+        if (!workflowData.agencyRef) {
+            throw new Error('agencyRef is required to lookup organization mapping');
         }
 
-        // Handle tenancy fields
-        if (missingFields.tenancy.length > 0) {
-            // Check for specific tenancy fields to provide better messaging
-            if (missingFields.tenancy.includes('deposit scheme type')) {
-                messages.push('Please specify the deposit scheme type in Alto');
-            } else {
-                messages.push('Please complete tenancy details in Alto');
-            }
-        }
+        // ✅ Get organization mapping - use direct service call (no HTTP, no auth needed for internal calls)
+        // If org mapping doesn't exist, workflow should fail immediately
+        const mappingService = new OrganizationMappingService(this.context);
+        const result = await mappingService.getMapping(
+            workflowData.agencyRef,
+            workflowData.branchId || 'DEFAULT'
+        );
 
-        // Handle property fields
-        if (missingFields.property.length > 0) {
-            messages.push('Please complete property details in Alto');
+        if (!result || !result.mapping) {
+            throw new Error(`Organization mapping not found for agencyRef: ${workflowData.agencyRef}, branchId: ${workflowData.branchId || 'DEFAULT'}`);
         }
 
-        // Handle contact fields with more specific messaging
-        if (missingFields.contacts.length > 0) {
-            const contactMessages = [];
-
-            missingFields.contacts.forEach(field => {
-                // Parse the field to create better messages
-                if (field.includes('tenant 2 contact') || field.includes('tenant 3 contact') || field.includes('tenant 4 contact')) {
-                    // Extract tenant name if present
-                    const nameMatch = field.match(/\(([^)]+)\)/);
-                    const name = nameMatch ? nameMatch[1] : 'joint tenant';
-                    contactMessages.push(`Please add email or phone number for ${name} in Alto`);
-                } else if (field.includes('lead tenant contact')) {
-                    const nameMatch = field.match(/\(([^)]+)\)/);
-                    const name = nameMatch ? nameMatch[1] : 'lead tenant';
-                    contactMessages.push(`Please add email or phone number for ${name} in Alto`);
-                } else if (field.includes('landlord 2 contact') || field.includes('landlord 3 contact') || field.includes('landlord 4 contact')) {
-                    const nameMatch = field.match(/\(([^)]+)\)/);
-                    const name = nameMatch ? nameMatch[1] : 'joint landlord';
-                    contactMessages.push(`Please add email or phone number for ${name} in Alto`);
-                } else if (field.includes('primary landlord contact')) {
-                    const nameMatch = field.match(/\(([^)]+)\)/);
-                    const name = nameMatch ? nameMatch[1] : 'primary landlord';
-                    contactMessages.push(`Please add email or phone number for ${name} in Alto`);
-                } else if (field.includes('landlord') && field.includes('address')) {
-                    const nameMatch = field.match(/\(([^)]+)\)/);
-                    const name = nameMatch ? nameMatch[1] : 'landlord';
-                    contactMessages.push(`Please add complete address for ${name} in Alto`);
-                } else if (field.includes('landlord') && field.includes('name')) {
-                    contactMessages.push('Please add landlord name in Alto');
-                } else if (field.includes('tenant') && field.includes('name')) {
-                    contactMessages.push('Please add tenant name in Alto');
-                } else if (field.includes('tenant contacts')) {
-                    contactMessages.push('Please add tenant information in Alto');
-                } else if (field.includes('landlord information')) {
-                    contactMessages.push('Please add landlord information in Alto');
-                }
-            });
+        const environment = result.mapping.environment || 'development';
+        // ✅ Use organization mapping's branch ID (handles DEFAULT wildcard)
+        const effectiveBranchId = result.storedBranchId || workflowData.branchId;
 
-            messages.push(...contactMessages);
-        }
+        this.context.log(`📊 Using environment from org mapping: ${environment}`);
+        this.context.log(`🔑 Using branch ID from org mapping: ${effectiveBranchId}`);
 
-        return messages.length > 0 ? messages.join('. ') : 'Missing required information';
+        return { environment, effectiveBranchId, mapping: result.mapping };
     }
 
     /**
-     * Check if deposit information is available from Alto data
+     * Fetch complete tenancy data from the source system
      */
-    checkDepositAvailability(altoData) {
-        const { tenancy } = altoData;
+    async fetchSourceData(workflowData) {
+        this.context.log(`📡 Fetching ${this.adapter.displayName} tenancy data...`);
 
-        if (!tenancy) {
-            this.context.log('❌ No tenancy data available');
-            return false;
-        }
-
-        // Check if depositRequested or depositAmount is available and > 0
-        const depositRequested = tenancy.depositRequested;
-        const depositAmount = tenancy.depositAmount;
+        try {
+            // Get environment AND branchId from organization mapping
+            // (kept for validation and mapping, which apply the organization's deposit scheme settings)
+            const orgContext = await this.resolveOrganizationContext(workflowData);
+            this.orgContext = orgContext;
 
-        this.context.log('🔍 Deposit availability check:', {
-            depositRequested,
-            depositAmount,
-            hasDeposit: !!(depositRequested && depositRequested > 0) || !!(depositAmount && depositAmount > 0)
-        });
+            return await this.adapter.fetchTenancyData(workflowData, orgContext);
 
-        return !!(depositRequested && depositRequested > 0) || !!(depositAmount && depositAmount > 0);
+        } catch (error) {
+            // No fallback - throw real error
+            this.context.log(`❌ Failed to fetch ${this.adapter.displayName} data:`, error.message);
+            throw new Error(`${this.adapter.displayName} API Error: ${error.message}`);
+        }
     }
 
     /**
-     * Determine if missing fields are suitable for pending/polling
+     * Validate data completeness with detailed missing field tracking (the shared completeness engine, as used by polling and retries)
      */
-    canCreatePendingIntegration(missingFields) {
-        // We can create pending integrations for:
-        // 1. Missing deposit amounts (already supported)
-        // 2. Missing optional tenancy fields like startDate (may be filled later)
-        // 3. Missing contact information (may be added later)
-
-        // We cannot create pending integrations for:
-        // 1. Missing core tenancy or property data (fundamental data structure issues)
-
-        const hasCoreTenancyData = !missingFields.tenancy.includes('entire tenancy data') && !missingFields.tenancy.includes('id');
-        const hasCorePropertyData = !missingFields.property.includes('entire property data') && !missingFields.property.includes('id');
+    validateDataCompleteness(sourceData) {
+        return evaluateCompleteness(this.adapter, sourceData, {
+            enabledSchemes: this.orgContext?.mapping?.depositSchemes
+        });
+    }
 
-        return hasCoreTenancyData && hasCorePropertyData;
+    /**
+     * Calculate next poll time from the polling settings and the organisation's polling policy
+     * (shared with the polling service and manual retries)
+     */
+    async calculateNextPollTime(pollCount) {
+        if (!this.pollingSettings) {
+            this.pollingSettings = await new PollingSettingsManager(this.context).getSettingsOrDefaults();
+        }
+        return scheduleNextPoll(pollCount, resolvePollingPolicy({
+            settings: this.pollingSettings,
+            organizationPolicy: this.orgContext?.mapping?.pollingPolicy
+        }));
     }
 
     /**
      * Validate and enrich the fetched data (legacy method for compatibility)
      */
-    async validateAndEnrichData(altoData) {
+    async validateAndEnrichData(sourceData) {
         this.context.log('✅ Validating and enriching data...');
 
-        // Debug: Log the actual Alto API response structure
-        this.context.log('🔍 Alto API Response Structure:');
-        this.context.log('📋 Tenancy:', JSON.stringify(altoData.tenancy, null, 2));
-        this.context.log('🏠 Property:', JSON.stringify(altoData.property, null, 2));
-        this.context.log('👤 Landlord:', JSON.stringify(altoData.landlord, null, 2));
-        this.context.log('👥 Tenants:', JSON.stringify(altoData.tenants, null, 2));
+        // Debug: Log the actual source API response structure
+        this.context.log(`🔍 ${this.adapter.displayName} API Response Structure:`);
+        this.context.log('📋 Tenancy:', JSON.stringify(sourceData.tenancy, null, 2));
+        this.context.log('🏠 Property:', JSON.stringify(sourceData.property, null, 2));
+        this.context.log('👤 Landlord:', JSON.stringify(sourceData.landlord, null, 2));
+        this.context.log('👥 Tenants:', JSON.stringify(sourceData.tenants, null, 2));
 
         // Use new comprehensive validation
-        const validationResult = this.validateDataCompleteness(altoData);
+        const validationResult = this.validateDataCompleteness(sourceData);
 
         return {
             isValid: validationResult.isComplete,
             errors: validationResult.isComplete ? [] : [validationResult.summary],
             enrichedData: {
-                ...altoData,
+                ...sourceData,
                 validatedAt: new Date().toISOString()
             },
             validationResult // Include full validation details
@@ -783,7 +1602,8 @@ class AltoTDSOrchestrator {
             return {
                 success: true,
                 postcode,
-                county: result.region
+                county: result.region,
+                country: result.country
             };
 
         } catch (error) {
@@ -808,164 +1628,161 @@ class AltoTDSOrchestrator {
     }
 
     /**
-     * Prepare TDS deposit payload
+     * Lookup the postcode of every landlord and tenant (forwarding address) in one batch
+     * A failed lookup is reported for that person only - the payload falls back to the county held in the source system
+     *
+     * @returns {Object} - { landlords, tenants, failures } - per-person results in mapping order (null if not looked up or failed)
      */
-    async prepareTDSPayload(altoData, propertyPostcodeResult, landlordPostcodeResult) {
-        this.context.log('📝 Preparing TDS deposit payload...');
-
-        const { tenancy, property, tenants } = altoData;
+    async lookupPersonPostcodes({ landlords = [], tenants = [] }) {
+        const people = [
+            ...landlords.map((postcode, index) => ({ group: 'landlords', index, label: `landlord ${index + 1}`, postcode })),
+            ...tenants.map((postcode, index) => ({ group: 'tenants', index, label: `tenant ${index + 1}`, postcode }))
+        ].filter(person => person.postcode);
 
-        // Get agencyRef and branchId from workflow data (not from Alto API response)
-        const agencyRef = this.workflowData.agencyRef;
-        const branchId = this.workflowData.branchId;
+        const results = { landlords: landlords.map(() => null), tenants: tenants.map(() => null), failures: [] };
 
-        // Validate required organization/technical fields (these should never be missing from a webhook)
-        if (!agencyRef) {
-            throw new Error('Missing required field: agencyRef. Please ensure the webhook payload includes a valid agencyRef.');
+        if (people.length === 0) {
+            return results;
         }
 
-        if (!branchId) {
-            throw new Error('Missing required field: branchId. Please ensure the webhook payload includes a valid branchId.');
+        const distinctPostcodes = [...new Set(people.map(person => person.postcode.toUpperCase().trim()))];
+        const lookups = new Map();
+
+        try {
+            // Use lookupPostcodeBatch directly (the POST /api/postcode batch route - no HTTP, no auth needed for internal calls)
+            for (let i = 0; i < distinctPostcodes.length; i += POSTCODE_BATCH_SIZE) {
+                const batch = await lookupPostcodeBatch(distinctPostcodes.slice(i, i + POSTCODE_BATCH_SIZE));
+                batch.forEach((result, offset) => lookups.set(distinctPostcodes[i + offset], result));
+            }
+        } catch (error) {
+            this.context.warn(`⚠️ Person postcode lookup failed: ${error.message}`);
         }
 
-        // Extract all landlords and tenants (validation already done in validateDataCompleteness)
-        // Prefer altoData.landlords from /landlords endpoint (has addresses), fall back to property.owners
-        // Handle both structures: landlords object with items array, or direct array
-        let allLandlords = [];
-        if (altoData.landlords) {
-            // /landlords endpoint returns { totalCount, items: [] }
-            allLandlords = altoData.landlords.items || altoData.landlords;
-        } else if (property.owners) {
-            // property.owners is a direct array
-            allLandlords = property.owners;
+        for (const person of people) {
+            const lookup = lookups.get(person.postcode.toUpperCase().trim());
+
+            if (lookup?.found) {
+                results[person.group][person.index] = {
+                    success: true,
+                    postcode: lookup.postcode,
+                    county: lookup.county,
+                    country: lookup.country
+                };
+            } else {
+                results.failures.push({
+                    person: person.label,
+                    postcode: person.postcode,
+                    error: lookup?.error || 'Postcode lookup failed'
+                });
+            }
         }
 
-        // Extract all tenants - handle both structures:
-        // 1. Multiple people in same contact: tenants[0].items[0].people[]
-        // 2. Multiple separate contacts: tenants[].items[0].people[0]
-        const allTenants = [];
-        if (tenants && tenants.length > 0) {
-            tenants.forEach(tenantContact => {
-                if (tenantContact.items && tenantContact.items.length > 0) {
-                    const people = tenantContact.items[0].people || [];
-                    const contactId = tenantContact.items[0].id; // Get the contact ID from items[0]
-                    // Add contact ID to each person
-                    const peopleWithContactId = people.map(person => ({
-                        ...person,
-                        contactId: contactId  // Add contact ID to person object
-                    }));
-                    allTenants.push(...peopleWithContactId);
-                }
-            });
+        if (results.failures.length > 0) {
+            this.context.warn(`⚠️ Postcode lookup failed for ${results.failures.map(failure => failure.person).join(', ')}`);
         }
 
-        // Process all landlords
-        const processedLandlords = allLandlords.map((landlord, index) => {
-            // Extract landlord contact information - Handle both flat and nested structures
-            // /landlords endpoint: {email, phone, forename, surname, title}
-            // property.owners: {emailAddresses[], phoneNumbers[], name: {forename, surname, title}}
-            const landlordEmail = landlord.email ||
-                (landlord.emailAddresses && landlord.emailAddresses.length > 0 ? landlord.emailAddresses[0].address : null);
-            const landlordPhone = landlord.phone ||
-                (landlord.phoneNumbers && landlord.phoneNumbers.length > 0 ? landlord.phoneNumbers[0].number : null);
-
-            // All landlords require email or phone (TDS API requirement)
-            if (!landlordEmail && !landlordPhone) {
-                throw new Error(`Landlord ${index + 1} (${landlord.forename || landlord.name?.forename} ${landlord.surname || landlord.name?.surname}) must have either email or phone number - both are missing from Alto data`);
-            }
+        return results;
+    }
 
-            // Extract landlord name - handle both structures
-            const landlordTitle = landlord.title || landlord.name?.title;
-            const landlordForename = landlord.forename || landlord.name?.forename;
-            const landlordSurname = landlord.surname || landlord.name?.surname;
-
-            // Normalize title to TDS-accepted values (returns null if not supported)
-            const normalizedTitle = this.normalizeTitle(landlordTitle);
-
-            // Build landlord object - only include title if it's supported
-            const landlordData = {
-                id: landlord.id || landlord.ownerId || landlord.contactId,  // Use available ID field
-                firstName: landlordForename,
-                lastName: landlordSurname,
-                email: landlordEmail,
-                phone: landlordPhone,
-                address: landlord.address,
-                county: landlordPostcodeResult.county  // All landlords use same postcode lookup for now
-            };
+    /**
+     * Prepare TDS deposit payload
+     * The adapter's standard mapping, with the organisation's field mapping rules applied on top
+     */
+    async prepareTDSPayload(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults = null) {
+        this.context.log('📝 Preparing TDS deposit payload...');
 
-            // Only include title if it's a valid Salesforce title
-            if (normalizedTitle) {
-                landlordData.title = normalizedTitle;
-            }
+        const depositModel = this.buildDepositModel(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults);
+        const rules = this.orgContext?.mapping?.fieldMappingRules;
 
-            return landlordData;
-        });
+        if (!rules) {
+            return depositModel;
+        }
 
-        // Process all tenants
-        const processedTenants = allTenants.map((tenant, index) => {
-            // Extract tenant contact information - TDS requires at least ONE (email OR mobile, not both mandatory)
-            const hasEmail = tenant.emailAddresses && tenant.emailAddresses.length > 0;
-            const hasPhone = tenant.phoneNumbers && tenant.phoneNumbers.length > 0;
+        const { depositModel: mappedModel, applied, warnings } = this.applyFieldMapping(depositModel, sourceData, rules);
 
-            // All tenants require email or phone (TDS API requirement)
-            if (!hasEmail && !hasPhone) {
-                throw new Error(`Tenant ${index + 1} (${tenant.forename} ${tenant.surname}) must have either email or phone number - both are missing from Alto data`);
-            }
+        this.context.log(`🧩 Applied organization field mapping rules: ${applied.join(', ') || 'none matched'}`);
+        warnings.forEach(warning => this.context.warn(`⚠️ Field mapping: ${warning}`));
+        this.fieldMappingWarnings = warnings;
 
-            const tenantEmail = hasEmail ? tenant.emailAddresses[0].address : null;
-            const tenantPhone = hasPhone ? tenant.phoneNumbers[0].number : null;
+        return mappedModel;
+    }
+
+    /**
+     * Apply field mapping rules to a deposit model built by the source adapter
+     */
+    applyFieldMapping(depositModel, sourceData, rules) {
+        return applyFieldMappingRules(depositModel, sourceData, rules, {
+            normalizeTitle: title => this.adapter.normalizeTitle(title),
+            people: this.adapter.getPeople(sourceData)
+        });
+    }
 
-            // Normalize title to TDS-accepted values (returns null if not supported)
-            const normalizedTitle = this.normalizeTitle(tenant.title);
+    /**
+     * Preview field mapping rules against a live tenancy without submitting anything
+     * Fetches and maps the tenancy as the workflow would, then applies the draft rules (or the stored rules)
+     *
+     * @param {Object} workflowData - { tenancyId, agencyRef, branchId }
+     * @param {Object} draftRules - Rules to try before saving them on the organisation mapping
+     * @returns {Object} { standardModel, mappedModel, applied, warnings, validationErrors }
+     */
+    async previewFieldMapping(workflowData, draftRules = null) {
+        this.workflowData = workflowData;
 
-            // Debug: Log the contactId to see if it exists
-            this.context.log(`🔍 Processing tenant ${index + 1}, contactId:`, tenant.contactId);
+        const sourceData = await this.fetchSourceData(workflowData);
 
-            // Build tenant object - only include title if it's supported
-            const tenantData = {
-                id: tenant.contactId,  // Use the contact ID we added earlier
-                firstName: tenant.forename,
-                lastName: tenant.surname,
-                email: tenantEmail,
-                phone: tenantPhone
-            };
+        const postcodes = this.adapter.getPostcodes(sourceData);
+        const propertyPostcodeResult = await this.lookupPostcode(postcodes.property);
+        const landlordPostcodeResult = postcodes.landlord ? await this.lookupPostcode(postcodes.landlord) : propertyPostcodeResult;
+        const personPostcodeResults = await this.lookupPersonPostcodes(this.adapter.getPersonPostcodes(sourceData));
 
-            // Only include title if it's a valid Salesforce title
-            if (normalizedTitle) {
-                tenantData.title = normalizedTitle;
-            }
+        const rules = draftRules || this.orgContext?.mapping?.fieldMappingRules || null;
+        const standardModel = this.buildDepositModel(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults);
+        const { depositModel: mappedModel, applied, warnings } = this.applyFieldMapping(standardModel, sourceData, rules);
 
-            return tenantData;
-        });
+        // Same validation the TDS adapter applies before submission
+        const { error } = schemas.tdsDepositCreate.validate(mappedModel, { abortEarly: false, stripUnknown: true });
 
         return {
-            tenancyId: tenancy.id,
-            depositAmount: tenancy.depositRequested,  // Alto API field name
-            rentAmount: property.rent || tenancy.rent,  // Prefer property.rent per PoC
-            tenancyStartDate: tenancy.startDate,
-            tenancyEndDate: tenancy.endDate,
-            property: {
-                id: property.id,  // Include property ID from Alto
-                address: property.address,
-                county: propertyPostcodeResult.county,
-                propertyType: property.propertyType,
-                bedrooms: property.bedrooms,
-                receptions: property.receptions
-            },
-            landlords: processedLandlords,  // Array of all landlords
-            landlord: processedLandlords[0],  // Keep backwards compatibility - first landlord
-            tenants: processedTenants,  // Array of all tenants
-            // Include organization mapping data for TDS adapter
-            agencyRef: agencyRef,
-            branchId: branchId,
-            agency: {
-                ref: agencyRef,
-                branchId: branchId
-            },
-            createdAt: new Date().toISOString()
+            tenancyId: workflowData.tenancyId,
+            rulesSource: draftRules ? 'draft' : (rules ? 'organization' : 'none'),
+            rules,
+            standardModel,
+            mappedModel,
+            applied,
+            warnings,
+            validationErrors: error
+                ? error.details.map(detail => ({ param: detail.path.join('.'), message: detail.message }))
+                : []
         };
     }
 
+    /**
+     * Map source data to the standard deposit model (no organisation field mapping rules)
+     */
+    buildDepositModel(sourceData, propertyPostcodeResult, landlordPostcodeResult, personPostcodeResults = null) {
+        // Get agencyRef and branchId from workflow data (not from source API response)
+        const agencyRef = this.workflowData.agencyRef;
+        const branchId = this.workflowData.branchId;
+
+        // Validate required organization/technical fields (these should never be missing from a webhook)
+        if (!agencyRef) {
+            throw new Error('Missing required field: agencyRef. Please ensure the webhook payload includes a valid agencyRef.');
+        }
+
+        if (!branchId) {
+            throw new Error('Missing required field: branchId. Please ensure the webhook payload includes a valid branchId.');
+        }
+
+        return this.adapter.mapToDepositModel(sourceData, {
+            propertyPostcodeResult,
+            landlordPostcodeResult,
+            personPostcodeResults,
+            agencyRef,
+            branchId,
+            protectionFeePaidBy: this.orgContext?.mapping?.insuredProtectionFeePaidBy
+        });
+    }
+
     /**
      * Create TDS deposit
      */
@@ -973,82 +1790,160 @@ class AltoTDSOrchestrator {
         this.context.log('💰 Creating TDS deposit...');
 
         try {
-            // Call our TDS adapter function
-            const response = await axios.post(
-                `${process.env.FUNCTIONS_BASE_URL || 'http://localhost:7071'}/api/tds/create`,
-                payload,
-                {
-                    headers: this.bearerToken ? {
-                        'Authorization': `Bearer ${this.bearerToken}`,
-                        'Content-Type': 'application/json'
-                    } : {
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 600000
-                }
-            );
+            // Use TDSDepositService directly (no HTTP, no auth needed for internal calls)
+            const tdsService = new TDSDepositService(this.context);
+            return await tdsService.createDeposit(payload);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Find the registered tenancy this tenancy renews (same property, overlapping tenants, adjacent dates)
+     * Skipped when the request forces a new registration, and for test mode (test deposits are not registered)
+     *
+     * @returns {Object|null} - { registration, gapDays, sharedTenantIds } or null to register a new deposit
+     */
+    async findRenewal(workflowData, payload) {
+        if (workflowData.testMode) {
+            return null;
+        }
+
+        if (workflowData.forceNewRegistration) {
+            this.context.log('ℹ️ forceNewRegistration set - skipping renewal detection');
+            return null;
+        }
 
-            return response.data;
+        return await findRenewalCandidate(this.sourceSystem, workflowData.agencyRef, payload, this.context);
+    }
+
+    /**
+     * Amend an existing TDS deposit with the changed payload
+     */
+    async amendTDSDeposit(registration, payload, changes) {
+        this.context.log(`✏️ Amending TDS deposit ${registration.dan}...`);
+
+        try {
+            const tdsService = new TDSDepositService(this.context);
+            const providerDans = Object.keys(registration.providerDans).length > 0
+                ? registration.providerDans
+                : { current: registration.dan, salesforce: registration.dan };
+
+            return await tdsService.amendDeposit(providerDans, payload, changes);
 
         } catch (error) {
             return {
                 success: false,
-                error: error.response?.data?.error || error.message
+                error: error.message
             };
         }
     }
 
+    /**
+     * Schedule an active pending integration for this tenancy to re-poll immediately
+     * Returns null when the tenancy has no pending integration of this type ('deposit' or 'repayment')
+     */
+    async nudgePendingIntegration(workflowData, integrationType = 'deposit') {
+        const { TableClient } = require('@azure/data-tables');
+
+        const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+        const tableClient = TableClient.fromConnectionString(connectionString, 'PendingIntegrations');
+
+        const entities = tableClient.listEntities({
+            queryOptions: { filter: `PartitionKey eq 'PendingIntegration' and tenancyId eq '${workflowData.tenancyId}'` }
+        });
+
+        try {
+            for await (const entity of entities) {
+                if ((entity.sourceSystem || 'alto') !== this.sourceSystem) continue;
+                if ((entity.integrationType || 'deposit') !== integrationType) continue;
+                if (workflowData.agencyRef && entity.agencyRef && entity.agencyRef !== workflowData.agencyRef) continue;
+
+                if (entity.integrationStatus === 'PROCESSING') {
+                    // Already being re-polled - it will pick up the latest data
+                    this.context.log(`⏭️ Pending integration ${entity.rowKey} is already processing`);
+                    return { integrationId: entity.rowKey, status: entity.integrationStatus };
+                }
+
+                if (['PENDING_DEPOSIT', 'PENDING_DATA'].includes(entity.integrationStatus)) {
+                    await tableClient.updateEntity({
+                        partitionKey: entity.partitionKey,
+                        rowKey: entity.rowKey,
+                        nextPollAt: new Date().toISOString(),
+                        nudgedAt: new Date().toISOString(),
+                        nudgeReason: `${workflowData.eventType} webhook ${workflowData.webhookId || ''}`.trim(),
+                        updatedAt: new Date().toISOString()
+                    }, 'Merge');
+
+                    this.context.log(`⏩ Pending integration ${entity.rowKey} nudged to re-poll immediately`);
+                    return { integrationId: entity.rowKey, status: entity.integrationStatus };
+                }
+            }
+        } catch (error) {
+            if (error.statusCode === 404) { // Table not created yet - nothing is pending
+                return null;
+            }
+            throw error;
+        }
+
+        return null;
+    }
+
     /**
      * Create pending integration record for missing data
      */
-    async createPendingIntegrationForMissingData(workflowData, altoData, validationResult) {
+    async createPendingIntegrationForMissingData(workflowData, sourceData, validationResult) {
         this.context.log('💤 Creating pending integration for missing data...');
 
         const { TableClient } = require('@azure/data-tables');
 
         try {
-            // Determine the appropriate integration status based on what's missing
-            let integrationStatus = 'PENDING_DATA';
-            let pendingReason = `Waiting for: ${validationResult.summary}`;
-
-            // Use legacy status for deposit-only issues
-            if (validationResult.missingFields.deposit.length > 0 &&
-                validationResult.missingFields.tenancy.length === 0 &&
-                validationResult.missingFields.property.length === 0 &&
-                validationResult.missingFields.contacts.length === 0) {
-                integrationStatus = 'PENDING_DEPOSIT';
-                pendingReason = 'Awaiting deposit amount in Alto tenancy';
-            }
+            // Determine the appropriate integration status based on what's missing (PENDING_DEPOSIT whenever the deposit is)
+            const integrationStatus = validationResult.pendingStatus;
+            const missingFields = validationResult.missingFields || {};
+            const depositOnly = integrationStatus === 'PENDING_DEPOSIT' &&
+                ['tenancy', 'property', 'contacts'].every(category => (missingFields[category] || []).length === 0);
+            const pendingReason = depositOnly
+                ? `Awaiting deposit amount in ${this.adapter.displayName} tenancy`
+                : `Waiting for: ${validationResult.summary}`;
 
             const integrationId = `pending_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
             const partitionKey = 'PendingIntegration';
             const rowKey = integrationId;
 
+            // Statutory 30-day protection deadline (from the deposit received date, or the tenancy start)
+            const protectionDates = sourceData ? this.adapter.getProtectionDates(sourceData) : {};
+
             const integrationEntity = {
                 partitionKey,
                 rowKey,
                 workflowId: this.workflowId,
                 tenancyId: workflowData.tenancyId,
-                agencyRef: workflowData.agencyRef || altoData.tenancy?.agencyRef || '',
-                branchId: workflowData.branchId || altoData.tenancy?.branchId || '',
+                agencyRef: workflowData.agencyRef || sourceData.tenancy?.agencyRef || '',
+                branchId: workflowData.branchId || sourceData.tenancy?.branchId || '',
+                sourceSystem: this.sourceSystem,
 
                 // Status tracking
                 webhookStatus: 'COMPLETED',
-                altoDataRetrievalStatus: altoData ? 'COMPLETED' : 'PARTIAL',
+                altoDataRetrievalStatus: sourceData ? 'COMPLETED' : 'PARTIAL',
                 tdsCreationStatus: 'PENDING',
                 integrationStatus: integrationStatus,
 
                 // Store retrieved data for later processing (even if partial)
                 webhookData: JSON.stringify(workflowData),
-                altoTenancyData: altoData?.tenancy ? JSON.stringify(altoData.tenancy) : null,
-                altoPropertyData: altoData?.property ? JSON.stringify(altoData.property) : null,
-                altoLandlordData: altoData?.property?.owners ? JSON.stringify(altoData.property.owners) : null,
-                altoTenantData: altoData?.tenants ? JSON.stringify(altoData.tenants) : null,
+                altoTenancyData: sourceData?.tenancy ? JSON.stringify(sourceData.tenancy) : null,
+                altoPropertyData: sourceData?.property ? JSON.stringify(sourceData.property) : null,
+                altoLandlordData: sourceData?.property?.owners ? JSON.stringify(sourceData.property.owners) : null,
+                altoTenantData: sourceData?.tenants ? JSON.stringify(sourceData.tenants) : null,
 
                 // References and timestamps
                 externalReference: workflowData.tenancyId,
                 webhookReceivedAt: new Date().toISOString(),
-                altoDataRetrievedAt: altoData ? new Date().toISOString() : null,
+                altoDataRetrievedAt: sourceData ? new Date().toISOString() : null,
 
                 // Pending-specific fields
                 pendingReason: pendingReason,
@@ -1056,7 +1951,8 @@ class AltoTDSOrchestrator {
                 lastPolledAt: new Date().toISOString(),
                 pollCount: 0,
                 maxPollCount: null, // Will use settings-based value in polling service
-                nextPollAt: new Date(Date.now() + 2 * 60 * 1000).toISOString(), // Next poll in 2 minutes
+                nextPollAt: (await this.calculateNextPollTime(1)).toISOString(),
+                ...buildProtectionDeadlineFields(protectionDates),
 
                 // Will be populated later
                 tdsPayloadData: null,
@@ -1086,7 +1982,8 @@ class AltoTDSOrchestrator {
 
             let existingPendingIntegration = null;
             for await (const entity of existingEntities) {
-                // Only consider truly pending integrations (not completed/failed)
+                // Only consider truly pending deposit integrations (not completed/failed, or follow-ups such as repayments)
+                if ((entity.integrationType || 'deposit') !== 'deposit') continue;
                 if (entity.integrationStatus && ['PENDING_DEPOSIT', 'PENDING_DATA', 'PROCESSING'].includes(entity.integrationStatus)) {
                     existingPendingIntegration = entity;
                     break;
@@ -1104,11 +2001,12 @@ class AltoTDSOrchestrator {
                     missingFields: JSON.stringify(validationResult.missingFields),
                     lastPolledAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString(),
+                    ...buildProtectionDeadlineFields(protectionDates, existingPendingIntegration),
                     // Update Alto data if we have fresher data
-                    altoTenancyData: altoData?.tenancy ? JSON.stringify(altoData.tenancy) : existingPendingIntegration.altoTenancyData,
-                    altoPropertyData: altoData?.property ? JSON.stringify(altoData.property) : existingPendingIntegration.altoPropertyData,
-                    altoLandlordData: altoData?.property?.owners ? JSON.stringify(altoData.property.owners) : existingPendingIntegration.altoLandlordData,
-                    altoTenantData: altoData?.tenants ? JSON.stringify(altoData.tenants) : existingPendingIntegration.altoTenantData
+                    altoTenancyData: sourceData?.tenancy ? JSON.stringify(sourceData.tenancy) : existingPendingIntegration.altoTenancyData,
+                    altoPropertyData: sourceData?.property ? JSON.stringify(sourceData.property) : existingPendingIntegration.altoPropertyData,
+                    altoLandlordData: sourceData?.property?.owners ? JSON.stringify(sourceData.property.owners) : existingPendingIntegration.altoLandlordData,
+                    altoTenantData: sourceData?.tenants ? JSON.stringify(sourceData.tenants) : existingPendingIntegration.altoTenantData
                 };
 
                 await tableClient.updateEntity(updatedEntity, 'Replace');
@@ -1147,10 +2045,107 @@ class AltoTDSOrchestrator {
         }
     }
 
+    /**
+     * Create (or refresh) a pending follow-up for a registered deposit
+     * The PendingPollingService re-polls it: 'repayment' raises the repayment once the release is agreed
+     * and adds up, 'writeback' retries writing the DAN and certificate back to the source system
+     */
+    async createPendingFollowUp(workflowData, integrationType, pendingReason) {
+        const { TableClient } = require('@azure/data-tables');
+
+        const connectionString = process.env.AzureWebJobsStorage || 'UseDevelopmentStorage=true';
+        const tableClient = TableClient.fromConnectionString(connectionString, 'PendingIntegrations');
+
+        await tableClient.createTable().catch(err => {
+            if (err.statusCode !== 409) throw err; // Ignore 'already exists' error
+        });
+
+        const now = new Date().toISOString();
+        const nextPollAt = (await this.calculateNextPollTime(1)).toISOString();
+
+        const existingEntities = tableClient.listEntities({
+            queryOptions: { filter: `PartitionKey eq 'PendingIntegration' and tenancyId eq '${String(workflowData.tenancyId).replace(/'/g, "''")}'` }
+        });
+
+        for await (const entity of existingEntities) {
+            if (entity.integrationType === integrationType && ['PENDING_DATA', 'PROCESSING'].includes(entity.integrationStatus)) {
+                await tableClient.updateEntity({
+                    partitionKey: entity.partitionKey,
+                    rowKey: entity.rowKey,
+                    pendingReason,
+                    updatedAt: now
+                }, 'Merge');
+
+                this.context.log(`💤 Updated pending ${integrationType} ${entity.rowKey} for tenancy: ${workflowData.tenancyId}`);
+                return { integrationId: entity.rowKey, status: entity.integrationStatus, nextPollAt: entity.nextPollAt };
+            }
+        }
+
+        const integrationId = `pending_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
+
+        await tableClient.createEntity({
+            partitionKey: 'PendingIntegration',
+            rowKey: integrationId,
+            integrationType,
+            workflowId: this.workflowId,
+            tenancyId: workflowData.tenancyId,
+            agencyRef: workflowData.agencyRef,
+            branchId: workflowData.branchId || '',
+            sourceSystem: this.sourceSystem,
+            eventType: workflowData.eventType || '',
+            webhookId: workflowData.webhookId || '',
+            webhookData: JSON.stringify(workflowData),
+            integrationStatus: 'PENDING_DATA',
+            pendingReason,
+            externalReference: workflowData.tenancyId,
+            webhookReceivedAt: now,
+            lastPolledAt: now,
+            pollCount: 0,
+            nextPollAt,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        this.context.log(`💤 Created pending ${integrationType} ${integrationId} for tenancy: ${workflowData.tenancyId}`);
+
+        return { integrationId, status: 'PENDING_DATA', nextPollAt };
+    }
+
+    /**
+     * Archive a permanently rejected tenancy and finish the run as REJECTED
+     */
+    async rejectTenancy(workflowData, sourceData, steps, rejectionReason, message) {
+        this.context.log('🚫 Tenancy rejected: ' + rejectionReason);
+
+        // Archive this integration immediately - no polling needed
+        await this.archiveTenancyRejection(workflowData, sourceData, rejectionReason);
+
+        await this.completeStep(steps, {
+            rejected: true,
+            reason: rejectionReason
+        });
+        await this.recordRun({ status: 'REJECTED', completedAt: new Date().toISOString() });
+
+        const processingTime = Date.now() - this.startTime;
+
+        return {
+            success: false,
+            rejected: true,
+            workflowId: this.workflowId,
+            tenancyId: workflowData.tenancyId,
+            status: 'REJECTED',
+            message,
+            rejectionReason,
+            processingTime: `${processingTime}ms`,
+            steps,
+            timestamp: new Date().toISOString()
+        };
+    }
+
     /**
      * Archive a rejected tenancy (not for TDS Custodial scheme)
      */
-    async archiveTenancyRejection(workflowData, altoData, rejectionReason) {
+    async archiveTenancyRejection(workflowData, sourceData, rejectionReason) {
         this.context.log('📦 Archiving rejected tenancy...');
 
         const { TableClient } = require('@azure/data-tables');
@@ -1162,8 +2157,8 @@ class AltoTDSOrchestrator {
                 rowKey: integrationId,
                 workflowId: this.workflowId || '',
                 tenancyId: workflowData.tenancyId || '',
-                agencyRef: workflowData.agencyRef || altoData.tenancy?.agencyRef || '',
-                branchId: workflowData.branchId || altoData.tenancy?.branchId || '',
+                agencyRef: workflowData.agencyRef || sourceData.tenancy?.agencyRef || '',
+                branchId: workflowData.branchId || sourceData.tenancy?.branchId || '',
 
                 // Status tracking
                 webhookStatus: 'COMPLETED',
@@ -1172,15 +2167,15 @@ class AltoTDSOrchestrator {
                 integrationStatus: 'REJECTED',
                 finalStatus: 'REJECTED',
                 archiveReason: rejectionReason || '',
-                depositSchemeType: altoData.tenancy?.depositSchemeType || '',
+                depositSchemeType: sourceData.tenancy?.depositSchemeType || '',
                 pendingReason: rejectionReason || '',
 
                 // Store retrieved data for audit trail
                 webhookData: workflowData ? JSON.stringify(workflowData) : '',
-                altoTenancyData: altoData?.tenancy ? JSON.stringify(altoData.tenancy) : '',
-                altoPropertyData: altoData?.property ? JSON.stringify(altoData.property) : '',
+                altoTenancyData: sourceData?.tenancy ? JSON.stringify(sourceData.tenancy) : '',
+                altoPropertyData: sourceData?.property ? JSON.stringify(sourceData.property) : '',
                 altoLandlordData: '',
-                altoTenantData: altoData?.tenants ? JSON.stringify(altoData.tenants) : '',
+                altoTenantData: sourceData?.tenants ? JSON.stringify(sourceData.tenants) : '',
 
                 // Empty fields
                 externalReference: workflowData.tenancyId || '',
@@ -1247,8 +2242,10 @@ class AltoTDSOrchestrator {
     /**
      * Store integration record (Step 6 of workflow)
      * Note: Audit logging is now handled separately by IntegrationAuditLogger
+     *
+     * @param {Object} renewal - Registration of the previous tenancy when this tenancy renews it
      */
-    async storeIntegrationRecord(workflowData, altoData, tdsResult) {
+    async storeIntegrationRecord(workflowData, sourceData, tdsResult, tdsPayload, renewal = null) {
         this.context.log('💾 Storing integration record...');
 
         // Create integration record with proper audit trail
@@ -1256,19 +2253,38 @@ class AltoTDSOrchestrator {
             id: `int_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
             workflowId: this.workflowId,
             tenancyId: workflowData.tenancyId,
-            agencyRef: altoData.tenancy?.agencyRef || workflowData.agencyRef,
-            branchId: altoData.tenancy?.branchId || workflowData.branchId,
+            agencyRef: sourceData.tenancy?.agencyRef || workflowData.agencyRef,
+            branchId: sourceData.tenancy?.branchId || workflowData.branchId,
             depositId: tdsResult.depositId,
             dan: tdsResult.dan,
             status: 'completed',
             source: workflowData.testMode ? 'TEST_WEBHOOK' : 'DIRECT_WEBHOOK',  // Tag test integrations
             testMode: workflowData.testMode || false,                           // Add test mode flag
+            ...(renewal && { renewalOf: renewal.tenancyId }),
             createdAt: new Date().toISOString(),
             completedAt: new Date().toISOString()
         };
 
-        // TODO: Optionally store to a separate IntegrationRecords table for detailed tracking
-        // For now, the audit logging in AltoIntegrationLog provides the main audit trail
+        // Keep the submitted payload so later updates can be sent as amendments against this DAN
+        // (test mode deposits are not registered - test data is regenerated on every run)
+        if (!workflowData.testMode) {
+            const { depositHistory } = await saveDepositRegistration({
+                sourceSystem: this.sourceSystem,
+                agencyRef: workflowData.agencyRef,
+                branchId: workflowData.branchId,
+                tenancyId: workflowData.tenancyId,
+                tdsResult,
+                payload: tdsPayload,
+                workflowId: this.workflowId,
+                renewal
+            }, this.context);
+
+            integrationRecord.depositHistory = depositHistory;
+        } else {
+            integrationRecord.depositHistory = [
+                buildDepositHistoryEntry(tdsPayload, { type: 'initial', dan: tdsResult.dan, workflowId: this.workflowId })
+            ];
+        }
 
         this.context.log('📝 Integration record created:', integrationRecord.id);
         this.context.log('   ✅ Audit logging will be handled by IntegrationAuditLogger');
@@ -1277,76 +2293,38 @@ class AltoTDSOrchestrator {
     }
 
     /**
-     * Mock Alto data for development
+     * Store amendment record (Step 6 of workflow for already registered tenancies)
      */
-    getMockAltoData(tenancyId) {
-        // For testing delayed processing, use zero deposit for specific tenancy IDs
-        const isZeroDepositTest = tenancyId === 'TEN_ZERO_DEPOSIT' || tenancyId === 'TEN_000000';
-        const depositAmount = isZeroDepositTest ? 0 : 1500.00;
+    async storeAmendmentRecord(workflowData, registration, tdsPayload, tdsResult, changes) {
+        this.context.log('💾 Storing amendment record...');
+
+        let depositHistory = registration.depositHistory || [];
+        if (changes.length > 0) {
+            ({ depositHistory } = await recordDepositAmendment(registration, {
+                payload: tdsPayload,
+                changes,
+                workflowId: this.workflowId
+            }, this.context));
+        }
 
         return {
-            tenancy: {
-                id: tenancyId,
-                inventoryId: 'INV_789012',
-                landlordId: 'CONTACT_LL_001',
-                tenantIds: ['CONTACT_T_001'],
-                depositRequested: depositAmount, // Alto API field name
-                depositAmount: depositAmount,
-                rentAmount: 1200.00,
-                startDate: '2024-01-15',
-                endDate: '2024-07-14',
-                status: 'active',
-                agencyRef: '1af89d60-662c-475b-bcc8-9bcbf04b6322',
-                branchId: 'MAIN'
-            },
-            property: {
-                id: 'INV_789012',
-                address: {
-                    line1: '123 Test Street',
-                    line2: 'Test Area',
-                    town: 'Milton Keynes',
-                    county: 'Buckinghamshire',
-                    postcode: 'MK18 1AA'
-                },
-                propertyType: 'House',
-                bedrooms: 3,
-                bathrooms: 2,
-                owners: [{
-                    name: {
-                        title: 'Mr',
-                        forename: 'Test',
-                        surname: 'Landlord'
-                    },
-                    emailAddresses: [{
-                        address: 'landlord@example.com',
-                        type: 'Business'
-                    }],
-                    phoneNumbers: [{
-                        number: '01234567890',
-                        type: 'Mobile'
-                    }]
-                }]
-            },
-            tenants: [{
-                items: [{
-                    people: [{
-                        title: 'Ms',
-                        forename: 'Test',
-                        surname: 'Tenant',
-                        emailAddresses: [{
-                            address: 'tenant@example.com',
-                            type: 'Personal'
-                        }],
-                        phoneNumbers: [{
-                            number: '01234567891',
-                            type: 'Mobile'
-                        }]
-                    }]
-                }]
-            }],
-            fetchedAt: new Date().toISOString()
+            id: `int_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
+            workflowId: this.workflowId,
+            tenancyId: workflowData.tenancyId,
+            agencyRef: workflowData.agencyRef,
+            branchId: workflowData.branchId,
+            depositId: tdsResult.depositId,
+            dan: registration.dan,
+            status: changes.length > 0 ? 'amended' : 'unchanged',
+            changes: changes.map(c => c.field),
+            depositChange: getDepositAmountChange(changes),
+            // Every protected amount (initial, top-ups, reductions) so it can be checked against what the agency holds
+            depositHistory,
+            createdAt: new Date().toISOString(),
+            completedAt: new Date().toISOString()
         };
     }
 }
+
 // Export for internal use by PendingPollingService (no HTTP, no auth needed)
-module.exports = { AltoTDSOrchestrator };
+module.exports = { TDSWorkflowOrchestrator };
@@ -7,6 +7,13 @@ require('./OrganizationMapping');
 require('./AltoWebhook');
 require('./AltoIntegration');
 require('./WorkflowOrchestrator');
+require('./JupixWebhook');
+require('./WebhookQueueProcessor');
+require('./WebhookReplay');
+require('./WebhookSecrets');
+require('./AltoReconciliation');
+require('./BackfillJobs');
+require('./DepositUpload');
 require('./PendingIntegrationsManager');
 require('./PendingPollingService');
 require('./PollingSettings');
@@ -53,6 +60,7 @@ app.http('health', {
                     postcodeLookup: 'GET /api/postcode/{postcode}',
                     postcodeBatch: 'POST /api/postcode',
                     tdsCreate: 'POST /api/tds/create',
+                    tdsAmend: 'POST /api/tds/amend/{dan}',
                     tdsStatus: 'GET /api/tds/status/{depositId}',
                     tdsHealth: 'GET /api/tds/health',
                     organizationLookup: 'GET /api/organization/lookup?agencyRef={ref}',
@@ -61,7 +69,33 @@ app.http('health', {
                     altoWebhook: 'POST /api/webhooks/alto',
                     altoFetchTenancy: 'POST /api/alto/fetch-tenancy/{tenancyId}',
                     altoHealth: 'GET /api/alto/health',
-                    workflowOrchestrator: 'POST /api/workflows/alto-tds',
+                    workflowOrchestrator: 'POST /api/workflows/{source}-tds',
+                    workflowRun: 'GET /api/workflows/{workflowId}',
+                    workflowResume: 'POST /api/workflows/{workflowId}/resume',
+                    fieldMappingPreview: 'POST /api/field-mapping/{source}/preview',
+                    jupixWebhook: 'POST /api/webhooks/jupix',
+                    webhookDeadLetterList: 'GET /api/webhooks/dead-letter/list',
+                    webhookDeadLetterGet: 'GET /api/webhooks/dead-letter/get/{webhookId}',
+                    webhookDeadLetterRequeue: 'POST /api/webhooks/dead-letter/requeue/{webhookId}',
+                    webhookDeadLetterDiscard: 'DELETE /api/webhooks/dead-letter/discard/{webhookId}',
+                    webhookReplay: 'POST /api/webhooks/replay/{webhookId}',
+                    webhookBulkReplay: 'POST /api/webhooks/replay',
+                    webhookSecretStatus: 'GET /api/settings/webhook-secrets/{sourceSystem}/{agencyRef}',
+                    webhookSecretRotate: 'POST /api/settings/webhook-secrets/{sourceSystem}/{agencyRef}',
+                    webhookSecretRetirePrevious: 'DELETE /api/settings/webhook-secrets/{sourceSystem}/{agencyRef}',
+                    altoReconciliationReport: 'GET /api/reconciliation/alto/report?agencyRef={ref}',
+                    altoReconciliationRun: 'POST /api/reconciliation/alto/run?dryRun={true|false}',
+                    backfillList: 'GET /api/backfill/list',
+                    backfillStatus: 'GET /api/backfill/status/{jobId}',
+                    backfillItems: 'GET /api/backfill/items/{jobId}?status={status}',
+                    backfillCreate: 'POST /api/backfill/create',
+                    backfillUpload: 'POST /api/backfill/upload?agencyRef={ref}',
+                    backfillStart: 'POST /api/backfill/start/{jobId}',
+                    backfillPause: 'POST /api/backfill/pause/{jobId}',
+                    backfillCancel: 'POST /api/backfill/cancel/{jobId}',
+                    depositUploadTemplate: 'GET /api/deposits/upload/template',
+                    depositUpload: 'POST /api/deposits/upload?agencyRef={ref}&branchId={branchId}',
+                    depositUploadStatus: 'GET /api/deposits/upload/{uploadId}',
                     pendingIntegrationsList: 'GET /api/pending-integrations/list',
                     pendingIntegrationsGet: 'GET /api/pending-integrations/get/{id}',
                     pendingIntegrationsRetry: 'POST /api/pending-integrations/retry/{id}',
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Bundling Script
+ *
+ * Copies the standard data model schemas the function app validates against into
+ * azure-functions/shared-services/shared/schemas/, since only azure-functions/ is
+ * deployed. data-models/ stays the single source; the copies are git-ignored and
+ * written at package time.
+ *
+ * Usage:
+ *   npm run bundle-schemas   (from azure-functions/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS = [
+  'standard-model/deposit-schema.json'
+];
+
+const sourceDir = path.join(__dirname, '..', 'data-models');
+const targetDir = path.join(__dirname, '..', 'azure-functions', 'shared-services', 'shared', 'schemas');
+
+fs.mkdirSync(targetDir, { recursive: true });
+
+for (const schema of SCHEMAS) {
+  const target = path.join(targetDir, path.basename(schema));
+  fs.copyFileSync(path.join(sourceDir, schema), target);
+  console.log(`📄 Bundled ${schema} -> ${path.relative(path.join(__dirname, '..'), target)}`);
+}
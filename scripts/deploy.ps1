@@ -177,6 +177,10 @@ function Deploy-Functions {
         Write-Log "Installing function dependencies"
         npm install
 
+        # Bundle the standard data model schemas (only azure-functions/ is deployed)
+        Write-Log "Bundling data model schemas"
+        npm run bundle-schemas
+
         # Create deployment package
         $deploymentPackage = Join-Path $env:TEMP "functions-$Environment.zip"
         Write-Log "Creating deployment package: $deploymentPackage"